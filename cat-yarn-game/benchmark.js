@@ -0,0 +1,193 @@
+/**
+ * Renderer benchmark (benchmark.html)
+ * Runs the same scene on every registered renderer: a two-player simulation
+ * with the yarn balls circling and a steady stream of fluff, so that the
+ * chosen number of particles is alive at any time (up to EFFECT_LIMIT). Reports frame times
+ * (requestAnimationFrame intervals) and the script time spent per frame.
+ */
+
+const BENCHMARK_RUN_MS = 5000;
+const BENCHMARK_WARMUP_MS = 500; // Left out of the numbers (sprite sheets, pools)
+const PARTICLE_LIFE_MS = EFFECT_EMITTERS.fluff.lifetime;
+
+// Fluff without its own cap, so the whole EFFECT_LIMIT can be fluff
+const BENCHMARK_EMITTERS = { ...EFFECT_EMITTERS, fluff: { ...EFFECT_EMITTERS.fluff, max: EFFECT_LIMIT } };
+
+class RendererBenchmark {
+    constructor() {
+        this.gameArea = document.getElementById('gameArea');
+        this.particleCount = document.getElementById('particleCount');
+        this.runBtn = document.getElementById('runBtn');
+        this.status = document.getElementById('benchmarkStatus');
+        this.results = document.getElementById('benchmarkResults');
+
+        this.clock = new GameClock();
+        this.context = {
+            element: this.gameArea,
+            clock: this.clock,
+            getBounds: () => this.simulation.bounds
+        };
+        this.renderers = new Map(); // Reused between runs (the DOM one owns the sprites)
+
+        this.runBtn.addEventListener('click', () => this.runAll());
+    }
+
+    async runAll() {
+        this.runBtn.disabled = true;
+        const particles = Number(this.particleCount.value);
+        for (const definition of RENDERERS) {
+            this.status.textContent = t('benchmark.running', { renderer: t(`renderers.${definition.id}.label`) });
+            const result = await this.run(definition, particles);
+            this.showResult(definition, particles, result);
+        }
+        this.status.textContent = t('benchmark.done');
+        this.runBtn.disabled = false;
+    }
+
+    // One backend for BENCHMARK_RUN_MS; resolves with the measured frames
+    run(definition, particles) {
+        this.effects = new EffectSystem({
+            emitters: BENCHMARK_EMITTERS,
+            getPalette: () => COSMETICS.yarnColor.pink.particles
+        });
+        this.simulation = new CatSimulation({
+            seed: 1,
+            players: 2,
+            width: this.gameArea.clientWidth,
+            height: this.gameArea.clientHeight
+        });
+        if (!this.renderers.has(definition.id)) {
+            this.renderers.set(definition.id, definition.create(this.context));
+        }
+        const renderer = this.renderers.get(definition.id);
+        renderer.start();
+        renderer.reset(); // New simulation, tick counts start over
+        renderer.setPlayerCount(2);
+        [0, 1].forEach(id => {
+            const outfit = normalizeOutfit(null, id);
+            renderer.setCatLook(id, {
+                pose: 'running',
+                profile: DEFAULT_CAT_PROFILE,
+                effects: [],
+                outfit,
+                pounceDuration: CAT_TUNING.pounceDuration,
+                stretchDuration: CAT_TUNING.stretchDuration
+            });
+            renderer.setYarnTheme(id, COSMETICS.yarnColor[outfit.yarnColor]);
+        });
+
+        const frames = [];
+        const scripts = [];
+        this.clock.tick(); // Drop the time spent waiting for the button
+        const startedAt = performance.now();
+        let lastFrame = startedAt;
+        let spawnDebt = 0;
+
+        return new Promise(resolve => {
+            const frame = (now) => {
+                const elapsedRun = now - startedAt;
+                if (elapsedRun >= BENCHMARK_WARMUP_MS) frames.push(now - lastFrame);
+                lastFrame = now;
+
+                const scriptStart = performance.now();
+                const elapsed = this.clock.tick();
+                this.moveYarns(elapsedRun);
+                this.simulation.advance(elapsed);
+
+                // Keep `particles` alive: each lives PARTICLE_LIFE_MS
+                spawnDebt += particles * elapsed / PARTICLE_LIFE_MS;
+                for (; spawnDebt >= 1; spawnDebt--) {
+                    const yarn = this.simulation.yarns[Math.floor(Math.random() * 2)];
+                    this.effects.emit('fluff', yarn.pos.x, yarn.pos.y);
+                }
+                this.effects.update(elapsed);
+                renderer.drawFrame(this.getFrame());
+                if (elapsedRun >= BENCHMARK_WARMUP_MS) scripts.push(performance.now() - scriptStart);
+
+                if (elapsedRun < BENCHMARK_RUN_MS) {
+                    requestAnimationFrame(frame);
+                    return;
+                }
+                this.effects.clear();
+                renderer.drawFrame(this.getFrame()); // Hands the elements back
+                renderer.stop();
+                resolve({ frames, scripts });
+            };
+            requestAnimationFrame(frame);
+        });
+    }
+
+    // Yarn balls circle the middle of the screen, one each way
+    moveYarns(time) {
+        const { width, height } = this.simulation.bounds;
+        const radius = Math.min(width, height) * 0.3;
+        [1, -1].forEach((direction, player) => {
+            const angle = direction * time / 600 + player * Math.PI;
+            this.simulation.queueInput({
+                type: 'yarn',
+                player,
+                x: width / 2 + Math.cos(angle) * radius,
+                y: height / 2 + Math.sin(angle) * radius,
+                speed: 20
+            });
+        });
+    }
+
+    // What CatYarnGame.render() hands to the renderer
+    getFrame() {
+        const sim = this.simulation;
+        return {
+            tick: sim.tickCount,
+            cats: sim.cats.map(cat => {
+                const focus = sim.getFocusPoint(cat);
+                const dx = focus.x - cat.pos.x;
+                const dy = focus.y - cat.pos.y;
+                const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+                return {
+                    id: cat.id,
+                    state: cat.state,
+                    x: cat.pos.x,
+                    y: cat.pos.y,
+                    facing: dx > 0 ? -1 : 1,
+                    pupil: { x: (dx / distance) * 2, y: (dy / distance) * 2 }
+                };
+            }),
+            yarns: sim.yarns.map(yarn => ({
+                id: yarn.id,
+                x: yarn.pos.x,
+                y: yarn.pos.y,
+                angle: yarn.angle,
+                rope: sim.ropes[yarn.id]
+            })),
+            effects: this.effects.particles
+        };
+    }
+
+    showResult(definition, particles, { frames, scripts }) {
+        const average = values => values.reduce((sum, value) => sum + value, 0) / Math.max(1, values.length);
+        const sorted = [...frames].sort((a, b) => a - b);
+        const p95 = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] || 0;
+        const frameMs = average(frames);
+
+        const row = document.createElement('tr');
+        [
+            `${definition.icon} ${t(`renderers.${definition.id}.label`)}`,
+            particles,
+            frameMs.toFixed(1),
+            p95.toFixed(1),
+            average(scripts).toFixed(2),
+            frameMs > 0 ? Math.round(1000 / frameMs) : '-'
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        this.results.appendChild(row);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    // The browser's language (no switcher here)
+    setLocale(pickLocale());
+    new RendererBenchmark();
+});
@@ -4,200 +4,118 @@
  * With Camera Hand Tracking Support
  */
 
-/**
- * Object Pool for efficient DOM element reuse
- * Prevents memory leaks and reduces DOM operations
- */
-class ObjectPool {
-    constructor(createElement, poolSize = 50) {
-        this.createElement = createElement;
-        this.pool = [];
-        this.activeCount = 0;
-
-        // Pre-create pool elements
-        for (let i = 0; i < poolSize; i++) {
-            const element = createElement();
-            element.style.display = 'none';
-            this.pool.push(element);
-        }
-    }
-
-    acquire() {
-        let element;
-        if (this.pool.length > 0) {
-            element = this.pool.pop();
-        } else {
-            // Create new if pool is exhausted
-            element = this.createElement();
-        }
-        element.style.display = '';
-        this.activeCount++;
-        return element;
-    }
-
-    release(element) {
-        element.style.display = 'none';
-        this.pool.push(element);
-        this.activeCount--;
-    }
-
-    // Get all elements (for initial attachment to DOM)
-    getAllElements() {
-        return [...this.pool];
-    }
-}
-
-/**
- * Animal Spawner - Controls background animals with max 2 on screen
- */
-class AnimalSpawner {
-    constructor(container) {
-        this.container = container;
-        this.maxActive = 2;
-        this.activeAnimals = [];
-
-        // Define available animals with their properties
-        this.animalTypes = [
-            { emoji: '🐢', className: 'turtle', duration: 45000 },
-            { emoji: '🐎', className: 'horse', duration: 8000 },
-            { emoji: '🐕', className: 'dog', duration: 20000 },
-            { emoji: '🐦', className: 'bird bird-1', duration: 12000 },
-            { emoji: '🕊️', className: 'bird bird-2', duration: 15000 },
-            { emoji: '🦅', className: 'bird bird-3', duration: 10000 }
-        ];
-
-        // Start spawning
-        this.scheduleNextSpawn();
-    }
-
-    scheduleNextSpawn() {
-        // Random delay between 2-8 seconds
-        const delay = 2000 + Math.random() * 6000;
-        setTimeout(() => this.trySpawnAnimal(), delay);
-    }
-
-    trySpawnAnimal() {
-        if (this.activeAnimals.length < this.maxActive) {
-            this.spawnRandomAnimal();
-        }
-        this.scheduleNextSpawn();
-    }
-
-    spawnRandomAnimal() {
-        // Pick a random animal type
-        const type = this.animalTypes[Math.floor(Math.random() * this.animalTypes.length)];
-
-        // Create element
-        const animal = document.createElement('div');
-        animal.className = `animal ${type.className}`;
-        animal.textContent = type.emoji;
-        this.container.appendChild(animal);
-
-        // Force reflow then add active class
-        animal.offsetHeight;
-        animal.classList.add('active');
-
-        // Track active animal
-        this.activeAnimals.push(animal);
-
-        // Remove after animation completes
-        setTimeout(() => {
-            animal.classList.remove('active');
-            animal.remove();
-            this.activeAnimals = this.activeAnimals.filter(a => a !== animal);
-        }, type.duration);
-    }
-}
-
 class CatYarnGame {
-    constructor() {
+    constructor(options = {}) {
         // DOM Elements
         this.gameArea = document.getElementById('gameArea');
-        this.cat = document.getElementById('cat');
-        this.yarnBall = document.getElementById('yarnBall');
-        this.yarnString = document.getElementById('yarnString');
-        this.particles = document.getElementById('particles');
-        this.pawPrints = document.getElementById('pawPrints');
         this.pounceCountDisplay = document.getElementById('pounceCount');
         this.catMoodDisplay = document.getElementById('catMood');
-
-        // Camera elements
-        this.cameraContainer = document.getElementById('cameraContainer');
-        this.cameraVideo = document.getElementById('cameraVideo');
-        this.cameraCanvas = document.getElementById('cameraCanvas');
-        this.cameraStatus = document.getElementById('cameraStatus');
-        this.handIndicator = document.getElementById('handIndicator');
+        this.pounceLabel = document.getElementById('pounceLabel');
+        this.playerTwoStats = document.getElementById('playerTwoStats');
+        this.playerBtns = document.querySelectorAll('[data-players]');
+        this.profileRows = document.querySelectorAll('.profile-buttons');
+        this.profileHint = document.getElementById('profileHint');
+
+        // Control mode elements
+        this.controlModeButtons = document.getElementById('controlModeButtons');
         this.controlHint = document.getElementById('controlHint');
-        this.mouseBtn = document.getElementById('mouseBtn');
-        this.cameraBtn = document.getElementById('cameraBtn');
+        this.playersHint = document.getElementById('playersHint');
+        this.yarnPhysicsBtns = document.querySelectorAll('[data-yarn-physics]');
+        this.yarnHint = document.getElementById('yarnHint');
+
+        // Saved settings and lifetime stats
+        this.storage = options.storage || new GameStorage();
+
+        // Language (scripts/i18n.js): follows navigator.language until the
+        // player picks one in the 🌐 section
+        this.languageButtons = document.getElementById('languageButtons');
+        this.languageSetting = null;
+
+        // Injectable clock (ms) - drives the fixed-step simulation
+        this.clock = options.clock || (() => performance.now());
+
+        // Game time (scripts/clock.js): stands still while the game is paused,
+        // so the simulation and the particle timers freeze together
+        this.gameClock = new GameClock(this.clock);
+        this.frameId = null;
+        this.cleanups = []; // Removes the window / document listeners (destroy)
+        this.debug = new URLSearchParams(window.location.search).has('debug'); // ?debug: developer logging
+
+        // Deterministic simulation: cat AI, catches, resting and eating
+        this.simulation = new CatSimulation({
+            seed: options.seed,
+            width: window.innerWidth,
+            height: window.innerHeight,
+            debugStates: this.debug // Logs cat transitions
+        });
 
-        // Cat position and state
-        this.catPos = {
-            x: window.innerWidth / 2,
-            y: window.innerHeight * 0.6
+        // Per-player HUD and look state (see createPlayerViews); the cats,
+        // yarn balls and effects themselves are drawn by the renderer
+        this.catViews = [];
+        this.yarnViews = [];
+
+        // Renderers (scripts/renderer.js): 'auto' picks the canvas on low-end phones
+        this.renderContext = {
+            element: this.gameArea,
+            clock: this.gameClock,
+            getBounds: () => this.simulation.bounds,
+            isReducedMotion: () => this.reducedMotion
         };
-        this.catVelocity = { x: 0, y: 0 };
-        this.catSpeed = 0;
-        this.catState = 'idle';
-
-        // Yarn ball position
-        this.yarnPos = {
-            x: window.innerWidth / 2 + 100,
-            y: window.innerHeight * 0.5
+        this.renderers = new Map();
+        this.renderer = null;
+        this.rendererSetting = null;
+        this.rendererButtons = document.getElementById('rendererButtons');
+        this.rendererHint = document.getElementById('rendererHint');
+
+        // Effect particles (scripts/effects.js): emitters fired by simulation
+        // events and cat poses; fluff takes the colors of the player's yarn theme
+        this.effects = new EffectSystem({
+            getPalette: (player) => (this.yarnViews[player] || this.yarnViews[0]).particles
+        });
+
+        // Input providers (scripts/input.js): the control mode steers player 1
+        // (and player 2 where the device supports it), player 2 always has
+        // the keyboard in two-player mode
+        this.inputContext = {
+            element: this.gameArea,
+            clock: this.clock,
+            getBounds: () => this.simulation.bounds,
+            getYarnPos: (player) => {
+                const yarn = this.simulation.yarns[player];
+                return yarn ? yarn.pos : null;
+            },
+            getCatPos: (player) => {
+                const cat = this.simulation.cats[player];
+                return cat ? cat.pos : null;
+            },
+            getPlayerCount: () => this.simulation.playerCount,
+            isPhysicsEnabled: () => this.simulation.physics
         };
-        this.prevYarnPos = { ...this.yarnPos };
-
-        // Trail positions for yarn string
-        this.trailPositions = [];
-        this.maxTrailLength = 10;
-
-        // Game stats
-        this.totalDistance = 0;
-        this.lastPawPrintTime = 0;
-        this.lastParticleTime = 0;
-
-        // Mouse movement speed tracking
-        this.mouseSpeed = 0;
-        this.lastMousePos = { x: 0, y: 0 };
-        this.lastMouseTime = Date.now();
-
-        // Control mode: 'mouse' or 'camera'
-        this.controlMode = 'mouse';
-
-        // Hand tracking
-        this.hands = null;
-        this.camera = null;
-        this.handDetected = false;
-        this.fingerPos = { x: 0, y: 0 };
-        this.smoothedFingerPos = { x: 0, y: 0 };
-        this.fingerSmoothing = 0.3;
-
-        // Pounce mechanics
-        this.pounceCount = 0; // Counter for current session (resets after rest)
-        this.totalPounces = 0; // Total pounce count for display
-        this.maxPouncesBeforeRest = 6 + Math.floor(Math.random() * 5); // 6-10 pounces before rest
-        this.isPouncing = false;
-        this.isResting = false;
-        this.pounceDistance = 80; // Distance at which cat starts preparing to pounce
-        this.pounceTriggerDistance = 25; // Overlap detection: yarn ball radius (20px) + nose size (5px)
-        this.lastPounceTime = 0;
-        this.pounceCooldown = 500; // ms between pounces (faster recovery)
-        this.restDuration = 3000; // ms to rest (shorter rest)
-        this.restStartTime = 0;
-        this.preparingPounce = false;
-
-        // Feeding system
-        this.foodTypes = ['🥫', '🐟'];
-        this.currentFood = null;
-        this.isEating = false;
-        this.foodSpawnCooldown = false;
-        this.isOpenHand = false;
-        this.eatingDuration = 2000; // ms to eat food
+        this.inputProviders = new Map();
+        this.inputProvider = null;
+        this.controlMode = null;
+        this.playerTwoKeyboard = this.bindInputProvider(
+            new KeyboardInputProvider(this.inputContext, { player: 1 })
+        );
+
+        // Foods on the ground by id, and the food the player puts down next
+        this.foodElements = new Map();
+        this.foodButtons = document.getElementById('foodButtons');
+        this.foodHint = document.getElementById('foodHint');
+        this.selectedFood = DEFAULT_FOOD;
+
+        // Pause button, Esc, a fist gesture or the gamepad's Start button;
+        // also paused while the tab is hidden or the window lost focus
+        this.pauseBtn = document.getElementById('pauseBtn');
+        this.pauseOverlay = document.getElementById('pauseOverlay');
+        this.pauseHint = document.getElementById('pauseHint');
+        this.resumeBtn = document.getElementById('resumeBtn');
 
         // Demo mode
         this.demoMode = false;
         this.demoState = null;
-        this.demoTimeout = null;
+        this.demoTimers = new Set(); // Game clock timers of the running preview
+        this.demoCatPos = null;
         this.settingsPanel = document.getElementById('settingsPanel');
         this.demoBtns = document.querySelectorAll('.demo-btn');
         this.demoToggle = document.getElementById('demoToggle');
@@ -209,50 +127,151 @@ class CatYarnGame {
         this.settingsContent = document.getElementById('settingsContent');
         this.settingsPanelCollapsed = false;
 
-        // Sound settings
+        // Sound settings: every sound goes through one shared engine (scripts/audio.js)
         this.soundEnabled = true;
         this.soundBtn = document.getElementById('soundBtn');
-
-        // Create finger cursor element
-        this.fingerCursor = document.createElement('div');
-        this.fingerCursor.className = 'finger-cursor';
-        this.gameArea.appendChild(this.fingerCursor);
-
-        // Initialize object pools for particles and paw prints
-        this.particlePool = new ObjectPool(() => {
-            const p = document.createElement('div');
-            p.className = 'particle';
-            this.particles.appendChild(p);
-            return p;
-        }, 30);
-
-        this.pawPrintPool = new ObjectPool(() => {
-            const p = document.createElement('div');
-            p.className = 'paw-print';
-            this.pawPrints.appendChild(p);
-            return p;
-        }, 20);
-
-        // Initialize animal spawner (max 2 animals on screen)
-        const decorations = document.getElementById('decorations');
-        this.animalSpawner = new AnimalSpawner(decorations);
+        this.volumeSlider = document.getElementById('volumeSlider');
+        this.volumeValue = document.getElementById('volumeValue');
+        this.audio = options.audio || new AudioEngine();
+
+        // Accessibility (scripts/a11y.js): a live region reads catches and
+        // moods out; reduced motion and high contrast follow the system until
+        // the player picks them in the ♿ section
+        this.announcer = new Announcer(document.getElementById('announcer'), { clock: this.clock });
+        this.a11yButtons = document.querySelectorAll('[data-a11y]');
+        this.reducedMotion = false;
+        this.highContrast = false;
+
+        // Lifetime stats page
+        this.statsTracker = new StatsTracker(this.simulation, this.storage);
+        this.statsToggle = document.getElementById('statsToggle');
+        this.statsContent = document.getElementById('statsContent');
+        this.statsPanelCollapsed = true;
+        this.resetStatsBtn = document.getElementById('resetStatsBtn');
+
+        // Achievements (scripts/achievements.js) and the cosmetics they unlock
+        this.achievements = new AchievementTracker(this.simulation, this.storage);
+        this.achievementList = document.getElementById('achievementList');
+        this.achievementCount = document.getElementById('achievementCount');
+
+        // Wardrobe (scripts/cosmetics.js): one outfit per player
+        this.wardrobe = document.getElementById('wardrobe');
+        this.wardrobePlayerBtns = document.querySelectorAll('[data-wardrobe-player]');
+        this.wardrobeHint = document.getElementById('wardrobeHint');
+        this.wardrobePlayer = 0; // Player whose outfit the wardrobe shows
+
+        // Game mode: 'free' (endless) or 'challenge' (timed levels)
+        this.gameMode = 'free';
+        this.challenge = new ChallengeMode(this.simulation);
+        this.gameModeBtns = document.querySelectorAll('[data-game-mode]');
+        this.gameModeHint = document.getElementById('gameModeHint');
+        this.challengeStats = document.getElementById('challengeStats');
+        this.challengeLevel = document.getElementById('challengeLevel');
+        this.challengeTimer = document.getElementById('challengeTimer');
+        this.challengeProgress = document.getElementById('challengeProgress');
+        this.resultsOverlay = document.getElementById('resultsOverlay');
+        this.resultsTitle = document.getElementById('resultsTitle');
+        this.resultsStars = document.getElementById('resultsStars');
+        this.resultsSummary = document.getElementById('resultsSummary');
+        this.retryBtn = document.getElementById('retryBtn');
+        this.nextLevelBtn = document.getElementById('nextLevelBtn');
+        this.backToFreeBtn = document.getElementById('backToFreeBtn');
+
+        // Session recording & replay
+        this.recorder = new SessionRecorder(this.simulation);
+        this.player = new SessionPlayer(this.simulation);
+        this.recordBtn = document.getElementById('recordBtn');
+        this.replayBtn = document.getElementById('replayBtn');
+        this.exportBtn = document.getElementById('exportBtn');
+        this.importBtn = document.getElementById('importBtn');
+        this.importInput = document.getElementById('importInput');
+        this.replayHint = document.getElementById('replayHint');
+
+        // Background animals live in the simulation (max 2 on screen);
+        // their emoji elements go into #decorations
+        this.decorations = document.getElementById('decorations');
+        this.animalElements = new Map();
+        this.animalSpawner = new AnimalSpawner(this.simulation);
+
+        // Day/night and weather (scripts/environment.js): the cycle changes
+        // sim.environment, the scenery follows through the --scene-* CSS variables
+        this.environment = new EnvironmentCycle(this.simulation);
+        this.timeModeBtns = document.querySelectorAll('[data-time-mode]');
+        this.weatherButtons = document.getElementById('weatherButtons');
+        this.environmentHint = document.getElementById('environmentHint');
+        this.skyHour = null; // Hour the scene colors were last set for
+
+        // Furniture (scripts/furniture.js): one element per piece in sim.furniture;
+        // the room editor drags them around and saves layouts
+        this.furnitureLayer = document.getElementById('furnitureLayer');
+        this.furnitureElements = new Map();
+        this.roomLayoutButtons = document.getElementById('roomLayoutButtons');
+        this.roomSlotButtons = document.getElementById('roomSlotButtons');
+        this.furnitureButtons = document.getElementById('furnitureButtons');
+        this.editRoomBtn = document.getElementById('editRoomBtn');
+        this.roomHint = document.getElementById('roomHint');
+        this.editingRoom = false;
+        this.furnitureDrag = null; // { id, offsetX, offsetY } while dragging a piece
 
         // Initialize
         this.init();
     }
 
     init() {
+        // Language first, so everything below is built in it
+        this.bindLanguageButtons();
+        this.setLanguage(this.storage.settings.language);
+
+        // Render simulation events
+        this.bindSimulationEvents();
+
+        // Renderer buttons (one per registered backend, plus 'auto')
+        this.bindRendererButtons();
+        this.setRenderer(this.storage.settings.renderer);
+        this.createPlayerViews(this.simulation.playerCount);
+
         // Set initial positions
-        this.updateCatPosition();
-        this.updateYarnPosition();
+        this.render();
 
         // Event listeners
-        this.gameArea.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-        this.gameArea.addEventListener('touchmove', (e) => this.handleTouchMove(e));
+        this.listen(window, 'resize', () => {
+            // Replays keep the recorded play area size
+            if (!this.player.playing) {
+                this.simulation.setBounds(window.innerWidth, window.innerHeight);
+            }
+        });
 
-        // Control mode buttons
-        this.mouseBtn.addEventListener('click', () => this.setControlMode('mouse'));
-        this.cameraBtn.addEventListener('click', () => this.setControlMode('camera'));
+        // Control mode buttons (one per registered input provider)
+        this.bindControlModeButtons();
+        this.setControlMode(this.storage.settings.controlMode);
+
+        // One or two players
+        this.playerBtns.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.setPlayerCount(Number(btn.dataset.players));
+            });
+        });
+
+        // Yarn follows the pointer or obeys physics
+        this.yarnPhysicsBtns.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.setYarnPhysics(btn.dataset.yarnPhysics === 'on');
+            });
+        });
+
+        // Time mode and weather buttons
+        this.bindEnvironmentControls();
+
+        // Room presets, saved layouts and the editor
+        this.bindRoomControls();
+
+        // Food picker and its number keys
+        this.bindFoodControls();
+
+        // Cat breed pickers (one row per player)
+        this.bindProfileControls();
 
         // Demo panel buttons
         this.demoBtns.forEach(btn => {
@@ -269,11 +288,36 @@ class CatYarnGame {
             this.toggleDemoPanel();
         });
 
-        // Sound toggle button
+        // Sound toggle button and volume
         this.soundBtn.addEventListener('click', (e) => {
             e.stopPropagation();
             this.toggleSound();
         });
+        this.volumeSlider.addEventListener('click', (e) => e.stopPropagation());
+        this.volumeSlider.addEventListener('input', () => {
+            this.setVolume(Number(this.volumeSlider.value) / 100);
+        });
+
+        // Reduced motion and high contrast buttons, and the system preferences they follow
+        this.bindA11yControls();
+
+        // Browsers only start audio from a user gesture
+        ['pointerdown', 'keydown', 'touchstart'].forEach(type => {
+            this.listen(document, type, () => this.audio.unlock());
+        });
+
+        // Game mode buttons and challenge results
+        this.bindChallengeControls();
+
+        // Recording & replay buttons
+        this.bindReplayControls();
+
+        // Lifetime stats panel and periodic saving
+        this.bindStatsControls();
+
+        // Badge list and unlock toasts, then the wardrobe
+        this.bindAchievementControls();
+        this.bindWardrobeControls();
 
         // Settings panel collapse toggle
         this.settingsToggle.addEventListener('click', (e) => {
@@ -282,697 +326,1557 @@ class CatYarnGame {
         });
 
         // Click anywhere to exit demo mode
-        document.addEventListener('click', (e) => {
+        this.listen(document, 'click', (e) => {
             if (this.demoMode && !e.target.closest('.settings-panel')) {
                 this.exitDemoMode();
             }
         });
 
+        // Pause button, Esc and pausing in the background
+        this.bindPauseControls();
+
+        // Restore saved settings and the cats' needs
+        this.applySavedSettings();
+        this.restoreNeeds();
+
         // Start game loop
         this.gameLoop();
 
         // Initial state
-        this.setCatState('curious');
+        const sim = this.simulation;
+        sim.cats.forEach(cat => sim.catStates.transition(cat, sim, 'curious'));
     }
 
-    setControlMode(mode) {
-        this.controlMode = mode;
+    // Window / document listener that destroy() removes again
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.cleanups.push(() => target.removeEventListener(type, handler, options));
+    }
 
-        // Update button states
-        this.mouseBtn.classList.toggle('active', mode === 'mouse');
-        this.cameraBtn.classList.toggle('active', mode === 'camera');
-
-        // Update hint text
-        if (mode === 'mouse') {
-            this.controlHint.textContent = '移动鼠标控制毛线球';
-            this.cameraContainer.classList.remove('active');
-            this.fingerCursor.classList.remove('active');
-            this.stopCamera();
-        } else {
-            this.controlHint.textContent = '伸出食指控制毛线球';
-            this.cameraContainer.classList.add('active');
-            this.startCamera();
+    // Stop everything: the frame loop, timers, input devices (the camera
+    // included), sounds and the window / document listeners
+    destroy() {
+        cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+        clearInterval(this.statsInterval);
+        this.cancelDemoTimers();
+        this.saveStats();
+
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups = [];
+        this.gameClock.clear();
+        this.effects.clear();
+        this.renderer.stop();
+        this.inputProviders.forEach(provider => provider.stop());
+        this.playerTwoKeyboard.stop();
+        if (this.player.playing) this.player.stop();
+        this.animalSpawner.destroy();
+        this.environment.destroy();
+        this.achievements.destroy();
+        this.audio.destroy();
+        document.body.classList.remove('game-paused');
+    }
+
+    applySavedSettings() {
+        const settings = this.storage.settings;
+
+        if (settings.language !== this.languageSetting) {
+            this.setLanguage(settings.language);
+        }
+        this.toggleSound(settings.soundEnabled);
+        this.setVolume(settings.volume);
+        this.applyA11ySettings();
+        if (settings.renderer !== this.rendererSetting) {
+            this.setRenderer(settings.renderer);
+        }
+        this.toggleSettingsPanel(settings.settingsPanelCollapsed);
+        this.toggleDemoPanel(settings.demoPanelCollapsed);
+        this.toggleStatsPanel(settings.statsPanelCollapsed);
+        if (settings.controlMode !== this.controlMode) {
+            this.setControlMode(settings.controlMode);
         }
+        if (settings.gameMode !== this.gameMode) {
+            this.setGameMode(settings.gameMode);
+        }
+        if (settings.playerCount !== this.simulation.playerCount) {
+            this.setPlayerCount(settings.playerCount);
+        }
+        if (settings.yarnPhysics !== this.simulation.physics) {
+            this.setYarnPhysics(settings.yarnPhysics);
+        }
+        this.selectFood(settings.foodType);
+        this.setTimeMode(settings.timeMode);
+        this.setWeather(settings.weather);
+        settings.catProfiles.forEach((profile, player) => this.setCatProfile(player, profile));
+        this.setRoomLayout(this.storage.room.layout);
+        this.updateRoomSlotButtons();
+        this.catViews.forEach((view, player) => this.applyOutfit(player));
+        this.updateAchievementList();
     }
 
-    async startCamera() {
-        this.updateCameraStatus('🔄 正在启动摄像头...', 'loading');
+    bindSimulationEvents() {
+        const sim = this.simulation;
 
-        // Timeout promise for MediaPipe initialization
-        const timeout = (ms) => new Promise((_, reject) =>
-            setTimeout(() => reject(new Error('TIMEOUT')), ms)
-        );
+        sim.on('input', (input) => {
+            if (input.type === 'yarn') this.drawYarnInput(input);
+        });
+        sim.on('players', (count) => this.createPlayerViews(count));
+        sim.on('profile', ({ cat }) => this.setCatState(cat.pose, cat.id));
+        sim.on('physics', (enabled) => this.showYarnPhysics(enabled));
+        sim.on('environment', (environment) => this.showEnvironment(environment));
+        sim.on('shelterStart', ({ cat }) => this.showMeowText(cat, t('meows.shelter')));
+        sim.on('needMood', ({ cat }) => this.setCatState(cat.pose, cat.id));
+        sim.on('inventory', () => this.updateFoodButtons());
+        sim.on('foodEmpty', ({ type }) => {
+            localize(this.foodHint, () => t('food.empty', { emoji: FOOD_TYPES[type].emoji, name: t(`foods.${type}`) }));
+        });
+        sim.on('effectStart', ({ cat, effect }) => {
+            if (effect === 'hyper') this.showMeowText(cat, t('meows.hyper'));
+            this.setCatState(cat.pose, cat.id);
+        });
+        sim.on('effectEnd', ({ cat }) => this.setCatState(cat.pose, cat.id));
+        sim.on('stateChange', ({ cat, state }) => this.setCatState(state, cat.id));
+        sim.on('catch', ({ cat, totalPounces, points }) => {
+            this.catViews[cat.id].scoreDisplay.textContent = totalPounces;
+            this.announcer.announce(t('a11y.catch', { player: this.getPlayerName(cat.id), count: totalPounces }), {
+                key: `catch-${cat.id}`,
+                interval: 1000
+            });
 
-        try {
-            // Initialize MediaPipe Hands with timeout
-            const initMediaPipe = async () => {
-                this.hands = new Hands({
-                    locateFile: (file) => {
-                        return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
-                    }
-                });
+            // Show floating meow text (a watching dog doubles the points)
+            this.showMeowText(cat, points > 1 ? t('meows.dog', { points }) : null);
 
-                this.hands.setOptions({
-                    maxNumHands: 1,
-                    modelComplexity: 1,
-                    minDetectionConfidence: 0.7,
-                    minTrackingConfidence: 0.5
-                });
+            // Play meow sound
+            this.playMeowSound(cat);
+        });
+        this.effects.listenTo(sim); // Fluff, paw prints and landing dust (EFFECT_TRIGGERS)
+        sim.on('pawPrint', () => this.audio.pawPatter());
+        sim.on('tangle', ({ cat }) => this.showMeowText(cat, t('meows.tangle')));
+        sim.on('distracted', ({ cat }) => this.showMeowText(cat, '🐦？'));
+        sim.on('startle', ({ cat }) => {
+            this.showMeowText(cat, t('meows.startle'));
+            this.audio.hiss();
+        });
+        sim.on('animalSpawn', (animal) => this.showAnimal(animal));
+        sim.on('animalLeave', (animal) => this.hideAnimal(animal));
+        sim.on('foodSpawned', (food) => this.showFood(food));
+        sim.on('eatStart', ({ cat, food }) => this.startEating(cat, food));
+        sim.on('eatEnd', ({ food }) => this.finishEating(food));
+        sim.on('furniture', (items) => this.showFurniture(items));
+        sim.on('ambush', ({ cat }) => this.showMeowText(cat, t('meows.ambush')));
+        sim.on('foodReleased', ({ food }) => {
+            const element = this.foodElements.get(food.id);
+            if (element) element.classList.remove('eating');
+        });
+    }
 
-                this.hands.onResults((results) => this.onHandResults(results));
+    // Make sure every simulated player has a cat, yarn ball and score display
+    createPlayerViews(count) {
+        while (this.catViews.length < count) {
+            const id = this.catViews.length;
+            this.catViews.push({
+                pose: 'idle', // State the cat is drawn in (see setCatState)
+                outfit: null, // Outfit worn (see applyOutfit)
+                scoreDisplay: id === 0 ? this.pounceCountDisplay : document.getElementById(`pounceCount${id + 1}`),
+                moodDisplay: id === 0 ? this.catMoodDisplay : document.getElementById(`catMood${id + 1}`),
+                needMeters: this.getNeedMeters(id === 0 ? 'needsMeters' : `needsMeters${id + 1}`),
+                needValues: {} // Rounded values last drawn
+            });
+            this.yarnViews.push({
+                lastParticleTime: 0,
+                particles: COSMETICS.yarnColor.pink.particles // Fluff colors of the yarn theme
+            });
+            this.applyOutfit(id);
+        }
 
-                // Setup camera
-                this.camera = new Camera(this.cameraVideo, {
-                    onFrame: async () => {
-                        await this.hands.send({ image: this.cameraVideo });
-                    },
-                    width: 640,
-                    height: 480
-                });
+        // Hide views of players that left
+        this.renderer.setPlayerCount(count);
+        this.catViews.forEach((view, id) => {
+            if (id >= count) {
+                this.audio.setPurring(id, false);
+                this.effects.setStream(`cat-${id}`, null);
+            }
+        });
 
-                await this.camera.start();
-            };
+        this.playerBtns.forEach(btn => {
+            setPressed(btn, Number(btn.dataset.players) === count);
+        });
+        this.playerTwoStats.classList.toggle('hidden', count < 2);
+        this.profileRows.forEach(row => {
+            row.classList.toggle('hidden', Number(row.dataset.player) >= count);
+        });
+        this.wardrobePlayerBtns.forEach(btn => {
+            btn.classList.toggle('hidden', count < 2);
+        });
+        this.selectWardrobePlayer(this.wardrobePlayer < count ? this.wardrobePlayer : 0);
+        localize(this.pounceLabel, () => (count > 1 ? t('hud.player1') : t('hud.pounces')));
+        this.updateKeyboardPlayers();
+    }
 
-            // Race between initialization and 10 second timeout
-            await Promise.race([
-                initMediaPipe(),
-                timeout(10000)
-            ]);
+    // { hunger: { meter, fill }, ... } for one player's needs meters
+    getNeedMeters(id) {
+        const meters = {};
+        const container = document.getElementById(id);
+        if (!container) return meters;
+        container.querySelectorAll('[data-need]').forEach(meter => {
+            meters[meter.dataset.need] = { meter, fill: meter.querySelector('.need-fill') };
+        });
+        return meters;
+    }
 
-            this.updateCameraStatus('✅ 摄像头已启动', 'success');
-            setTimeout(() => {
-                this.cameraStatus.classList.add('hidden');
-            }, 1500);
+    updateNeedsMeters(cat) {
+        const view = this.catViews[cat.id];
+        const critical = {
+            hunger: cat.needs.hunger > CAT_NEEDS.hungry,
+            energy: cat.needs.energy < CAT_NEEDS.tired,
+            happiness: cat.needs.happiness < CAT_NEEDS.bored
+        };
+        Object.keys(view.needMeters).forEach(need => {
+            const value = Math.round(cat.needs[need]);
+            if (view.needValues[need] === value) return;
+            view.needValues[need] = value;
+            const { meter, fill } = view.needMeters[need];
+            fill.style.width = `${value}%`;
+            meter.classList.toggle('critical', critical[need]);
+        });
+    }
 
-        } catch (error) {
-            console.error('Camera error:', error);
-
-            // Provide specific error messages
-            let errorMessage = '❌ 无法访问摄像头';
-            if (error.message === 'TIMEOUT') {
-                errorMessage = '⏱️ 加载超时，请检查网络';
-            } else if (error.name === 'NotAllowedError') {
-                errorMessage = '🚫 摄像头权限被拒绝';
-            } else if (error.name === 'NotFoundError') {
-                errorMessage = '📷 未找到摄像头设备';
-            } else if (error.name === 'NotReadableError') {
-                errorMessage = '⚠️ 摄像头正在被其他应用使用';
-            }
+    // Saved needs, caught up with the time the game was closed
+    restoreNeeds() {
+        const { cats, savedAt } = this.storage.data.needs;
+        const away = savedAt ? Date.now() - savedAt : 0;
+        cats.forEach((needs, player) => {
+            if (!needs) return;
+            this.simulation.queueInput({ type: 'needs', player, needs: settleNeedsAway(needs, away) });
+        });
+    }
 
-            this.updateCameraStatus(errorMessage, 'error');
+    setPlayerCount(count) {
+        this.storage.updateSettings({ playerCount: count });
+        if (this.player.playing) return;
+        this.simulation.queueInput({ type: 'players', count });
+    }
 
-            // Auto-switch back to mouse mode after 3 seconds
-            setTimeout(() => {
-                this.setControlMode('mouse');
-                this.updateCameraStatus('已切换回鼠标模式', '');
-            }, 3000);
-        }
+    setYarnPhysics(enabled) {
+        this.storage.updateSettings({ yarnPhysics: enabled });
+        if (this.player.playing) return;
+        this.simulation.queueInput({ type: 'physics', enabled });
     }
 
-    stopCamera() {
-        if (this.camera) {
-            this.camera.stop();
-            this.camera = null;
-        }
-        this.handDetected = false;
-        this.handIndicator.classList.remove('visible');
-        this.cameraStatus.classList.remove('hidden');
-        this.updateCameraStatus('📷 摄像头未启动', '');
+    showYarnPhysics(enabled) {
+        this.yarnPhysicsBtns.forEach(btn => {
+            setPressed(btn, (btn.dataset.yarnPhysics === 'on') === enabled);
+        });
+        localize(this.yarnHint, () => t(enabled ? 'yarn.physicsHint' : 'yarn.followHint'));
     }
 
-    updateCameraStatus(text, statusClass) {
-        this.cameraStatus.textContent = text;
-        this.cameraStatus.className = 'camera-status';
-        if (statusClass) {
-            this.cameraStatus.classList.add(statusClass);
-        }
+    bindEnvironmentControls() {
+        this.timeModeBtns.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.setTimeMode(btn.dataset.timeMode);
+            });
+        });
+
+        Object.keys(WEATHER_TYPES).forEach(id => {
+            const weather = WEATHER_TYPES[id];
+            const btn = document.createElement('button');
+            btn.className = 'control-btn';
+            btn.dataset.weather = id;
+            localize(btn, () => `${weather.icon} ${t(`weather.${id}`)}`);
+            this.weatherButtons.appendChild(btn);
+        });
+        this.weatherButtons.querySelectorAll('[data-weather]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.setWeather(btn.dataset.weather);
+            });
+        });
     }
 
-    onHandResults(results) {
-        const canvasCtx = this.cameraCanvas.getContext('2d');
-        const canvasWidth = this.cameraCanvas.width = this.cameraVideo.videoWidth || 640;
-        const canvasHeight = this.cameraCanvas.height = this.cameraVideo.videoHeight || 480;
+    setTimeMode(mode) {
+        this.environment.setMode(mode);
+        this.storage.updateSettings({ timeMode: this.environment.mode });
+        this.timeModeBtns.forEach(btn => {
+            setPressed(btn, btn.dataset.timeMode === this.environment.mode);
+        });
+        this.skyHour = null;
+    }
 
-        canvasCtx.save();
-        canvasCtx.clearRect(0, 0, canvasWidth, canvasHeight);
+    // 'auto' or a WEATHER_TYPES id
+    setWeather(weather) {
+        const choice = WEATHER_TYPES[weather] ? weather : 'auto';
+        this.environment.setWeather(choice);
+        this.storage.updateSettings({ weather: choice });
+        this.weatherButtons.querySelectorAll('[data-weather]').forEach(btn => {
+            setPressed(btn, btn.dataset.weather === choice);
+        });
+    }
 
-        if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-            this.handDetected = true;
-            this.handIndicator.classList.add('visible');
+    showEnvironment({ phase, weather, wind }) {
+        const body = document.body;
+        Object.keys(TIME_PHASES).forEach(id => body.classList.toggle(`time-${id}`, id === phase));
+        Object.keys(WEATHER_TYPES).forEach(id => body.classList.toggle(`weather-${id}`, id === weather));
+        body.classList.toggle('wind-left', wind < 0);
+        this.audio.setAmbient(weather, phase === 'night');
+
+        const notes = [];
+        if (phase === 'night') notes.push('night');
+        if (weather === 'rain') notes.push('rain');
+        if (weather === 'snow') notes.push('snow');
+        if (weather === 'wind') notes.push(this.simulation.physics ? 'wind' : 'windFollow');
+        localize(this.environmentHint, () => [
+            t('environment.summary', {
+                phaseIcon: TIME_PHASES[phase].icon,
+                phase: t(`phases.${phase}`),
+                weatherIcon: WEATHER_TYPES[weather].icon,
+                weather: t(`weather.${weather}`)
+            }),
+            ...notes.map(note => t(`environment.notes.${note}`))
+        ].join(t('common.listSeparator')));
+    }
 
-            const landmarks = results.multiHandLandmarks[0];
-            this.drawHandLandmarks(canvasCtx, landmarks, canvasWidth, canvasHeight);
+    // Scene colors follow the hour; only touched once it moved on a little
+    updateSky() {
+        const hour = this.environment.getHour();
+        if (this.skyHour !== null && Math.abs(hour - this.skyHour) < 0.01) return;
 
-            // Detect open hand (5 fingers spread)
-            const openHand = this.detectOpenHand(landmarks);
+        this.skyHour = hour;
+        const palette = getSkyPalette(hour);
+        Object.keys(palette).forEach(name => {
+            document.documentElement.style.setProperty(name, palette[name]);
+        });
+    }
 
-            if (openHand) {
-                // Use palm center for food position
-                const palmCenter = landmarks[9]; // Middle finger base
-                const palmX = (1 - palmCenter.x) * window.innerWidth;
-                const palmY = palmCenter.y * window.innerHeight;
+    // Room layout: preset rooms, three saved slots and the editor
+    bindRoomControls() {
+        Object.keys(ROOM_LAYOUTS).forEach(id => {
+            const btn = document.createElement('button');
+            btn.className = 'control-btn';
+            localize(btn, () => t(`rooms.${id}`));
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.setRoomLayout(ROOM_LAYOUTS[id].items);
+            });
+            this.roomLayoutButtons.appendChild(btn);
+        });
 
-                if (!this.isOpenHand) {
-                    // Just opened hand - spawn food
-                    this.isOpenHand = true;
-                    this.spawnFood(palmX, palmY);
-                }
-            } else {
-                this.isOpenHand = false;
+        this.storage.room.slots.forEach((slot, index) => {
+            const btn = document.createElement('button');
+            btn.className = 'control-btn';
+            btn.dataset.roomSlot = index;
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.useRoomSlot(index);
+            });
+            this.roomSlotButtons.appendChild(btn);
+        });
 
-                // Control yarn ball with index finger
-                const indexFingerTip = landmarks[8];
-                const screenX = (1 - indexFingerTip.x) * window.innerWidth;
-                const screenY = indexFingerTip.y * window.innerHeight;
+        Object.keys(FURNITURE_TYPES).forEach(id => {
+            const type = FURNITURE_TYPES[id];
+            const btn = document.createElement('button');
+            btn.className = 'control-btn';
+            localize(btn, () => `${type.icon} ${t(`furniture.${id}`)}`);
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.addFurniture(id);
+            });
+            this.furnitureButtons.appendChild(btn);
+        });
 
-                this.fingerPos = { x: screenX, y: screenY };
-                this.smoothedFingerPos.x += (screenX - this.smoothedFingerPos.x) * this.fingerSmoothing;
-                this.smoothedFingerPos.y += (screenY - this.smoothedFingerPos.y) * this.fingerSmoothing;
+        this.editRoomBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleRoomEditor();
+        });
 
-                if (this.controlMode === 'camera') {
-                    this.updateYarnFromFinger();
-                }
-            }
+        // Dragging a piece in the editor (the pointer is captured by its element)
+        this.furnitureLayer.addEventListener('pointermove', (e) => this.dragFurniture(e));
+        this.furnitureLayer.addEventListener('pointerup', () => this.dropFurniture());
+        this.furnitureLayer.addEventListener('pointercancel', () => this.dropFurniture());
+        this.updateRoomSlotButtons();
+    }
 
-        } else {
-            this.handDetected = false;
-            this.handIndicator.classList.remove('visible');
-            this.isOpenHand = false;
+    setRoomLayout(items) {
+        if (this.player.playing) return;
+        this.simulation.queueInput({ type: 'furniture', action: 'layout', items });
+    }
+
+    getRoomLayout() {
+        return this.simulation.furniture.map(({ type, x, y }) => ({ type, x, y }));
+    }
+
+    // Outside the editor a slot loads its layout, in the editor it saves the room into it
+    useRoomSlot(index) {
+        if (this.editingRoom) {
+            this.storage.saveRoomSlot(index, this.getRoomLayout());
+            localize(this.roomHint, () => t('room.saved', { slot: index + 1 }));
+            this.updateRoomSlotButtons();
+        } else if (this.storage.room.slots[index]) {
+            this.setRoomLayout(this.storage.room.slots[index]);
         }
+    }
 
-        canvasCtx.restore();
+    updateRoomSlotButtons() {
+        const slots = this.storage.room.slots;
+        const label = this.editingRoom ? 'room.saveSlot' : 'room.loadSlot';
+        this.roomSlotButtons.querySelectorAll('[data-room-slot]').forEach(btn => {
+            const index = Number(btn.dataset.roomSlot);
+            localize(btn, () => t(label, { slot: index + 1 }));
+            btn.disabled = !this.editingRoom && !slots[index];
+        });
     }
 
-    // Detect if hand is open (4+ fingers extended)
-    detectOpenHand(landmarks) {
-        // Finger tips and their bases
-        const fingerTips = [8, 12, 16, 20]; // Index, Middle, Ring, Pinky
-        const fingerBases = [6, 10, 14, 18]; // Their corresponding bases
+    toggleRoomEditor(editing = !this.editingRoom) {
+        this.editingRoom = editing;
+        document.body.classList.toggle('layout-editing', editing);
+        this.editRoomBtn.classList.toggle('active', editing);
+        localize(this.editRoomBtn, () => t(editing ? 'room.done' : 'room.edit'));
+        this.furnitureButtons.classList.toggle('hidden', !editing);
+        this.updateRoomSlotButtons();
+        localize(this.roomHint, () => (editing ? t('room.editHint', { max: MAX_FURNITURE }) : t('room.hint')));
+    }
 
-        let extendedCount = 0;
+    // New pieces go in the middle of the room, ready to be dragged into place
+    addFurniture(type) {
+        if (this.player.playing) return;
+        if (this.simulation.furniture.length >= MAX_FURNITURE) {
+            localize(this.roomHint, () => t('room.full', { max: MAX_FURNITURE }));
+            return;
+        }
+        this.simulation.queueInput({ type: 'furniture', action: 'add', furniture: type, x: 0.5, y: 0.55 });
+    }
 
-        // Check if fingers are extended (tip is above base in Y)
-        for (let i = 0; i < 4; i++) {
-            if (landmarks[fingerTips[i]].y < landmarks[fingerBases[i]].y) {
-                extendedCount++;
-            }
+    // One element per piece; the room is saved whenever it changes (not while dragging or replaying)
+    showFurniture(items) {
+        const ids = new Set(items.map(item => item.id));
+        this.furnitureElements.forEach((element, id) => {
+            if (ids.has(id)) return;
+            element.remove();
+            this.furnitureElements.delete(id);
+        });
+        items.forEach(item => {
+            if (!this.furnitureElements.has(item.id)) this.createFurnitureElement(item);
+            this.updateFurniturePosition(item);
+        });
+
+        if (!this.furnitureDrag && !this.player.playing) {
+            this.storage.saveRoomLayout(this.getRoomLayout());
         }
+    }
 
-        // Check thumb (tip is to the left of base for right hand)
-        const thumbExtended = Math.abs(landmarks[4].x - landmarks[2].x) > 0.05;
-        if (thumbExtended) extendedCount++;
+    createFurnitureElement(item) {
+        const element = document.createElement('div');
+        element.className = `furniture furniture-${item.type}`;
+        localize(element, () => t(`furniture.${item.type}`), 'title');
 
-        return extendedCount >= 4;
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'furniture-remove';
+        removeBtn.textContent = '✕';
+        localize(removeBtn, () => t('room.remove'), 'title');
+        removeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.player.playing) return;
+            this.simulation.queueInput({ type: 'furniture', action: 'remove', id: item.id });
+        });
+        element.appendChild(removeBtn);
+
+        element.addEventListener('pointerdown', (e) => {
+            if (!this.editingRoom || this.player.playing || e.target === removeBtn) return;
+            e.preventDefault();
+            const rect = element.getBoundingClientRect();
+            this.furnitureDrag = { id: item.id, offsetX: e.clientX - rect.left, offsetY: e.clientY - rect.bottom };
+            element.classList.add('dragging');
+            element.setPointerCapture(e.pointerId);
+        });
+        // Keep editor drags away from the yarn ball controls
+        ['mousedown', 'touchstart', 'touchmove', 'contextmenu'].forEach(type => {
+            element.addEventListener(type, (e) => {
+                if (this.editingRoom) e.stopPropagation();
+            });
+        });
+
+        this.furnitureLayer.appendChild(element);
+        this.furnitureElements.set(item.id, element);
+    }
+
+    // Stands on its footprint: bottom edge at the footprint's front
+    updateFurniturePosition(item) {
+        const element = this.furnitureElements.get(item.id);
+        const type = FURNITURE_TYPES[item.type];
+        const rect = getFurnitureRect(item, this.simulation.bounds);
+        const height = type.depth + type.height;
+        element.style.left = `${rect.left}px`;
+        element.style.top = `${rect.bottom - height}px`;
+        element.style.width = `${type.width}px`;
+        element.style.height = `${height}px`;
     }
 
-    drawHandLandmarks(ctx, landmarks, width, height) {
-        const connections = [
-            [0, 1], [1, 2], [2, 3], [3, 4],
-            [0, 5], [5, 6], [6, 7], [7, 8],
-            [0, 9], [9, 10], [10, 11], [11, 12],
-            [0, 13], [13, 14], [14, 15], [15, 16],
-            [0, 17], [17, 18], [18, 19], [19, 20],
-            [5, 9], [9, 13], [13, 17]
-        ];
+    dragFurniture(e) {
+        const drag = this.furnitureDrag;
+        if (!drag) return;
+        const item = this.simulation.getFurniture(drag.id);
+        if (!item) return;
+
+        const type = FURNITURE_TYPES[item.type];
+        const area = this.gameArea.getBoundingClientRect();
+        const { width, height } = this.simulation.bounds;
+        const x = e.clientX - area.left - drag.offsetX + type.width / 2;
+        const y = e.clientY - area.top - drag.offsetY - type.depth / 2;
+        this.simulation.queueInput({ type: 'furniture', action: 'move', id: item.id, x: x / width, y: y / height });
+    }
 
-        ctx.strokeStyle = 'rgba(255, 107, 157, 0.6)';
-        ctx.lineWidth = 2;
+    dropFurniture() {
+        const drag = this.furnitureDrag;
+        if (!drag) return;
+        this.furnitureDrag = null;
+        const element = this.furnitureElements.get(drag.id);
+        if (element) element.classList.remove('dragging');
+        if (!this.player.playing) this.storage.saveRoomLayout(this.getRoomLayout());
+    }
 
-        connections.forEach(([start, end]) => {
-            const startPoint = landmarks[start];
-            const endPoint = landmarks[end];
-            ctx.beginPath();
-            ctx.moveTo(startPoint.x * width, startPoint.y * height);
-            ctx.lineTo(endPoint.x * width, endPoint.y * height);
-            ctx.stroke();
+    bindProfileControls() {
+        this.profileRows.forEach(row => {
+            const player = Number(row.dataset.player);
+            Object.keys(CAT_PROFILES).forEach(id => {
+                const profile = CAT_PROFILES[id];
+                const btn = document.createElement('button');
+                btn.className = 'control-btn';
+                btn.dataset.profile = id;
+                localize(btn, () => t(`profiles.${id}.description`), 'title');
+                localize(btn, () => `${profile.icon} ${t(`profiles.${id}.name`)}`);
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.setCatProfile(player, id);
+                });
+                row.appendChild(btn);
+            });
         });
+    }
 
-        landmarks.forEach((landmark, index) => {
-            const x = landmark.x * width;
-            const y = landmark.y * height;
+    setCatProfile(player, profile) {
+        const catProfiles = [...this.storage.settings.catProfiles];
+        catProfiles[player] = profile;
+        this.storage.updateSettings({ catProfiles });
 
-            ctx.beginPath();
-            ctx.arc(x, y, index === 8 ? 8 : 4, 0, 2 * Math.PI);
+        const row = this.profileRows[player];
+        if (row) {
+            row.querySelectorAll('[data-profile]').forEach(btn => {
+                setPressed(btn, btn.dataset.profile === profile);
+            });
+        }
+        const id = CAT_PROFILES[profile] ? profile : DEFAULT_CAT_PROFILE;
+        localize(this.profileHint, () => t(`profiles.${id}.description`));
 
-            if (index === 8) {
-                ctx.fillStyle = '#ff6b9d';
-                ctx.strokeStyle = '#535353';
-                ctx.lineWidth = 2;
-                ctx.fill();
-                ctx.stroke();
+        if (this.player.playing) return;
+        this.simulation.queueInput({ type: 'profile', player, profile });
+    }
+
+    // Breed, coat, outfit and food effects stay on the cat whatever its pose
+    getCatLook(catId, pose) {
+        const cat = this.simulation.cats[catId];
+        const view = this.catViews[catId];
+        const tuning = cat ? cat.tuning : CAT_TUNING;
+        return {
+            pose,
+            profile: cat ? cat.profile : DEFAULT_CAT_PROFILE,
+            effects: cat ? Object.keys(cat.effects) : [],
+            outfit: view.outfit || this.getOutfit(catId),
+            pounceDuration: tuning.pounceDuration,
+            stretchDuration: tuning.stretchDuration
+        };
+    }
+
+    bindLanguageButtons() {
+        ['auto', ...Object.keys(LOCALES)].forEach(id => {
+            const btn = document.createElement('button');
+            btn.className = 'control-btn';
+            btn.dataset.language = id;
+            if (id === 'auto') {
+                localize(btn, () => t('language.auto'));
             } else {
-                ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-                ctx.fill();
+                // Each language is named in itself
+                btn.textContent = LOCALES[id].name;
+                btn.lang = id;
             }
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.setLanguage(id);
+            });
+            this.languageButtons.appendChild(btn);
         });
+
+        // Translators check with `node scripts/i18n.js`; ?debug lists the gaps here too
+        if (this.debug) {
+            const missing = findMissingKeys();
+            Object.keys(missing).forEach(id => {
+                console.warn(`i18n: ${id} is missing ${missing[id].length} keys:`, missing[id]);
+            });
+        }
     }
 
-    updateYarnFromFinger() {
-        const now = Date.now();
-        const dt = now - this.lastMouseTime;
+    // Switch the language ('auto' or a LOCALES id)
+    setLanguage(setting) {
+        this.languageSetting = LOCALES[setting] ? setting : 'auto';
+        this.storage.updateSettings({ language: this.languageSetting });
+        setLocale(pickLocale(this.languageSetting));
 
-        if (dt > 0) {
-            const dx = this.smoothedFingerPos.x - this.prevYarnPos.x;
-            const dy = this.smoothedFingerPos.y - this.prevYarnPos.y;
-            this.mouseSpeed = Math.sqrt(dx * dx + dy * dy) / dt * 16;
-        }
+        this.languageButtons.querySelectorAll('[data-language]').forEach(btn => {
+            setPressed(btn, btn.dataset.language === this.languageSetting);
+        });
+    }
 
-        this.lastMouseTime = now;
-        this.prevYarnPos = { ...this.yarnPos };
-        this.yarnPos = { ...this.smoothedFingerPos };
+    bindRendererButtons() {
+        [{ id: 'auto', icon: '✨' }, ...RENDERERS].forEach(definition => {
+            const btn = document.createElement('button');
+            btn.className = 'control-btn';
+            btn.dataset.renderer = definition.id;
+            localize(btn, () => `${definition.icon} ${t(`renderers.${definition.id}.label`)}`);
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.setRenderer(definition.id);
+            });
+            this.rendererButtons.appendChild(btn);
+        });
+    }
 
-        this.trailPositions.push({ ...this.yarnPos });
-        if (this.trailPositions.length > this.maxTrailLength) {
-            this.trailPositions.shift();
-        }
+    // Switch the backend that draws cats, yarn and effects ('auto' or a RENDERERS id)
+    setRenderer(setting) {
+        const id = pickRenderer(setting);
+        this.rendererSetting = getRenderer(setting) ? setting : 'auto';
+        this.storage.updateSettings({ renderer: this.rendererSetting });
 
-        if (this.mouseSpeed > 5 && now - this.lastParticleTime > 50) {
-            this.spawnParticle(this.yarnPos.x, this.yarnPos.y);
-            this.lastParticleTime = now;
+        this.rendererButtons.querySelectorAll('[data-renderer]').forEach(btn => {
+            setPressed(btn, btn.dataset.renderer === this.rendererSetting);
+        });
+        const definition = getRenderer(id);
+        const auto = this.rendererSetting === 'auto';
+        localize(this.rendererHint, () => (auto
+            ? t('renderers.autoHint', { renderer: t(`renderers.${id}.label`) })
+            : t(`renderers.${id}.hint`)));
+
+        if (this.renderer && this.renderer === this.renderers.get(id)) return;
+        if (this.renderer) this.renderer.stop();
+        if (!this.renderers.has(id)) {
+            this.renderers.set(id, definition.create(this.renderContext));
         }
+        this.renderer = this.renderers.get(id);
+        this.renderer.start();
+        this.renderer.setPlayerCount(this.simulation.playerCount);
+        this.catViews.forEach((view, player) => this.applyOutfit(player));
+    }
+
+    bindControlModeButtons() {
+        INPUT_PROVIDERS
+            .filter(definition => definition.isAvailable())
+            .forEach(definition => {
+                const btn = document.createElement('button');
+                btn.className = 'control-btn';
+                btn.dataset.mode = definition.id;
+                localize(btn, () => t(`controls.${definition.id}.hint`), 'title');
+                localize(btn, () => `${definition.icon} ${t(`controls.${definition.id}.label`)}`);
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.setControlMode(definition.id);
+                    // Keys go to the game from here on, not to this button
+                    if (definition.usesKeyboard) this.gameArea.focus();
+                });
+                this.controlModeButtons.appendChild(btn);
+            });
+    }
 
-        this.fingerCursor.classList.add('active');
-        this.fingerCursor.style.left = `${this.smoothedFingerPos.x}px`;
-        this.fingerCursor.style.top = `${this.smoothedFingerPos.y}px`;
+    // Route a provider's events into the game
+    bindInputProvider(provider) {
+        provider.on('yarn', ({ player, x, y, speed }) => this.moveYarn(x, y, player, speed));
+        provider.on('release', ({ player }) => this.releaseYarn(player));
+        provider.on('action', (action) => {
+            this.handleInputAction({ ...action, gesture: provider instanceof CameraInputProvider });
+        });
+        provider.on('unavailable', () => this.setControlMode(DEFAULT_INPUT_PROVIDER));
+        return provider;
     }
 
-    handleMouseMove(e) {
-        if (this.controlMode !== 'mouse') return;
+    setControlMode(mode) {
+        const definition = getInputProvider(mode) || getInputProvider(DEFAULT_INPUT_PROVIDER);
+        if (definition.id === this.controlMode) return;
 
-        const rect = this.gameArea.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
+        if (this.inputProvider) this.inputProvider.stop();
 
-        const now = Date.now();
-        const dt = now - this.lastMouseTime;
-        if (dt > 0) {
-            const dx = x - this.lastMousePos.x;
-            const dy = y - this.lastMousePos.y;
-            this.mouseSpeed = Math.sqrt(dx * dx + dy * dy) / dt * 16;
+        if (!this.inputProviders.has(definition.id)) {
+            this.inputProviders.set(definition.id, this.bindInputProvider(definition.create(this.inputContext)));
         }
-        this.lastMousePos = { x, y };
-        this.lastMouseTime = now;
+        this.controlMode = definition.id;
+        this.inputProvider = this.inputProviders.get(definition.id);
+        this.inputProvider.start();
+        this.storage.updateSettings({ controlMode: definition.id });
+
+        // Update button states and hint text
+        this.controlModeButtons.querySelectorAll('[data-mode]').forEach(btn => {
+            setPressed(btn, btn.dataset.mode === definition.id);
+        });
+        localize(this.controlHint, () => t(`controls.${definition.id}.hint`));
+        this.updateKeyboardPlayers();
+    }
 
-        this.prevYarnPos = { ...this.yarnPos };
-        this.yarnPos = { x, y };
+    // Player 2 gets the keyboard in two-player mode; when player 1 already
+    // plays on the keyboard it is split into arrows (P1) and WASD (P2), in
+    // assist mode player 1 keeps every key but WASD and F
+    updateKeyboardPlayers() {
+        const twoPlayers = this.simulation.playerCount > 1;
+        const definition = getInputProvider(this.controlMode); // null until the first setControlMode()
+        const shared = twoPlayers && Boolean(definition && definition.usesKeyboard);
 
-        this.trailPositions.push({ ...this.yarnPos });
-        if (this.trailPositions.length > this.maxTrailLength) {
-            this.trailPositions.shift();
+        if (this.controlMode === 'keyboard') {
+            this.inputProvider.setLayout(shared ? 'arrows' : 'all');
         }
-
-        if (this.mouseSpeed > 5 && now - this.lastParticleTime > 50) {
-            this.spawnParticle(x, y);
-            this.lastParticleTime = now;
+        this.playerTwoKeyboard.setLayout(shared ? 'wasd' : 'all');
+        if (twoPlayers) {
+            this.playerTwoKeyboard.start();
+        } else {
+            this.playerTwoKeyboard.stop();
         }
-    }
 
-    handleTouchMove(e) {
-        e.preventDefault();
-        const touch = e.touches[0];
-        this.handleMouseMove({
-            clientX: touch.clientX,
-            clientY: touch.clientY
-        });
+        const hint = shared ? `players.shared.${this.controlMode}` : 'players.hint';
+        localize(this.playersHint, () => t(hint));
     }
 
-    gameLoop() {
-        this.update();
-        this.render();
-        requestAnimationFrame(() => this.gameLoop());
+    handleInputAction({ action, x, y, video, gesture }) {
+        if (action === 'pause') {
+            this.togglePause();
+            return;
+        }
+        if (this.paused || this.demoMode) return;
+        if (gesture && !this.player.playing) this.achievements.recordGesture({ action });
+
+        if (action === 'feed') {
+            this.spawnFood(x, y);
+        } else if (action === 'photo') {
+            this.takePhoto(video);
+        } else if (action === 'cheer') {
+            this.cheerCats();
+        } else if (action === 'greet') {
+            this.greetCats();
+        }
     }
 
-    update() {
-        // Skip normal game updates during demo mode
-        if (this.demoMode) return;
+    get paused() {
+        return this.gameClock.paused;
+    }
 
-        const now = Date.now();
+    // Pause button, Esc, and pausing by itself while the player is elsewhere
+    bindPauseControls() {
+        this.gameClock.on('pause', () => this.audio.pause());
+        this.gameClock.on('resume', () => this.audio.resume());
 
-        // Handle resting state
-        if (this.isResting) {
-            if (now - this.restStartTime > this.restDuration) {
-                this.isResting = false;
-                this.pounceCount = 0;
-                this.maxPouncesBeforeRest = 4 + Math.floor(Math.random() * 4); // Reset random 4-7
-                this.setCatState('curious');
+        this.pauseBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.togglePause();
+        });
+        this.resumeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.setPaused('user', false);
+        });
+        // Esc leaves a pose preview first
+        this.listen(document, 'keydown', (e) => {
+            if (e.key !== 'Escape' || e.repeat) return;
+            if (this.demoMode) {
+                this.exitDemoMode();
+            } else {
+                this.togglePause();
             }
-            return; // Don't move while resting
-        }
+        });
 
-        // Handle eating state - cat moves toward food
-        if (this.isEating && this.currentFood) {
-            const foodDx = this.currentFood.x - this.catPos.x;
-            const foodDy = this.currentFood.y - this.catPos.y;
-            const foodDistance = Math.sqrt(foodDx * foodDx + foodDy * foodDy);
-
-            if (foodDistance > 40) {
-                // Move toward food
-                const speed = 5;
-                const dirX = foodDx / foodDistance;
-                const dirY = foodDy / foodDistance;
-
-                this.catPos.x += dirX * speed;
-                this.catPos.y += dirY * speed;
-
-                this.setCatState('running');
-            } else if (this.catState !== 'eating') {
-                // Arrived at food - start eating
-                this.startEating();
-            }
+        this.listen(document, 'visibilitychange', () => this.setPaused('hidden', document.hidden));
+        this.listen(window, 'blur', () => this.setPaused('hidden', true));
+        this.listen(window, 'focus', () => this.setPaused('hidden', document.hidden));
+    }
 
-            // Update cat position and facing
-            this.cat.style.left = `${this.catPos.x}px`;
-            this.cat.style.top = `${this.catPos.y}px`;
-            this.cat.style.transform = `translate(-50%, -50%) scaleX(${foodDx > 0 ? 1 : -1})`;
-            return;
-        }
+    togglePause() {
+        this.setPaused('user', !this.gameClock.isPausedBy('user'));
+    }
 
-        // Handle pouncing animation
-        if (this.isPouncing) {
-            if (now - this.lastPounceTime > 600) { // Pounce animation duration (matches CSS)
-                this.isPouncing = false;
-                this.pounceCount++;
+    // reason: 'user' (stays until the player resumes) or 'hidden' (resumes by itself)
+    setPaused(reason, paused) {
+        const wasPausedByUser = this.gameClock.isPausedBy('user');
+        if (paused) {
+            this.gameClock.pause(reason);
+        } else {
+            this.gameClock.resume(reason);
+        }
 
-                // Check if cat needs to rest
-                if (this.pounceCount >= this.maxPouncesBeforeRest) {
-                    this.startResting();
-                    return;
-                }
-            }
-            return; // Don't update position while pouncing
+        document.body.classList.toggle('game-paused', this.paused);
+        this.pauseBtn.textContent = this.paused ? '▶️' : '⏸️';
+        this.pauseBtn.setAttribute('aria-pressed', String(this.paused));
+        const pausedByUser = this.gameClock.isPausedBy('user');
+        localize(this.pauseHint, () => t(pausedByUser ? 'pause.userHint' : 'pause.hiddenHint'));
+        if (pausedByUser !== wasPausedByUser) {
+            this.announcer.announce(t(wasPausedByUser ? 'a11y.resumed' : 'a11y.paused'));
         }
+    }
 
-        // Calculate distance from yarn ball center to cat's nose
-        // Cat nose is offset from center based on facing direction
-        const dx = this.yarnPos.x - this.catPos.x;
-        const dy = this.yarnPos.y - this.catPos.y;
+    // Snapshot of the camera with the score as caption
+    takePhoto(video) {
+        if (!video || !video.videoWidth) return;
+
+        const canvas = document.createElement('canvas');
+        const width = canvas.width = video.videoWidth;
+        const height = canvas.height = video.videoHeight;
+        const ctx = canvas.getContext('2d');
+
+        ctx.save();
+        ctx.translate(width, 0);
+        ctx.scale(-1, 1);
+        ctx.drawImage(video, 0, 0, width, height);
+        ctx.restore();
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(0, height - 48, width, 48);
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '20px sans-serif';
+        ctx.fillText(t('photo.caption', { count: this.simulation.totalPounces }), 16, height - 18);
+
+        canvas.toBlob((blob) => {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `yarn-photo-${new Date().toISOString().replace(/[:.]/g, '-')}.png`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        });
 
-        // Calculate nose position (nose is about 35px towards the yarn ball from cat center)
-        const noseOffsetX = dx > 0 ? 35 : -35; // Nose towards yarn ball direction
-        const noseOffsetY = -15; // Nose is slightly above center (in the head)
-        const noseX = this.catPos.x + noseOffsetX;
-        const noseY = this.catPos.y + noseOffsetY;
+        // Camera flash
+        const flash = document.createElement('div');
+        flash.className = 'photo-flash';
+        document.body.appendChild(flash);
+        this.gameClock.after(400, () => {
+            flash.remove();
+        });
+    }
 
-        // Distance from yarn center to cat nose
-        const noseDx = this.yarnPos.x - noseX;
-        const noseDy = this.yarnPos.y - noseY;
-        const noseDistance = Math.sqrt(noseDx * noseDx + noseDy * noseDy);
+    cheerCats() {
+        this.simulation.cats.forEach(cat => {
+            this.showMeowText(cat, t('meows.cheer'));
+            this.effects.emit('fluff', cat.pos.x, cat.pos.y - 40, { player: cat.id, count: 5 });
+        });
+        this.simulation.cats.forEach(cat => this.playMeowSound(cat));
+    }
 
-        // Distance from yarn to cat center (for movement calculations)
-        const distance = Math.sqrt(dx * dx + dy * dy);
+    greetCats() {
+        this.simulation.cats.forEach(cat => {
+            this.showMeowText(cat, t('meows.greet'));
+            this.playMeowSound(cat);
+        });
+    }
 
-        // Check for catch - nose overlaps with yarn ball (25px = yarn radius + nose size)
-        const catchDistance = 25;
-        if (noseDistance < catchDistance &&
-            now - this.lastPounceTime > this.pounceCooldown) {
-            // Caught! Increment score and trigger pounce celebration
-            this.totalPounces++;
-            this.pounceCountDisplay.textContent = this.totalPounces;
+    // Hand a yarn position sample to the simulation (ignored during replay)
+    moveYarn(x, y, playerId, speed) {
+        if (this.player.playing || this.paused) return;
+        if (playerId >= this.simulation.playerCount) return;
+        this.simulation.queueInput({ type: 'yarn', player: playerId, x, y, speed });
+    }
 
-            // Show floating meow text
-            this.showMeowText();
+    // Let go of a held ball (only matters with yarn physics)
+    releaseYarn(playerId) {
+        if (this.player.playing || playerId >= this.simulation.playerCount) return;
+        this.simulation.queueInput({ type: 'release', player: playerId });
+    }
 
-            // Play meow sound
-            this.playMeowSound();
+    // Speed particles for an applied yarn sample (live or replayed)
+    drawYarnInput({ player = 0, x, y, speed }) {
+        const view = this.yarnViews[player];
+        if (!view) return;
 
-            this.triggerPounce(dx, dy);
-            return;
+        const now = this.simulation.time;
+        if (speed > 5 && now - view.lastParticleTime > 50) {
+            this.effects.emit('fluff', x, y, { player });
+            view.lastParticleTime = now;
         }
+    }
 
-        // Prepare to pounce when getting close
-        if (noseDistance < this.pounceDistance && noseDistance >= this.pounceTriggerDistance && !this.preparingPounce) {
-            this.preparingPounce = true;
-            this.setCatState('preparing-pounce');
-        } else if (noseDistance >= this.pounceDistance && this.preparingPounce) {
-            this.preparingPounce = false;
-        }
+    gameLoop() {
+        const elapsed = this.gameClock.tick();
+        this.update(elapsed);
+        this.effects.update(elapsed);
+        this.render();
+        this.frameId = requestAnimationFrame(() => this.gameLoop());
+    }
 
-        // Cat AI - chase the yarn with some smoothing
-        const chaseSpeed = this.calculateChaseSpeed(distance);
+    update(elapsed) {
+        // Skip normal game updates during demo mode or while paused
+        if (this.demoMode || this.paused) return;
 
-        if (distance > 30) {
-            const dirX = dx / distance;
-            const dirY = dy / distance;
+        [this.inputProvider, this.playerTwoKeyboard].forEach(provider => {
+            if (provider.active) provider.update(elapsed);
+        });
+        this.simulation.advance(elapsed);
+    }
 
-            this.catVelocity.x += (dirX * chaseSpeed - this.catVelocity.x) * 0.1;
-            this.catVelocity.y += (dirY * chaseSpeed - this.catVelocity.y) * 0.1;
+    setCatState(state, catId = 0) {
+        const view = this.catViews[catId];
+        if (!view) return;
+        view.pose = state;
+        this.renderer.setCatLook(catId, this.getCatLook(catId, state));
 
-            this.catPos.x += this.catVelocity.x;
-            this.catPos.y += this.catVelocity.y;
+        // moods.<state> in the catalogs; states without one look curious
+        let mood = hasTranslation(`moods.${state}`) ? `moods.${state}` : 'moods.curious';
+        localize(view.moodDisplay, () => t(mood));
 
-            this.totalDistance += Math.sqrt(
-                this.catVelocity.x * this.catVelocity.x +
-                this.catVelocity.y * this.catVelocity.y
-            );
+        const cat = this.simulation.cats[catId];
+        if (!cat) return;
 
-            if (now - this.lastPawPrintTime > 200 && chaseSpeed > 2) {
-                this.addPawPrint();
-                this.lastPawPrintTime = now;
-            }
-        } else {
-            this.catVelocity.x *= 0.9;
-            this.catVelocity.y *= 0.9;
-        }
+        // Hearts while eating, Zzz while resting (EFFECT_STREAMS)
+        this.effects.setStream(`cat-${catId}`, EFFECT_STREAMS[state], () => this.getCatRenderPos(cat), catId);
 
-        this.catSpeed = Math.sqrt(
-            this.catVelocity.x * this.catVelocity.x +
-            this.catVelocity.y * this.catVelocity.y
-        );
+        // Content cats purr
+        const purring = ['idle', 'eating', 'grooming', 'sleeping'].includes(state);
+        this.audio.setPurring(catId, purring, getCatProfile(cat.profile).voice);
+
+        // A calm cat shows how it feels (see CAT_NEEDS)
+        if ((state === 'idle' || state === 'curious') && cat.needMood && !this.demoMode) {
+            mood = `moods.needs.${cat.needMood}`;
+        }
+        if (cat.effects.hyper && ['idle', 'curious', 'running', 'excited'].includes(state)) {
+            mood = 'moods.hyper';
+        }
 
-        // Update cat state based on behavior (only if not preparing to pounce)
-        if (!this.preparingPounce) {
-            this.updateCatState(distance);
+        // Show pounce count when relevant
+        if (state === 'pouncing') {
+            const count = cat.pounceCount + 1;
+            const max = cat.maxPouncesBeforeRest;
+            localize(view.moodDisplay, () => t('moods.pounceCount', { mood: t(mood), count, max }));
+        } else {
+            localize(view.moodDisplay, () => t(mood));
+            if (state === 'resting') this.updateRestingCountdown(cat);
         }
 
-        // Keep cat within bounds
-        this.catPos.x = Math.max(70, Math.min(window.innerWidth - 70, this.catPos.x));
-        this.catPos.y = Math.max(120, Math.min(window.innerHeight - 120, this.catPos.y));
+        // Read out mood changes, at most every few seconds per cat
+        this.announcer.announce(`${this.getPlayerName(catId)}${view.moodDisplay.textContent}`, {
+            key: `mood-${catId}`,
+            interval: 4000
+        });
     }
 
-    triggerPounce(dx, dy) {
-        this.isPouncing = true;
-        this.preparingPounce = false;
-        this.lastPounceTime = Date.now();
-        this.setCatState('pouncing');
+    // "玩家2：" in front of announcements once there are two players
+    getPlayerName(player) {
+        return this.simulation.playerCount > 1 ? t('players.prefix', { number: player + 1 }) : '';
+    }
+
+    updateRestingCountdown(cat) {
+        if (cat.state !== 'resting' || this.demoMode) return;
 
-        // Ensure cat faces the yarn ball
-        const facingScaleX = dx > 0 ? -1 : 1;
-        const catBody = this.cat.querySelector('.cat-body');
-        if (catBody) {
-            catBody.style.transform = `scaleX(${facingScaleX})`;
+        const remainingTime = Math.ceil(cat.getRestRemaining(this.simulation));
+        if (remainingTime > 0) {
+            localize(this.catViews[cat.id].moodDisplay, () => t('moods.restingCountdown', { seconds: remainingTime }));
         }
+    }
 
-        // Animate parabolic pounce trajectory
-        const startPos = { x: this.catPos.x, y: this.catPos.y };
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        const pounceDistance = Math.min(70, distance); // Don't overshoot the yarn ball
+    // Background animals
+    showAnimal(animal) {
+        const type = ANIMAL_TYPES[animal.type];
+        const element = document.createElement('div');
+        element.className = `animal ${type.className}`;
+        element.textContent = type.emoji;
+        this.decorations.appendChild(element);
+        this.animalElements.set(animal.id, element);
+        this.updateAnimalPosition(animal);
+    }
+
+    hideAnimal(animal) {
+        const element = this.animalElements.get(animal.id);
+        if (!element) return;
+        element.remove();
+        this.animalElements.delete(animal.id);
+    }
 
-        // Target position (towards yarn ball)
-        const targetX = startPos.x + (dx / distance) * pounceDistance;
-        const targetY = startPos.y + (dy / distance) * pounceDistance;
+    updateAnimalPosition(animal) {
+        const element = this.animalElements.get(animal.id);
+        if (!element) return;
+        const flip = ANIMAL_TYPES[animal.type].flip ? ' scaleX(-1)' : '';
+        element.style.transform = `translate(${animal.pos.x}px, ${animal.pos.y}px) translate(-50%, -50%)${flip}`;
+    }
 
-        const pounceDuration = 600; // ms
-        const startTime = Date.now();
-        const peakHeight = 80; // How high the cat jumps
+    // Food picker: one button per FOOD_TYPES entry with the portions left
+    bindFoodControls() {
+        Object.keys(FOOD_TYPES).forEach((id, index) => {
+            const btn = document.createElement('button');
+            btn.className = 'control-btn';
+            btn.dataset.food = id;
+            localize(btn, () => t('food.button', { name: t(`foods.${id}`), key: index + 1 }), 'title');
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.selectFood(id);
+            });
+            this.foodButtons.appendChild(btn);
+        });
+        this.updateFoodButtons();
 
-        const animatePounce = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(elapsed / pounceDuration, 1);
+        this.listen(document, 'keydown', (e) => {
+            const match = /^Digit([1-9])$/.exec(e.code);
+            const id = match && Object.keys(FOOD_TYPES)[Number(match[1]) - 1];
+            if (id) this.selectFood(id);
+        });
+    }
 
-            // Horizontal movement (linear)
-            const currentX = startPos.x + (targetX - startPos.x) * progress;
+    selectFood(id) {
+        this.selectedFood = FOOD_TYPES[id] ? id : DEFAULT_FOOD;
+        this.storage.updateSettings({ foodType: this.selectedFood });
+        this.updateFoodButtons();
+
+        const selected = this.selectedFood;
+        const food = FOOD_TYPES[selected];
+        localize(this.foodHint, () => {
+            const effects = Object.keys(food.needs).map(need => {
+                const value = food.needs[need];
+                return t('food.change', { need: t(`food.needs.${need}`), value: `${value > 0 ? '+' : ''}${value}` });
+            });
+            if (food.effect === 'hyper') effects.push(t('food.hyper'));
+            const name = t(`foods.${selected}`);
+            return t('food.details', { emoji: food.emoji, name, effects: effects.join(t('common.listSeparator')) });
+        });
+    }
 
-            // Vertical movement (parabolic arc)
-            // y = -4h*t*(t-1) where t is progress 0-1, h is peak height
-            const arcOffset = -4 * peakHeight * progress * (progress - 1);
-            const currentY = startPos.y + (targetY - startPos.y) * progress - arcOffset;
+    updateFoodButtons() {
+        const inventory = this.simulation.foodInventory;
+        this.foodButtons.querySelectorAll('[data-food]').forEach(btn => {
+            const food = FOOD_TYPES[btn.dataset.food];
+            const left = inventory[btn.dataset.food];
+            btn.textContent = `${food.emoji} ×${left}`;
+            setPressed(btn, btn.dataset.food === this.selectedFood);
+            btn.classList.toggle('empty', left <= 0);
+        });
+    }
 
-            // Update position
-            this.catPos.x = currentX;
-            this.catPos.y = currentY;
-            this.cat.style.left = `${currentX}px`;
-            this.cat.style.top = `${currentY}px`;
+    // Food spawning and eating
+    spawnFood(x, y) {
+        if (this.player.playing) return;
+        this.simulation.queueInput({ type: 'food', x, y, food: this.selectedFood });
+    }
 
-            // Spawn particles during jump
-            if (progress > 0.3 && progress < 0.7 && Math.random() > 0.7) {
-                this.spawnParticle(currentX, currentY);
-            }
+    showFood(food) {
+        const element = document.createElement('div');
+        element.className = 'food';
+        element.textContent = FOOD_TYPES[food.type].emoji;
+        element.style.left = `${food.x}px`;
+        element.style.top = `${food.y}px`;
+        this.gameArea.appendChild(element);
+        this.foodElements.set(food.id, element);
+    }
 
-            // Continue animation
-            if (progress < 1) {
-                requestAnimationFrame(animatePounce);
-            } else {
-                // Landing particles
-                for (let i = 0; i < 3; i++) {
-                    this.spawnParticle(currentX, currentY + 20);
-                }
-            }
-        };
+    startEating(cat, food) {
+        const element = this.foodElements.get(food.id);
+        if (element) {
+            element.classList.add('eating');
+        }
 
-        // Start the pounce animation
-        requestAnimationFrame(animatePounce);
+        // Play eating sound/effect
+        if (this.soundEnabled) {
+            this.showMeowText(cat);
+        }
+        const duration = this.simulation.tuningFor(cat).eatingDuration * FOOD_TYPES[food.type].eatingScale;
+        this.audio.chew(duration / 1000);
     }
 
-    startResting() {
-        this.isResting = true;
-        this.restStartTime = Date.now();
-        this.catVelocity = { x: 0, y: 0 };
-        this.setCatState('resting');
+    finishEating(food) {
+        if (!food) return;
+        const element = this.foodElements.get(food.id);
+        if (element) {
+            element.remove();
+            this.foodElements.delete(food.id);
+        }
     }
 
-    calculateChaseSpeed(distance) {
-        // Don't chase while resting
-        if (this.isResting) return 0;
+    // Game modes
+    bindChallengeControls() {
+        this.gameModeBtns.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.setGameMode(btn.dataset.gameMode);
+            });
+        });
 
-        let baseSpeed = 7; // Faster base speed
+        this.retryBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.startChallenge(this.challenge.levelIndex);
+        });
+        this.nextLevelBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.startChallenge(this.challenge.levelIndex + 1);
+        });
+        this.backToFreeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.setGameMode('free');
+        });
 
-        if (this.mouseSpeed > 10) {
-            baseSpeed += this.mouseSpeed * 0.4; // More responsive to fast movement
-        }
+        this.challenge.on('start', ({ levelIndex, target }) => {
+            localize(this.challengeLevel, () => t('gameMode.level', { level: levelIndex + 1 }));
+            localize(this.gameModeHint, () => t('gameMode.goal', { target }));
+        });
+        this.challenge.on('progress', ({ catches, target, remaining }) => {
+            this.challengeTimer.textContent = Math.ceil(remaining / 1000);
+            this.challengeProgress.textContent = `${catches}/${target}`;
+        });
+        this.challenge.on('finish', (result) => {
+            const newRecord = this.storage.recordChallengeResult(result);
+            this.showChallengeResults(result, newRecord);
+            this.updateStatsDisplay();
+        });
+    }
+
+    setGameMode(mode) {
+        this.gameMode = mode;
+        this.storage.updateSettings({ gameMode: mode });
+        this.gameModeBtns.forEach(btn => {
+            setPressed(btn, btn.dataset.gameMode === mode);
+        });
+        this.challengeStats.classList.toggle('hidden', mode !== 'challenge');
+        this.resultsOverlay.classList.remove('visible');
 
-        if (distance < 150) {
-            baseSpeed *= 1.8; // Speed boost when close
-        } else if (distance > 300) {
-            baseSpeed *= 0.9;
+        if (mode === 'challenge') {
+            this.startChallenge(0);
+        } else {
+            this.challenge.stop();
+            localize(this.gameModeHint, () => t('gameMode.freeHint'));
         }
+    }
 
-        return Math.min(baseSpeed, 22); // Higher max speed
+    startChallenge(levelIndex) {
+        if (this.player.playing) this.player.stop();
+        this.exitDemoMode();
+        this.resultsOverlay.classList.remove('visible');
+        this.challenge.start(levelIndex);
     }
 
-    updateCatState(distance) {
-        if (this.isPouncing || this.isResting || this.preparingPounce) return;
+    showChallengeResults({ levelIndex, catches, target, stars, passed, hasNextLevel }, newRecord) {
+        localize(this.resultsTitle, () => t(passed ? 'results.passed' : 'results.failed', { level: levelIndex + 1 }));
+        this.resultsStars.textContent = '⭐'.repeat(stars) + '☆'.repeat(3 - stars);
+        localize(this.resultsSummary, () => (
+            t('results.summary', { catches, target }) + (newRecord && stars > 0 ? t('results.newRecord') : '')
+        ));
+        this.nextLevelBtn.disabled = !(passed && hasNextLevel);
+        this.resultsOverlay.classList.add('visible');
+    }
 
-        let newState;
+    // Recording & replay
+    bindReplayControls() {
+        this.recordBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleRecording();
+        });
+        this.replayBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleReplay();
+        });
+        this.exportBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.exportSession();
+        });
+        this.importBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.importInput.click();
+        });
+        this.importInput.addEventListener('change', () => {
+            const file = this.importInput.files[0];
+            if (file) this.importSession(file);
+            this.importInput.value = '';
+        });
 
-        if (this.catSpeed < 0.5) {
-            newState = 'idle';
-        } else if (this.catSpeed > 8 || this.mouseSpeed > 15) {
-            newState = 'excited';
-        } else if (distance < 100) {
-            newState = 'excited';
-        } else if (this.catSpeed > 2) {
-            newState = 'running';
+        this.player.on('start', () => {
+            // A replay rewinds simulation time, so a running round can't continue.
+            // The recorded snapshot already carries the tuning it was played with.
+            this.challenge.stop({ keepTuning: true });
+            this.syncWithSimulation();
+            document.body.classList.add('replay-active');
+            this.updateReplayControls(() => t('replay.playing'));
+        });
+        this.player.on('end', () => {
+            // The live snapshot may still carry the aborted round's tuning
+            this.challenge.restoreTuning();
+            this.simulation.setBounds(window.innerWidth, window.innerHeight);
+            this.statsTracker.resume();
+            this.achievements.resume();
+            this.environment.resume();
+            this.syncWithSimulation();
+            document.body.classList.remove('replay-active');
+            this.updateReplayControls(() => t('replay.ended'));
+        });
+    }
+
+    toggleRecording() {
+        if (this.player.playing) return;
+
+        if (this.recorder.recording) {
+            const session = this.recorder.stop();
+            const seconds = (session.duration * session.tickMs / 1000).toFixed(1);
+            this.updateReplayControls(() => t('replay.recorded', { seconds, inputs: session.inputs.length }));
         } else {
-            newState = 'curious';
+            this.recorder.start();
+            this.updateReplayControls(() => t('replay.recording'));
         }
+    }
 
-        if (newState !== this.catState) {
-            this.setCatState(newState);
+    toggleReplay() {
+        if (this.player.playing) {
+            this.player.stop();
+            return;
+        }
+        if (this.recorder.recording || !this.recorder.session) return;
+
+        this.exitDemoMode();
+        this.statsTracker.suspend();
+        this.achievements.suspend();
+        this.environment.suspend();
+        try {
+            this.player.play(this.recorder.session);
+        } catch (error) {
+            this.statsTracker.resume();
+            this.achievements.resume();
+            this.environment.resume();
+            this.updateReplayControls(() => this.getReplayError(error));
         }
     }
 
-    setCatState(state) {
-        this.catState = state;
-        this.cat.className = 'cat ' + state;
+    exportSession() {
+        const session = this.recorder.session;
+        if (!session) return;
 
-        const moods = {
-            'idle': '😺 悠闲',
-            'curious': '😸 好奇',
-            'running': '😻 追逐中',
-            'excited': '🙀 超兴奋!',
-            'preparing-pounce': '😼 准备飞扑...',
-            'pouncing': '🐱 飞扑！',
-            'resting': '😴 累了休息...',
-            'eating': '😋 好好吃~'
-        };
-        this.catMoodDisplay.textContent = moods[state] || '😺 好奇';
+        const blob = new Blob([SessionRecorder.toJSON(session)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `yarn-session-${session.recordedAt.replace(/[:.]/g, '-')}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
 
-        // Show pounce count when relevant
-        if (state === 'pouncing') {
-            this.catMoodDisplay.textContent += ` (${this.pounceCount + 1}/${this.maxPouncesBeforeRest})`;
-        } else if (state === 'resting') {
-            const remainingTime = Math.ceil((this.restDuration - (Date.now() - this.restStartTime)) / 1000);
-            this.updateRestingCountdown();
+    async importSession(file) {
+        try {
+            this.recorder.session = SessionRecorder.fromJSON(await file.text());
+            this.updateReplayControls(() => t('replay.imported', { file: file.name }));
+        } catch (error) {
+            this.updateReplayControls(() => this.getReplayError(error));
         }
     }
 
-    updateRestingCountdown() {
-        if (!this.isResting) return;
+    // Session errors carry a code (scripts/replay.js); anything else shows its own message
+    getReplayError(error) {
+        const key = `replay.errors.${error.message}`;
+        return t('replay.failed', { message: hasTranslation(key) ? t(key, error) : error.message });
+    }
 
-        const remainingTime = Math.ceil((this.restDuration - (Date.now() - this.restStartTime)) / 1000);
-        if (remainingTime > 0) {
-            this.catMoodDisplay.textContent = `😴 休息中... ${remainingTime}s`;
-            setTimeout(() => this.updateRestingCountdown(), 200);
+    // hint: a function returning the new hint text, if it changes
+    updateReplayControls(hint) {
+        const recording = this.recorder.recording;
+        const playing = this.player.playing;
+        const hasSession = !!this.recorder.session;
+
+        this.recordBtn.classList.toggle('active', recording);
+        localize(this.recordBtn, () => t(recording ? 'replay.stop' : 'replay.record'));
+        this.replayBtn.classList.toggle('active', playing);
+        localize(this.replayBtn, () => t(playing ? 'replay.stop' : 'replay.play'));
+        this.recordBtn.disabled = playing;
+        this.replayBtn.disabled = recording || !hasSession;
+        this.exportBtn.disabled = recording || !hasSession;
+        this.importBtn.disabled = recording || playing;
+
+        if (hint) {
+            localize(this.replayHint, hint);
         }
     }
 
-    // Food spawning and eating
-    spawnFood(x, y) {
-        if (this.currentFood || this.foodSpawnCooldown || this.isEating) return;
+    // Lifetime stats
+    bindStatsControls() {
+        this.statsToggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleStatsPanel();
+        });
+        this.resetStatsBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (window.confirm(t('stats.confirmReset'))) {
+                this.storage.reset();
+                this.statsTracker.sessionCatches = 0;
+                this.statsTracker.mark();
+                this.applySavedSettings();
+                this.updateStatsDisplay();
+            }
+        });
 
-        const food = document.createElement('div');
-        food.className = 'food';
-        food.textContent = this.foodTypes[Math.floor(Math.random() * this.foodTypes.length)];
-        food.style.left = `${x}px`;
-        food.style.top = `${y}px`;
-        this.gameArea.appendChild(food);
+        // Save every 10 seconds and whenever the page is hidden or closed
+        this.statsInterval = setInterval(() => this.saveStats(), 10000);
+        this.listen(document, 'visibilitychange', () => {
+            if (document.hidden) this.saveStats();
+        });
+        this.listen(window, 'pagehide', () => this.saveStats());
+    }
 
-        this.currentFood = { element: food, x, y };
-        this.isEating = true;
+    saveStats() {
+        this.statsTracker.flush();
+        this.updateStatsDisplay();
+    }
 
-        // Set cooldown to prevent rapid spawning
-        this.foodSpawnCooldown = true;
-        setTimeout(() => this.foodSpawnCooldown = false, 3000);
+    toggleStatsPanel(collapsed = !this.statsPanelCollapsed) {
+        this.statsPanelCollapsed = collapsed;
+        this.statsContent.classList.toggle('collapsed', collapsed);
+        this.statsToggle.classList.toggle('collapsed', collapsed);
+        this.statsToggle.setAttribute('aria-expanded', String(!collapsed));
+        this.statsToggle.querySelector('.toggle-icon').textContent = collapsed ? '▶' : '▼';
+        this.storage.updateSettings({ statsPanelCollapsed: collapsed });
+
+        if (!collapsed) this.saveStats();
     }
 
-    startEating() {
-        if (!this.currentFood) return;
+    updateStatsDisplay() {
+        if (this.statsPanelCollapsed) return;
+
+        const stats = this.storage.stats;
+        const maxStars = this.challenge.levels.length * 3;
+        const { totalCatches, bestSession, totalDistance, foodServed, timePlayed } = stats;
+        const stars = this.storage.getChallengeStars();
+        const values = {
+            totalCatches: () => t('stats.catches', { count: totalCatches }),
+            bestSession: () => t('stats.catches', { count: bestSession }),
+            totalDistance: () => t('stats.meters', { count: Math.round(totalDistance / 100) }),
+            foodServed: () => t('stats.portions', { count: foodServed }),
+            timePlayed: () => this.formatDuration(timePlayed),
+            challengeStars: () => t('stats.stars', { stars, max: maxStars })
+        };
 
-        this.setCatState('eating');
-        this.currentFood.element.classList.add('eating');
+        Object.keys(values).forEach(key => {
+            const element = this.statsContent.querySelector(`[data-stat="${key}"]`);
+            if (element) localize(element, values[key]);
+        });
+    }
 
-        // Play eating sound/effect
-        if (this.soundEnabled) {
-            this.showMeowText();
+    // Achievements
+    bindAchievementControls() {
+        this.achievements.on('unlock', (unlock) => {
+            this.showAchievementToast(unlock);
+            this.updateAchievementList();
+            this.playMeowSound();
+        });
+
+        Object.keys(ACHIEVEMENTS).forEach(id => {
+            const item = document.createElement('li');
+            item.className = 'achievement';
+            item.dataset.achievement = id;
+            localize(item, () => t(`achievements.${id}.description`, ACHIEVEMENTS[id].params), 'title');
+            this.achievementList.appendChild(item);
+        });
+    }
+
+    updateAchievementList() {
+        const unlocked = this.achievements.getUnlocked();
+        const ids = Object.keys(ACHIEVEMENTS);
+        this.achievementCount.textContent = `${ids.filter(id => unlocked[id]).length}/${ids.length}`;
+
+        this.achievementList.querySelectorAll('[data-achievement]').forEach(item => {
+            const id = item.dataset.achievement;
+            const icon = unlocked[id] ? ACHIEVEMENTS[id].icon : '🔒';
+            item.classList.toggle('unlocked', Boolean(unlocked[id]));
+            localize(item, () => `${icon} ${t(`achievements.${id}.name`)}`);
+        });
+        this.updateWardrobeButtons();
+    }
+
+    // A longer, bigger meow text at the top of the play area
+    showAchievementToast({ id, achievement, reward }) {
+        const toast = document.createElement('div');
+        toast.className = 'meow-text achievement-toast';
+        toast.textContent = t('achievements.toast', { icon: achievement.icon, name: t(`achievements.${id}.name`) });
+
+        if (reward) {
+            const line = document.createElement('div');
+            line.className = 'toast-reward';
+            line.textContent = t('achievements.reward', {
+                type: t(`achievements.rewardTypes.${reward.type}`),
+                name: t(`cosmetics.${reward.type}.${reward.id}`)
+            });
+            toast.appendChild(line);
         }
 
-        // Finish eating after duration
-        setTimeout(() => this.finishEating(), this.eatingDuration);
+        this.gameArea.appendChild(toast);
+        this.gameClock.after(3000, () => {
+            toast.remove();
+        });
+    }
+
+    // Wardrobe: a row of buttons per outfit slot, for one player at a time
+    bindWardrobeControls() {
+        this.wardrobePlayerBtns.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.selectWardrobePlayer(Number(btn.dataset.wardrobePlayer));
+            });
+        });
+
+        WARDROBE_SLOTS.forEach(slot => {
+            const label = document.createElement('div');
+            label.className = 'wardrobe-label';
+            localize(label, () => t(`wardrobe.slots.${slot}`));
+            this.wardrobe.appendChild(label);
+
+            const row = document.createElement('div');
+            row.className = 'control-buttons cosmetic-buttons';
+            row.dataset.slot = slot;
+            Object.keys(COSMETICS[slot]).forEach(id => {
+                const btn = document.createElement('button');
+                btn.className = 'control-btn';
+                btn.dataset.cosmetic = id;
+                if (slot === 'yarnColor') {
+                    const swatch = document.createElement('span');
+                    swatch.className = 'color-swatch';
+                    swatch.style.background = COSMETICS.yarnColor[id].colors.pink;
+                    btn.appendChild(swatch);
+                }
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.setOutfit(this.wardrobePlayer, slot, id);
+                });
+                row.appendChild(btn);
+            });
+            this.wardrobe.appendChild(row);
+        });
+        this.selectWardrobePlayer(0);
+    }
+
+    selectWardrobePlayer(player) {
+        this.wardrobePlayer = player;
+        this.wardrobePlayerBtns.forEach(btn => {
+            setPressed(btn, Number(btn.dataset.wardrobePlayer) === player);
+        });
+        this.updateWardrobeButtons();
+    }
+
+    // The outfit a player wears: saved choices, with locked items swapped for the default
+    getOutfit(player) {
+        const outfit = normalizeOutfit(this.storage.settings.wardrobe[player], player);
+        const unlocked = this.achievements.getUnlocked();
+        WARDROBE_SLOTS.forEach(slot => {
+            if (!getUnlockedCosmetics(slot, unlocked).includes(outfit[slot])) {
+                outfit[slot] = normalizeOutfit(null, player)[slot];
+            }
+        });
+        return outfit;
+    }
+
+    setOutfit(player, slot, id) {
+        if (!getUnlockedCosmetics(slot, this.achievements.getUnlocked()).includes(id)) return;
+
+        const wardrobe = [...this.storage.settings.wardrobe];
+        wardrobe[player] = { ...this.getOutfit(player), [slot]: id };
+        this.storage.updateSettings({ wardrobe });
+        this.applyOutfit(player);
+        this.updateWardrobeButtons();
     }
 
-    finishEating() {
-        if (this.currentFood) {
-            this.currentFood.element.remove();
-            this.currentFood = null;
+    // Dress a player's cat and color their yarn ball, trail and fluff
+    applyOutfit(player) {
+        const catView = this.catViews[player];
+        const yarnView = this.yarnViews[player];
+        if (!catView || !yarnView) return;
+        const outfit = this.getOutfit(player);
+
+        catView.outfit = outfit;
+        const cat = this.simulation.cats[player];
+        if (cat) {
+            this.setCatState(cat.pose, player);
+        } else {
+            this.renderer.setCatLook(player, this.getCatLook(player, catView.pose));
         }
-        this.isEating = false;
-        this.setCatState('idle');
+
+        const theme = COSMETICS.yarnColor[outfit.yarnColor];
+        this.renderer.setYarnTheme(player, theme);
+        yarnView.particles = theme.particles;
+    }
+
+    updateWardrobeButtons() {
+        if (this.wardrobe.childElementCount === 0) return;
+        const unlocked = this.achievements.getUnlocked();
+        const outfit = this.getOutfit(this.wardrobePlayer);
+
+        this.wardrobe.querySelectorAll('[data-slot]').forEach(row => {
+            const slot = row.dataset.slot;
+            const available = getUnlockedCosmetics(slot, unlocked);
+            row.querySelectorAll('[data-cosmetic]').forEach(btn => {
+                const id = btn.dataset.cosmetic;
+                const locked = !available.includes(id);
+                if (slot !== 'yarnColor') btn.textContent = locked ? '🔒' : COSMETICS[slot][id].icon;
+                const name = `cosmetics.${slot}.${id}`;
+                const achievement = locked ? `achievements.${getCosmeticAchievement(slot, id)}.name` : null;
+                localize(btn, () => (locked
+                    ? t('wardrobe.locked', { name: t(name), achievement: t(achievement) })
+                    : t(name)), 'title');
+                btn.disabled = locked;
+                setPressed(btn, id === outfit[slot]);
+            });
+        });
+
+        const worn = WARDROBE_SLOTS.filter(slot => slot === 'coat' || slot === 'yarnColor' || outfit[slot] !== 'none');
+        const owner = this.wardrobePlayer;
+        localize(this.wardrobeHint, () => {
+            const names = worn.map(slot => t(`cosmetics.${slot}.${outfit[slot]}`));
+            return `${this.getPlayerName(owner)}${names.join(t('common.joiner'))}`;
+        });
+    }
+
+    formatDuration(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+
+        if (hours > 0) return t('stats.hours', { hours, minutes });
+        if (minutes > 0) return t('stats.minutes', { minutes, seconds });
+        return t('stats.seconds', { seconds });
+    }
+
+    // Rebuild DOM state after the simulation was restored from a snapshot
+    syncWithSimulation() {
+        const sim = this.simulation;
+
+        this.animalElements.forEach(element => element.remove());
+        this.animalElements.clear();
+        sim.animals.forEach(animal => this.showAnimal(animal));
+
+        this.foodElements.forEach(element => element.remove());
+        this.foodElements.clear();
+        sim.foods.forEach(food => {
+            this.showFood(food);
+            const eater = sim.cats.find(cat => cat.foodId === food.id && cat.state === 'eating');
+            if (eater) this.foodElements.get(food.id).classList.add('eating');
+        });
+        this.updateFoodButtons();
+
+        this.effects.clear();
+        this.renderer.reset();
+        this.yarnViews.forEach(view => {
+            view.lastParticleTime = 0;
+        });
+        sim.cats.forEach(cat => {
+            this.catViews[cat.id].scoreDisplay.textContent = cat.totalPounces;
+            this.setCatState(cat.pose, cat.id);
+        });
     }
 
     // Demo mode methods
     triggerDemoState(state) {
-        // Clear any existing demo timeout
-        if (this.demoTimeout) {
-            clearTimeout(this.demoTimeout);
-        }
-
-        // Save original position if entering demo mode for the first time
-        if (!this.demoMode) {
-            this.savedCatPos = { ...this.catPos };
-        }
+        // Stop the previous preview's loop
+        this.cancelDemoTimers();
 
-        // Enter demo mode
+        // Enter demo mode (the simulation keeps the real cat position)
         this.demoMode = true;
         this.demoState = state;
         document.body.classList.add('demo-mode-active');
 
-        // Move cat to center of screen for demo
-        this.catPos = {
+        // Show cat in the center of screen for demo
+        this.demoCatPos = {
             x: window.innerWidth / 2,
             y: window.innerHeight / 2
         };
-        this.cat.style.left = `${this.catPos.x}px`;
-        this.cat.style.top = `${this.catPos.y}px`;
 
         // Update button states
         this.demoBtns.forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.state === state);
+            setPressed(btn, btn.dataset.state === state);
         });
 
         // Reset any ongoing animations
-        this.isPouncing = false;
-        this.isResting = false;
-        this.preparingPounce = false;
+        this.simulation.resetBehavior();
 
         // Set the cat to the demo state
         this.setCatState(state);
@@ -982,53 +1886,64 @@ class CatYarnGame {
             this.playPounceDemo();
         }
 
+        // Stalking ends in a butt wiggle, over and over
+        if (state === 'stalking') {
+            this.playStalkDemo();
+        }
+
         // For resting, simulate the resting animation
         if (state === 'resting') {
-            this.catMoodDisplay.textContent = '😴 休息演示中...';
+            localize(this.catMoodDisplay, () => t('demo.resting'));
         }
 
         // Update hint
-        const hints = {
-            'idle': '猫咪正在悠闲地休息',
-            'curious': '猫咪正在好奇地观察',
-            'running': '猫咪正在追逐毛线球',
-            'excited': '猫咪非常兴奋！',
-            'pouncing': '猫咪正在飞扑！',
-            'resting': '猫咪累了正在休息喘气'
-        };
-
-        const demoHint = this.demoPanel.querySelector('.demo-hint');
-        demoHint.textContent = hints[state] || '点击按钮预览猫咪动作';
+        const hint = hasTranslation(`demo.hints.${state}`) ? `demo.hints.${state}` : 'demo.hint';
+        const demoHint = this.settingsPanel.querySelector('.demo-hint');
+        localize(demoHint, () => t(hint));
     }
 
     playPounceDemo() {
         if (!this.demoMode || this.demoState !== 'pouncing') return;
 
-        // Reset cat class to retrigger animation
-        this.cat.className = 'cat';
-
-        // Force reflow
-        void this.cat.offsetWidth;
-
-        // Apply pouncing class
-        this.cat.className = 'cat pouncing';
-        this.catMoodDisplay.textContent = '🐱 飞扑演示！';
+        // Start the pounce animation over
+        this.renderer.replayPose(0);
+        localize(this.catMoodDisplay, () => t('demo.pouncing'));
 
         // Spawn particles
         for (let i = 0; i < 5; i++) {
-            setTimeout(() => {
-                if (this.demoMode) {
-                    this.spawnParticle(this.catPos.x, this.catPos.y);
-                }
-            }, i * 50);
+            this.demoAfter(i * 50, () => {
+                this.effects.emit('fluff', this.demoCatPos.x, this.demoCatPos.y);
+            });
         }
 
         // Replay after animation completes
-        this.demoTimeout = setTimeout(() => {
-            if (this.demoMode && this.demoState === 'pouncing') {
-                this.playPounceDemo();
-            }
-        }, 1500);
+        this.demoAfter(1500, () => this.playPounceDemo());
+    }
+
+    playStalkDemo(wiggle = false) {
+        if (!this.demoMode || this.demoState !== 'stalking') return;
+
+        const state = wiggle ? 'wiggling' : 'stalking';
+        this.catViews[0].pose = state;
+        this.renderer.setCatLook(0, this.getCatLook(0, state));
+        localize(this.catMoodDisplay, () => t(wiggle ? 'demo.wiggling' : 'demo.stalking'));
+
+        this.demoAfter(wiggle ? 800 : 1600, () => this.playStalkDemo(!wiggle));
+    }
+
+    // Preview timers run on game time, freeze with the pause and are
+    // cancelled together when the preview changes or ends
+    demoAfter(ms, callback) {
+        const id = this.gameClock.after(ms, () => {
+            this.demoTimers.delete(id);
+            callback();
+        });
+        this.demoTimers.add(id);
+    }
+
+    cancelDemoTimers() {
+        this.demoTimers.forEach(id => this.gameClock.cancel(id));
+        this.demoTimers.clear();
     }
 
     exitDemoMode() {
@@ -1038,228 +1953,168 @@ class CatYarnGame {
         this.demoState = null;
         document.body.classList.remove('demo-mode-active');
 
-        // Clear demo timeout
-        if (this.demoTimeout) {
-            clearTimeout(this.demoTimeout);
-            this.demoTimeout = null;
-        }
+        this.cancelDemoTimers();
 
         // Reset button states
-        this.demoBtns.forEach(btn => {
-            btn.classList.remove('active');
-        });
-
-        // Restore cat position
-        if (this.savedCatPos) {
-            this.catPos = { ...this.savedCatPos };
-            this.cat.style.left = `${this.catPos.x}px`;
-            this.cat.style.top = `${this.catPos.y}px`;
-        }
+        this.demoBtns.forEach(btn => setPressed(btn, false));
 
-        // Reset cat state
-        this.isPouncing = false;
-        this.isResting = false;
-        this.preparingPounce = false;
-        this.pounceCount = 0;
+        // Back to the simulated cat position
+        this.demoCatPos = null;
 
-        // Return to normal idle state
-        this.setCatState('idle');
+        // Back to idle, and show what each cat really looks like again
+        this.simulation.resetBehavior();
+        this.simulation.cats.forEach(cat => this.setCatState(cat.pose, cat.id));
 
         // Reset hint
         const demoHint = this.settingsPanel.querySelector('.demo-hint');
-        demoHint.textContent = '点击按钮预览猫咪动作';
+        localize(demoHint, () => t('demo.hint'));
     }
 
-    toggleDemoPanel() {
-        this.demoPanelCollapsed = !this.demoPanelCollapsed;
+    toggleDemoPanel(collapsed = !this.demoPanelCollapsed) {
+        this.demoPanelCollapsed = collapsed;
+        this.storage.updateSettings({ demoPanelCollapsed: collapsed });
         this.demoContent.classList.toggle('collapsed', this.demoPanelCollapsed);
         this.demoToggle.classList.toggle('collapsed', this.demoPanelCollapsed);
+        this.demoToggle.setAttribute('aria-expanded', String(!this.demoPanelCollapsed));
 
         // Update toggle icon
         const toggleIcon = this.demoToggle.querySelector('.toggle-icon');
         toggleIcon.textContent = this.demoPanelCollapsed ? '▶' : '▼';
     }
 
-    toggleSettingsPanel() {
-        this.settingsPanelCollapsed = !this.settingsPanelCollapsed;
+    toggleSettingsPanel(collapsed = !this.settingsPanelCollapsed) {
+        this.settingsPanelCollapsed = collapsed;
+        this.storage.updateSettings({ settingsPanelCollapsed: collapsed });
         this.settingsContent.classList.toggle('collapsed', this.settingsPanelCollapsed);
         this.settingsToggle.classList.toggle('collapsed', this.settingsPanelCollapsed);
+        this.settingsToggle.setAttribute('aria-expanded', String(!this.settingsPanelCollapsed));
 
         // Update toggle icon
         const toggleIcon = this.settingsToggle.querySelector('.settings-toggle-icon');
         toggleIcon.textContent = this.settingsPanelCollapsed ? '▶' : '▼';
     }
 
-    toggleSound() {
-        this.soundEnabled = !this.soundEnabled;
-        this.soundBtn.classList.toggle('active', this.soundEnabled);
+    bindA11yControls() {
+        this.a11yButtons.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const setting = btn.dataset.a11y;
+                this.storage.updateSettings({ [setting]: !this[setting] });
+                this.applyA11ySettings();
+            });
+        });
+        // Settings still on null follow the system as it changes
+        Object.keys(A11Y_PREFERENCES).forEach(setting => {
+            this.cleanups.push(watchPreference(setting, () => this.applyA11ySettings()));
+        });
+        this.applyA11ySettings();
     }
 
-    render() {
-        // Don't update position during pounce animation (CSS handles it)
-        if (!this.isPouncing) {
-            this.updateCatPosition();
-        }
-        this.updateYarnPosition();
-        this.updateYarnTrail();
-        if (!this.isResting) {
-            this.updateCatEyes();
+    applyA11ySettings() {
+        const settings = this.storage.settings;
+        const highContrast = this.highContrast;
+        this.reducedMotion = resolvePreference('reducedMotion', settings.reducedMotion);
+        this.highContrast = resolvePreference('highContrast', settings.highContrast);
+        document.body.classList.toggle('reduced-motion', this.reducedMotion);
+        document.body.classList.toggle('high-contrast', this.highContrast);
+        // Renderers kept for a later switch back are refreshed too
+        if (this.highContrast !== highContrast) {
+            this.renderers.forEach(renderer => renderer.refreshColors());
         }
+        this.effects.setReducedMotion(this.reducedMotion);
+        this.a11yButtons.forEach(btn => setPressed(btn, this[btn.dataset.a11y]));
     }
 
-    updateCatPosition() {
-        let rotation = 0;
-        if (Math.abs(this.catVelocity.x) > 0.1 || Math.abs(this.catVelocity.y) > 0.1) {
-            rotation = Math.atan2(this.catVelocity.y, this.catVelocity.x) * (180 / Math.PI);
-            rotation = Math.max(-30, Math.min(30, rotation));
-        }
-
-        // Cat should face towards the yarn ball (not based on velocity)
-        const dx = this.yarnPos.x - this.catPos.x;
-        const scaleX = dx > 0 ? -1 : 1;
-
-        this.cat.style.left = `${this.catPos.x}px`;
-        this.cat.style.top = `${this.catPos.y}px`;
-
-        // Apply facing direction to cat-body so it doesn't interfere with cat's animation transform
-        const catBody = this.cat.querySelector('.cat-body');
-        if (catBody) {
-            catBody.style.transform = `scaleX(${scaleX})`;
-        }
-
-        // Set cat's base transform (without scaleX - that's on cat-body now)
-        if (!this.isResting && !this.isPouncing && !this.preparingPounce) {
-            this.cat.style.transform = `translate(-50%, -50%)`;
-        }
+    toggleSound(enabled = !this.soundEnabled) {
+        this.soundEnabled = enabled;
+        this.soundBtn.classList.toggle('active', this.soundEnabled);
+        this.soundBtn.setAttribute('aria-checked', String(this.soundEnabled));
+        this.storage.updateSettings({ soundEnabled: enabled });
+        this.audio.setMuted(!enabled);
     }
 
-    updateYarnPosition() {
-        this.yarnBall.style.left = `${this.yarnPos.x}px`;
-        this.yarnBall.style.top = `${this.yarnPos.y}px`;
-
-        const rotation = (this.totalDistance * 2) % 360;
-        this.yarnBall.querySelector('.yarn-pattern').style.transform = `rotate(${rotation}deg)`;
+    setVolume(volume) {
+        this.audio.setVolume(volume);
+        const percent = Math.round(this.audio.volume * 100);
+        this.volumeSlider.value = percent;
+        this.volumeValue.textContent = `${percent}%`;
+        this.storage.updateSettings({ volume: this.audio.volume });
     }
 
-    updateYarnTrail() {
-        if (this.trailPositions.length < 2) return;
-
-        let pathData = `M ${this.trailPositions[0].x} ${this.trailPositions[0].y}`;
-
-        for (let i = 1; i < this.trailPositions.length; i++) {
-            const p1 = this.trailPositions[i];
-            pathData += ` L ${p1.x} ${p1.y}`;
-        }
-
-        pathData += ` L ${this.yarnPos.x} ${this.yarnPos.y}`;
-
-        this.yarnString.setAttribute('d', pathData);
-    }
-
-    updateCatEyes() {
-        const pupils = this.cat.querySelectorAll('.cat-pupil');
-
-        const dx = this.yarnPos.x - this.catPos.x;
-        const dy = this.yarnPos.y - this.catPos.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-
-        if (distance > 0) {
-            const pupilOffsetX = (dx / distance) * 2;
-            const pupilOffsetY = (dy / distance) * 2;
-
-            pupils.forEach(pupil => {
-                pupil.style.transform = `translate(${pupilOffsetX}px, ${pupilOffsetY}px)`;
-            });
+    render() {
+        const sim = this.simulation;
+
+        this.renderer.drawFrame({
+            tick: sim.tickCount,
+            cats: sim.cats.map(cat => this.getCatSprite(cat)),
+            yarns: sim.yarns.map(yarn => ({
+                id: yarn.id,
+                x: yarn.pos.x,
+                y: yarn.pos.y,
+                angle: yarn.angle,
+                rope: sim.ropes[yarn.id]
+            })),
+            effects: this.effects.particles
+        });
+        sim.cats.forEach(cat => {
+            this.updateNeedsMeters(cat);
+            if (cat.state === 'resting' || cat.state === 'sleeping') this.updateRestingCountdown(cat);
+        });
+        sim.animals.forEach(animal => this.updateAnimalPosition(animal));
+        if (sim.bounds !== this.furnitureBounds) {
+            // Furniture positions are fractions of the play area
+            this.furnitureBounds = sim.bounds;
+            sim.furniture.forEach(item => this.updateFurniturePosition(item));
         }
+        this.updateSky();
     }
 
-    spawnParticle(x, y) {
-        const particle = this.particlePool.acquire();
-        particle.style.left = `${x + (Math.random() - 0.5) * 20}px`;
-        particle.style.top = `${y + (Math.random() - 0.5) * 20}px`;
-
-        const colors = ['#ff6b9d', '#ff9f43', '#ffd8a8', '#ffb3cc'];
-        particle.style.background = colors[Math.floor(Math.random() * colors.length)];
-
-        // Reset animation by re-adding class
-        particle.style.animation = 'none';
-        particle.offsetHeight; // Trigger reflow
-        particle.style.animation = '';
-
-        setTimeout(() => {
-            this.particlePool.release(particle);
-        }, 800);
+    // The demo only poses player 1's cat
+    getCatRenderPos(cat) {
+        return (cat.id === 0 && this.demoCatPos) || cat.pos;
     }
 
-    addPawPrint() {
-        const pawPrint = this.pawPrintPool.acquire();
-        pawPrint.style.left = `${this.catPos.x + (Math.random() - 0.5) * 30}px`;
-        pawPrint.style.top = `${this.catPos.y + 20 + (Math.random() - 0.5) * 10}px`;
-        pawPrint.style.transform = `rotate(${Math.random() * 60 - 30}deg)`;
+    // Where and how the renderer draws a cat this frame
+    getCatSprite(cat) {
+        const sim = this.simulation;
+        const catPos = this.getCatRenderPos(cat);
+
+        // Cat should face towards what it is chasing (not based on velocity)
+        const focus = sim.getFocusPoint(cat);
+        const dx = focus.x - catPos.x;
+        const dy = focus.y - catPos.y;
+
+        // Sitting on a sofa or cat tree lifts it off the floor; with reduced
+        // motion pounces stay close to the ground
+        let lift = 0;
+        if (catPos === cat.pos) {
+            lift = cat.getPerchHeight(sim);
+            if (this.reducedMotion) lift -= cat.getPounceLift(sim) * 0.8;
+        }
 
-        // Reset animation
-        pawPrint.style.animation = 'none';
-        pawPrint.offsetHeight; // Trigger reflow
-        pawPrint.style.animation = '';
+        // Pupils look at the focus point, unless the eyes are closed
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const eyesOpen = cat.state !== 'resting' && cat.state !== 'sleeping';
+        let pupil = null;
+        if (eyesOpen) pupil = distance > 0 ? { x: (dx / distance) * 2, y: (dy / distance) * 2 } : { x: 0, y: 0 };
 
-        setTimeout(() => {
-            this.pawPrintPool.release(pawPrint);
-        }, 2000);
+        return { id: cat.id, state: cat.state, x: catPos.x, y: catPos.y - lift, facing: dx > 0 ? -1 : 1, pupil };
     }
 
-    showMeowText() {
-        const meowText = document.createElement('div');
-        meowText.className = 'meow-text';
-
-        // Random meow variations
-        const meows = ['喵～', '喵喵～', '喵！', '喵～♪'];
-        meowText.textContent = meows[Math.floor(Math.random() * meows.length)];
+    showMeowText(cat = this.simulation.cats[0], text = null) {
+        // Random meow variations, plus the ones unlocked by achievements
+        const meows = [...t('meows.random')];
+        getUnlockedCosmetics('meow', this.achievements.getUnlocked())
+            .forEach(id => meows.push(...t(`meows.unlocked.${id}`)));
 
         // Position above cat's head
-        meowText.style.left = `${this.catPos.x}px`;
-        meowText.style.top = `${this.catPos.y - 60}px`;
-
-        this.gameArea.appendChild(meowText);
-
-        // Remove after animation
-        setTimeout(() => {
-            meowText.remove();
-        }, 1200);
+        this.renderer.showText(cat.pos.x, cat.pos.y - 60, text || meows[Math.floor(Math.random() * meows.length)]);
     }
 
-    playMeowSound() {
-        // Skip if sound is disabled
-        if (!this.soundEnabled) return;
-
-        // Create a simple meow sound using Web Audio API
-        try {
-            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-
-            // Create oscillator for meow sound
-            const oscillator = audioContext.createOscillator();
-            const gainNode = audioContext.createGain();
-
-            oscillator.connect(gainNode);
-            gainNode.connect(audioContext.destination);
-
-            // Meow frequency pattern (starts high, slides down)
-            oscillator.frequency.setValueAtTime(800, audioContext.currentTime);
-            oscillator.frequency.exponentialRampToValueAtTime(400, audioContext.currentTime + 0.15);
-            oscillator.frequency.exponentialRampToValueAtTime(600, audioContext.currentTime + 0.25);
-            oscillator.frequency.exponentialRampToValueAtTime(300, audioContext.currentTime + 0.4);
-
-            // Volume envelope
-            gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.2, audioContext.currentTime + 0.1);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.4);
-
-            oscillator.type = 'sine';
-            oscillator.start(audioContext.currentTime);
-            oscillator.stop(audioContext.currentTime + 0.4);
-        } catch (e) {
-            // Audio not supported, silently fail
-            console.log('Audio not available');
-        }
+    // Pitch and length follow the cat's breed
+    playMeowSound(cat = this.simulation.cats[0]) {
+        const profile = getCatProfile(cat ? cat.profile : DEFAULT_CAT_PROFILE);
+        this.audio.meow(profile.voice);
     }
 }
 
@@ -1267,8 +2122,3 @@ class CatYarnGame {
 document.addEventListener('DOMContentLoaded', () => {
     new CatYarnGame();
 });
-
-// Handle window resize
-window.addEventListener('resize', () => {
-    // Game will automatically adjust on next frame
-});
@@ -0,0 +1,82 @@
+/**
+ * Accessibility helpers
+ * - Announcer: screen-reader announcements through an ARIA live region
+ * - A11Y_PREFERENCES: system preferences (reduced motion, more contrast)
+ *   that a saved setting of null follows
+ * - setPressed: the highlighted choice of a button group, for eyes and ears
+ */
+
+// Setting -> the media query it follows while the player hasn't chosen
+const A11Y_PREFERENCES = {
+    reducedMotion: '(prefers-reduced-motion: reduce)',
+    highContrast: '(prefers-contrast: more)'
+};
+
+// window.matchMedia, bound (it throws when called on its own)
+const systemMatchMedia = typeof window !== 'undefined' && window.matchMedia
+    ? (query) => window.matchMedia(query)
+    : null;
+
+// true / false when the player chose, otherwise what the system prefers
+function resolvePreference(setting, value, matchMedia = systemMatchMedia) {
+    if (value === true || value === false) return value;
+    return Boolean(matchMedia && matchMedia(A11Y_PREFERENCES[setting]).matches);
+}
+
+// Call back when a system preference changes; returns a function that stops listening
+function watchPreference(setting, callback, matchMedia = systemMatchMedia) {
+    if (!matchMedia) return () => {};
+    const query = matchMedia(A11Y_PREFERENCES[setting]);
+    if (!query.addEventListener) return () => {};
+    query.addEventListener('change', callback);
+    return () => query.removeEventListener('change', callback);
+}
+
+// Toggle buttons show their state with .active and tell screen readers with aria-pressed
+function setPressed(button, pressed) {
+    button.classList.toggle('active', pressed);
+    button.setAttribute('aria-pressed', String(pressed));
+}
+
+/**
+ * Announcer - writes messages into an aria-live region
+ * Each message is a new paragraph, so repeating the same text is read
+ * again; only the last few are kept. A `key` limits how often one kind of
+ * message (e.g. a cat's mood) may interrupt: at most once per `interval`
+ * ms, and never the same text twice in a row.
+ */
+class Announcer {
+    constructor(element, { clock = () => performance.now(), keep = 3 } = {}) {
+        this.element = element;
+        this.clock = clock;
+        this.keep = keep;
+        this.last = new Map(); // key -> { text, time }
+    }
+
+    announce(text, { key = null, interval = 0 } = {}) {
+        if (!this.element || !text) return false;
+        const now = this.clock();
+        if (key) {
+            const last = this.last.get(key);
+            if (last && (last.text === text || now - last.time < interval)) return false;
+            this.last.set(key, { text, time: now });
+        }
+
+        const message = document.createElement('p');
+        message.textContent = text;
+        this.element.appendChild(message);
+        while (this.element.childElementCount > this.keep) {
+            this.element.firstElementChild.remove();
+        }
+        return true;
+    }
+
+    clear() {
+        this.last.clear();
+        if (this.element) this.element.textContent = '';
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { A11Y_PREFERENCES, resolvePreference, watchPreference, setPressed, Announcer };
+}
@@ -0,0 +1,190 @@
+/**
+ * Achievements - badges earned from gameplay events, unlocking cosmetics (COSMETICS)
+ * AchievementTracker listens to simulation events (and camera gestures the
+ * game reports), unlocks badges once and keeps them in GameStorage.
+ */
+
+// Consecutive catches without a rest for the streak badge
+const POUNCE_STREAK_TARGET = 10;
+
+// `event` is the simulation event (or 'gesture') that can unlock the badge,
+// `check(payload, tracker)` decides whether this one does (no check: any).
+// Names and descriptions: achievements.<id> in scripts/locales, filled in with `params`
+const ACHIEVEMENTS = {
+    firstCatch: {
+        icon: '🎯',
+        event: 'catch',
+        reward: { type: 'meow', id: 'proud' }
+    },
+    pounceStreak: {
+        icon: '🔥', params: { target: POUNCE_STREAK_TARGET },
+        event: 'catch',
+        check: ({ cat }, tracker) => tracker.streaks[cat.id] >= POUNCE_STREAK_TARGET,
+        reward: { type: 'yarnColor', id: 'fire' }
+    },
+    excitedCatch: {
+        icon: '🙀',
+        event: 'catch',
+        check: ({ cat }, tracker) => tracker.moods[cat.id] === 'excited',
+        reward: { type: 'hat', id: 'party' }
+    },
+    nightOwl: {
+        icon: '🌙',
+        event: 'catch',
+        check: (payload, tracker) => tracker.simulation.environment.phase === 'night',
+        reward: { type: 'yarnColor', id: 'midnight' }
+    },
+    firstRest: {
+        icon: '😴',
+        event: 'restStart',
+        reward: { type: 'meow', id: 'sleepy' }
+    },
+    gourmet: {
+        icon: '🍽️',
+        event: 'eatEnd',
+        check: ({ food }, tracker) => Boolean(food) &&
+            tracker.collect('gourmet', food.type) >= Object.keys(FOOD_TYPES).length,
+        reward: { type: 'meow', id: 'foodie' }
+    },
+    animalWatcher: {
+        icon: '🔭',
+        event: 'animalSpawn',
+        check: (animal, tracker) => tracker.collect('animalWatcher', animal.type) >= Object.keys(ANIMAL_TYPES).length,
+        reward: { type: 'yarnColor', id: 'mint' }
+    },
+    handFeed: {
+        icon: '🖐️',
+        event: 'gesture',
+        check: ({ action }) => action === 'feed',
+        reward: { type: 'hat', id: 'crown' }
+    },
+    photographer: {
+        icon: '✌️',
+        event: 'gesture',
+        check: ({ action }) => action === 'photo',
+        reward: { type: 'meow', id: 'cheese' }
+    },
+    dogDay: {
+        icon: '🐕',
+        event: 'catch',
+        check: ({ points }) => points > 1,
+        reward: { type: 'hat', id: 'cap' }
+    },
+    hyperCatch: {
+        icon: '🌿',
+        event: 'catch',
+        check: ({ cat }) => Boolean(cat.effects.hyper),
+        reward: { type: 'hat', id: 'tophat' }
+    }
+};
+
+// Cosmetic ids of one kind available with these achievements unlocked
+// (anything that isn't an achievement reward is always available)
+function getUnlockedCosmetics(type, unlocked) {
+    return Object.keys(COSMETICS[type]).filter(id => {
+        const achievementId = getCosmeticAchievement(type, id);
+        return !achievementId || Boolean(unlocked[achievementId]);
+    });
+}
+
+// The achievement that unlocks a cosmetic (null for defaults)
+function getCosmeticAchievement(type, id) {
+    return Object.keys(ACHIEVEMENTS).find(achievementId => {
+        const reward = ACHIEVEMENTS[achievementId].reward;
+        return reward && reward.type === type && reward.id === id;
+    }) || null;
+}
+
+/**
+ * AchievementTracker - turns simulation events into unlocked badges
+ *
+ * Keeps per-cat catch streaks and last movement mood in memory; collections
+ * (foods eaten, animals seen) are saved with the badges so they add up over
+ * visits. Suspended during replays like StatsTracker.
+ *
+ * Events: 'unlock' ({ id, achievement, reward })
+ */
+class AchievementTracker extends EventEmitter {
+    constructor(simulation, storage, achievements = ACHIEVEMENTS) {
+        super();
+        this.simulation = simulation;
+        this.storage = storage;
+        this.achievements = achievements;
+        this.suspended = false;
+        this.streaks = []; // Catches since the last rest, per cat
+        this.moods = []; // Last state per cat before it got ready to pounce
+
+        const events = new Set(Object.values(achievements).map(achievement => achievement.event));
+        this.subscriptions = [
+            simulation.on('catch', ({ cat }) => {
+                this.streaks[cat.id] = (this.streaks[cat.id] || 0) + 1;
+            }),
+            simulation.on('restStart', ({ cat }) => {
+                this.streaks[cat.id] = 0;
+            }),
+            simulation.on('stateChange', ({ cat, state }) => {
+                if (state !== 'preparing-pounce' && state !== 'pouncing') this.moods[cat.id] = state;
+            }),
+            ...[...events]
+                .filter(event => event !== 'gesture')
+                .map(event => simulation.on(event, (payload) => this.handle(event, payload)))
+        ];
+    }
+
+    // A gesture the camera recognized and the game acted on ({ action })
+    recordGesture(gesture) {
+        this.handle('gesture', gesture);
+    }
+
+    handle(event, payload) {
+        if (this.suspended) return;
+        Object.keys(this.achievements).forEach(id => {
+            const achievement = this.achievements[id];
+            if (achievement.event !== event || this.isUnlocked(id)) return;
+            if (!achievement.check || achievement.check(payload, this)) this.unlock(id);
+        });
+    }
+
+    // Add a value to a saved collection; returns how many different values it holds
+    collect(id, value) {
+        const progress = this.storage.data.achievements.progress;
+        const values = progress[id] = progress[id] || [];
+        if (!values.includes(value)) values.push(value);
+        return values.length;
+    }
+
+    isUnlocked(id) {
+        return Boolean(this.storage.data.achievements.unlocked[id]);
+    }
+
+    getUnlocked() {
+        return this.storage.data.achievements.unlocked;
+    }
+
+    unlock(id) {
+        if (!this.storage.unlockAchievement(id)) return;
+        const achievement = this.achievements[id];
+        this.emit('unlock', { id, achievement, reward: achievement.reward || null });
+    }
+
+    suspend() {
+        this.suspended = true;
+    }
+
+    resume() {
+        this.suspended = false;
+        this.streaks = [];
+    }
+
+    destroy() {
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions = [];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        POUNCE_STREAK_TARGET, ACHIEVEMENTS,
+        getUnlockedCosmetics, getCosmeticAchievement, AchievementTracker
+    };
+}
@@ -0,0 +1,154 @@
+/**
+ * Background Animals - simulation entities the cats can see
+ * Animals move on simulation time, so they freeze with the game and replay
+ * exactly; the renderer only draws sim.animals.
+ */
+
+// Each type walks a path of [progress, x (fraction of the way across), y offset px]
+// keyframes; y is its height in the play area. `kind` decides how cats react:
+// birds distract, horses startle, dogs double catches, turtles are ignored.
+const ANIMAL_TYPES = {
+    turtle: {
+        kind: 'turtle', emoji: '🐢', className: 'turtle', duration: 45000, y: 0.66,
+        path: [[0, 0, 0], [1, 1, 0]]
+    },
+    horse: {
+        kind: 'horse', emoji: '🐎', className: 'horse', duration: 8000, y: 0.655, flip: true,
+        path: [[0, 0, 0], [1, 1, 0]]
+    },
+    dog: {
+        kind: 'dog', emoji: '🐕', className: 'dog', duration: 20000, y: 0.66, flip: true,
+        // Walk, stop and sniff, walk on
+        path: [[0, 0, 0], [0.15, 0.15, 0], [0.25, 0.15, 0], [0.4, 0.4, 0], [0.5, 0.4, 0],
+            [0.7, 0.7, 0], [0.72, 0.7, 0], [1, 1, 0]]
+    },
+    sparrow: {
+        kind: 'bird', emoji: '🐦', className: 'bird bird-1', duration: 12000, y: 0.13,
+        path: [[0, 0, 0], [0.25, 0.25, -15], [0.5, 0.5, 10], [0.75, 0.75, -8], [1, 1, 0]]
+    },
+    dove: {
+        kind: 'bird', emoji: '🕊️', className: 'bird bird-2', duration: 15000, y: 0.09, flip: true,
+        path: [[0, 0, 0], [0.2, 0.2, 20], [0.4, 0.4, -10], [0.6, 0.6, 15], [0.8, 0.8, -5], [1, 1, 0]]
+    },
+    eagle: {
+        kind: 'bird', emoji: '🦅', className: 'bird bird-3', duration: 10000, y: 0.19,
+        path: [[0, 0, 0], [0.33, 0.33, -20], [0.66, 0.66, 12], [1, 1, -5]]
+    }
+};
+
+// Position along a keyframe path (linear between keyframes)
+function sampleAnimalPath(path, progress) {
+    const t = Math.max(0, Math.min(1, progress));
+    for (let i = 1; i < path.length; i++) {
+        const [endT, endX, endY] = path[i];
+        if (t <= endT) {
+            const [startT, startX, startY] = path[i - 1];
+            const k = endT > startT ? (t - startT) / (endT - startT) : 1;
+            return { x: startX + (endX - startX) * k, y: startY + (endY - startY) * k };
+        }
+    }
+    const [, x, y] = path[path.length - 1];
+    return { x, y };
+}
+
+/**
+ * AnimalSpawner - sends animals across the play area, max `maxActive` at once
+ *
+ * Runs on the simulation's 'tick' event instead of timers, and keeps its
+ * state in the simulation (sim.animals, sim.animalSpawn) so snapshots and
+ * replays include it. pause() stops spawning and freezes the animals,
+ * clear() sends every animal away, destroy() also detaches from the simulation.
+ *
+ * Simulation events: 'animalSpawn' (animal), 'animalLeave' (animal)
+ */
+class AnimalSpawner {
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.maxActive = options.maxActive || 2;
+        this.spawnDelay = options.spawnDelay || { min: 2000, max: 8000 };
+        this.types = options.types || Object.keys(ANIMAL_TYPES);
+        this.paused = false;
+
+        if (simulation.animalSpawn.nextTime === null) this.scheduleNextSpawn();
+        this.unsubscribe = simulation.on('tick', () => this.update());
+    }
+
+    scheduleNextSpawn() {
+        const sim = this.simulation;
+        sim.animalSpawn.nextTime = sim.time + sim.rng.range(this.spawnDelay.min, this.spawnDelay.max);
+    }
+
+    update() {
+        if (this.paused) return;
+
+        const sim = this.simulation;
+        sim.animals.slice().forEach(animal => {
+            animal.elapsed += sim.tickMs;
+            if (animal.elapsed >= ANIMAL_TYPES[animal.type].duration) {
+                this.remove(animal);
+            } else {
+                this.moveAnimal(animal);
+            }
+        });
+
+        if (sim.time >= sim.animalSpawn.nextTime) {
+            if (sim.animals.length < this.maxActive) {
+                this.spawn(sim.rng.pick(this.types));
+            }
+            this.scheduleNextSpawn();
+        }
+    }
+
+    spawn(type) {
+        const sim = this.simulation;
+        const animal = {
+            id: sim.animalSpawn.nextId++,
+            type,
+            kind: ANIMAL_TYPES[type].kind,
+            elapsed: 0,
+            pos: { x: 0, y: 0 }
+        };
+        this.moveAnimal(animal);
+        sim.animals.push(animal);
+        sim.emit('animalSpawn', animal);
+        return animal;
+    }
+
+    moveAnimal(animal) {
+        const { width, height } = this.simulation.bounds;
+        const type = ANIMAL_TYPES[animal.type];
+        const point = sampleAnimalPath(type.path, animal.elapsed / type.duration);
+        animal.pos = {
+            x: -50 + point.x * (width + 100),
+            y: type.y * height + point.y
+        };
+    }
+
+    remove(animal) {
+        const sim = this.simulation;
+        sim.animals = sim.animals.filter(other => other !== animal);
+        sim.emit('animalLeave', animal);
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    // Send every animal away now
+    clear() {
+        this.simulation.animals.slice().forEach(animal => this.remove(animal));
+    }
+
+    destroy() {
+        this.clear();
+        this.unsubscribe();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ANIMAL_TYPES, sampleAnimalPath, AnimalSpawner };
+}
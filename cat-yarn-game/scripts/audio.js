@@ -0,0 +1,389 @@
+/**
+ * Audio Engine - one shared Web Audio graph for every game sound
+ * Everything is synthesized from oscillators and filtered noise, so there
+ * are no files to load. Browsers only let audio start after a user gesture:
+ * the context is created (or resumed) in unlock(), which the game calls from
+ * its click and key handlers. Hand the constructor an OfflineAudioContext
+ * to render sounds into a buffer instead (see AudioEngine.render).
+ */
+
+const AUDIO_DEFAULTS = { volume: 0.7 };
+
+// Bus levels under the master volume
+const AUDIO_BUSES = { effects: 1, purr: 0.6, ambient: 0.35 };
+
+// Ambient bed per weather: filtered noise, `lfo` (Hz) slowly swells it
+const AMBIENT_SOUNDS = {
+    clear: { filter: 'lowpass', frequency: 400, q: 0.7, gain: 0.15, lfo: 0.1 },
+    rain: { filter: 'bandpass', frequency: 2500, q: 0.5, gain: 0.5, lfo: 0 },
+    snow: { filter: 'lowpass', frequency: 250, q: 0.7, gain: 0.1, lfo: 0.05 },
+    wind: { filter: 'bandpass', frequency: 500, q: 1.5, gain: 0.6, lfo: 0.2 }
+};
+
+// Crickets chirp over the weather at night
+const CRICKETS = { frequency: 4400, chirpRate: 28, pulseRate: 1.2, gain: 0.04 };
+
+const AMBIENT_FADE = 1.5; // s to crossfade between ambient beds
+const PAW_PATTER_INTERVAL = 0.07; // s between paw pats at most
+const CHEW_INTERVAL = 0.25; // s between bites
+
+/**
+ * AudioEngine
+ *
+ * One-shot sounds (meow, hiss, chew, pawPatter) are skipped until the
+ * context runs and while muted. Continuous sounds (purring, ambient) are
+ * remembered and started as soon as there is a context.
+ */
+class AudioEngine {
+    constructor(options = {}) {
+        this.createContext = options.createContext || (() => {
+            const Context = window.AudioContext || window.webkitAudioContext;
+            return Context ? new Context() : null;
+        });
+        this.random = options.random || Math.random;
+        this.volume = options.volume !== undefined ? options.volume : AUDIO_DEFAULTS.volume;
+        this.muted = Boolean(options.muted);
+        this.paused = false; // Game paused: the context stays suspended
+
+        this.context = null;
+        this.purring = new Map(); // Cats that should purr: catId -> voice
+        this.purrs = new Map(); // Running purrs: catId -> { level, sources }
+        this.ambientSetting = null; // { weather, night } wanted
+        this.ambient = null; // Running ambient bed
+        this.lastPawTime = -Infinity;
+
+        if (options.context) this.attach(options.context);
+    }
+
+    // Build the master volume and the buses on a context
+    attach(context) {
+        this.context = context;
+        this.master = context.createGain();
+        this.master.gain.value = this.muted ? 0 : this.volume;
+        this.master.connect(context.destination);
+
+        this.buses = {};
+        Object.keys(AUDIO_BUSES).forEach(name => {
+            const bus = context.createGain();
+            bus.gain.value = AUDIO_BUSES[name];
+            bus.connect(this.master);
+            this.buses[name] = bus;
+        });
+        this.noise = this.createNoiseBuffer(2);
+
+        this.purring.forEach((voice, catId) => this.startPurr(catId, voice));
+        this.updateAmbient();
+    }
+
+    // Call from a user gesture: creates the context, or resumes a suspended one
+    unlock() {
+        if (!this.context) {
+            let context = null;
+            try {
+                context = this.createContext();
+            } catch (e) {
+                console.log('Audio not available');
+            }
+            if (!context) return false;
+            this.attach(context);
+        }
+        if (this.isOffline()) return true;
+        if (this.paused) {
+            this.context.suspend();
+        } else if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+        return true;
+    }
+
+    // Silence everything, purring and ambient sound included, until resume()
+    pause() {
+        this.paused = true;
+        if (this.context && !this.isOffline()) this.context.suspend();
+    }
+
+    resume() {
+        this.paused = false;
+        if (this.context && !this.isOffline() && this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+
+    isOffline() {
+        return typeof this.context.startRendering === 'function';
+    }
+
+    // Offline contexts only run while rendering, so they always count as ready
+    isReady() {
+        return Boolean(this.context) && !this.muted &&
+            (this.isOffline() || this.context.state === 'running');
+    }
+
+    setVolume(volume) {
+        this.volume = Math.max(0, Math.min(1, volume));
+        this.applyVolume();
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyVolume();
+    }
+
+    applyVolume() {
+        if (!this.context) return;
+        this.master.gain.setTargetAtTime(this.muted ? 0 : this.volume, this.context.currentTime, 0.02);
+    }
+
+    createNoiseBuffer(seconds) {
+        const { sampleRate } = this.context;
+        const buffer = this.context.createBuffer(1, Math.floor(sampleRate * seconds), sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = this.random() * 2 - 1;
+        }
+        return buffer;
+    }
+
+    // Looping white noise from a random point of the buffer
+    createNoise(start, duration = null) {
+        const source = this.context.createBufferSource();
+        source.buffer = this.noise;
+        source.loop = true;
+        source.start(start, this.random() * this.noise.duration);
+        if (duration !== null) source.stop(start + duration);
+        return source;
+    }
+
+    createFilter(type, frequency, q = 1) {
+        const filter = this.context.createBiquadFilter();
+        filter.type = type;
+        filter.frequency.value = frequency;
+        filter.Q.value = q;
+        return filter;
+    }
+
+    // Gain with a quick attack and exponential decay, feeding a bus
+    createEnvelope(bus, peak, attack, duration, start) {
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(0.0001, start);
+        gain.gain.exponentialRampToValueAtTime(peak, start + attack);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+        gain.connect(this.buses[bus]);
+        return gain;
+    }
+
+    // Chain nodes left to right
+    connect(...nodes) {
+        nodes.slice(1).forEach((node, i) => nodes[i].connect(node));
+    }
+
+    // "Mi-a-ow": pitch rises and falls while a resonant filter opens and
+    // closes like a mouth. `voice` ({ pitch, length }) comes from CAT_PROFILES
+    meow(voice = { pitch: 1, length: 1 }) {
+        if (!this.isReady()) return;
+        const ctx = this.context;
+        const start = ctx.currentTime;
+        const base = 550 * voice.pitch * (0.9 + this.random() * 0.2);
+        const length = 0.4 * voice.length * (0.85 + this.random() * 0.3);
+
+        const voiceOsc = ctx.createOscillator();
+        voiceOsc.type = 'sawtooth';
+        voiceOsc.frequency.setValueAtTime(base * 0.8, start);
+        voiceOsc.frequency.exponentialRampToValueAtTime(base * 1.4, start + length * 0.3);
+        voiceOsc.frequency.exponentialRampToValueAtTime(base * 0.7, start + length);
+
+        const mouth = this.createFilter('lowpass', base * 1.5, 6);
+        mouth.frequency.setValueAtTime(base * 1.5, start);
+        mouth.frequency.exponentialRampToValueAtTime(base * 4, start + length * 0.35);
+        mouth.frequency.exponentialRampToValueAtTime(base * 1.2, start + length);
+
+        this.connect(voiceOsc, mouth, this.createEnvelope('effects', 0.25, 0.04, length, start));
+        voiceOsc.start(start);
+        voiceOsc.stop(start + length + 0.05);
+    }
+
+    // Startled: a burst of high noise
+    hiss() {
+        if (!this.isReady()) return;
+        const start = this.context.currentTime;
+        const duration = 0.7;
+        this.connect(
+            this.createNoise(start, duration),
+            this.createFilter('highpass', 2500, 0.5),
+            this.createEnvelope('effects', 0.3, 0.05, duration, start)
+        );
+    }
+
+    // Crunchy bites spread over `duration` seconds of eating
+    chew(duration = 1) {
+        if (!this.isReady()) return;
+        const now = this.context.currentTime;
+        const bites = Math.max(1, Math.floor(duration / CHEW_INTERVAL));
+        for (let i = 0; i < bites; i++) {
+            const start = now + i * CHEW_INTERVAL + this.random() * 0.05;
+            this.connect(
+                this.createNoise(start, 0.08),
+                this.createFilter('bandpass', 900 + this.random() * 600, 2),
+                this.createEnvelope('effects', 0.2, 0.005, 0.08, start)
+            );
+        }
+    }
+
+    // Soft thump for a paw print (rate limited, prints come in bursts)
+    pawPatter() {
+        if (!this.isReady()) return;
+        const start = this.context.currentTime;
+        if (start - this.lastPawTime < PAW_PATTER_INTERVAL) return;
+        this.lastPawTime = start;
+        this.connect(
+            this.createNoise(start, 0.06),
+            this.createFilter('lowpass', 250 + this.random() * 100, 1),
+            this.createEnvelope('effects', 0.12, 0.005, 0.06, start)
+        );
+    }
+
+    setPurring(catId, purring, voice = { pitch: 1, length: 1 }) {
+        if (purring) {
+            this.purring.set(catId, voice);
+        } else {
+            this.purring.delete(catId);
+        }
+        if (!this.context) return;
+
+        if (purring && !this.purrs.has(catId)) {
+            this.startPurr(catId, voice);
+        } else if (!purring && this.purrs.has(catId)) {
+            this.fadeOut(this.purrs.get(catId), 0.4);
+            this.purrs.delete(catId);
+        }
+    }
+
+    // Low rumble pulsing about 25 times a second
+    startPurr(catId, voice) {
+        const ctx = this.context;
+        const start = ctx.currentTime;
+
+        const rumble = ctx.createOscillator();
+        rumble.type = 'sawtooth';
+        rumble.frequency.value = 45 * voice.pitch;
+
+        const pulse = ctx.createGain();
+        pulse.gain.value = 0.5;
+        const pulseRate = ctx.createOscillator();
+        pulseRate.frequency.value = 22 + 6 * voice.pitch;
+        const pulseDepth = ctx.createGain();
+        pulseDepth.gain.value = 0.5;
+        this.connect(pulseRate, pulseDepth, pulse.gain);
+
+        const level = ctx.createGain();
+        level.gain.setValueAtTime(0, start);
+        level.gain.linearRampToValueAtTime(0.4, start + 0.5);
+        this.connect(rumble, this.createFilter('lowpass', 300, 1), pulse, level, this.buses.purr);
+
+        rumble.start(start);
+        pulseRate.start(start);
+        this.purrs.set(catId, { level, sources: [rumble, pulseRate] });
+    }
+
+    // Background bed for the weather, with crickets at night
+    setAmbient(weather, night = false) {
+        this.ambientSetting = { weather, night };
+        this.updateAmbient();
+    }
+
+    updateAmbient() {
+        if (!this.context || !this.ambientSetting) return;
+        const { weather, night } = this.ambientSetting;
+        if (this.ambient && this.ambient.weather === weather && this.ambient.night === night) return;
+
+        if (this.ambient) this.fadeOut(this.ambient, AMBIENT_FADE);
+        this.ambient = this.startAmbient(weather, night);
+    }
+
+    startAmbient(weather, night) {
+        const ctx = this.context;
+        const start = ctx.currentTime;
+        const sound = AMBIENT_SOUNDS[weather] || AMBIENT_SOUNDS.clear;
+
+        const level = ctx.createGain();
+        level.gain.setValueAtTime(0, start);
+        level.gain.linearRampToValueAtTime(1, start + AMBIENT_FADE);
+        level.connect(this.buses.ambient);
+
+        const bed = ctx.createGain();
+        bed.gain.value = sound.gain;
+        const noise = this.createNoise(start);
+        this.connect(noise, this.createFilter(sound.filter, sound.frequency, sound.q), bed, level);
+        const sources = [noise];
+
+        if (sound.lfo) {
+            const swell = ctx.createOscillator();
+            swell.frequency.value = sound.lfo;
+            const depth = ctx.createGain();
+            depth.gain.value = sound.gain * 0.5;
+            this.connect(swell, depth, bed.gain);
+            swell.start(start);
+            sources.push(swell);
+        }
+
+        if (night) {
+            // A tone gated by a fast square wave (chirp) and a slow one (pulses)
+            const tone = ctx.createOscillator();
+            tone.frequency.value = CRICKETS.frequency;
+            const chirp = ctx.createGain();
+            const pulse = ctx.createGain();
+            const cricketLevel = ctx.createGain();
+            cricketLevel.gain.value = CRICKETS.gain;
+            this.connect(tone, chirp, pulse, cricketLevel, level);
+            [[chirp, CRICKETS.chirpRate], [pulse, CRICKETS.pulseRate]].forEach(([gate, rate]) => {
+                gate.gain.value = 0.5;
+                const lfo = ctx.createOscillator();
+                lfo.type = 'square';
+                lfo.frequency.value = rate;
+                const depth = ctx.createGain();
+                depth.gain.value = 0.5;
+                this.connect(lfo, depth, gate.gain);
+                lfo.start(start);
+                sources.push(lfo);
+            });
+            tone.start(start);
+            sources.push(tone);
+        }
+
+        return { weather, night, level, sources };
+    }
+
+    // Ramp a continuous sound down and stop its sources
+    fadeOut({ level, sources }, seconds) {
+        const now = this.context.currentTime;
+        level.gain.cancelScheduledValues(now);
+        level.gain.setValueAtTime(level.gain.value, now);
+        level.gain.linearRampToValueAtTime(0, now + seconds);
+        sources.forEach(source => source.stop(now + seconds));
+    }
+
+    destroy() {
+        if (!this.context) return;
+        this.purrs.forEach(purr => this.fadeOut(purr, 0.05));
+        this.purrs.clear();
+        if (this.ambient) this.fadeOut(this.ambient, 0.05);
+        this.ambient = null;
+        if (!this.isOffline()) this.context.close();
+        this.context = null;
+    }
+
+    // Render sounds without speakers (tests): `play(engine)` schedules them
+    // from time 0; resolves with the rendered AudioBuffer
+    static render(play, { duration = 1, sampleRate = 44100, random } = {}) {
+        const context = new OfflineAudioContext(1, Math.ceil(duration * sampleRate), sampleRate);
+        const engine = new AudioEngine({ context, random });
+        play(engine);
+        return context.startRendering();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AUDIO_DEFAULTS, AUDIO_BUSES, AMBIENT_SOUNDS, CRICKETS, AudioEngine
+    };
+}
@@ -0,0 +1,146 @@
+/**
+ * Challenge Mode - timed rounds with per-level catch targets
+ * Runs on simulation time, so demo mode and replays never eat into a round.
+ * In two-player mode both cats count towards the target (co-op).
+ * Catches count with their points, so a passing dog is worth waiting for.
+ */
+
+// Each level makes catches harder: smaller catch radius, longer cooldown,
+// and a cat that tires sooner
+const CHALLENGE_LEVELS = [
+    { target: 8, pounceTriggerDistance: 25, pounceCooldown: 500, restAfterPounces: { min: 6, max: 8 } },
+    { target: 10, pounceTriggerDistance: 22, pounceCooldown: 650, restAfterPounces: { min: 5, max: 7 } },
+    { target: 12, pounceTriggerDistance: 19, pounceCooldown: 800, restAfterPounces: { min: 4, max: 6 } },
+    { target: 14, pounceTriggerDistance: 16, pounceCooldown: 950, restAfterPounces: { min: 3, max: 5 } },
+    { target: 15, pounceTriggerDistance: 14, pounceCooldown: 1100, restAfterPounces: { min: 3, max: 4 } }
+];
+
+const CHALLENGE_ROUND_MS = 60000;
+
+// Catches needed for 1/2/3 stars, as a multiple of the level target
+const CHALLENGE_STAR_RATIOS = [1, 1.5, 2];
+
+// Cat tuning a level is allowed to override
+const CHALLENGE_TUNING_KEYS = ['pounceTriggerDistance', 'pounceCooldown', 'restAfterPounces'];
+
+/**
+ * ChallengeMode
+ *
+ * Events: 'start' (level info), 'progress' ({ catches, target, remaining }),
+ * 'finish' (result)
+ */
+class ChallengeMode extends EventEmitter {
+    constructor(simulation, levels = CHALLENGE_LEVELS) {
+        super();
+        this.simulation = simulation;
+        this.levels = levels;
+        this.roundDuration = CHALLENGE_ROUND_MS;
+        this.active = false;
+        this.levelIndex = 0;
+        this.catches = 0;
+        this.subscriptions = [];
+    }
+
+    get level() {
+        return this.levels[this.levelIndex];
+    }
+
+    hasNextLevel() {
+        return this.levelIndex < this.levels.length - 1;
+    }
+
+    start(levelIndex = 0) {
+        if (this.active) this.stop();
+
+        const sim = this.simulation;
+        this.levelIndex = Math.max(0, Math.min(levelIndex, this.levels.length - 1));
+        this.catches = 0;
+        this.startTime = sim.time;
+        this.active = true;
+
+        this.applyLevelTuning();
+        this.subscriptions = [
+            sim.on('catch', ({ points = 1 }) => {
+                this.catches += points; // Worth double while a dog is around
+                this.emitProgress();
+            }),
+            sim.on('tick', () => {
+                if (this.getRemaining() <= 0) {
+                    this.finish();
+                } else {
+                    this.emitProgress();
+                }
+            })
+        ];
+
+        this.emit('start', { levelIndex: this.levelIndex, ...this.level });
+        this.emitProgress();
+    }
+
+    // Abort the round without a result. keepTuning leaves the level's tuning
+    // to whoever replaced the simulation state (a replay brings its own).
+    stop({ keepTuning = false } = {}) {
+        if (!this.active) return;
+        this.teardown();
+        if (!keepTuning) this.restoreTuning();
+    }
+
+    finish() {
+        const result = {
+            levelIndex: this.levelIndex,
+            catches: this.catches,
+            target: this.level.target,
+            stars: this.getStars(this.catches),
+            passed: this.catches >= this.level.target,
+            hasNextLevel: this.hasNextLevel()
+        };
+        this.teardown();
+        this.restoreTuning();
+        this.emit('finish', result);
+        return result;
+    }
+
+    teardown() {
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions = [];
+        this.active = false;
+    }
+
+    getStars(catches) {
+        return CHALLENGE_STAR_RATIOS
+            .filter(ratio => catches >= Math.ceil(this.level.target * ratio))
+            .length;
+    }
+
+    // Milliseconds left in the round
+    getRemaining() {
+        if (!this.active) return 0;
+        return Math.max(0, this.roundDuration - (this.simulation.time - this.startTime));
+    }
+
+    emitProgress() {
+        this.emit('progress', {
+            catches: this.catches,
+            target: this.level.target,
+            remaining: this.getRemaining()
+        });
+    }
+
+    // Tuning goes through the input queue, so a recording started mid-round
+    // replays the level change (and the pounce budget it rolls)
+    applyLevelTuning() {
+        const overrides = {};
+        CHALLENGE_TUNING_KEYS.forEach(key => {
+            if (this.level[key] !== undefined) overrides[key] = this.level[key];
+        });
+        this.simulation.queueInput({ type: 'tuning', overrides });
+    }
+
+    restoreTuning() {
+        this.simulation.queueInput({ type: 'tuning', overrides: {} });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CHALLENGE_LEVELS, CHALLENGE_ROUND_MS, ChallengeMode };
+}
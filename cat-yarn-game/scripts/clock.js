@@ -0,0 +1,91 @@
+/**
+ * GameClock - game time that stands still while the game is paused
+ *
+ * The game loop calls tick() once per frame and hands the elapsed game time
+ * to the simulation, so everything on simulation time (resting, eating,
+ * pounces, the animal spawner, challenge rounds) freezes with it. Visual
+ * timers (particles, paw prints, meow bubbles) use after() instead of
+ * setTimeout for the same reason.
+ *
+ * Several things can pause at once ('user': pause button, Esc, fist or
+ * Start; 'hidden': tab hidden or window blurred); the clock runs again
+ * once every reason is gone.
+ *
+ * Events: 'pause' ({ reason }), 'resume' ({ reason })
+ */
+class GameClock extends EventEmitter {
+    constructor(now = () => performance.now()) {
+        super();
+        this.now = now; // Wall clock (ms)
+        this.time = 0; // Game time (ms), only advances while running
+        this.lastNow = now();
+        this.pauseReasons = new Set();
+        this.timers = []; // { id, at, callback }
+        this.nextTimerId = 0;
+    }
+
+    get paused() {
+        return this.pauseReasons.size > 0;
+    }
+
+    isPausedBy(reason) {
+        return this.pauseReasons.has(reason);
+    }
+
+    pause(reason = 'user') {
+        if (this.pauseReasons.has(reason)) return;
+        const wasPaused = this.paused;
+        this.pauseReasons.add(reason);
+        if (!wasPaused) this.emit('pause', { reason });
+    }
+
+    resume(reason = 'user') {
+        if (!this.pauseReasons.delete(reason) || this.paused) return;
+        // The paused stretch never counts as game time
+        this.lastNow = this.now();
+        this.emit('resume', { reason });
+    }
+
+    toggle(reason = 'user') {
+        if (this.isPausedBy(reason)) {
+            this.resume(reason);
+        } else {
+            this.pause(reason);
+        }
+    }
+
+    // Once per frame: advances game time, runs due timers and returns the
+    // elapsed game time (0 while paused)
+    tick() {
+        const now = this.now();
+        const elapsed = this.paused ? 0 : Math.max(0, now - this.lastNow);
+        this.lastNow = now;
+        this.time += elapsed;
+
+        // Timers added by these callbacks wait for the next frame
+        const due = this.timers.filter(timer => timer.at <= this.time);
+        this.timers = this.timers.filter(timer => timer.at > this.time);
+        due.forEach(timer => timer.callback());
+        return elapsed;
+    }
+
+    // setTimeout on game time; returns an id for cancel()
+    after(ms, callback) {
+        const id = this.nextTimerId++;
+        this.timers.push({ id, at: this.time + ms, callback });
+        return id;
+    }
+
+    cancel(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+
+    // Drop every pending timer
+    clear() {
+        this.timers = [];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameClock };
+}
@@ -0,0 +1,93 @@
+/**
+ * Cosmetics - coat patterns, accessories and yarn colors for the wardrobe
+ * Each player wears an outfit ({ coat, hat, bow, collar, yarnColor }); the
+ * renderer turns it into classes and CSS variables (see cat.css / ui.css).
+ * Entries named as an achievement reward stay locked until it is earned.
+ * Names live in the locale catalogs under cosmetics.<slot>.<id>.
+ */
+
+const COSMETICS = {
+    // 'breed' keeps the colors of the cat's breed (CAT_PROFILES)
+    coat: {
+        breed: { icon: '🐱' },
+        tabby: { icon: '🐯' },
+        calico: { icon: '🎨' },
+        black: { icon: '🐈‍⬛' },
+        white: { icon: '🤍' }
+    },
+    // Accessories layered on .cat-head
+    hat: {
+        none: { icon: '🚫' },
+        party: { icon: '🎉' },
+        crown: { icon: '👑' },
+        tophat: { icon: '🎩' },
+        cap: { icon: '🧢' }
+    },
+    bow: {
+        none: { icon: '🚫' },
+        red: { icon: '🎀', color: '#ff4757' },
+        blue: { icon: '🎀', color: '#4dabf7' },
+        yellow: { icon: '🎀', color: '#ffd43b' }
+    },
+    collar: {
+        none: { icon: '🚫' },
+        bell: { icon: '🔔', color: '#ff4757' },
+        green: { icon: '🔔', color: '#2ecc71' }
+    },
+    // Yarn color themes: ball gradient and trail (`colors`), fluff particles
+    yarnColor: {
+        pink: {
+            colors: { pink: '#ff6b9d', dark: '#e84a7f', light: '#ffb3cc' },
+            particles: ['#ff6b9d', '#ff9f43', '#ffd8a8', '#ffb3cc']
+        },
+        sky: {
+            colors: { pink: '#4dabf7', dark: '#1c7ed6', light: '#a5d8ff' },
+            particles: ['#4dabf7', '#74c0fc', '#a5d8ff', '#d0ebff']
+        },
+        fire: {
+            colors: { pink: '#ff8c42', dark: '#e8590c', light: '#ffc078' },
+            particles: ['#ff8c42', '#ff6b6b', '#ffd43b', '#ffc078']
+        },
+        mint: {
+            colors: { pink: '#38d9a9', dark: '#0ca678', light: '#96f2d7' },
+            particles: ['#38d9a9', '#69db7c', '#96f2d7', '#c3fae8']
+        },
+        midnight: {
+            colors: { pink: '#845ef7', dark: '#5f3dc4', light: '#d0bfff' },
+            particles: ['#845ef7', '#5c7cfa', '#d0bfff', '#ffd43b']
+        }
+    },
+    // Extra lines mixed into the random meows once unlocked (meows.unlocked.<id>)
+    meow: {
+        proud: {},
+        sleepy: {},
+        cheese: {},
+        foodie: {}
+    }
+};
+
+// Outfit slots shown in the wardrobe, in order (labels: wardrobe.slots.<slot>)
+const WARDROBE_SLOTS = ['coat', 'hat', 'bow', 'collar', 'yarnColor'];
+
+// Player 2 starts with blue yarn so the balls are easy to tell apart
+const DEFAULT_WARDROBE = [
+    { coat: 'breed', hat: 'none', bow: 'none', collar: 'none', yarnColor: 'pink' },
+    { coat: 'breed', hat: 'none', bow: 'none', collar: 'none', yarnColor: 'sky' }
+];
+
+// A complete outfit for a player: unknown or missing slots get the default
+function normalizeOutfit(outfit, player = 0) {
+    const defaults = DEFAULT_WARDROBE[player] || DEFAULT_WARDROBE[0];
+    const normalized = {};
+    WARDROBE_SLOTS.forEach(slot => {
+        const id = outfit && outfit[slot];
+        normalized[slot] = COSMETICS[slot][id] ? id : defaults[slot];
+    });
+    return normalized;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COSMETICS, WARDROBE_SLOTS, DEFAULT_WARDROBE, normalizeOutfit
+    };
+}
@@ -0,0 +1,262 @@
+/**
+ * Effects - particles from data-driven emitters
+ * EFFECT_EMITTERS describes what each effect looks like and how it moves,
+ * EFFECT_TRIGGERS which game events fire bursts of it, EFFECT_STREAMS which
+ * cat poses keep an emitter running. The EffectSystem only moves particles
+ * (on game time, so they freeze while paused); the renderer draws the live
+ * ones it hands over each frame.
+ */
+
+// Most particles alive at once; the oldest make room for new ones
+const EFFECT_LIMIT = 600;
+
+// Share of particles and of their speed left with reduced motion
+const REDUCED_MOTION_EFFECTS = 0.3;
+
+/**
+ * Emitters:
+ * - shape: 'square' (fluff with an outline), 'circle' or 'glyph' (emoji / text)
+ * - layer: 'ground' (under the cats, like paw prints) or 'air'
+ * - size: px; glyph: the text of 'glyph' particles
+ * - colors: color ramp over the particle's life (#rrggbb), or palette: 'yarn'
+ *   for one color of the player's yarn theme per particle
+ * - count: particles per burst; rate: particles per second while streamed
+ * - lifetime: ms; spread: [x, y] random offset box around the spawn point
+ * - velocity: { x: [min, max], y: [min, max] } px/s; gravity: px/s²
+ * - rotation: [min, max] degrees; alpha / scale: [start, end] over the life
+ * - max: most particles of this emitter alive at once
+ * - offset: { x, y } from the cat, for streams
+ */
+const EFFECT_EMITTERS = {
+    fluff: {
+        shape: 'square', layer: 'air', size: 12, palette: 'yarn',
+        count: 1, lifetime: 800, spread: [20, 20],
+        velocity: { x: [0, 0], y: [-25, -25] }, gravity: 0,
+        alpha: [1, 0], scale: [1, 0.5], max: 400
+    },
+    pawPrint: {
+        shape: 'glyph', layer: 'ground', glyph: '🐾', size: 16,
+        count: 1, lifetime: 2000, spread: [30, 10],
+        rotation: [-30, 30], alpha: [0.4, 0], max: 40
+    },
+    dust: {
+        shape: 'circle', layer: 'ground', size: 10, colors: ['#c4c4c4', '#f1f3f5'],
+        count: 6, lifetime: 500, spread: [30, 4],
+        velocity: { x: [-70, 70], y: [-40, -10] }, gravity: 150,
+        alpha: [0.8, 0], scale: [0.6, 1.6], max: 60
+    },
+    hearts: {
+        shape: 'glyph', layer: 'air', glyph: '💕', size: 14,
+        rate: 1.5, lifetime: 1200, spread: [24, 6], offset: { x: 0, y: -40 },
+        velocity: { x: [-10, 10], y: [-45, -30] }, gravity: 0,
+        alpha: [1, 0], scale: [0.6, 1.1], max: 20
+    },
+    zzz: {
+        shape: 'glyph', layer: 'air', glyph: 'z', size: 16, colors: ['#535353', '#adb5bd'],
+        rate: 1, lifetime: 2000, spread: [6, 6], offset: { x: 10, y: -45 },
+        velocity: { x: [8, 16], y: [-22, -16] }, gravity: 0,
+        rotation: [-15, 15], alpha: [1, 0], scale: [0.6, 1.5], max: 12
+    }
+};
+
+// Game event -> bursts it fires: { emitter, y (offset), count (number or
+// payload => number) }; the event's x / y are the spawn point (else its cat's
+// or yarn's position), its cat or yarn the player whose yarn colors fluff takes
+const EFFECT_TRIGGERS = {
+    particle: [{ emitter: 'fluff' }],
+    ropeBat: [{ emitter: 'fluff' }],
+    pawPrint: [{ emitter: 'pawPrint', y: 20 }],
+    pounceLand: [{ emitter: 'dust', y: 40 }, { emitter: 'fluff', y: 20, count: 3 }],
+    // Harder impacts kick up more fluff
+    yarnBounce: [{ emitter: 'fluff', y: 15, count: ({ impact }) => Math.min(4, Math.floor(impact / 4)) }]
+};
+
+// Cat pose -> emitter that runs while the cat holds it
+const EFFECT_STREAMS = {
+    eating: 'hearts',
+    resting: 'zzz',
+    sleeping: 'zzz'
+};
+
+const randomBetween = ([min, max]) => min + Math.random() * (max - min);
+
+// Color of a ramp at progress t (0-1), mixed by mixColor (scripts/environment.js)
+function sampleColorRamp(colors, t) {
+    if (colors.length === 1) return colors[0];
+    const position = Math.min(1, Math.max(0, t)) * (colors.length - 1);
+    const index = Math.min(colors.length - 2, Math.floor(position));
+    return mixColor(colors[index], colors[index + 1], position - index);
+}
+
+/**
+ * EffectSystem - spawns, moves and expires particles
+ *
+ * Particles are plain objects the renderer reads every frame: { name,
+ * shape, layer, glyph, x, y, size, rotation (deg), alpha, scale, color,
+ * alive }. `alive` turns false once a particle is gone, so renderers can
+ * hand its element back.
+ *
+ * options.getPalette(player): fluff colors of a player's yarn theme
+ * options.emitters / options.limit: replace EFFECT_EMITTERS / EFFECT_LIMIT
+ */
+class EffectSystem {
+    constructor(options = {}) {
+        this.getPalette = options.getPalette || (() => ['#ff6b9d']);
+        this.emitters = options.emitters || EFFECT_EMITTERS;
+        this.limit = options.limit || EFFECT_LIMIT;
+        this.time = 0; // Effect time (ms), advanced by update()
+        this.particles = []; // Oldest first
+        this.counts = {}; // Live particles per emitter
+        this.streams = new Map(); // key -> { name, getPosition, player, debt }
+        this.reducedMotion = false;
+        this.burstDebt = 0; // Fractional particles carried between reduced bursts
+    }
+
+    // Fewer, slower particles (prefers-reduced-motion)
+    setReducedMotion(on) {
+        this.reducedMotion = Boolean(on);
+        this.burstDebt = 0;
+    }
+
+    // Fire the bursts EFFECT_TRIGGERS lists for a game event
+    trigger(event, payload = {}) {
+        const bursts = EFFECT_TRIGGERS[event];
+        if (!bursts) return;
+        const owner = payload.cat || payload.yarn;
+        const at = payload.x !== undefined ? payload : owner.pos;
+        bursts.forEach(({ emitter, y = 0, count }) => {
+            const times = typeof count === 'function' ? count(payload) : count;
+            this.emit(emitter, at.x, at.y + y, { player: owner ? owner.id : 0, count: times });
+        });
+    }
+
+    // Every EFFECT_TRIGGERS event of an EventEmitter (the simulation) fires its bursts
+    listenTo(emitter) {
+        Object.keys(EFFECT_TRIGGERS).forEach(event => {
+            emitter.on(event, payload => this.trigger(event, payload));
+        });
+    }
+
+    // A burst of `count` particles (the emitter's own count by default)
+    emit(name, x, y, { player = 0, count } = {}) {
+        const emitter = this.emitters[name];
+        if (!emitter) return;
+        const palette = emitter.palette === 'yarn' ? this.getPalette(player) : null;
+        let times = count === undefined ? (emitter.count || 1) : count;
+        if (this.reducedMotion) {
+            this.burstDebt += times * REDUCED_MOTION_EFFECTS;
+            times = Math.floor(this.burstDebt + 1e-9); // 0.3 × 10 isn't quite 3 in floats
+            this.burstDebt -= times;
+        }
+        for (let i = 0; i < times; i++) this.spawn(name, emitter, x, y, palette);
+    }
+
+    spawn(name, emitter, x, y, palette) {
+        // Caps: the oldest particle of this emitter, or of all, makes room
+        if ((this.counts[name] || 0) >= emitter.max) {
+            this.remove(this.particles.findIndex(particle => particle.name === name));
+        } else if (this.particles.length >= this.limit) {
+            this.remove(0);
+        }
+
+        const [spreadX, spreadY] = emitter.spread || [0, 0];
+        const velocity = emitter.velocity || { x: [0, 0], y: [0, 0] };
+        const alpha = emitter.alpha || [1, 1];
+        const scale = emitter.scale || [1, 1];
+        const speed = this.reducedMotion ? REDUCED_MOTION_EFFECTS : 1;
+        const particle = {
+            name,
+            shape: emitter.shape,
+            layer: emitter.layer,
+            glyph: emitter.glyph || '',
+            size: emitter.size,
+            x: x + (Math.random() - 0.5) * spreadX,
+            y: y + (Math.random() - 0.5) * spreadY,
+            vx: randomBetween(velocity.x) * speed,
+            vy: randomBetween(velocity.y) * speed,
+            rotation: emitter.rotation ? randomBetween(emitter.rotation) : 0,
+            alpha: alpha[0],
+            scale: scale[0],
+            color: palette ? palette[Math.floor(Math.random() * palette.length)] : (emitter.colors || ['#535353'])[0],
+            born: this.time,
+            alive: true,
+            emitter
+        };
+        this.particles.push(particle);
+        this.counts[name] = (this.counts[name] || 0) + 1;
+    }
+
+    remove(index) {
+        if (index < 0) return;
+        const [particle] = this.particles.splice(index, 1);
+        particle.alive = false;
+        this.counts[particle.name]--;
+    }
+
+    // Keep an emitter running at its rate (name null stops it); getPosition()
+    // is asked for the spawn point every time
+    setStream(key, name, getPosition, player = 0) {
+        const current = this.streams.get(key);
+        if (!name) {
+            this.streams.delete(key);
+        } else if (!current || current.name !== name) {
+            this.streams.set(key, { name, getPosition, player, debt: 1 }); // First particle right away
+        } else {
+            current.getPosition = getPosition;
+        }
+    }
+
+    // Advance by `elapsed` ms of game time: streams, motion, fades
+    update(elapsed) {
+        if (elapsed <= 0) return;
+        this.time += elapsed;
+        const seconds = elapsed / 1000;
+
+        this.streams.forEach(stream => {
+            const emitter = this.emitters[stream.name];
+            stream.debt += emitter.rate * seconds;
+            if (stream.debt < 1) return;
+            const count = Math.floor(stream.debt);
+            stream.debt -= count;
+            const { x, y } = stream.getPosition();
+            const offset = emitter.offset || { x: 0, y: 0 };
+            this.emit(stream.name, x + offset.x, y + offset.y, { player: stream.player, count });
+        });
+
+        let expired = 0;
+        this.particles.forEach(particle => {
+            const { emitter } = particle;
+            const t = (this.time - particle.born) / emitter.lifetime;
+            if (t >= 1) {
+                particle.alive = false;
+                this.counts[particle.name]--;
+                expired++;
+                return;
+            }
+            particle.vy += (emitter.gravity || 0) * seconds;
+            particle.x += particle.vx * seconds;
+            particle.y += particle.vy * seconds;
+            if (emitter.alpha) particle.alpha = emitter.alpha[0] + (emitter.alpha[1] - emitter.alpha[0]) * t;
+            if (emitter.scale) particle.scale = emitter.scale[0] + (emitter.scale[1] - emitter.scale[0]) * t;
+            if (emitter.colors) particle.color = sampleColorRamp(emitter.colors, t);
+        });
+        if (expired > 0) this.particles = this.particles.filter(particle => particle.alive);
+    }
+
+    // Drop every particle and stream (snapshot restored, game destroyed)
+    clear() {
+        this.particles.forEach(particle => {
+            particle.alive = false;
+        });
+        this.particles = [];
+        this.counts = {};
+        this.streams.clear();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EFFECT_LIMIT, REDUCED_MOTION_EFFECTS, EFFECT_EMITTERS, EFFECT_TRIGGERS, EFFECT_STREAMS,
+        sampleColorRamp, EffectSystem
+    };
+}
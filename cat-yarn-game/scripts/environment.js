@@ -0,0 +1,207 @@
+/**
+ * Environment - time of day and weather for the scene
+ * The simulation only knows the current phase and weather (sim.environment,
+ * changed through 'environment' inputs so replays repeat them); this module
+ * decides when they change and which colors the scenery gets.
+ */
+
+// Phases of the day by local hour; `hour` is where the sky is fully in that phase
+// (names: phases.<id> in scripts/locales)
+const TIME_PHASES = {
+    dawn: { icon: '🌅', from: 5, to: 8, hour: 6.5 },
+    day: { icon: '☀️', from: 8, to: 17, hour: 12 },
+    dusk: { icon: '🌇', from: 17, to: 20, hour: 18.5 },
+    night: { icon: '🌙', from: 20, to: 5, hour: 0 }
+};
+
+// Scene colors (CSS variables in base.css) per phase
+const SKY_PALETTES = {
+    night: {
+        '--scene-sky': '#1f2540', '--scene-ground': '#2a2f45', '--scene-line': '#9aa3c0',
+        '--scene-detail': '#5c6688', '--scene-cloud': '#3d4566', '--scene-cloud-edge': '#5c6688',
+        '--scene-stars': 1
+    },
+    dawn: {
+        '--scene-sky': '#f6d9c4', '--scene-ground': '#efe0d2', '--scene-line': '#6b5a5a',
+        '--scene-detail': '#9a8080', '--scene-cloud': '#fbe9dc', '--scene-cloud-edge': '#b08f8f',
+        '--scene-stars': 0.2
+    },
+    day: {
+        '--scene-sky': '#f7f7f7', '--scene-ground': '#f7f7f7', '--scene-line': '#535353',
+        '--scene-detail': '#747474', '--scene-cloud': '#c4c4c4', '--scene-cloud-edge': '#747474',
+        '--scene-stars': 0
+    },
+    dusk: {
+        '--scene-sky': '#f2b48a', '--scene-ground': '#e8c6a8', '--scene-line': '#5a4348',
+        '--scene-detail': '#8a6a6a', '--scene-cloud': '#f6c9a8', '--scene-cloud-edge': '#a06d60',
+        '--scene-stars': 0.3
+    }
+};
+
+// [hour, palette] keyframes the sky blends between
+const SKY_KEYFRAMES = [
+    [0, 'night'], [5, 'night'], [6.5, 'dawn'], [8, 'day'],
+    [17, 'day'], [18.5, 'dusk'], [20, 'night'], [24, 'night']
+];
+
+// Weather picked at random (by weight) for a random duration (ms of simulation time)
+// (names: weather.<id> in scripts/locales)
+const WEATHER_TYPES = {
+    clear: { icon: '🌤️', weight: 5, duration: { min: 40000, max: 90000 } },
+    rain: { icon: '🌧️', weight: 2, duration: { min: 20000, max: 40000 } },
+    snow: { icon: '❄️', weight: 1, duration: { min: 25000, max: 45000 } },
+    wind: { icon: '🌬️', weight: 2, duration: { min: 15000, max: 30000 } }
+};
+
+// Horizontal push on free yarn balls while windy (px per tick²)
+const WIND_STRENGTH = { min: 0.03, max: 0.07 };
+
+const TIME_MODES = ['real', 'demo'];
+
+// Demo mode: one whole day in this many ms of play, starting at dawn
+const DEMO_DAY_LENGTH = 120000;
+const DEMO_START_HOUR = 5;
+
+function getTimePhase(hour) {
+    const h = ((hour % 24) + 24) % 24;
+    return Object.keys(TIME_PHASES).find(id => {
+        const { from, to } = TIME_PHASES[id];
+        return from < to ? h >= from && h < to : h >= from || h < to;
+    });
+}
+
+// #rrggbb between two colors (k: 0-1); the effect color ramps use it too
+function mixColor(from, to, k) {
+    const a = parseInt(from.slice(1), 16);
+    const b = parseInt(to.slice(1), 16);
+    const channel = (shift) => {
+        const start = (a >> shift) & 0xff;
+        const end = (b >> shift) & 0xff;
+        return Math.round(start + (end - start) * k);
+    };
+    return `#${((channel(16) << 16) | (channel(8) << 8) | channel(0)).toString(16).padStart(6, '0')}`;
+}
+
+// CSS variable values for an hour, blended between the nearest keyframes
+function getSkyPalette(hour) {
+    const h = ((hour % 24) + 24) % 24;
+    let i = 1;
+    while (i < SKY_KEYFRAMES.length - 1 && SKY_KEYFRAMES[i][0] <= h) i++;
+    const [startHour, startId] = SKY_KEYFRAMES[i - 1];
+    const [endHour, endId] = SKY_KEYFRAMES[i];
+    const k = endHour > startHour ? (h - startHour) / (endHour - startHour) : 0;
+
+    const start = SKY_PALETTES[startId];
+    const end = SKY_PALETTES[endId];
+    const palette = {};
+    Object.keys(start).forEach(name => {
+        palette[name] = typeof start[name] === 'number'
+            ? Math.round((start[name] + (end[name] - start[name]) * k) * 100) / 100
+            : mixColor(start[name], end[name], k);
+    });
+    return palette;
+}
+
+/**
+ * EnvironmentCycle - moves the simulation through the day and the weather
+ *
+ * 'real' mode follows the local clock; 'demo' mode runs a whole day in
+ * DEMO_DAY_LENGTH of simulation time. Checks on the simulation's 'tick'
+ * event and queues an 'environment' input when the phase or weather should
+ * change. Suspended during replays, which bring their own inputs.
+ */
+class EnvironmentCycle {
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.now = options.now || (() => new Date());
+        this.rng = options.rng || new SeededRandom();
+        this.demoDayLength = options.demoDayLength || DEMO_DAY_LENGTH;
+        this.mode = 'real';
+        this.demoStartTime = 0;
+        this.forcedWeather = null; // Weather picked in the settings instead of at random
+        this.weatherUntil = simulation.time + this.rollDuration('clear');
+        this.suspended = false;
+
+        this.setMode(options.mode || 'real');
+        this.unsubscribe = simulation.on('tick', () => this.update());
+    }
+
+    setMode(mode) {
+        this.mode = TIME_MODES.includes(mode) ? mode : 'real';
+        this.demoStartTime = this.simulation.time;
+    }
+
+    // null (or 'auto') goes back to random weather
+    setWeather(weather) {
+        this.forcedWeather = WEATHER_TYPES[weather] ? weather : null;
+        this.weatherUntil = this.simulation.time;
+    }
+
+    // Hour of the day (0-24). Replays show the phase they recorded.
+    getHour() {
+        if (this.suspended) return TIME_PHASES[this.simulation.environment.phase].hour;
+        if (this.mode === 'demo') {
+            const elapsed = this.simulation.time - this.demoStartTime;
+            return (DEMO_START_HOUR + (elapsed / this.demoDayLength) * 24) % 24;
+        }
+        const date = this.now();
+        return date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+    }
+
+    rollDuration(weather) {
+        const { min, max } = WEATHER_TYPES[weather].duration;
+        return this.rng.range(min, max);
+    }
+
+    pickWeather() {
+        const ids = Object.keys(WEATHER_TYPES);
+        const total = ids.reduce((sum, id) => sum + WEATHER_TYPES[id].weight, 0);
+        let roll = this.rng.range(0, total);
+        return ids.find(id => (roll -= WEATHER_TYPES[id].weight) < 0) || 'clear';
+    }
+
+    update() {
+        if (this.suspended) return;
+
+        const sim = this.simulation;
+        const environment = sim.environment;
+        const change = {};
+
+        const phase = getTimePhase(this.getHour());
+        if (phase !== environment.phase) change.phase = phase;
+
+        if (sim.time >= this.weatherUntil) {
+            const weather = this.forcedWeather || this.pickWeather();
+            this.weatherUntil = sim.time + this.rollDuration(weather);
+            if (weather !== environment.weather) {
+                change.weather = weather;
+                change.wind = weather === 'wind'
+                    ? this.rng.range(WIND_STRENGTH.min, WIND_STRENGTH.max) * (this.rng.next() < 0.5 ? -1 : 1)
+                    : 0;
+            }
+        }
+
+        if (Object.keys(change).length > 0) {
+            sim.queueInput({ type: 'environment', ...change });
+        }
+    }
+
+    suspend() {
+        this.suspended = true;
+    }
+
+    resume() {
+        this.suspended = false;
+    }
+
+    destroy() {
+        this.unsubscribe();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TIME_PHASES, SKY_PALETTES, SKY_KEYFRAMES, WEATHER_TYPES, WIND_STRENGTH, TIME_MODES,
+        DEMO_DAY_LENGTH, DEMO_START_HOUR, getTimePhase, mixColor, getSkyPalette, EnvironmentCycle
+    };
+}
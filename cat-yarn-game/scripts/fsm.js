@@ -0,0 +1,132 @@
+/**
+ * State Machine - declared states, guards, enter/exit hooks and timed transitions
+ * The machine holds no per-owner data: the owner carries `state` and
+ * `stateStartTime`, so it snapshots as plain data. `context` is whatever
+ * drives the owner and must have a `time` (ms), e.g. the CatSimulation.
+ *
+ * A state is declared as:
+ *   to: states it may move to; anything else throws (a bug, not bad luck)
+ *   guard(owner, context): may it be entered right now (e.g. a cooldown)?
+ *   trigger(owner, context, ...args): checked while the owner is in a state
+ *     listing this one in `interrupts`; returns the data handed to `enter`
+ *     (falsy: not now)
+ *   interrupts: states whose triggers are checked every tick, in order
+ *   enter(owner, context, data, from) / exit(owner, context, to): hooks
+ *   update(owner, context, ...args): runs every tick the state lasts
+ *   duration(owner, context): ms until the timed transition to `next`
+ *     (a state name, or a function returning one)
+ */
+
+const STATE_LOG_SIZE = 50; // Transitions kept for debugging
+
+class StateMachine {
+    constructor(states, options = {}) {
+        this.states = states;
+        this.initial = options.initial || Object.keys(states)[0];
+        this.onTransition = options.onTransition || null;
+        this.logSize = options.logSize || STATE_LOG_SIZE;
+        this.debug = Boolean(options.debug); // Print every transition to the console
+        this.log = []; // Latest transitions { time, id, from, to, reason }
+        this.validate();
+    }
+
+    // Throws on a table that names unknown states or can't take its own interrupts
+    validate() {
+        if (!this.states[this.initial]) {
+            throw new Error(`Unknown initial state "${this.initial}"`);
+        }
+        Object.keys(this.states).forEach(name => {
+            const state = this.states[name];
+            (state.to || []).concat(state.interrupts || []).forEach(target => {
+                if (!this.states[target]) {
+                    throw new Error(`State "${name}" refers to unknown state "${target}"`);
+                }
+            });
+            (state.interrupts || []).forEach(target => {
+                if (!this.allows(name, target)) {
+                    throw new Error(`State "${name}" is interrupted by "${target}" but can't move to it`);
+                }
+                if (!this.states[target].trigger) {
+                    throw new Error(`State "${name}" is interrupted by "${target}", which has no trigger`);
+                }
+            });
+            if (state.duration && !state.next) {
+                throw new Error(`Timed state "${name}" has no next state`);
+            }
+        });
+    }
+
+    // Whether the table lets `from` move to `to` (guards aside)
+    allows(from, to) {
+        const state = this.states[from];
+        return Boolean(state && state.to && state.to.includes(to));
+    }
+
+    // Whether the owner could move to `to` now
+    can(owner, context, to) {
+        if (!this.allows(owner.state, to)) return false;
+        const guard = this.states[to].guard;
+        return !guard || guard(owner, context);
+    }
+
+    // Returns false when the target's guard says no
+    transition(owner, context, to, data = null, reason = 'update') {
+        if (!this.allows(owner.state, to)) {
+            throw new Error(`Transition "${owner.state}" -> "${to}" is not allowed`);
+        }
+        const guard = this.states[to].guard;
+        if (guard && !guard(owner, context)) return false;
+
+        this.enter(owner, context, to, data, reason);
+        return true;
+    }
+
+    // Back to the initial state whatever the table says (exit hooks still run)
+    reset(owner, context) {
+        this.enter(owner, context, this.initial, null, 'reset');
+    }
+
+    enter(owner, context, to, data, reason) {
+        const from = owner.state;
+        const previous = this.states[from];
+        if (previous && previous.exit) previous.exit(owner, context, to);
+
+        owner.state = to;
+        owner.stateStartTime = context.time;
+        const state = this.states[to];
+        if (state.enter) state.enter(owner, context, data, from);
+
+        const entry = { time: context.time, id: owner.id, from, to, reason };
+        this.log.push(entry);
+        if (this.log.length > this.logSize) this.log.shift();
+        if (this.debug) console.debug(`[${Math.round(entry.time)}ms] #${entry.id} ${from} -> ${to} (${reason})`);
+        if (this.onTransition) this.onTransition(owner, context, entry);
+    }
+
+    // One tick: a timed state that ran out moves on, else the first interrupt
+    // that triggers takes over, else the state's own update runs
+    update(owner, context, ...args) {
+        const state = this.states[owner.state];
+
+        if (state.duration && context.time - owner.stateStartTime >= state.duration(owner, context)) {
+            const next = typeof state.next === 'function' ? state.next(owner, context) : state.next;
+            this.transition(owner, context, next, null, 'timeout');
+            return;
+        }
+
+        for (const name of state.interrupts || []) {
+            if (!this.can(owner, context, name)) continue;
+            const data = this.states[name].trigger(owner, context, ...args);
+            if (data) {
+                this.transition(owner, context, name, data, 'interrupt');
+                return;
+            }
+        }
+
+        if (state.update) state.update(owner, context, ...args);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { STATE_LOG_SIZE, StateMachine };
+}
@@ -0,0 +1,241 @@
+/**
+ * Furniture - boxes, sofas and cat trees standing in the room
+ * The simulation keeps the pieces as plain data (sim.furniture, changed
+ * through 'furniture' inputs so replays repeat them); this module knows
+ * their sizes, the preset rooms and how to walk around them.
+ *
+ * Positions are the center of a piece's footprint on the floor, as a
+ * fraction of the play area, so a layout fits any window size.
+ */
+
+// width / depth: footprint on the floor (px); height: how tall it is drawn;
+// perchHeight: how high a cat sits on top (null: can't jump on it);
+// hideout: a cat can hide inside and ambush the yarn ball
+// (names: furniture.<id> in scripts/locales)
+const FURNITURE_TYPES = {
+    box: { icon: '📦', width: 100, depth: 60, height: 50, perchHeight: null, hideout: true },
+    sofa: { icon: '🛋️', width: 240, depth: 70, height: 70, perchHeight: 35, hideout: false },
+    tree: { icon: '🌳', width: 90, depth: 60, height: 150, perchHeight: 120, hideout: false }
+};
+
+const MAX_FURNITURE = 8;
+
+// Preset rooms for the layout editor (names: rooms.<id> in scripts/locales)
+const ROOM_LAYOUTS = {
+    empty: { items: [] },
+    living: {
+        items: [
+            { type: 'sofa', x: 0.72, y: 0.42 },
+            { type: 'box', x: 0.25, y: 0.7 }
+        ]
+    },
+    playground: {
+        items: [
+            { type: 'tree', x: 0.15, y: 0.45 },
+            { type: 'box', x: 0.45, y: 0.72 },
+            { type: 'box', x: 0.8, y: 0.7 },
+            { type: 'sofa', x: 0.6, y: 0.35 }
+        ]
+    }
+};
+
+// Walking around furniture: footprints grow by `clearance` px (about half a
+// cat), paths run over a grid of `cell` px, and a cat replans once its goal
+// moved more than `replanDistance` px
+const FURNITURE_PATHS = { clearance: 30, cell: 30, reach: 20, replanDistance: 40 };
+
+// Keep only known types, within the room, up to MAX_FURNITURE pieces
+function normalizeLayout(items) {
+    if (!Array.isArray(items)) return [];
+    return items
+        .filter(item => item && FURNITURE_TYPES[item.type])
+        .slice(0, MAX_FURNITURE)
+        .map(item => ({
+            type: item.type,
+            x: Math.max(0, Math.min(1, Number(item.x) || 0)),
+            y: Math.max(0, Math.min(1, Number(item.y) || 0))
+        }));
+}
+
+// Footprint in px: { left, top, right, bottom }
+function getFurnitureRect(item, bounds, grow = 0) {
+    const type = FURNITURE_TYPES[item.type];
+    const x = item.x * bounds.width;
+    const y = item.y * bounds.height;
+    return {
+        left: x - type.width / 2 - grow,
+        top: y - type.depth / 2 - grow,
+        right: x + type.width / 2 + grow,
+        bottom: y + type.depth / 2 + grow
+    };
+}
+
+function rectContains(rect, point) {
+    return point.x > rect.left && point.x < rect.right && point.y > rect.top && point.y < rect.bottom;
+}
+
+// Nearest point inside `rect`, `inset` px from its edges
+function clampToRect(point, rect, inset = 0) {
+    const midX = (rect.left + rect.right) / 2;
+    const midY = (rect.top + rect.bottom) / 2;
+    return {
+        x: Math.max(Math.min(rect.left + inset, midX), Math.min(Math.max(rect.right - inset, midX), point.x)),
+        y: Math.max(Math.min(rect.top + inset, midY), Math.min(Math.max(rect.bottom - inset, midY), point.y))
+    };
+}
+
+// Out of `rect` by the shortest way (the point itself when already outside)
+function pushOutOfRect(point, rect) {
+    if (!rectContains(rect, point)) return point;
+    const exits = [
+        { x: rect.left, y: point.y, distance: point.x - rect.left },
+        { x: rect.right, y: point.y, distance: rect.right - point.x },
+        { x: point.x, y: rect.top, distance: point.y - rect.top },
+        { x: point.x, y: rect.bottom, distance: rect.bottom - point.y }
+    ];
+    const exit = exits.reduce((best, candidate) => (candidate.distance < best.distance ? candidate : best));
+    return { x: exit.x, y: exit.y };
+}
+
+// Whether the segment a-b crosses `rect` (Liang-Barsky clipping)
+function segmentHitsRect(a, b, rect) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const checks = [
+        [-dx, a.x - rect.left], [dx, rect.right - a.x],
+        [-dy, a.y - rect.top], [dy, rect.bottom - a.y]
+    ];
+    let enter = 0;
+    let leave = 1;
+    for (const [p, q] of checks) {
+        if (p === 0) {
+            if (q <= 0) return false;
+        } else {
+            const t = q / p;
+            if (p < 0) enter = Math.max(enter, t);
+            else leave = Math.min(leave, t);
+            if (enter >= leave) return false;
+        }
+    }
+    return true;
+}
+
+function isSegmentClear(a, b, rects) {
+    return !rects.some(rect => segmentHitsRect(a, b, rect));
+}
+
+/**
+ * Shortest way from `from` to `to` around `rects` within `area`
+ * ({ left, top, right, bottom }): A* over a grid, then straightened so the
+ * cat only turns at corners. Returns the waypoints after `from` (ending at
+ * `to`, or the nearest reachable point to it), or [] when boxed in.
+ */
+function findPath(from, to, rects, area, cell = FURNITURE_PATHS.cell) {
+    const cols = Math.max(1, Math.floor((area.right - area.left) / cell) + 1);
+    const rows = Math.max(1, Math.floor((area.bottom - area.top) / cell) + 1);
+    const pointOf = (index) => ({
+        x: area.left + (index % cols) * cell,
+        y: area.top + Math.floor(index / cols) * cell
+    });
+    const blockedCells = [];
+    for (let index = 0; index < cols * rows; index++) {
+        blockedCells.push(rects.some(rect => rectContains(rect, pointOf(index))));
+    }
+    const blocked = (index) => blockedCells[index];
+    const indexOf = (point) => {
+        const col = Math.max(0, Math.min(cols - 1, Math.round((point.x - area.left) / cell)));
+        const row = Math.max(0, Math.min(rows - 1, Math.round((point.y - area.top) / cell)));
+        return row * cols + col;
+    };
+    // Closest free cell to a point (the point's own cell if that is free)
+    const nearestFree = (point) => {
+        let best = -1;
+        let bestDistance = Infinity;
+        for (let index = 0; index < cols * rows; index++) {
+            if (blocked(index)) continue;
+            const cellPoint = pointOf(index);
+            const distance = Math.hypot(cellPoint.x - point.x, cellPoint.y - point.y);
+            if (distance < bestDistance) {
+                best = index;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    };
+
+    let start = indexOf(from);
+    if (blocked(start)) start = nearestFree(from);
+    let goal = indexOf(to);
+    if (blocked(goal)) goal = nearestFree(to);
+    const goalFree = !rects.some(rect => rectContains(rect, to));
+    if (start < 0 || goal < 0) return [];
+
+    // Octile distance: straight and diagonal steps
+    const heuristic = (index) => {
+        const dx = Math.abs(index % cols - goal % cols);
+        const dy = Math.abs(Math.floor(index / cols) - Math.floor(goal / cols));
+        return (Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy)) * cell;
+    };
+    const cost = new Map([[start, 0]]);
+    const cameFrom = new Map();
+    const open = [{ index: start, score: heuristic(start) }];
+    const closed = new Set();
+
+    while (open.length > 0) {
+        let bestAt = 0;
+        for (let i = 1; i < open.length; i++) {
+            if (open[i].score < open[bestAt].score) bestAt = i;
+        }
+        const { index } = open.splice(bestAt, 1)[0];
+        if (index === goal) break;
+        if (closed.has(index)) continue;
+        closed.add(index);
+
+        const col = index % cols;
+        const row = Math.floor(index / cols);
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                if (dx === 0 && dy === 0) continue;
+                const nextCol = col + dx;
+                const nextRow = row + dy;
+                if (nextCol < 0 || nextCol >= cols || nextRow < 0 || nextRow >= rows) continue;
+                const next = nextRow * cols + nextCol;
+                if (closed.has(next) || blocked(next)) continue;
+                // No cutting corners past a blocked cell
+                if (dx !== 0 && dy !== 0 && (blocked(row * cols + nextCol) || blocked(nextRow * cols + col))) continue;
+
+                const nextCost = cost.get(index) + (dx !== 0 && dy !== 0 ? Math.SQRT2 : 1) * cell;
+                if (cost.has(next) && cost.get(next) <= nextCost) continue;
+                cost.set(next, nextCost);
+                cameFrom.set(next, index);
+                open.push({ index: next, score: nextCost + heuristic(next) });
+            }
+        }
+    }
+    if (goal !== start && !cameFrom.has(goal)) return [];
+
+    const cells = [];
+    for (let index = goal; index !== start; index = cameFrom.get(index)) cells.unshift(pointOf(index));
+    cells.push(goalFree ? { x: to.x, y: to.y } : pointOf(goal));
+
+    // Skip every waypoint that can be seen past
+    const path = [];
+    let current = from;
+    let i = 0;
+    while (i < cells.length) {
+        let furthest = i;
+        while (furthest + 1 < cells.length && isSegmentClear(current, cells[furthest + 1], rects)) furthest++;
+        path.push(cells[furthest]);
+        current = cells[furthest];
+        i = furthest + 1;
+    }
+    return path;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FURNITURE_TYPES, MAX_FURNITURE, ROOM_LAYOUTS, FURNITURE_PATHS,
+        normalizeLayout, getFurnitureRect, rectContains, clampToRect, pushOutOfRect,
+        segmentHitsRect, isSegmentClear, findPath
+    };
+}
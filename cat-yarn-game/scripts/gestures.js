@@ -0,0 +1,220 @@
+/**
+ * Gesture Recognizer - turns MediaPipe hand landmarks into stable gestures
+ * Works on plain { x, y } landmark arrays (normalized 0-1, y pointing down),
+ * so recorded frames can be fed in from Node without a camera
+ */
+
+// EventEmitter comes from simulation.js, which the browser loads first
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./simulation.js'));
+}
+
+// MediaPipe Hands landmark indices
+const HAND = {
+    WRIST: 0,
+    THUMB_MCP: 2,
+    THUMB_IP: 3,
+    THUMB_TIP: 4,
+    INDEX_MCP: 5,
+    INDEX_PIP: 6,
+    INDEX_TIP: 8,
+    MIDDLE_MCP: 9,
+    MIDDLE_PIP: 10,
+    MIDDLE_TIP: 12,
+    RING_PIP: 14,
+    RING_TIP: 16,
+    PINKY_MCP: 17,
+    PINKY_PIP: 18,
+    PINKY_TIP: 20
+};
+
+// Static poses, plus 'wave' which is detected from palm movement over time
+const GESTURES = ['open', 'fist', 'pinch', 'peace', 'thumbsUp', 'point', 'none'];
+
+const GESTURE_DEFAULTS = {
+    enterFrames: 3, // Frames a new pose must hold before it becomes the gesture
+    exitFrames: 2, // Frames a different pose must hold before the gesture ends
+    pinchEnter: 0.25, // Thumb-index distance (in hand sizes) that starts a pinch
+    pinchExit: 0.4, // ...and the larger distance that ends it (hysteresis)
+    pinchReach: 1.1, // Index tip to wrist, in hand sizes (a fist tucks it in closer)
+    fingerExtended: 1.15, // Tip must be this much further from the wrist than the PIP joint
+    thumbExtended: 0.6, // Thumb tip to index MCP distance, in hand sizes
+    waveWindow: 1200, // ms of palm movement considered for a wave
+    waveTravel: 0.06, // Minimum palm travel (normalized) between direction changes
+    waveReversals: 3, // Direction changes needed for a wave
+    waveCooldown: 1500 // ms before another wave can be reported
+};
+
+function landmarkDistance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// Wrist to middle finger base: keeps thresholds independent of camera distance
+function getHandSize(landmarks) {
+    return landmarkDistance(landmarks[HAND.WRIST], landmarks[HAND.MIDDLE_MCP]) || 1e-6;
+}
+
+function isFingerExtended(landmarks, tip, pip, options = GESTURE_DEFAULTS) {
+    const wrist = landmarks[HAND.WRIST];
+    return landmarkDistance(landmarks[tip], wrist) > landmarkDistance(landmarks[pip], wrist) * options.fingerExtended;
+}
+
+function getPinchRatio(landmarks) {
+    return landmarkDistance(landmarks[HAND.THUMB_TIP], landmarks[HAND.INDEX_TIP]) / getHandSize(landmarks);
+}
+
+/**
+ * Classify a single frame. `pinching` selects the pinch exit threshold,
+ * so an ongoing pinch survives small jitter in finger distance.
+ */
+function classifyHandPose(landmarks, { pinching = false, ...overrides } = {}) {
+    const options = { ...GESTURE_DEFAULTS, ...overrides };
+    if (!landmarks || landmarks.length < 21) return 'none';
+
+    const handSize = getHandSize(landmarks);
+    const index = isFingerExtended(landmarks, HAND.INDEX_TIP, HAND.INDEX_PIP, options);
+    const middle = isFingerExtended(landmarks, HAND.MIDDLE_TIP, HAND.MIDDLE_PIP, options);
+    const ring = isFingerExtended(landmarks, HAND.RING_TIP, HAND.RING_PIP, options);
+    const pinky = isFingerExtended(landmarks, HAND.PINKY_TIP, HAND.PINKY_PIP, options);
+    const thumb = landmarkDistance(landmarks[HAND.THUMB_TIP], landmarks[HAND.INDEX_MCP]) / handSize > options.thumbExtended;
+    const fingers = [index, middle, ring, pinky].filter(Boolean).length;
+
+    const pinchRatio = getPinchRatio(landmarks);
+    const indexReach = landmarkDistance(landmarks[HAND.INDEX_TIP], landmarks[HAND.WRIST]) / handSize;
+    if (pinchRatio < (pinching ? options.pinchExit : options.pinchEnter) &&
+        indexReach > options.pinchReach && (!ring || !pinky)) {
+        return 'pinch';
+    }
+    if (fingers >= 4 || (fingers === 3 && thumb)) return 'open';
+    if (index && middle && !ring && !pinky) return 'peace';
+    if (index && !middle && !ring && !pinky) return 'point';
+    if (fingers === 0) {
+        // Thumb sticking up above the knuckles
+        const thumbTip = landmarks[HAND.THUMB_TIP];
+        const thumbUp = thumb &&
+            thumbTip.y < landmarks[HAND.THUMB_IP].y &&
+            thumbTip.y < landmarks[HAND.INDEX_MCP].y - handSize * 0.3;
+        return thumbUp ? 'thumbsUp' : 'fist';
+    }
+    return 'none';
+}
+
+/**
+ * GestureRecognizer - one per tracked hand
+ *
+ * Call update(landmarks, time) every camera frame and reset(time) when the
+ * hand is lost. A pose has to hold for `enterFrames` frames to start a
+ * gesture, and the gesture only ends after `exitFrames` frames of something
+ * else, so a single misread frame never flickers through.
+ *
+ * Events: 'start' ({ gesture, time, landmarks }),
+ * 'end' ({ gesture, time, duration, landmarks }), 'wave' ({ time, landmarks })
+ */
+class GestureRecognizer extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = { ...GESTURE_DEFAULTS, ...options };
+        this.gesture = 'none';
+        this.gestureStartTime = 0;
+        this.candidate = 'none';
+        this.candidateFrames = 0;
+        this.palmHistory = [];
+        this.lastWaveTime = -Infinity;
+        this.landmarks = null;
+    }
+
+    update(landmarks, time) {
+        this.landmarks = landmarks;
+        const pose = classifyHandPose(landmarks, { ...this.options, pinching: this.gesture === 'pinch' });
+
+        if (pose === this.gesture) {
+            this.candidate = pose;
+            this.candidateFrames = 0;
+        } else {
+            if (pose === this.candidate) {
+                this.candidateFrames++;
+            } else {
+                this.candidate = pose;
+                this.candidateFrames = 1;
+            }
+
+            // Leaving a real gesture for 'none' uses the exit debounce,
+            // switching to another gesture needs the full enter debounce
+            const needed = pose === 'none' ? this.options.exitFrames : this.options.enterFrames;
+            if (this.candidateFrames >= needed) {
+                this.setGesture(pose, time);
+            }
+        }
+
+        this.trackWave(landmarks, time);
+        return this.gesture;
+    }
+
+    // Hand left the frame
+    reset(time) {
+        this.setGesture('none', time);
+        this.candidate = 'none';
+        this.candidateFrames = 0;
+        this.palmHistory = [];
+        this.landmarks = null;
+    }
+
+    setGesture(gesture, time) {
+        if (gesture === this.gesture) return;
+
+        const previous = this.gesture;
+        if (previous !== 'none') {
+            this.emit('end', {
+                gesture: previous,
+                time,
+                duration: time - this.gestureStartTime,
+                landmarks: this.landmarks
+            });
+        }
+
+        this.gesture = gesture;
+        this.gestureStartTime = time;
+        this.candidateFrames = 0;
+        if (gesture !== 'none') {
+            this.emit('start', { gesture, time, landmarks: this.landmarks });
+        }
+    }
+
+    // A wave is an open palm swinging side to side a few times
+    trackWave(landmarks, time) {
+        const options = this.options;
+        if (this.gesture !== 'open' || !landmarks) {
+            this.palmHistory = [];
+            return;
+        }
+
+        this.palmHistory.push({ x: landmarks[HAND.MIDDLE_MCP].x, time });
+        this.palmHistory = this.palmHistory.filter(sample => time - sample.time <= options.waveWindow);
+
+        let reversals = 0;
+        let direction = 0;
+        let anchor = this.palmHistory[0].x;
+        this.palmHistory.forEach(({ x }) => {
+            const travel = x - anchor;
+            if (Math.abs(travel) < options.waveTravel) return;
+
+            const newDirection = Math.sign(travel);
+            if (direction !== 0 && newDirection !== direction) reversals++;
+            direction = newDirection;
+            anchor = x;
+        });
+
+        if (reversals >= options.waveReversals && time - this.lastWaveTime >= options.waveCooldown) {
+            this.lastWaveTime = time;
+            this.palmHistory = [];
+            this.emit('wave', { time, landmarks });
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HAND, GESTURES, GESTURE_DEFAULTS,
+        getHandSize, getPinchRatio, classifyHandPose, GestureRecognizer
+    };
+}
@@ -0,0 +1,217 @@
+/**
+ * Internationalization - string catalogs and language switching
+ * Every user-facing string lives in a catalog under scripts/locales/ (one
+ * file per language, each a registerLocale() call). t('group.key', params)
+ * looks a string up in the current locale; keys a translation lacks fall
+ * back to zh-CN, the catalog the others are translated from.
+ *
+ * Static text in the page carries data-i18n (text) or data-i18n-<attribute>
+ * (e.g. data-i18n-title); text the game builds goes through localize(), so
+ * it is rebuilt in the new language when the player switches.
+ *
+ * `node scripts/i18n.js` lists the keys missing from any locale.
+ */
+
+// Complete catalog; missing keys in other locales fall back to it
+const I18N_SOURCE_LOCALE = 'zh-CN';
+
+// Browsers asking for none of the registered languages get English
+const I18N_FALLBACK_LOCALE = 'en';
+
+// Registered catalogs: { [id]: { id, name, strings } }
+const LOCALES = {};
+
+let currentLocale = I18N_SOURCE_LOCALE;
+
+// Element -> { [attribute]: render() } for text built by localize()
+const localizedElements = new Map();
+
+// A group of keys (not a string, a list of strings or a plural function)
+function isStringGroup(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function mergeStrings(target, source) {
+    Object.keys(source).forEach(key => {
+        if (isStringGroup(source[key]) && isStringGroup(target[key])) {
+            mergeStrings(target[key], source[key]);
+        } else {
+            target[key] = source[key];
+        }
+    });
+}
+
+// A second call for the same id adds to its catalog (e.g. the strings of a
+// newly registered input provider)
+function registerLocale({ id, name, strings = {} }) {
+    const locale = LOCALES[id] || (LOCALES[id] = { id, name: id, strings: {} });
+    if (name) locale.name = name;
+    mergeStrings(locale.strings, strings);
+    return locale;
+}
+
+// Languages the browser asks for, most wanted first
+function getBrowserLanguages(nav = typeof navigator !== 'undefined' ? navigator : {}) {
+    if (nav.languages && nav.languages.length > 0) return [...nav.languages];
+    return nav.language ? [nav.language] : [];
+}
+
+// Best registered locale for a list of language tags: an exact match, else
+// the same language in another region ('zh-TW' → 'zh-CN', 'en-GB' → 'en')
+function detectLocale(languages = getBrowserLanguages()) {
+    const ids = Object.keys(LOCALES);
+    const primary = tag => tag.toLowerCase().split('-')[0];
+    for (const language of languages) {
+        const exact = ids.find(id => id.toLowerCase() === language.toLowerCase());
+        if (exact) return exact;
+        const related = ids.find(id => primary(id) === primary(language));
+        if (related) return related;
+    }
+    return LOCALES[I18N_FALLBACK_LOCALE] ? I18N_FALLBACK_LOCALE : I18N_SOURCE_LOCALE;
+}
+
+// Locale id for a setting: a LOCALES id, or 'auto' (navigator.language)
+function pickLocale(setting = 'auto', nav = undefined) {
+    if (LOCALES[setting]) return setting;
+    return detectLocale(getBrowserLanguages(nav));
+}
+
+function getLocale() {
+    return currentLocale;
+}
+
+// Switch language: the page's data-i18n text and everything built by localize()
+function setLocale(id) {
+    currentLocale = LOCALES[id] ? id : I18N_SOURCE_LOCALE;
+    if (typeof document !== 'undefined') {
+        document.documentElement.lang = currentLocale;
+        translatePage(document);
+    }
+    localizedElements.forEach((renders, element) => {
+        if (element.isConnected === false) {
+            localizedElements.delete(element);
+            return;
+        }
+        Object.keys(renders).forEach(attribute => applyLocalized(element, attribute, renders[attribute]));
+    });
+    return currentLocale;
+}
+
+function lookup(strings, key) {
+    return key.split('.').reduce((group, part) => (isStringGroup(group) ? group[part] : undefined), strings);
+}
+
+// Catalog entry for a key in the current locale, else in the source locale
+function getTranslation(key) {
+    for (const id of [currentLocale, I18N_SOURCE_LOCALE]) {
+        const value = LOCALES[id] ? lookup(LOCALES[id].strings, key) : undefined;
+        if (value !== undefined && !isStringGroup(value)) return value;
+    }
+    return undefined;
+}
+
+function hasTranslation(key) {
+    return getTranslation(key) !== undefined;
+}
+
+/**
+ * Translate a key. {name} placeholders are filled in from params; plural
+ * forms are functions of params; lists (e.g. the random meows) come back as
+ * they are. A key no catalog knows comes back unchanged.
+ */
+function t(key, params = {}) {
+    const value = getTranslation(key);
+    if (value === undefined) return key;
+    if (Array.isArray(value)) return value;
+    const text = typeof value === 'function' ? value(params) : value;
+    return String(text).replace(/\{(\w+)\}/g, (placeholder, name) => (
+        params[name] === undefined ? placeholder : params[name]
+    ));
+}
+
+function applyLocalized(element, attribute, render) {
+    if (attribute === 'textContent') {
+        element.textContent = render();
+    } else {
+        element.setAttribute(attribute, render());
+    }
+}
+
+// Set an element's text (or an attribute) now, and again after every
+// language switch. Text that has to follow the language always goes through here.
+function localize(element, render, attribute = 'textContent') {
+    if (!element) return;
+    const renders = localizedElements.get(element) || {};
+    renders[attribute] = render;
+    localizedElements.set(element, renders);
+    applyLocalized(element, attribute, render);
+}
+
+// data-i18n="key" sets the text, data-i18n-title="key" the title, and so on
+function translatePage(root) {
+    root.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes).forEach(({ name, value }) => {
+            if (name === 'data-i18n') {
+                element.textContent = t(value);
+            } else if (name.startsWith('data-i18n-')) {
+                element.setAttribute(name.slice('data-i18n-'.length), t(value));
+            }
+        });
+    });
+}
+
+// Dotted keys of every string in a catalog
+function flattenKeys(strings, prefix = '') {
+    return Object.keys(strings).flatMap(key => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        return isStringGroup(strings[key]) ? flattenKeys(strings[key], path) : [path];
+    });
+}
+
+// { [locale id]: [keys other locales have and it lacks] }, only for locales missing some
+function findMissingKeys(locales = LOCALES) {
+    const keys = {};
+    Object.keys(locales).forEach(id => {
+        keys[id] = new Set(flattenKeys(locales[id].strings));
+    });
+    const allKeys = new Set(Object.values(keys).flatMap(set => [...set]));
+
+    const missing = {};
+    Object.keys(keys).forEach(id => {
+        const lacking = [...allKeys].filter(key => !keys[id].has(key)).sort();
+        if (lacking.length > 0) missing[id] = lacking;
+    });
+    return missing;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        I18N_SOURCE_LOCALE, I18N_FALLBACK_LOCALE, LOCALES, registerLocale, getBrowserLanguages,
+        detectLocale, pickLocale, getLocale, setLocale, hasTranslation, t, localize, translatePage,
+        flattenKeys, findMissingKeys
+    };
+}
+
+// Missing-key check: loads every catalog in scripts/locales and lists the gaps
+if (typeof require !== 'undefined' && typeof module !== 'undefined' && require.main === module) {
+    const fs = require('fs');
+    const path = require('path');
+
+    // The catalogs call registerLocale() as a global, as in the browser
+    globalThis.registerLocale = registerLocale;
+    const folder = path.join(__dirname, 'locales');
+    fs.readdirSync(folder)
+        .filter(file => file.endsWith('.js'))
+        .forEach(file => require(path.join(folder, file)));
+
+    const missing = findMissingKeys();
+    Object.keys(missing).forEach(id => {
+        console.log(`${id}: ${missing[id].length} missing`);
+        missing[id].forEach(key => console.log(`  ${key}`));
+    });
+    if (Object.keys(missing).length > 0) {
+        process.exitCode = 1;
+    } else {
+        console.log(`${Object.keys(LOCALES).join(', ')}: no missing keys`);
+    }
+}
@@ -0,0 +1,960 @@
+/**
+ * Input Providers - every way of steering a yarn ball behind one interface
+ * Providers register themselves in INPUT_PROVIDERS; the settings panel lists
+ * whatever is registered, so a new controller only needs a registerInputProvider() call
+ */
+
+/**
+ * SpeedTracker - turns position samples into the speed the simulation expects
+ * (px per 16 ms, roughly per frame at 60 fps), the same for every device
+ */
+class SpeedTracker {
+    constructor() {
+        this.reset();
+    }
+
+    sample(x, y, time) {
+        if (this.pos) {
+            const dt = time - this.time;
+            if (dt > 0) {
+                const dx = x - this.pos.x;
+                const dy = y - this.pos.y;
+                this.velocity = { x: dx / dt, y: dy / dt };
+                this.speed = Math.sqrt(dx * dx + dy * dy) / dt * 16;
+            }
+        }
+        this.pos = { x, y };
+        this.time = time;
+        return this.speed;
+    }
+
+    reset() {
+        this.pos = null;
+        this.time = 0;
+        this.speed = 0;
+        this.velocity = { x: 0, y: 0 }; // px per ms
+    }
+}
+
+/**
+ * InputProvider - base class for one way of steering yarn balls
+ *
+ * The context gives read access to the game: { element, clock, getBounds(),
+ * getYarnPos(player), getCatPos(player), getPlayerCount(), isPhysicsEnabled() }.
+ *
+ * Events: 'yarn' ({ player, x, y, speed }) moves (and holds) a ball,
+ * 'release' ({ player }) lets go of it so yarn physics can fling it,
+ * 'action' ({ player, action, ... }) where action is 'feed' (with x, y),
+ * 'pause', 'photo', 'cheer' or 'greet', and 'unavailable' when the device
+ * can't be used after all
+ */
+class InputProvider extends EventEmitter {
+    constructor(context) {
+        super();
+        this.context = context;
+        this.active = false;
+        this.trackers = [];
+        this.cleanups = [];
+    }
+
+    start() {
+        if (this.active) return;
+        this.active = true;
+        this.attach();
+    }
+
+    stop() {
+        if (!this.active) return;
+        this.active = false;
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups = [];
+        this.trackers = [];
+        this.detach();
+    }
+
+    // Subclass hooks
+    attach() {}
+    detach() {}
+    update(_elapsed) {}
+
+    // DOM listener that stop() removes again
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.cleanups.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    emitYarn(player, x, y) {
+        const tracker = this.trackers[player] = this.trackers[player] || new SpeedTracker();
+        const speed = tracker.sample(x, y, this.context.clock());
+        this.emit('yarn', { player, x, y, speed });
+    }
+
+    // Where this provider last put the ball: queued inputs only reach the
+    // simulation on its next tick, so polled devices step from here
+    getLastYarnPos(player) {
+        const tracker = this.trackers[player];
+        return tracker && tracker.pos ? tracker.pos : this.context.getYarnPos(player);
+    }
+
+    emitRelease(player) {
+        this.trackers[player] = null;
+        this.emit('release', { player });
+    }
+
+    // With yarn physics a ball is only held while the player grabs it
+    isPhysicsEnabled() {
+        return Boolean(this.context.isPhysicsEnabled && this.context.isPhysicsEnabled());
+    }
+
+    emitAction(player, action, details = {}) {
+        this.emit('action', { player, action, ...details });
+    }
+
+    // Keep a yarn ball inside the play area
+    clampToBounds(x, y, margin = 20) {
+        const { width, height } = this.context.getBounds();
+        return {
+            x: Math.max(margin, Math.min(width - margin, x)),
+            y: Math.max(margin, Math.min(height - margin, y))
+        };
+    }
+}
+
+// Registered providers: { id, icon, create(context), isAvailable(), usesKeyboard
+// (the play area takes focus when picked) }; their label and hint come from
+// controls.<id> in scripts/locales
+const INPUT_PROVIDERS = [];
+const DEFAULT_INPUT_PROVIDER = 'mouse';
+
+function registerInputProvider(definition) {
+    INPUT_PROVIDERS.push({ isAvailable: () => true, ...definition });
+}
+
+function getInputProvider(id) {
+    return INPUT_PROVIDERS.find(definition => definition.id === id) || null;
+}
+
+// A finger held this long (ms) without moving more than `distance` px drops food
+const LONG_PRESS = { duration: 500, distance: 10 };
+
+/**
+ * PointerInputProvider - mouse, plus one finger per player on touch screens
+ * With yarn physics the mouse button (or a finger on the screen) grabs the
+ * ball and letting go throws it. Right-click or a long press drops food.
+ */
+class PointerInputProvider extends InputProvider {
+    constructor(context) {
+        super(context);
+        this.pressed = [];
+        this.holds = []; // Per finger: { x, y, startX, startY, time, done } for long presses
+    }
+
+    attach() {
+        const element = this.context.element;
+        this.listen(element, 'contextmenu', (e) => {
+            e.preventDefault();
+            const pos = this.toLocal(e.clientX, e.clientY);
+            this.emitAction(0, 'feed', pos);
+        });
+        this.listen(element, 'mousedown', (e) => {
+            if (e.button !== 0) return;
+            this.pressed[0] = true;
+            this.onPointer(e.clientX, e.clientY, 0);
+        });
+        this.listen(element, 'mousemove', (e) => this.onPointer(e.clientX, e.clientY, 0));
+        this.listen(window, 'mouseup', () => this.onRelease(0));
+        this.listen(element, 'mouseleave', () => this.onRelease(0));
+
+        const onTouch = (e) => {
+            e.preventDefault();
+            // touches[0] moves player 1, touches[1] player 2
+            const players = Math.min(e.touches.length, this.context.getPlayerCount());
+            for (let i = 0; i < players; i++) {
+                this.pressed[i] = true;
+                this.trackHold(e.touches[i].clientX, e.touches[i].clientY, i);
+                this.onPointer(e.touches[i].clientX, e.touches[i].clientY, i);
+            }
+            // Lifted fingers let go of their ball
+            for (let i = players; i < this.pressed.length; i++) {
+                this.holds[i] = null;
+                this.onRelease(i);
+            }
+        };
+        this.listen(element, 'touchstart', onTouch, { passive: false });
+        this.listen(element, 'touchmove', onTouch, { passive: false });
+        this.listen(element, 'touchend', onTouch, { passive: false });
+        this.listen(element, 'touchcancel', onTouch, { passive: false });
+    }
+
+    detach() {
+        this.pressed = [];
+        this.holds = [];
+    }
+
+    toLocal(clientX, clientY) {
+        const rect = this.context.element.getBoundingClientRect();
+        return { x: clientX - rect.left, y: clientY - rect.top };
+    }
+
+    onPointer(clientX, clientY, player) {
+        if (this.isPhysicsEnabled() && !this.pressed[player]) return;
+
+        const pos = this.toLocal(clientX, clientY);
+        this.emitYarn(player, pos.x, pos.y);
+    }
+
+    // Start timing a new finger; moving it too far cancels the long press
+    trackHold(clientX, clientY, player) {
+        const pos = this.toLocal(clientX, clientY);
+        const hold = this.holds[player];
+        if (!hold) {
+            this.holds[player] = { ...pos, startX: pos.x, startY: pos.y, time: this.context.clock(), done: false };
+            return;
+        }
+        hold.x = pos.x;
+        hold.y = pos.y;
+        if (Math.hypot(pos.x - hold.startX, pos.y - hold.startY) > LONG_PRESS.distance) hold.done = true;
+    }
+
+    update() {
+        const now = this.context.clock();
+        this.holds.forEach((hold, player) => {
+            if (!hold || hold.done || now - hold.time < LONG_PRESS.duration) return;
+            hold.done = true;
+            this.emitAction(player, 'feed', { x: hold.x, y: hold.y });
+        });
+    }
+
+    onRelease(player) {
+        if (!this.pressed[player]) return;
+        this.pressed[player] = false;
+        this.emitRelease(player);
+    }
+}
+
+// KeyboardEvent.code → direction, and the key that drops food
+const KEY_LAYOUTS = {
+    wasd: {
+        directions: {
+            KeyW: { x: 0, y: -1 },
+            KeyA: { x: -1, y: 0 },
+            KeyS: { x: 0, y: 1 },
+            KeyD: { x: 1, y: 0 }
+        },
+        feed: 'KeyF'
+    },
+    arrows: {
+        directions: {
+            ArrowUp: { x: 0, y: -1 },
+            ArrowLeft: { x: -1, y: 0 },
+            ArrowDown: { x: 0, y: 1 },
+            ArrowRight: { x: 1, y: 0 }
+        },
+        feed: 'Enter'
+    }
+};
+KEY_LAYOUTS.all = {
+    directions: { ...KEY_LAYOUTS.wasd.directions, ...KEY_LAYOUTS.arrows.directions },
+    feed: 'Space'
+};
+
+// Keys that belong to the focused control instead of the game: anything
+// typed into a field, and Space / Enter pressing a button or switch
+function isKeyForControl(e) {
+    if (!e.target || !e.target.closest) return false;
+    if (e.target.closest('input, textarea, select')) return true;
+    return (e.code === 'Space' || e.code === 'Enter') && Boolean(e.target.closest('button, a, [role="switch"]'));
+}
+
+/**
+ * KeyboardInputProvider - arrow keys / WASD with acceleration
+ * The ball speeds up while a key is held and glides to a stop after release
+ */
+class KeyboardInputProvider extends InputProvider {
+    constructor(context, { player = 0, layout = 'all' } = {}) {
+        super(context);
+        this.player = player;
+        this.layout = KEY_LAYOUTS[layout];
+        this.keysDown = new Set();
+        this.velocity = { x: 0, y: 0 }; // px per ms
+        this.acceleration = 0.003; // px per ms²
+        this.maxSpeed = 0.8; // px per ms
+        this.friction = 0.99; // Velocity kept per ms without input
+    }
+
+    // Two players on one keyboard split it into WASD and arrows
+    setLayout(layout) {
+        this.layout = KEY_LAYOUTS[layout];
+        this.keysDown.clear();
+    }
+
+    attach() {
+        this.listen(window, 'keydown', (e) => this.onKeyDown(e));
+        this.listen(window, 'keyup', (e) => this.keysDown.delete(e.code));
+        this.listen(window, 'blur', () => this.keysDown.clear());
+    }
+
+    detach() {
+        this.keysDown.clear();
+        this.velocity = { x: 0, y: 0 };
+    }
+
+    onKeyDown(e) {
+        if (isKeyForControl(e)) return;
+
+        if (e.code === this.layout.feed) {
+            e.preventDefault();
+            const pos = this.context.getYarnPos(this.player);
+            if (pos && !e.repeat) this.emitAction(this.player, 'feed', { x: pos.x, y: pos.y });
+        } else if (e.code in this.layout.directions) {
+            e.preventDefault();
+            this.keysDown.add(e.code);
+        }
+    }
+
+    update(elapsed) {
+        const dt = Math.min(elapsed, 50);
+        let dirX = 0;
+        let dirY = 0;
+        this.keysDown.forEach(code => {
+            dirX += this.layout.directions[code].x;
+            dirY += this.layout.directions[code].y;
+        });
+
+        const length = Math.sqrt(dirX * dirX + dirY * dirY);
+        const velocity = this.velocity;
+        if (length > 0) {
+            velocity.x += (dirX / length) * this.acceleration * dt;
+            velocity.y += (dirY / length) * this.acceleration * dt;
+            const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+            if (speed > this.maxSpeed) {
+                velocity.x *= this.maxSpeed / speed;
+                velocity.y *= this.maxSpeed / speed;
+            }
+        } else if (this.isPhysicsEnabled()) {
+            // Yarn physics takes over the glide
+            if (velocity.x !== 0 || velocity.y !== 0) {
+                this.velocity = { x: 0, y: 0 };
+                this.emitRelease(this.player);
+            }
+            return;
+        } else {
+            const decay = Math.pow(this.friction, dt);
+            velocity.x *= decay;
+            velocity.y *= decay;
+            if (Math.abs(velocity.x) + Math.abs(velocity.y) < 0.01) {
+                this.velocity = { x: 0, y: 0 };
+                this.trackers[this.player] = null; // Other inputs may move the ball meanwhile
+                return;
+            }
+        }
+
+        const pos = this.getLastYarnPos(this.player);
+        if (!pos) return;
+
+        const next = this.clampToBounds(pos.x + velocity.x * dt, pos.y + velocity.y * dt);
+        if (next.x !== pos.x + velocity.x * dt) velocity.x = 0;
+        if (next.y !== pos.y + velocity.y * dt) velocity.y = 0;
+        this.emitYarn(this.player, next.x, next.y);
+    }
+}
+
+// Standard gamepad mapping button indices
+const GAMEPAD_BUTTONS = {
+    A: 0,
+    START: 9,
+    DPAD_UP: 12,
+    DPAD_DOWN: 13,
+    DPAD_LEFT: 14,
+    DPAD_RIGHT: 15
+};
+
+/**
+ * GamepadInputProvider - left stick or d-pad steers, A feeds, Start pauses
+ * The first connected pad is player 1, the second one player 2
+ */
+class GamepadInputProvider extends InputProvider {
+    constructor(context) {
+        super(context);
+        this.deadzone = 0.2;
+        this.maxSpeed = 0.8; // px per ms at full tilt
+        this.previousButtons = [];
+        this.steering = []; // Stick held out of the deadzone, per player
+    }
+
+    detach() {
+        this.previousButtons = [];
+        this.steering = [];
+    }
+
+    update(elapsed) {
+        const pads = Array.from(navigator.getGamepads ? navigator.getGamepads() : [])
+            .filter(pad => pad && pad.connected)
+            .slice(0, this.context.getPlayerCount());
+
+        pads.forEach((pad, player) => this.updatePad(pad, player, Math.min(elapsed, 50)));
+    }
+
+    updatePad(pad, player, dt) {
+        const pressed = (index) => Boolean(pad.buttons[index] && pad.buttons[index].pressed);
+        const previous = this.previousButtons[player] || [];
+        const justPressed = (index) => pressed(index) && !previous[index];
+
+        if (justPressed(GAMEPAD_BUTTONS.START)) {
+            this.emitAction(player, 'pause');
+        }
+
+        let axisX = pad.axes[0] || 0;
+        let axisY = pad.axes[1] || 0;
+        if (pressed(GAMEPAD_BUTTONS.DPAD_LEFT)) axisX = -1;
+        if (pressed(GAMEPAD_BUTTONS.DPAD_RIGHT)) axisX = 1;
+        if (pressed(GAMEPAD_BUTTONS.DPAD_UP)) axisY = -1;
+        if (pressed(GAMEPAD_BUTTONS.DPAD_DOWN)) axisY = 1;
+
+        const pos = this.getLastYarnPos(player);
+        const magnitude = Math.sqrt(axisX * axisX + axisY * axisY);
+        if (pos && magnitude > this.deadzone) {
+            const tilt = Math.min(1, (magnitude - this.deadzone) / (1 - this.deadzone));
+            const step = this.maxSpeed * tilt * dt;
+            const next = this.clampToBounds(pos.x + (axisX / magnitude) * step, pos.y + (axisY / magnitude) * step);
+            this.emitYarn(player, next.x, next.y);
+            this.steering[player] = true;
+        } else if (this.steering[player]) {
+            // Centering the stick lets go of the ball
+            this.steering[player] = false;
+            this.emitRelease(player);
+        }
+
+        if (pos && justPressed(GAMEPAD_BUTTONS.A)) {
+            this.emitAction(player, 'feed', { x: pos.x, y: pos.y });
+        }
+
+        this.previousButtons[player] = pad.buttons.map(button => button.pressed);
+    }
+}
+
+// Auto-dangle: a figure eight in front of the cat, and where a flick goes
+const ASSIST_DANGLE = {
+    distance: 110, // px ahead of the cat
+    width: 70, // px either side of the middle of the eight
+    height: 35,
+    period: 4000, // ms per loop
+    speed: 0.25, // px per ms the ball moves towards where it should be
+    flickDistance: [250, 350], // px from the cat
+    flickSpeed: 1.2,
+    flickHold: 800 // ms the ball stays out before dangling again
+};
+
+// Keys that never act as the assist switch (moving focus, pausing)
+const ASSIST_IGNORED_KEYS = ['Tab', 'Escape', 'ShiftLeft', 'ShiftRight', 'AltLeft', 'AltRight',
+    'ControlLeft', 'ControlRight', 'MetaLeft', 'MetaRight'];
+const ASSIST_PLAYER_TWO_KEYS = [...Object.keys(KEY_LAYOUTS.wasd.directions), KEY_LAYOUTS.wasd.feed];
+
+/**
+ * AssistInputProvider - one-switch play for limited motor control
+ * Player 1's ball dangles by itself in front of the cat; any single switch
+ * (a key, a click or tap on the play area, any gamepad button) flicks it
+ * away so the cat gives chase, then it drifts back to dangling.
+ */
+class AssistInputProvider extends InputProvider {
+    constructor(context) {
+        super(context);
+        this.time = 0; // ms of game time since start, drives the eight
+        this.flick = null; // { x, y, until } while the ball is flicked away
+        this.previousButtons = false;
+        this.holding = false;
+    }
+
+    attach() {
+        this.listen(window, 'keydown', (e) => {
+            if (e.repeat || ASSIST_IGNORED_KEYS.includes(e.code) || isKeyForControl(e)) return;
+            // Player 2 plays on WASD + F meanwhile
+            if (this.context.getPlayerCount() > 1 && ASSIST_PLAYER_TWO_KEYS.includes(e.code)) return;
+            e.preventDefault();
+            this.flickYarn();
+        });
+        this.listen(this.context.element, 'pointerdown', () => this.flickYarn());
+    }
+
+    detach() {
+        this.flick = null;
+        this.previousButtons = false;
+        if (this.holding) {
+            this.holding = false;
+            this.emitRelease(0);
+        }
+    }
+
+    // Throw the ball to a spot a good run away from the cat
+    flickYarn() {
+        const cat = this.context.getCatPos(0);
+        if (!cat) return;
+        const { width } = this.context.getBounds();
+        const [near, far] = ASSIST_DANGLE.flickDistance;
+        const distance = near + Math.random() * (far - near);
+        // Towards the roomier side
+        const direction = cat.x < width / 2 ? 1 : -1;
+        const target = this.clampToBounds(cat.x + direction * distance, cat.y - Math.random() * 60, 40);
+        this.flick = { ...target, until: this.time + ASSIST_DANGLE.flickHold };
+    }
+
+    // Where the dangling ball should be now
+    getDanglePos() {
+        const cat = this.context.getCatPos(0);
+        const { width } = this.context.getBounds();
+        const side = cat.x < width / 2 ? 1 : -1;
+        const phase = (this.time / ASSIST_DANGLE.period) * Math.PI * 2;
+        return this.clampToBounds(
+            cat.x + side * ASSIST_DANGLE.distance + Math.sin(phase) * ASSIST_DANGLE.width,
+            cat.y - 30 + Math.sin(phase * 2) * ASSIST_DANGLE.height,
+            40
+        );
+    }
+
+    update(elapsed) {
+        const dt = Math.min(elapsed, 50);
+        this.time += dt;
+
+        // Any gamepad button is the switch as well
+        const pads = typeof navigator !== 'undefined' && navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+        const pressed = pads.some(pad => pad && pad.connected && pad.buttons.some(button => button.pressed));
+        if (pressed && !this.previousButtons) this.flickYarn();
+        this.previousButtons = pressed;
+
+        const pos = this.getLastYarnPos(0);
+        if (!pos || !this.context.getCatPos(0)) return;
+        if (this.flick && this.time >= this.flick.until) this.flick = null;
+
+        const target = this.flick || this.getDanglePos();
+        const speed = this.flick ? ASSIST_DANGLE.flickSpeed : ASSIST_DANGLE.speed;
+        const dx = target.x - pos.x;
+        const dy = target.y - pos.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const step = Math.min(distance, speed * dt);
+        if (distance > 0) {
+            this.emitYarn(0, pos.x + (dx / distance) * step, pos.y + (dy / distance) * step);
+            this.holding = true;
+        }
+    }
+}
+
+// Gestures that fire an action as soon as they are recognized
+const GESTURE_ACTIONS = {
+    fist: 'pause',
+    peace: 'photo',
+    thumbsUp: 'cheer'
+};
+
+/**
+ * CameraInputProvider - MediaPipe hand tracking
+ * One recognizer per hand, keyed by handedness. With two hands the yarn hand
+ * steers and the other one feeds; a single hand does both.
+ */
+class CameraInputProvider extends InputProvider {
+    constructor(context) {
+        super(context);
+
+        // Camera elements
+        this.container = document.getElementById('cameraContainer');
+        this.video = document.getElementById('cameraVideo');
+        this.canvas = document.getElementById('cameraCanvas');
+        this.status = document.getElementById('cameraStatus');
+        this.handIndicator = document.getElementById('handIndicator');
+        this.handLabel = this.handIndicator.querySelector('.hand-label');
+
+        // Finger cursor element
+        this.fingerCursor = document.createElement('div');
+        this.fingerCursor.className = 'finger-cursor';
+        context.element.appendChild(this.fingerCursor);
+
+        // Hand tracking
+        this.hands = null;
+        this.camera = null;
+        this.cameraAttempt = 0; // Bumped by every start, stop and timeout; older starts give up
+        this.handDetected = false;
+        this.smoothedFingerPos = { x: 0, y: 0 };
+        this.fingerSmoothing = 0.3;
+
+        // Gestures
+        this.handRecognizers = new Map();
+        this.handRoles = new Map();
+        this.yarnHand = 'Right';
+        this.grabbingYarn = false;
+        this.yarnThrow = null; // { vx, vy } in px/ms while a thrown ball glides
+    }
+
+    attach() {
+        this.container.classList.add('active');
+        this.startCamera();
+    }
+
+    detach() {
+        this.container.classList.remove('active');
+        this.fingerCursor.classList.remove('active');
+        this.stopCamera();
+    }
+
+    async startCamera() {
+        this.updateStatus('starting', 'loading');
+
+        // Stopped, started again or timed out since this start began
+        const attempt = ++this.cameraAttempt;
+        const cancelled = () => !this.active || attempt !== this.cameraAttempt;
+
+        // Timeout promise for MediaPipe initialization
+        let timer = null;
+        const timeout = (ms) => new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error('TIMEOUT')), ms);
+        });
+
+        try {
+            // Initialize MediaPipe Hands with timeout
+            const initMediaPipe = async () => {
+                this.hands = new Hands({
+                    locateFile: (file) => {
+                        return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
+                    }
+                });
+
+                this.hands.setOptions({
+                    maxNumHands: 2,
+                    modelComplexity: 1,
+                    minDetectionConfidence: 0.7,
+                    minTrackingConfidence: 0.5
+                });
+
+                this.hands.onResults((results) => this.onHandResults(results));
+
+                // Setup camera
+                const camera = new Camera(this.video, {
+                    onFrame: async () => {
+                        await this.hands.send({ image: this.video });
+                    },
+                    width: 640,
+                    height: 480
+                });
+                this.camera = camera;
+
+                await camera.start();
+
+                // Nobody wants it any more: turn it off again
+                if (cancelled()) {
+                    camera.stop();
+                    if (this.camera === camera) this.camera = null;
+                    throw new Error('CANCELLED');
+                }
+            };
+
+            // Race between initialization and 10 second timeout
+            await Promise.race([
+                initMediaPipe(),
+                timeout(10000)
+            ]);
+
+            this.updateStatus('started', 'success');
+            setTimeout(() => {
+                this.status.classList.add('hidden');
+            }, 1500);
+
+        } catch (error) {
+            // Stopped or started again meanwhile: that start reports for itself
+            if (cancelled()) return;
+
+            console.error('Camera error:', error);
+
+            // Provide specific error messages
+            let status = 'failed';
+            if (error.message === 'TIMEOUT') {
+                status = 'timeout';
+                // A camera still starting is turned off when it's done
+                this.cameraAttempt++;
+                if (this.camera) {
+                    this.camera.stop();
+                    this.camera = null;
+                }
+            } else if (error.name === 'NotAllowedError') {
+                status = 'denied';
+            } else if (error.name === 'NotFoundError') {
+                status = 'notFound';
+            } else if (error.name === 'NotReadableError') {
+                status = 'busy';
+            }
+
+            this.updateStatus(status, 'error');
+
+            // Let the game switch back to the default provider after 3 seconds,
+            // unless the camera was stopped or started again by then. A timeout
+            // has already bumped the attempt, so compare against the current one.
+            const failedAttempt = this.cameraAttempt;
+            setTimeout(() => {
+                if (!this.active || this.cameraAttempt !== failedAttempt) return;
+                this.emit('unavailable');
+                this.updateStatus('fallback', '');
+            }, 3000);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    stopCamera() {
+        this.cameraAttempt++; // A start still under way turns its camera off
+        if (this.camera) {
+            this.camera.stop();
+            this.camera = null;
+        }
+        this.handDetected = false;
+        this.handIndicator.classList.remove('visible');
+        this.handRecognizers.forEach(recognizer => recognizer.reset(this.context.clock()));
+        this.grabbingYarn = false;
+        this.yarnThrow = null;
+        this.status.classList.remove('hidden');
+        this.updateStatus('off', '');
+    }
+
+    // status: a camera.<status> message of the locale catalogs
+    updateStatus(status, statusClass) {
+        localize(this.status, () => t(`camera.${status}`));
+        this.status.className = 'camera-status';
+        if (statusClass) {
+            this.status.classList.add(statusClass);
+        }
+    }
+
+    onHandResults(results) {
+        if (!this.active) return;
+
+        const canvasCtx = this.canvas.getContext('2d');
+        const canvasWidth = this.canvas.width = this.video.videoWidth || 640;
+        const canvasHeight = this.canvas.height = this.video.videoHeight || 480;
+
+        canvasCtx.save();
+        canvasCtx.clearRect(0, 0, canvasWidth, canvasHeight);
+
+        const hands = results.multiHandLandmarks || [];
+        const handedness = results.multiHandedness || [];
+        const now = this.context.clock();
+        const seen = new Set();
+
+        hands.forEach((landmarks, i) => {
+            // Two hands can be read as the same side - keep their recognizers apart
+            let label = handedness[i] ? handedness[i].label : this.yarnHand;
+            if (seen.has(label)) label = `${label}-${i}`;
+            seen.add(label);
+
+            const role = this.getHandRole(label, hands.length);
+            this.handRoles.set(label, role);
+            this.drawHandLandmarks(canvasCtx, landmarks, canvasWidth, canvasHeight);
+
+            const gesture = this.getHandRecognizer(label).update(landmarks, now);
+            if (role !== 'feed') {
+                this.handLabel.textContent = t(`gestures.${gesture}`);
+                this.steerYarnWithHand(landmarks, gesture);
+            }
+        });
+
+        // Hands that left the frame end their gestures
+        this.handRecognizers.forEach((recognizer, label) => {
+            if (!seen.has(label)) recognizer.reset(now);
+        });
+
+        this.handDetected = hands.length > 0;
+        this.handIndicator.classList.toggle('visible', this.handDetected);
+
+        canvasCtx.restore();
+    }
+
+    // 'both' with a single hand, otherwise 'yarn' or 'feed'
+    getHandRole(label, handCount) {
+        if (handCount < 2) return 'both';
+        return label === this.yarnHand ? 'yarn' : 'feed';
+    }
+
+    getHandRecognizer(label) {
+        let recognizer = this.handRecognizers.get(label);
+        if (!recognizer) {
+            recognizer = new GestureRecognizer();
+            recognizer.on('start', ({ gesture, landmarks }) => this.onGestureStart(label, gesture, landmarks));
+            recognizer.on('end', ({ gesture }) => this.onGestureEnd(gesture));
+            recognizer.on('wave', () => this.emitAction(0, 'greet'));
+            this.handRecognizers.set(label, recognizer);
+        }
+        return recognizer;
+    }
+
+    // Camera coordinates are mirrored like the preview
+    landmarkToScreen(landmark) {
+        return {
+            x: (1 - landmark.x) * window.innerWidth,
+            y: landmark.y * window.innerHeight
+        };
+    }
+
+    onGestureStart(label, gesture, landmarks) {
+        const role = this.handRoles.get(label);
+
+        if (gesture === 'open' && role !== 'yarn') {
+            // Use palm center (middle finger base) for food position
+            const palm = this.landmarkToScreen(landmarks[HAND.MIDDLE_MCP]);
+            this.emitAction(0, 'feed', palm);
+        } else if (gesture === 'pinch' && role !== 'feed') {
+            this.grabbingYarn = true;
+            this.yarnThrow = null;
+        } else if (GESTURE_ACTIONS[gesture]) {
+            this.emitAction(0, GESTURE_ACTIONS[gesture], { video: this.video });
+        }
+    }
+
+    onGestureEnd(gesture) {
+        if (gesture !== 'pinch' || !this.grabbingYarn) return;
+
+        // Letting go of a pinch throws the ball with the hand's velocity
+        this.grabbingYarn = false;
+        if (this.isPhysicsEnabled()) {
+            this.emitRelease(0);
+            return;
+        }
+        const tracker = this.trackers[0];
+        const { x, y } = tracker ? tracker.velocity : { x: 0, y: 0 };
+        if (Math.sqrt(x * x + y * y) > 0.3) {
+            this.yarnThrow = { vx: x, vy: y };
+        }
+    }
+
+    // Index fingertip steers; a pinch holds the ball between thumb and index
+    steerYarnWithHand(landmarks, gesture) {
+        if (this.yarnThrow) return;
+
+        let target;
+        if (gesture === 'pinch') {
+            const thumb = this.landmarkToScreen(landmarks[HAND.THUMB_TIP]);
+            const index = this.landmarkToScreen(landmarks[HAND.INDEX_TIP]);
+            target = { x: (thumb.x + index.x) / 2, y: (thumb.y + index.y) / 2 };
+        } else if (gesture === 'point' || gesture === 'none') {
+            target = this.landmarkToScreen(landmarks[HAND.INDEX_TIP]);
+        } else {
+            return;
+        }
+
+        const smoothed = this.smoothedFingerPos;
+        smoothed.x += (target.x - smoothed.x) * this.fingerSmoothing;
+        smoothed.y += (target.y - smoothed.y) * this.fingerSmoothing;
+        // With yarn physics only a pinch holds the ball
+        if (!this.isPhysicsEnabled() || this.grabbingYarn) {
+            this.emitYarn(0, smoothed.x, smoothed.y);
+        }
+
+        this.fingerCursor.classList.add('active');
+        this.fingerCursor.style.left = `${smoothed.x}px`;
+        this.fingerCursor.style.top = `${smoothed.y}px`;
+    }
+
+    // Thrown ball glides on with friction until it slows down
+    update(elapsed) {
+        if (!this.yarnThrow) return;
+
+        const throwState = this.yarnThrow;
+        const dt = Math.min(elapsed, 50);
+        const pos = this.getLastYarnPos(0);
+        if (!pos) return;
+
+        const x = pos.x + throwState.vx * dt;
+        const y = pos.y + throwState.vy * dt;
+        const next = this.clampToBounds(x, y);
+        if (next.x !== x) throwState.vx = 0;
+        if (next.y !== y) throwState.vy = 0;
+
+        const friction = Math.pow(0.995, dt);
+        throwState.vx *= friction;
+        throwState.vy *= friction;
+        this.emitYarn(0, next.x, next.y);
+
+        if (Math.sqrt(throwState.vx * throwState.vx + throwState.vy * throwState.vy) < 0.05) {
+            this.yarnThrow = null;
+            this.smoothedFingerPos = { ...next };
+        }
+    }
+
+    drawHandLandmarks(ctx, landmarks, width, height) {
+        const connections = [
+            [0, 1], [1, 2], [2, 3], [3, 4],
+            [0, 5], [5, 6], [6, 7], [7, 8],
+            [0, 9], [9, 10], [10, 11], [11, 12],
+            [0, 13], [13, 14], [14, 15], [15, 16],
+            [0, 17], [17, 18], [18, 19], [19, 20],
+            [5, 9], [9, 13], [13, 17]
+        ];
+
+        ctx.strokeStyle = 'rgba(255, 107, 157, 0.6)';
+        ctx.lineWidth = 2;
+
+        connections.forEach(([start, end]) => {
+            const startPoint = landmarks[start];
+            const endPoint = landmarks[end];
+            ctx.beginPath();
+            ctx.moveTo(startPoint.x * width, startPoint.y * height);
+            ctx.lineTo(endPoint.x * width, endPoint.y * height);
+            ctx.stroke();
+        });
+
+        landmarks.forEach((landmark, index) => {
+            const x = landmark.x * width;
+            const y = landmark.y * height;
+
+            ctx.beginPath();
+            ctx.arc(x, y, index === 8 ? 8 : 4, 0, 2 * Math.PI);
+
+            if (index === 8) {
+                ctx.fillStyle = '#ff6b9d';
+                ctx.strokeStyle = '#535353';
+                ctx.lineWidth = 2;
+                ctx.fill();
+                ctx.stroke();
+            } else {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+                ctx.fill();
+            }
+        });
+    }
+}
+
+registerInputProvider({
+    id: 'mouse',
+    icon: '🖱️',
+    create: (context) => new PointerInputProvider(context)
+});
+
+registerInputProvider({
+    id: 'keyboard',
+    icon: '⌨️',
+    usesKeyboard: true,
+    create: (context) => new KeyboardInputProvider(context)
+});
+
+registerInputProvider({
+    id: 'gamepad',
+    icon: '🎮',
+    create: (context) => new GamepadInputProvider(context),
+    isAvailable: () => typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function'
+});
+
+registerInputProvider({
+    id: 'assist',
+    icon: '🤲',
+    usesKeyboard: true,
+    create: (context) => new AssistInputProvider(context)
+});
+
+registerInputProvider({
+    id: 'camera',
+    icon: '✋',
+    create: (context) => new CameraInputProvider(context)
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SpeedTracker, InputProvider, INPUT_PROVIDERS, DEFAULT_INPUT_PROVIDER,
+        registerInputProvider, getInputProvider, KEY_LAYOUTS, LONG_PRESS, isKeyForControl,
+        ASSIST_DANGLE, PointerInputProvider, KeyboardInputProvider, GamepadInputProvider,
+        AssistInputProvider, CameraInputProvider
+    };
+}
@@ -0,0 +1,505 @@
+/**
+ * English - translated from the zh-CN catalog; counted nouns are functions
+ * of their params so one and many read right
+ */
+
+const englishCount = (count, one, many) => `${count} ${count === 1 ? one : many}`;
+
+registerLocale({
+    id: 'en',
+    name: 'English',
+    strings: {
+        common: {
+            listSeparator: ', ',
+            joiner: ' · '
+        },
+        page: {
+            title: '🐱 Yarn Ball Battle',
+            description: 'A pixel-art web game: steer a yarn ball with your finger or mouse and watch the cats chase it',
+            heading: '🧶 Yarn Ball Battle 🐱',
+            subtitle: 'Move the mouse or use your finger to steer the yarn ball!',
+            footer: 'Move the mouse fast to get the cat excited! 🎮',
+            gameArea: 'Game area'
+        },
+        camera: {
+            off: '📷 Camera off',
+            starting: '🔄 Starting camera...',
+            started: '✅ Camera on',
+            failed: '❌ Cannot access the camera',
+            timeout: '⏱️ Loading timed out, check your connection',
+            denied: '🚫 Camera permission denied',
+            notFound: '📷 No camera found',
+            busy: '⚠️ The camera is in use by another app',
+            fallback: 'Switched back to mouse mode'
+        },
+        gestures: {
+            point: '☝️ Index finger',
+            pinch: '🤏 Holding the yarn',
+            open: '🖐️ Feed',
+            fist: '✊ Pause',
+            peace: '✌️ Photo',
+            thumbsUp: '👍 Thumbs up',
+            none: 'Index finger'
+        },
+        settings: {
+            title: '⚙️ Settings',
+            pause: 'Pause / resume (Esc)',
+            toggle: 'Show/hide settings',
+            sectionToggle: 'Show/hide',
+            badges: {
+                demo: 'DEMO',
+                replay: 'REPLAY',
+                paused: 'PAUSED'
+            }
+        },
+        controls: {
+            title: '🎮 Controls',
+            mouse: {
+                label: 'Mouse',
+                hint: 'Move the mouse or your finger to steer the yarn; right-click or long-press to drop food'
+            },
+            keyboard: {
+                label: 'Keyboard',
+                hint: 'Arrow keys / WASD to move (hold to speed up), Space to feed'
+            },
+            gamepad: {
+                label: 'Gamepad',
+                hint: 'Left stick / D-pad to move, A to feed, Start to pause'
+            },
+            assist: {
+                label: 'Assist',
+                hint: 'The yarn dangles in front of the cat by itself; press any key, tap the screen or press any gamepad button to flick it away'
+            },
+            camera: {
+                label: 'Gestures',
+                hint: '☝️ move 🤏 grab & throw 🖐️ feed ✊ pause ✌️ photo'
+            }
+        },
+        gameMode: {
+            title: '🏆 Game mode',
+            free: '🎈 Free play',
+            challenge: '⏱️ Challenge',
+            freeHint: 'Play as you like, no time limit',
+            level: '⏱️ Level {level}',
+            goal: ({ target }) => `Catch the yarn ${englishCount(target, 'time', 'times')} in 60 seconds!`,
+            seconds: 's',
+            target: '🏁 Goal'
+        },
+        results: {
+            passed: '🎉 Level {level} cleared!',
+            failed: '😿 Level {level} failed',
+            summary: ({ catches, target }) => `Caught ${catches} / ${englishCount(target, 'time', 'times')}`,
+            newRecord: ' · 🏅 New record!',
+            retry: '🔁 Retry',
+            next: '⏭️ Next level',
+            free: '🎈 Free play'
+        },
+        yarn: {
+            title: '🧶 Yarn ball',
+            follow: '📌 Follow',
+            physics: '🎾 Physics',
+            followHint: 'The yarn ball sticks to your mouse or finger',
+            physicsHint: 'Hold to grab the yarn ball, let go to throw it; it bounces and rolls'
+        },
+        foods: {
+            treat: 'Treat',
+            fish: 'Fish',
+            catnip: 'Catnip',
+            milk: 'Milk'
+        },
+        food: {
+            title: '🍽️ Food',
+            hint: 'Right-click / long-press / Space to drop food, number keys 1-4 to switch',
+            button: '{name} (key {key})',
+            empty: '{emoji} Out of {name}, more is on the way',
+            details: '{emoji} {name}: {effects}',
+            change: '{need} {value}',
+            needs: {
+                hunger: 'Hunger',
+                energy: 'Energy',
+                happiness: 'Mood'
+            },
+            hyper: 'hyper for 10 s'
+        },
+        environment: {
+            title: '🌤️ Time & weather',
+            real: '🕰️ Real time',
+            demo: '⏩ Fast demo',
+            random: '🎲 Random',
+            summary: '{phaseIcon} {phase} · {weatherIcon} {weather}',
+            notes: {
+                night: 'cats get sleepy and tire faster',
+                rain: 'cats hide from the rain under the shelter',
+                snow: 'cats run slower in the snow',
+                wind: 'the wind blows the yarn ball away',
+                windFollow: 'the wind sways the thread; turn on physics and it blows the yarn ball away'
+            }
+        },
+        phases: {
+            dawn: 'Dawn',
+            day: 'Day',
+            dusk: 'Dusk',
+            night: 'Night'
+        },
+        weather: {
+            clear: 'Clear',
+            rain: 'Rain',
+            snow: 'Snow',
+            wind: 'Wind'
+        },
+        room: {
+            title: '🛋️ Room',
+            edit: '✏️ Edit room',
+            done: '✅ Done',
+            saveSlot: '💾 Save to {slot}',
+            loadSlot: '📁 Layout {slot}',
+            saved: 'Saved to layout {slot}',
+            hint: 'Cats walk around furniture, jump onto the sofa and cat tree, and ambush the yarn from boxes',
+            editHint: 'Drag furniture into place, ✕ removes it (up to {max} pieces), "Save to" keeps the layout',
+            full: 'The room holds at most {max} pieces of furniture',
+            remove: 'Remove'
+        },
+        rooms: {
+            empty: 'Empty room',
+            living: 'Living room',
+            playground: 'Cat playground'
+        },
+        furniture: {
+            box: 'Box',
+            sofa: 'Sofa',
+            tree: 'Cat tree'
+        },
+        players: {
+            title: '👥 Players',
+            one: '👤 One player',
+            two: '👥 Two players',
+            player1: 'Player 1',
+            player2: 'Player 2',
+            prefix: 'Player {number}: ',
+            hint: 'Player 2: WASD / arrow keys, a second finger or a second gamepad',
+            shared: {
+                keyboard: 'Player 1: arrow keys + Enter to feed, player 2: WASD + F to feed',
+                assist: 'Player 1: any key but WASD and F flicks the yarn, player 2: WASD + F to feed'
+            }
+        },
+        profiles: {
+            title: '🐱 Cat',
+            tabby: {
+                name: 'Ginger',
+                description: 'A lively, well-rounded ginger house cat'
+            },
+            persian: {
+                name: 'Persian',
+                description: 'A lazy Persian: runs slowly, pounces slowly and rests at every chance'
+            },
+            kitten: {
+                name: 'Kitten',
+                description: 'A bouncy kitten with short cooldowns that never stops pouncing'
+            },
+            siamese: {
+                name: 'Siamese',
+                description: 'A careful Siamese that stalks low from far away and only strikes when sure'
+            }
+        },
+        wardrobe: {
+            title: '👗 Wardrobe',
+            locked: '{name}: unlocked by the "{achievement}" achievement',
+            slots: {
+                coat: 'Coat',
+                hat: 'Hat',
+                bow: 'Bow',
+                collar: 'Collar',
+                yarnColor: 'Yarn'
+            }
+        },
+        cosmetics: {
+            coat: {
+                breed: 'Breed colors',
+                tabby: 'Tabby',
+                calico: 'Calico',
+                black: 'Black',
+                white: 'White'
+            },
+            hat: {
+                none: 'None',
+                party: 'Party hat',
+                crown: 'Crown',
+                tophat: 'Top hat',
+                cap: 'Baseball cap'
+            },
+            bow: {
+                none: 'None',
+                red: 'Red bow',
+                blue: 'Blue bow',
+                yellow: 'Yellow bow'
+            },
+            collar: {
+                none: 'None',
+                bell: 'Bell collar',
+                green: 'Green bell collar'
+            },
+            yarnColor: {
+                pink: 'Sakura pink',
+                sky: 'Sky blue',
+                fire: 'Fire orange',
+                mint: 'Mint green',
+                midnight: 'Midnight purple'
+            },
+            meow: {
+                proud: 'Proud meow',
+                sleepy: 'Sleepy meow',
+                cheese: 'Say-cheese meow',
+                foodie: 'Foodie meow'
+            }
+        },
+        meows: {
+            random: ['Meow~', 'Mew mew~', 'Meow!', 'Meow~♪'],
+            unlocked: {
+                proud: ['Hmph~', 'Am I great or what!'],
+                sleepy: ['Meow... zzz', 'Purrr~'],
+                cheese: ['Cheese, meow!', 'Meow~📸'],
+                foodie: ['More food, meow!', 'Mmm~ smells good']
+            },
+            shelter: 'Meow~☔',
+            hyper: 'Meow meow meow! 🌿',
+            tangle: 'Meow?!',
+            startle: 'Hiss! 🙀',
+            ambush: 'Gotcha! 📦',
+            cheer: 'Meow! 👍',
+            greet: 'Meow~👋',
+            dog: '🐕 ×{points}!'
+        },
+        sound: {
+            title: '🔊 Sound',
+            toggle: 'Sound on/off',
+            label: 'Sound',
+            volume: 'Volume'
+        },
+        renderers: {
+            title: '🖥️ Graphics',
+            hint: 'Picks how the game is drawn',
+            autoHint: 'Auto: using {renderer} (Canvas on low-end phones)',
+            auto: {
+                label: 'Auto'
+            },
+            dom: {
+                label: 'DOM',
+                hint: 'Drawn with page elements and CSS animations, the most detailed look'
+            },
+            canvas: {
+                label: 'Canvas',
+                hint: 'Drawn on a single canvas, smoother with many particles, good for low-end phones'
+            }
+        },
+        a11y: {
+            title: '♿ Accessibility',
+            reducedMotion: '🐢 Reduce motion',
+            highContrast: '🌓 High contrast',
+            hint: 'Follows your system settings by default; Tab moves between buttons, Esc pauses, 🤲 assist mode needs just one key',
+            paused: 'Game paused',
+            resumed: 'Game resumed',
+            catch: ({ player, count }) => `${player}Caught the yarn! ${englishCount(count, 'catch', 'catches')} so far`
+        },
+        language: {
+            title: '🌐 语言 / Language',
+            auto: '🌐 Auto',
+            hint: 'Auto: follows your browser language'
+        },
+        replay: {
+            title: '🎬 Recording',
+            record: '⏺️ Record',
+            stop: '⏹️ Stop',
+            play: '▶️ Replay',
+            export: '💾 Export',
+            import: '📂 Import',
+            hint: 'Record a game, then export it to share or replay it',
+            playing: '▶️ Replaying...',
+            ended: 'Replay finished',
+            recording: '⏺️ Recording...',
+            recorded: ({ seconds, inputs }) => `Recorded ${seconds}s, ${englishCount(inputs, 'input', 'inputs')}`,
+            imported: 'Imported {file}',
+            failed: '❌ {message}',
+            errors: {
+                INVALID_JSON: 'The recording is not valid JSON',
+                NOT_A_SESSION: 'Not a Yarn Ball Battle recording',
+                UNSUPPORTED_VERSION: 'Unsupported recording version: {version}',
+                CORRUPT: 'The recording is damaged',
+                TICK_MISMATCH: 'The recording uses a different simulation step than this version'
+            }
+        },
+        stats: {
+            title: '📊 Stats',
+            totalCatches: '🎯 Total catches',
+            bestSession: '🏅 Best session',
+            totalDistance: '🐾 Distance chased',
+            foodServed: '🍽️ Food served',
+            timePlayed: '⏳ Time played',
+            challengeStars: '⏱️ Challenge stars',
+            catches: ({ count }) => englishCount(count, 'catch', 'catches'),
+            meters: '{count} m',
+            portions: ({ count }) => englishCount(count, 'portion', 'portions'),
+            stars: '{stars}/{max} ⭐',
+            hours: '{hours}h {minutes}m',
+            minutes: '{minutes}m {seconds}s',
+            seconds: '{seconds}s',
+            reset: '🗑️ Clear records',
+            confirmReset: 'Clear all stats and records?'
+        },
+        achievements: {
+            title: '🏅 Achievements',
+            toast: '🏅 {icon} {name}',
+            reward: '🎁 New {type}: {name}',
+            rewardTypes: {
+                yarnColor: 'yarn color',
+                hat: 'hat',
+                meow: 'meow'
+            },
+            firstCatch: {
+                name: 'First Catch',
+                description: 'Catch the yarn ball for the first time'
+            },
+            pounceStreak: {
+                name: 'Unstoppable',
+                description: 'Catch the yarn {target} times in a row without a rest'
+            },
+            excitedCatch: {
+                name: 'Overexcited',
+                description: 'Catch while the cat is super excited'
+            },
+            nightOwl: {
+                name: 'Night Owl',
+                description: 'Catch the yarn ball at night'
+            },
+            firstRest: {
+                name: 'Worn Out',
+                description: 'The cat lies down to rest for the first time'
+            },
+            gourmet: {
+                name: 'Gourmet',
+                description: 'Eat every kind of food once'
+            },
+            animalWatcher: {
+                name: 'Animal Watcher',
+                description: 'See every background animal'
+            },
+            handFeed: {
+                name: 'Hand Fed',
+                description: 'Feed the cat with an open-hand gesture'
+            },
+            photographer: {
+                name: 'Photographer',
+                description: 'Take a photo of the cat with a peace sign'
+            },
+            dogDay: {
+                name: 'Double Joy',
+                description: 'Catch while the dog is around'
+            },
+            hyperCatch: {
+                name: 'Catnip Party',
+                description: 'Catch after eating catnip'
+            }
+        },
+        hud: {
+            pounces: '🎯 Catches',
+            player1: '🎯 Player 1',
+            player2: '🎯 Player 2',
+            unit: '',
+            mood: '🐱 Mood',
+            needs: {
+                hunger: 'Hunger: rises over time, food lowers it',
+                energy: 'Energy: used up by running and pouncing, restored by resting',
+                happiness: 'Mood: improves when you play together'
+            }
+        },
+        moods: {
+            idle: '😺 Relaxed',
+            curious: '😸 Curious',
+            running: '😻 Chasing',
+            excited: '🙀 Super excited!',
+            'preparing-pounce': '😼 Ready to pounce...',
+            pouncing: '🐱 Pounce!',
+            resting: '😴 Taking a rest...',
+            eating: '😋 Yummy~',
+            tangled: '🧶 Tangled in the yarn!',
+            distracted: '🐦 Watching a bird...',
+            startled: '🙀 Startled!',
+            sheltering: '☔ Hiding from the rain...',
+            stalking: '🐾 Sneaking up...',
+            wiggling: '🍑 Butt wiggle, here it comes!',
+            grooming: '👅 Grooming...',
+            sleeping: '💤 Asleep...',
+            stretching: '🙆 Stretching~',
+            zoomies: '💨 Zoomies!',
+            jumping: '🐈 Jump!',
+            hiding: '📦 Hiding in a box...',
+            needs: {
+                tired: '🥱 Sleepy...',
+                hungry: '😿 Hungry...',
+                bored: '😾 So bored...',
+                happy: '😻 So happy~'
+            },
+            hyper: '🌿 Going wild!',
+            pounceCount: '{mood} ({count}/{max})',
+            restingCountdown: '😴 Resting... {seconds}s'
+        },
+        demo: {
+            title: '🎭 Pose preview',
+            hint: 'Tap a button to preview a cat pose',
+            resting: '😴 Resting preview...',
+            pouncing: '🐱 Pounce preview!',
+            wiggling: '🍑 Butt wiggle preview!',
+            stalking: '🐾 Stalking preview...',
+            labels: {
+                idle: 'Relaxed',
+                curious: 'Curious',
+                running: 'Chasing',
+                excited: 'Excited',
+                pouncing: 'Pounce',
+                resting: 'Rest',
+                stalking: 'Stalk',
+                grooming: 'Groom',
+                sleeping: 'Sleep',
+                stretching: 'Stretch',
+                zoomies: 'Zoomies'
+            },
+            hints: {
+                idle: 'The cat is lazing about',
+                curious: 'The cat is watching curiously',
+                running: 'The cat is chasing the yarn ball',
+                excited: 'The cat is super excited!',
+                pouncing: 'The cat is pouncing!',
+                resting: 'The cat is tired and catching its breath',
+                stalking: 'The cat creeps up low and wiggles its butt before a long pounce',
+                grooming: 'The cat grooms itself when there is nothing to do',
+                sleeping: 'The cat is asleep; a sudden move of the yarn wakes it up',
+                stretching: 'A big stretch after a rest',
+                zoomies: 'The cat suddenly races around the room!'
+            }
+        },
+        pause: {
+            title: '⏸️ Paused',
+            userHint: 'Press Esc or "Resume" to keep playing',
+            hiddenHint: 'Resumes when you come back to the game',
+            resume: '▶️ Resume'
+        },
+        photo: {
+            caption: ({ count }) => `🐱 Yarn Ball Battle · ${englishCount(count, 'catch', 'catches')}`
+        },
+        benchmark: {
+            title: '🖥️ Renderer benchmark - Yarn Ball Battle',
+            particles: 'Particles',
+            run: '▶️ Start',
+            hint: 'Each renderer runs for 5 seconds',
+            running: 'Testing {renderer}...',
+            done: 'Done',
+            columns: {
+                renderer: 'Renderer',
+                particles: 'Particles',
+                frame: 'Avg frame (ms)',
+                p95: 'P95 frame (ms)',
+                script: 'Script (ms)',
+                fps: 'FPS'
+            }
+        }
+    }
+});
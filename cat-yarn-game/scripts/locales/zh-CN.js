@@ -0,0 +1,521 @@
+/**
+ * 简体中文 - the source catalog: every key the game uses is here, other
+ * locales fall back to it (scripts/i18n.js)
+ */
+
+registerLocale({
+    id: 'zh-CN',
+    name: '简体中文',
+    strings: {
+        common: {
+            listSeparator: '，',
+            joiner: ' · '
+        },
+        page: {
+            title: '🐱 毛线球大作战 - Yarn Ball Battle',
+            description: '一个像素风格的互动网页游戏，用手指或鼠标控制毛线球吸引可爱的猫咪追逐',
+            heading: '🧶 毛线球大作战 🐱',
+            subtitle: '移动鼠标或用手指控制毛线球！',
+            footer: '按住鼠标快速移动让猫咪更兴奋！ 🎮',
+            gameArea: '游戏画面'
+        },
+        camera: {
+            off: '📷 摄像头未启动',
+            starting: '🔄 正在启动摄像头...',
+            started: '✅ 摄像头已启动',
+            failed: '❌ 无法访问摄像头',
+            timeout: '⏱️ 加载超时，请检查网络',
+            denied: '🚫 摄像头权限被拒绝',
+            notFound: '📷 未找到摄像头设备',
+            busy: '⚠️ 摄像头正在被其他应用使用',
+            fallback: '已切换回鼠标模式'
+        },
+        // Hand indicator per recognized gesture (GESTURE_ACTIONS in scripts/input.js)
+        gestures: {
+            point: '☝️ 食指位置',
+            pinch: '🤏 抓住毛线球',
+            open: '🖐️ 喂食',
+            fist: '✊ 暂停',
+            peace: '✌️ 拍照',
+            thumbsUp: '👍 点赞',
+            none: '食指位置'
+        },
+        settings: {
+            title: '⚙️ 设置',
+            pause: '暂停 / 继续（Esc）',
+            toggle: '展开/折叠设置',
+            sectionToggle: '展开/折叠',
+            // Badge on the panel's corner (ui.css)
+            badges: {
+                demo: '演示中',
+                replay: '回放中',
+                paused: '暂停中'
+            }
+        },
+        // One entry per registered input provider (INPUT_PROVIDERS)
+        controls: {
+            title: '🎮 控制模式',
+            mouse: {
+                label: '鼠标',
+                hint: '移动鼠标或手指控制毛线球，右键或长按放食物'
+            },
+            keyboard: {
+                label: '键盘',
+                hint: '方向键 / WASD 移动（按住加速），空格喂食'
+            },
+            gamepad: {
+                label: '手柄',
+                hint: '左摇杆 / 十字键移动，A 喂食，Start 暂停'
+            },
+            assist: {
+                label: '辅助',
+                hint: '毛线球自己在猫咪面前晃；按任意键、点一下画面或按手柄任意键把它甩远'
+            },
+            camera: {
+                label: '手势',
+                hint: '☝️ 移动 🤏 抓起抛出 🖐️ 喂食 ✊ 暂停 ✌️ 拍照'
+            }
+        },
+        gameMode: {
+            title: '🏆 游戏模式',
+            free: '🎈 自由',
+            challenge: '⏱️ 挑战',
+            freeHint: '随便玩，没有时间限制',
+            level: '⏱️ 第 {level} 关',
+            goal: '60 秒内扑中 {target} 次！',
+            seconds: '秒',
+            target: '🏁 目标'
+        },
+        results: {
+            passed: '🎉 第 {level} 关通过！',
+            failed: '😿 第 {level} 关失败',
+            summary: '扑中 {catches} / {target} 次',
+            newRecord: ' · 🏅 新纪录！',
+            retry: '🔁 重玩',
+            next: '⏭️ 下一关',
+            free: '🎈 自由'
+        },
+        yarn: {
+            title: '🧶 毛线球',
+            follow: '📌 跟随',
+            physics: '🎾 物理',
+            followHint: '毛线球紧跟鼠标或手指',
+            physicsHint: '按住抓起毛线球，松手抛出，它会弹跳滚动'
+        },
+        // FOOD_TYPES ids
+        foods: {
+            treat: '零食',
+            fish: '小鱼',
+            catnip: '猫薄荷',
+            milk: '牛奶'
+        },
+        food: {
+            title: '🍽️ 喂食',
+            hint: '右键 / 长按 / 空格放食物，数字键 1-4 换食物',
+            button: '{name}（数字键 {key}）',
+            empty: '{emoji} {name}吃完了，过一会儿会补充',
+            details: '{emoji} {name}：{effects}',
+            change: '{need}{value}',
+            needs: {
+                hunger: '饥饿',
+                energy: '精力',
+                happiness: '心情'
+            },
+            hyper: '兴奋 10 秒'
+        },
+        environment: {
+            title: '🌤️ 昼夜天气',
+            real: '🕰️ 真实时间',
+            demo: '⏩ 快速演示',
+            random: '🎲 随机',
+            summary: '{phaseIcon} {phase} · {weatherIcon} {weather}',
+            notes: {
+                night: '猫咪犯困，更容易累',
+                rain: '猫咪去棚子下躲雨了',
+                snow: '雪地里猫咪跑得慢',
+                wind: '风会吹跑毛线球',
+                windFollow: '风吹动毛线，开启物理模式风会吹跑毛线球'
+            }
+        },
+        // TIME_PHASES and WEATHER_TYPES ids
+        phases: {
+            dawn: '清晨',
+            day: '白天',
+            dusk: '黄昏',
+            night: '夜晚'
+        },
+        weather: {
+            clear: '晴朗',
+            rain: '下雨',
+            snow: '下雪',
+            wind: '刮风'
+        },
+        room: {
+            title: '🛋️ 房间布置',
+            edit: '✏️ 编辑房间',
+            done: '✅ 完成',
+            saveSlot: '💾 存到 {slot}',
+            loadSlot: '📁 布置 {slot}',
+            saved: '已保存到布置 {slot}',
+            hint: '猫咪会绕开家具，跳上沙发和猫爬架，躲进纸箱里伏击毛线球',
+            editHint: '拖动家具摆放位置，点 ✕ 移走（最多 {max} 件），点“存到”保存布置',
+            full: '房间里最多放 {max} 件家具',
+            remove: '移走'
+        },
+        // ROOM_LAYOUTS and FURNITURE_TYPES ids
+        rooms: {
+            empty: '空房间',
+            living: '客厅',
+            playground: '猫咪乐园'
+        },
+        furniture: {
+            box: '纸箱',
+            sofa: '沙发',
+            tree: '猫爬架'
+        },
+        players: {
+            title: '👥 玩家',
+            one: '👤 单人',
+            two: '👥 双人',
+            player1: '玩家1',
+            player2: '玩家2',
+            // In front of announcements and the wardrobe hint in two-player mode
+            prefix: '玩家{number}：',
+            hint: '玩家2：WASD / 方向键 或 第二根手指 / 第二个手柄',
+            shared: {
+                keyboard: '玩家1：方向键 + 回车喂食，玩家2：WASD + F 喂食',
+                assist: '玩家1：WASD 和 F 以外的任意键甩毛线球，玩家2：WASD + F 喂食'
+            }
+        },
+        // CAT_PROFILES ids
+        profiles: {
+            title: '🐱 猫咪',
+            tabby: {
+                name: '橘猫',
+                description: '活泼均衡的家常橘猫'
+            },
+            persian: {
+                name: '波斯猫',
+                description: '慵懒的波斯猫，跑得慢、扑得慢、动不动就要休息'
+            },
+            kitten: {
+                name: '小奶猫',
+                description: '精力旺盛的小奶猫，冷却短、扑个不停'
+            },
+            siamese: {
+                name: '暹罗猫',
+                description: '谨慎的暹罗猫，远远就压低身子慢慢潜行，确认后才出击'
+            }
+        },
+        wardrobe: {
+            title: '👗 衣橱',
+            locked: '{name}：完成成就「{achievement}」解锁',
+            // WARDROBE_SLOTS
+            slots: {
+                coat: '花色',
+                hat: '帽子',
+                bow: '蝴蝶结',
+                collar: '项圈',
+                yarnColor: '毛线'
+            }
+        },
+        // COSMETICS ids per slot
+        cosmetics: {
+            coat: {
+                breed: '品种原色',
+                tabby: '虎斑',
+                calico: '三花',
+                black: '黑猫',
+                white: '白猫'
+            },
+            hat: {
+                none: '不戴',
+                party: '派对帽',
+                crown: '王冠',
+                tophat: '礼帽',
+                cap: '棒球帽'
+            },
+            bow: {
+                none: '不戴',
+                red: '红蝴蝶结',
+                blue: '蓝蝴蝶结',
+                yellow: '黄蝴蝶结'
+            },
+            collar: {
+                none: '不戴',
+                bell: '铃铛项圈',
+                green: '绿铃铛项圈'
+            },
+            yarnColor: {
+                pink: '樱花粉',
+                sky: '天空蓝',
+                fire: '火焰橙',
+                mint: '薄荷绿',
+                midnight: '午夜紫'
+            },
+            meow: {
+                proud: '得意喵',
+                sleepy: '瞌睡喵',
+                cheese: '茄子喵',
+                foodie: '吃货喵'
+            }
+        },
+        // Floating text over the cats
+        meows: {
+            random: ['喵～', '喵喵～', '喵！', '喵～♪'],
+            // Mixed into the random ones once the COSMETICS.meow entry is unlocked
+            unlocked: {
+                proud: ['喵哼～', '本喵厉害吧！'],
+                sleepy: ['喵……zzz', '呼噜噜～'],
+                cheese: ['茄子喵！', '喵～📸'],
+                foodie: ['还要吃喵！', '喵呜～好香']
+            },
+            shelter: '喵～☔',
+            hyper: '喵喵喵！🌿',
+            tangle: '喵？！',
+            startle: '嘶——🙀',
+            ambush: '喵哈！📦',
+            cheer: '喵！👍',
+            greet: '喵～👋',
+            dog: '🐕 ×{points}！'
+        },
+        sound: {
+            title: '🔊 音效',
+            toggle: '声音开关',
+            label: '声音',
+            volume: '音量'
+        },
+        // 'auto' plus one entry per registered renderer (RENDERERS)
+        renderers: {
+            title: '🖥️ 画面',
+            hint: '自动选择绘制方式',
+            autoHint: '自动：当前使用 {renderer}（低配手机用 Canvas）',
+            auto: {
+                label: '自动'
+            },
+            dom: {
+                label: 'DOM',
+                hint: '用网页元素和 CSS 动画绘制，画面最细致'
+            },
+            canvas: {
+                label: 'Canvas',
+                hint: '画在一块画布上，粒子多时更流畅，适合低配手机'
+            }
+        },
+        a11y: {
+            title: '♿ 无障碍',
+            reducedMotion: '🐢 减少动态',
+            highContrast: '🌓 高对比度',
+            hint: '默认跟随系统设置；Tab 切换按钮，Esc 暂停，🤲 辅助模式只需一个按键',
+            paused: '游戏已暂停',
+            resumed: '继续游戏',
+            catch: '{player}扑中毛线球！一共 {count} 次'
+        },
+        language: {
+            title: '🌐 语言 / Language',
+            auto: '🌐 自动',
+            hint: '自动：跟随浏览器语言'
+        },
+        replay: {
+            title: '🎬 录像回放',
+            record: '⏺️ 录制',
+            stop: '⏹️ 停止',
+            play: '▶️ 回放',
+            export: '💾 导出',
+            import: '📂 导入',
+            hint: '录制一段游戏，导出分享或回放',
+            playing: '▶️ 回放中...',
+            ended: '回放结束',
+            recording: '⏺️ 录制中...',
+            recorded: '已录制 {seconds}s，共 {inputs} 个输入',
+            imported: '已导入 {file}',
+            failed: '❌ {message}',
+            // Codes thrown by scripts/replay.js
+            errors: {
+                INVALID_JSON: '录像文件不是有效的 JSON',
+                NOT_A_SESSION: '不是毛线球大作战的录像文件',
+                UNSUPPORTED_VERSION: '不支持的录像版本: {version}',
+                CORRUPT: '录像文件已损坏',
+                TICK_MISMATCH: '录像的模拟步长与当前版本不一致'
+            }
+        },
+        stats: {
+            title: '📊 统计',
+            totalCatches: '🎯 总扑中',
+            bestSession: '🏅 单局最佳',
+            totalDistance: '🐾 追逐距离',
+            foodServed: '🍽️ 喂食',
+            timePlayed: '⏳ 游戏时长',
+            challengeStars: '⏱️ 挑战星星',
+            catches: '{count} 次',
+            meters: '{count} 米',
+            portions: '{count} 份',
+            stars: '{stars}/{max} ⭐',
+            hours: '{hours}小时 {minutes}分',
+            minutes: '{minutes}分 {seconds}秒',
+            seconds: '{seconds}秒',
+            reset: '🗑️ 清空纪录',
+            confirmReset: '确定要清空所有统计和纪录吗？'
+        },
+        // ACHIEVEMENTS ids; descriptions get the entry's params
+        achievements: {
+            title: '🏅 成就',
+            toast: '🏅 {icon} {name}',
+            reward: '🎁 解锁{type}：{name}',
+            rewardTypes: {
+                yarnColor: '毛线颜色',
+                hat: '帽子',
+                meow: '新喵声'
+            },
+            firstCatch: {
+                name: '初次得手',
+                description: '第一次扑中毛线球'
+            },
+            pounceStreak: {
+                name: '停不下来',
+                description: '不休息连续扑中 {target} 次'
+            },
+            excitedCatch: {
+                name: '兴奋过头',
+                description: '猫咪超兴奋时扑中'
+            },
+            nightOwl: {
+                name: '夜猫子',
+                description: '在夜晚扑中毛线球'
+            },
+            firstRest: {
+                name: '玩累了',
+                description: '猫咪第一次累得趴下休息'
+            },
+            gourmet: {
+                name: '美食家',
+                description: '每种食物都吃过一次'
+            },
+            animalWatcher: {
+                name: '动物观察家',
+                description: '见过所有的背景动物'
+            },
+            handFeed: {
+                name: '亲手喂食',
+                description: '用张开五指的手势喂猫'
+            },
+            photographer: {
+                name: '摄影师',
+                description: '用比耶手势给猫咪拍照'
+            },
+            dogDay: {
+                name: '双倍快乐',
+                description: '小狗在场时扑中'
+            },
+            hyperCatch: {
+                name: '猫薄荷狂欢',
+                description: '吃了猫薄荷后扑中'
+            }
+        },
+        hud: {
+            pounces: '🎯 扑中',
+            player1: '🎯 玩家1',
+            player2: '🎯 玩家2',
+            unit: '次',
+            mood: '🐱 状态',
+            needs: {
+                hunger: '饥饿：随时间上升，喂食降低',
+                energy: '精力：奔跑和飞扑消耗，休息恢复',
+                happiness: '心情：陪它玩会变好'
+            }
+        },
+        // Cat states (setCatState); a state without an entry shows `curious`
+        moods: {
+            idle: '😺 悠闲',
+            curious: '😸 好奇',
+            running: '😻 追逐中',
+            excited: '🙀 超兴奋!',
+            'preparing-pounce': '😼 准备飞扑...',
+            pouncing: '🐱 飞扑！',
+            resting: '😴 累了休息...',
+            eating: '😋 好好吃~',
+            tangled: '🧶 被毛线缠住了！',
+            distracted: '🐦 看小鸟...',
+            startled: '🙀 吓一跳！',
+            sheltering: '☔ 躲雨中...',
+            stalking: '🐾 悄悄潜行...',
+            wiggling: '🍑 扭屁股，要扑了！',
+            grooming: '👅 舔毛中...',
+            sleeping: '💤 睡着了...',
+            stretching: '🙆 伸懒腰~',
+            zoomies: '💨 疯跑中！',
+            jumping: '🐈 跳！',
+            hiding: '📦 躲在箱子里...',
+            // A calm cat shows how it feels (CAT_NEEDS)
+            needs: {
+                tired: '🥱 困了...',
+                hungry: '😿 饿了...',
+                bored: '😾 好无聊...',
+                happy: '😻 好开心~'
+            },
+            hyper: '🌿 嗨翻了！',
+            pounceCount: '{mood} ({count}/{max})',
+            restingCountdown: '😴 休息中... {seconds}s'
+        },
+        demo: {
+            title: '🎭 状态演示',
+            hint: '点击按钮预览猫咪动作',
+            resting: '😴 休息演示中...',
+            pouncing: '🐱 飞扑演示！',
+            wiggling: '🍑 扭屁股演示！',
+            stalking: '🐾 潜行演示...',
+            // Button labels (index.html)
+            labels: {
+                idle: '悠闲',
+                curious: '好奇',
+                running: '追逐',
+                excited: '兴奋',
+                pouncing: '飞扑',
+                resting: '休息',
+                stalking: '潜行',
+                grooming: '舔毛',
+                sleeping: '睡觉',
+                stretching: '伸懒腰',
+                zoomies: '疯跑'
+            },
+            hints: {
+                idle: '猫咪正在悠闲地休息',
+                curious: '猫咪正在好奇地观察',
+                running: '猫咪正在追逐毛线球',
+                excited: '猫咪非常兴奋！',
+                pouncing: '猫咪正在飞扑！',
+                resting: '猫咪累了正在休息喘气',
+                stalking: '猫咪压低身子悄悄靠近，扭扭屁股准备远距离飞扑',
+                grooming: '猫咪闲下来在舔毛',
+                sleeping: '猫咪睡着了，毛线球突然动一下就会醒',
+                stretching: '休息完伸个懒腰',
+                zoomies: '猫咪突然满屋疯跑！'
+            }
+        },
+        pause: {
+            title: '⏸️ 暂停中',
+            userHint: '按 Esc 或点“继续”接着玩',
+            hiddenHint: '回到游戏后自动继续',
+            resume: '▶️ 继续'
+        },
+        photo: {
+            caption: '🐱 毛线球大作战 · 扑中 {count} 次'
+        },
+        benchmark: {
+            title: '🖥️ 渲染器性能对比 - Yarn Ball Battle',
+            particles: '粒子数量',
+            run: '▶️ 开始测试',
+            hint: '每种渲染器各跑 5 秒',
+            running: '正在测试 {renderer}...',
+            done: '测试完成',
+            columns: {
+                renderer: '渲染器',
+                particles: '粒子',
+                frame: '平均帧 (ms)',
+                p95: 'P95 帧 (ms)',
+                script: '脚本 (ms)',
+                fps: 'FPS'
+            }
+        }
+    }
+});
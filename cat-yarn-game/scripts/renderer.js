@@ -0,0 +1,1048 @@
+/**
+ * Renderers - draw the cats, yarn balls, threads and effects
+ * The game only talks to the Renderer interface; backends register in
+ * RENDERERS and the settings panel lists them:
+ * - DomRenderer: styled elements animated by cat.css / ui.css (player 1
+ *   uses the elements in index.html, later players get clones)
+ * - CanvasRenderer: one 2D canvas; cats come from sprite sheets drawn once
+ *   per look, effect particles are drawn in batches
+ * Food, furniture, animals and the HUD stay regular elements with both.
+ * Effect particles come from the EffectSystem (scripts/effects.js).
+ */
+
+/**
+ * Object Pool for efficient DOM element reuse
+ * Prevents memory leaks and reduces DOM operations; tracks the elements in
+ * use and hands out at most `maxSize` of them
+ */
+class ObjectPool {
+    constructor(createElement, poolSize = 50, maxSize = Infinity) {
+        this.createElement = createElement;
+        this.maxSize = maxSize;
+        this.pool = [];
+        this.active = new Set();
+
+        // Pre-create pool elements
+        for (let i = 0; i < poolSize; i++) {
+            const element = createElement();
+            element.style.display = 'none';
+            this.pool.push(element);
+        }
+    }
+
+    get activeCount() {
+        return this.active.size;
+    }
+
+    // A free element, or null once maxSize elements are in use
+    acquire() {
+        if (this.active.size >= this.maxSize) return null;
+
+        let element;
+        if (this.pool.length > 0) {
+            element = this.pool.pop();
+        } else {
+            // Create new if pool is exhausted
+            element = this.createElement();
+        }
+        element.style.display = '';
+        this.active.add(element);
+        return element;
+    }
+
+    release(element) {
+        if (!this.active.delete(element)) return;
+        element.style.display = 'none';
+        this.pool.push(element);
+    }
+
+    releaseAll() {
+        this.active.forEach(element => this.release(element));
+    }
+
+    // Get all elements (for initial attachment to DOM)
+    getAllElements() {
+        return [...this.pool, ...this.active];
+    }
+}
+
+/**
+ * Renderer - base class and interface of every backend
+ *
+ * context: { element (the game area), clock (GameClock: effects fade on
+ * game time), getBounds(), isReducedMotion() (optional) }
+ *
+ * Per frame the game hands over drawFrame({ tick, cats, yarns, effects }):
+ * - cats: [{ id, state, x, y, facing (1 left, -1 right), pupil ({ x, y } or null) }]
+ * - yarns: [{ id, x, y, angle, rope (YarnRope) }]
+ * - effects: live EffectSystem particles, oldest first
+ * Looks change through setCatLook(id, { pose, profile, effects, outfit,
+ * pounceDuration, stretchDuration }) and setYarnTheme(id, COSMETICS.yarnColor entry).
+ */
+class Renderer {
+    constructor(context) {
+        this.context = context;
+        this.active = false;
+    }
+
+    start() {
+        if (this.active) return;
+        this.active = true;
+        this.attach();
+    }
+
+    stop() {
+        if (!this.active) return;
+        this.active = false;
+        this.detach();
+    }
+
+    // Subclass hooks
+    attach() {}
+    detach() {}
+    setPlayerCount(_count) {}
+    setCatLook(_id, _look) {}
+    replayPose(_id) {} // Start the pose animation over (pounce demo)
+    setYarnTheme(_id, _theme) {}
+    drawFrame(_frame) {}
+    showText(_x, _y, _text) {}
+    reset() {} // The simulation jumped (snapshot restored): forget cached state
+    refreshColors() {} // The page colors changed (high contrast): redraw what was drawn from them
+
+    // prefers-reduced-motion (or the ♿ setting): tone down hops and shakes
+    isReducedMotion() {
+        return Boolean(this.context.isReducedMotion && this.context.isReducedMotion());
+    }
+}
+
+// Registered backends: { id, icon, create(context) }; the settings panel takes
+// their label and hint from renderers.<id> in scripts/locales
+const RENDERERS = [];
+const DEFAULT_RENDERER = 'dom';
+
+function registerRenderer(definition) {
+    RENDERERS.push(definition);
+}
+
+function getRenderer(id) {
+    return RENDERERS.find(definition => definition.id === id) || null;
+}
+
+// Phones with few cores, or any device reporting 2 GB of memory or less
+function isLowEndDevice(nav = typeof navigator !== 'undefined' ? navigator : {}) {
+    if (nav.deviceMemory && nav.deviceMemory <= 2) return true;
+    const phone = /Android|iPhone|iPod|Mobile/i.test(nav.userAgent || '');
+    return phone && Boolean(nav.hardwareConcurrency) && nav.hardwareConcurrency <= 4;
+}
+
+// Backend id for a setting: a RENDERERS id, or 'auto' (canvas on low-end devices)
+function pickRenderer(setting = 'auto', nav = undefined) {
+    if (getRenderer(setting)) return setting;
+    return isLowEndDevice(nav) && getRenderer('canvas') ? 'canvas' : DEFAULT_RENDERER;
+}
+
+// Cat states whose cat.css animation owns the .cat transform
+const DOM_POSED_STATES = [
+    'resting', 'pouncing', 'preparing-pounce', 'stalking', 'wiggling', 'sleeping', 'stretching', 'jumping'
+];
+
+/**
+ * DomRenderer - the pixel cat built from elements (index.html, cat.css)
+ * Effect particles are pooled elements, one pool per layer, and so are the
+ * floating meow texts.
+ */
+class DomRenderer extends Renderer {
+    constructor(context) {
+        super(context);
+        const area = context.element;
+        this.catTemplate = area.querySelector('#cat');
+        this.yarnTemplate = area.querySelector('#yarnBall');
+        this.stringTemplate = area.querySelector('#yarnString');
+        this.effectLayers = {
+            air: area.querySelector('#particles'),
+            ground: area.querySelector('#pawPrints')
+        };
+        this.cats = [];
+        this.yarns = [];
+        this.playerCount = 1;
+
+        // Elements of the live particles (see drawEffects)
+        this.effectPools = {
+            air: new ObjectPool(() => this.createEffectElement('air'), 30, EFFECT_LIMIT),
+            ground: new ObjectPool(() => this.createEffectElement('ground'), 20, 100)
+        };
+        this.effectElements = new Map(); // particle -> element
+
+        // Floating meow texts (see showText)
+        this.textPool = new ObjectPool(() => this.createTextElement(), 4, 20);
+    }
+
+    createEffectElement(layer) {
+        const element = document.createElement('div');
+        this.effectLayers[layer].appendChild(element);
+        return element;
+    }
+
+    createTextElement() {
+        const element = document.createElement('div');
+        element.className = 'meow-text';
+        this.context.element.appendChild(element);
+        return element;
+    }
+
+    attach() {
+        this.showLayers(true);
+    }
+
+    detach() {
+        this.showLayers(false);
+    }
+
+    showLayers(visible) {
+        Object.values(this.effectLayers).forEach(layer => {
+            layer.style.display = visible ? '' : 'none';
+        });
+        if (!visible) this.releaseEffects();
+        this.setPlayerCount(this.playerCount);
+    }
+
+    setPlayerCount(count) {
+        this.playerCount = count;
+        this.ensurePlayer(count - 1);
+
+        // Hide views of players that left
+        this.cats.forEach((view, id) => this.showPlayer(id));
+    }
+
+    showPlayer(id) {
+        const display = this.active && id < this.playerCount ? '' : 'none';
+        this.cats[id].element.style.display = display;
+        this.yarns[id].element.style.display = display;
+        this.yarns[id].string.style.display = display;
+    }
+
+    // Views up to this player id (looks can be set before a player joins)
+    ensurePlayer(id) {
+        while (this.cats.length <= id) {
+            this.createPlayer(this.cats.length);
+            this.showPlayer(this.cats.length - 1);
+        }
+    }
+
+    // Player 1 uses the elements in index.html, later players get clones
+    createPlayer(id) {
+        const playerClass = id === 0 ? '' : ` player-${id + 1}`;
+
+        let catElement = this.catTemplate;
+        let yarnElement = this.yarnTemplate;
+        let stringElement = this.stringTemplate;
+        if (id > 0) {
+            catElement = this.catTemplate.cloneNode(true);
+            catElement.id = `cat-${id + 1}`;
+            this.context.element.insertBefore(catElement, this.catTemplate.nextSibling);
+
+            yarnElement = this.yarnTemplate.cloneNode(true);
+            yarnElement.id = `yarnBall-${id + 1}`;
+            yarnElement.classList.add(`player-${id + 1}`);
+            this.context.element.insertBefore(yarnElement, this.yarnTemplate.nextSibling);
+
+            stringElement = this.stringTemplate.cloneNode(true);
+            stringElement.id = `yarnString-${id + 1}`;
+            stringElement.classList.add(`player-${id + 1}`);
+            stringElement.removeAttribute('d');
+            this.stringTemplate.parentNode.appendChild(stringElement);
+        }
+
+        this.cats.push({
+            element: catElement,
+            body: catElement.querySelector('.cat-body'),
+            hat: catElement.querySelector('.cat-hat'),
+            bow: catElement.querySelector('.cat-bow'),
+            collar: catElement.querySelector('.cat-collar'),
+            pupils: catElement.querySelectorAll('.cat-pupil'),
+            playerClass,
+            look: null
+        });
+        this.yarns.push({
+            element: yarnElement,
+            pattern: yarnElement.querySelector('.yarn-pattern'),
+            string: stringElement,
+            ropeTick: -1 // Simulation tick the thread was last drawn for
+        });
+    }
+
+    setCatLook(id, look) {
+        this.ensurePlayer(id);
+        const view = this.cats[id];
+        view.look = look;
+
+        const coat = look.outfit.coat !== 'breed' ? ` coat-${look.outfit.coat}` : '';
+        const effects = look.effects.map(effect => ` ${effect}`).join('');
+        view.element.className = `cat ${look.pose}${view.playerClass} profile-${look.profile}${coat}${effects}`;
+
+        // Pounce and stretch animation lengths differ per breed
+        view.element.style.setProperty('--pounce-duration', `${look.pounceDuration}ms`);
+        view.element.style.setProperty('--stretch-duration', `${look.stretchDuration}ms`);
+
+        const { outfit } = look;
+        if (view.hat) view.hat.textContent = outfit.hat === 'none' ? '' : COSMETICS.hat[outfit.hat].icon;
+        [['bow', view.bow], ['collar', view.collar]].forEach(([slot, element]) => {
+            if (!element) return;
+            element.hidden = outfit[slot] === 'none';
+            if (outfit[slot] !== 'none') element.style.setProperty('--accessory-color', COSMETICS[slot][outfit[slot]].color);
+        });
+    }
+
+    // Drop the pose class for one reflow so its animation starts again
+    replayPose(id) {
+        const view = this.cats[id];
+        if (!view || !view.look) return;
+        const look = view.look;
+        this.setCatLook(id, { ...look, pose: '' });
+        void view.element.offsetWidth;
+        this.setCatLook(id, look);
+    }
+
+    setYarnTheme(id, theme) {
+        this.ensurePlayer(id);
+        const view = this.yarns[id];
+        [view.element, view.string].forEach(element => {
+            element.style.setProperty('--yarn-pink', theme.colors.pink);
+            element.style.setProperty('--yarn-dark', theme.colors.dark);
+            element.style.setProperty('--yarn-light', theme.colors.light);
+        });
+    }
+
+    drawFrame({ tick, cats, yarns, effects = [] }) {
+        cats.forEach(sprite => this.drawCat(sprite));
+        yarns.forEach(ball => this.drawYarn(ball, tick));
+        this.drawEffects(effects);
+    }
+
+    drawCat({ id, state, x, y, facing, pupil }) {
+        const view = this.cats[id];
+        const element = view.element;
+        element.style.left = `${x}px`;
+        element.style.top = `${y}px`;
+
+        // Apply facing direction to cat-body so it doesn't interfere with cat's animation transform
+        if (view.body) {
+            view.body.style.transform = `scaleX(${facing})`;
+        }
+
+        // Set cat's base transform (without scaleX - that's on cat-body now)
+        if (!DOM_POSED_STATES.includes(state)) {
+            element.style.transform = `translate(-50%, -50%)`;
+        }
+
+        if (pupil) {
+            view.pupils.forEach(element => {
+                element.style.transform = `translate(${pupil.x}px, ${pupil.y}px)`;
+            });
+        }
+    }
+
+    drawYarn({ id, x, y, angle, rope }, tick) {
+        const view = this.yarns[id];
+        view.element.style.left = `${x}px`;
+        view.element.style.top = `${y}px`;
+
+        // Spin from the ball's own angular velocity (see YarnBall)
+        const rotation = (angle * 180 / Math.PI) % 360;
+        view.pattern.style.transform = `rotate(${rotation}deg)`;
+
+        // The thread only changes when the simulation ticks (see YarnRope)
+        if (!rope || view.ropeTick === tick) return;
+        view.ropeTick = tick;
+        view.string.setAttribute('d', rope.toPath());
+    }
+
+    // One element per live particle; particles beyond the pool's cap are skipped
+    drawEffects(effects) {
+        this.effectElements.forEach((element, particle) => {
+            if (particle.alive) return;
+            this.effectPools[particle.layer].release(element);
+            this.effectElements.delete(particle);
+        });
+
+        effects.forEach(particle => {
+            let element = this.effectElements.get(particle);
+            if (!element) {
+                element = this.effectPools[particle.layer].acquire();
+                if (!element) return;
+                element.className = `effect effect-${particle.shape} effect-${particle.name}`;
+                element.textContent = particle.glyph;
+                element.style.width = element.style.height = `${particle.size}px`;
+                element.style.fontSize = `${particle.size}px`;
+                element.style.background = element.style.color = '';
+                this.effectElements.set(particle, element);
+            }
+            element.style.left = `${particle.x}px`;
+            element.style.top = `${particle.y}px`;
+            element.style.opacity = particle.alpha;
+            element.style.transform = `translate(-50%, -50%) rotate(${particle.rotation}deg) scale(${particle.scale})`;
+            if (particle.shape === 'glyph') {
+                element.style.color = particle.color;
+            } else {
+                element.style.background = particle.color;
+            }
+        });
+    }
+
+    releaseEffects() {
+        Object.values(this.effectPools).forEach(pool => pool.releaseAll());
+        this.effectElements.clear();
+    }
+
+    // Showing a pooled element again restarts its float animation
+    showText(x, y, text) {
+        const meowText = this.textPool.acquire();
+        if (!meowText) return;
+        meowText.textContent = text;
+        meowText.style.left = `${x}px`;
+        meowText.style.top = `${y}px`;
+
+        // Back to the pool after the animation
+        this.context.clock.after(1200, () => {
+            this.textPool.release(meowText);
+        });
+    }
+
+    reset() {
+        this.yarns.forEach(view => {
+            view.ropeTick = -1;
+        });
+        this.releaseEffects();
+    }
+}
+
+// Sprite sheet cells: the 120x90 .cat box plus room for ears, tail and hops
+const CAT_SPRITE = { width: 120, height: 90, padding: 20 };
+
+// Sprite sheet frames, in .cat-body coordinates (see cat.css): `body` moves
+// head and torso down, `legs` are the leg heights (front-left, front-right,
+// back-left, back-right), `reach` moves the front legs forward, `tail` is
+// the tail's rotation in degrees (negative swings it up and back)
+const CAT_SPRITE_FRAMES = {
+    stand: { body: 0, legs: [20, 20, 20, 20], tail: -20 },
+    walk1: { body: 0, legs: [20, 16, 16, 20], tail: -35 },
+    walk2: { body: 0, legs: [16, 20, 20, 16], tail: -5 },
+    crouch: { body: 8, legs: [12, 12, 12, 12], tail: -80 },
+    pounce: { body: -4, legs: [24, 24, 24, 24], reach: 8, tail: -90 },
+    jump: { body: 0, legs: [8, 8, 8, 8], tail: -45 },
+    lie: { body: 14, legs: [6, 6, 6, 6], tail: -100, eyesClosed: true },
+    stretch: { body: 6, legs: [20, 20, 20, 20], reach: 12, tail: -20 }
+};
+
+// Left edge of each leg (front-left, front-right, back-left, back-right)
+const CAT_LEG_X = [18, 32, 84, 98];
+
+// Share of a pose's hop, shake and wiggle left with reduced motion
+const REDUCED_MOTION_POSE = 0.3;
+
+// Pose (cat state) -> sprite animation on the canvas: `frames` cycle at
+// `fps`; `hop` px arc over `duration` ms (the pounce uses the breed's
+// pounceDuration), `bob` / `shake` / `wiggle` sway it, `clip` keeps only
+// that share of the cat from the top (peeking out of a box), `text` floats above
+const CANVAS_CAT_POSES = {
+    idle: { frames: ['stand'] },
+    curious: { frames: ['stand'], bob: 1 },
+    running: { frames: ['walk1', 'walk2'], fps: 7 },
+    excited: { frames: ['walk1', 'walk2'], fps: 14 },
+    zoomies: { frames: ['walk1', 'walk2'], fps: 24 },
+    'preparing-pounce': { frames: ['crouch'] },
+    pouncing: { frames: ['pounce'], hop: 60 },
+    stalking: { frames: ['crouch', 'stand'], fps: 2 },
+    wiggling: { frames: ['crouch'], wiggle: 0.08 },
+    resting: { frames: ['lie'], bob: 1, text: '💤' },
+    sleeping: { frames: ['lie'], text: '💤' },
+    stretching: { frames: ['stretch'] },
+    grooming: { frames: ['stand', 'crouch'], fps: 2 },
+    eating: { frames: ['crouch'], bob: 2 },
+    tangled: { frames: ['stand'], shake: 4 },
+    startled: { frames: ['jump'], hop: 30, duration: 400 },
+    distracted: { frames: ['stand'], bob: 2 },
+    sheltering: { frames: ['crouch'], shake: 1 },
+    jumping: { frames: ['jump'] },
+    hiding: { frames: ['stand'], clip: 0.38, bob: 3 }
+};
+
+// Rounded rectangle path (radius clamped to the size)
+function roundedRectPath(ctx, x, y, width, height, radius = 0) {
+    const r = Math.max(0, Math.min(radius, width / 2, height / 2));
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + width, y, x + width, y + height, r);
+    ctx.arcTo(x + width, y + height, x, y + height, r);
+    ctx.arcTo(x, y + height, x, y, r);
+    ctx.arcTo(x, y, x + width, y, r);
+    ctx.closePath();
+}
+
+// A bordered block like the cat.css parts: outline color, then the fill inset by `border`
+function drawBlock(ctx, x, y, width, height, border, fill, radius, outline) {
+    ctx.fillStyle = outline;
+    roundedRectPath(ctx, x, y, width, height, radius);
+    ctx.fill();
+    ctx.fillStyle = fill;
+    roundedRectPath(ctx, x + border, y + border, width - border * 2, height - border * 2, radius - border);
+    ctx.fill();
+}
+
+// Draw inside a block's fill only (coat patterns)
+function drawInside(ctx, x, y, width, height, radius, draw) {
+    ctx.save();
+    roundedRectPath(ctx, x, y, width, height, radius);
+    ctx.clip();
+    draw();
+    ctx.restore();
+}
+
+function fillCircle(ctx, x, y, radius, fill) {
+    ctx.fillStyle = fill;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+/**
+ * One frame of the pixel cat, facing left like the DOM cat.
+ * palette: { fur, dark, light, patch, outline, pink, coat (COSMETICS.coat id),
+ * points (dark ears, legs and tail like the siamese) }
+ */
+function drawCatFrame(ctx, frame, palette) {
+    const { fur, dark, patch, outline } = palette;
+    const pointsColor = palette.points ? dark : fur;
+    const reach = frame.reach || 0;
+    const torsoY = 28 + frame.body;
+    const headY = frame.body;
+
+    // Tail, swung around its root like .cat-tail
+    ctx.save();
+    ctx.translate(118, 20 + frame.body);
+    ctx.rotate(frame.tail * Math.PI / 180);
+    drawBlock(ctx, -7, 0, 14, 36, 3, palette.coat === 'calico' ? dark : pointsColor, 4, outline);
+    if (palette.coat === 'tabby') {
+        drawInside(ctx, -4, 3, 8, 30, 1, () => {
+            ctx.fillStyle = dark;
+            for (let y = 8; y < 33; y += 9) ctx.fillRect(-4, y, 8, 4);
+        });
+    }
+    ctx.restore();
+
+    // Torso
+    drawBlock(ctx, 15, torsoY, 58, 38, 4, fur, 8, outline);
+    if (palette.coat === 'tabby') {
+        drawInside(ctx, 19, torsoY + 4, 50, 30, 4, () => {
+            ctx.fillStyle = dark;
+            for (let x = 25; x < 69; x += 10) ctx.fillRect(x, torsoY + 4, 4, 30);
+        });
+    } else if (palette.coat === 'calico') {
+        drawInside(ctx, 19, torsoY + 4, 50, 30, 4, () => {
+            fillCircle(ctx, 31, torsoY + 14, 10, dark);
+            fillCircle(ctx, 54, torsoY + 22, 9, patch);
+        });
+    }
+
+    // Legs stand on the bottom of the box
+    CAT_LEG_X.forEach((x, i) => {
+        const height = frame.legs[i] + 6;
+        drawBlock(ctx, x - (i < 2 ? reach : 0), CAT_SPRITE.height - height, 18, height, 3, pointsColor, 4, outline);
+    });
+
+    // Ears (with pink insides), then the head over their base
+    [34, 54].forEach(apex => {
+        ctx.fillStyle = pointsColor;
+        ctx.beginPath();
+        ctx.moveTo(apex - 8, headY + 4);
+        ctx.lineTo(apex, headY - 10);
+        ctx.lineTo(apex + 8, headY + 4);
+        ctx.fill();
+        ctx.fillStyle = palette.pink;
+        ctx.beginPath();
+        ctx.moveTo(apex - 4, headY + 4);
+        ctx.lineTo(apex, headY - 4);
+        ctx.lineTo(apex + 4, headY + 4);
+        ctx.fill();
+    });
+    drawBlock(ctx, 20, headY, 48, 44, 4, fur, 0, outline);
+    if (palette.coat === 'tabby') {
+        ctx.fillStyle = dark;
+        [32, 40, 48].forEach(x => ctx.fillRect(x, headY + 4, 3, 8));
+    } else if (palette.coat === 'calico') {
+        drawInside(ctx, 24, headY + 4, 40, 36, 0, () => {
+            fillCircle(ctx, 30, headY + 11, 9, dark);
+            fillCircle(ctx, 60, headY + 8, 8, patch);
+        });
+    }
+
+    // Eyes (the pupils are drawn every frame, they follow the yarn)
+    [28, 46].forEach(x => {
+        if (frame.eyesClosed) {
+            ctx.fillStyle = outline;
+            ctx.fillRect(x, headY + 19, 14, 3);
+            return;
+        }
+        ctx.fillStyle = outline;
+        ctx.beginPath();
+        ctx.ellipse(x + 7, headY + 20, 7, 8, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#ffffff';
+        ctx.beginPath();
+        ctx.ellipse(x + 7, headY + 20, 5, 6, 0, 0, Math.PI * 2);
+        ctx.fill();
+    });
+
+    // Nose, mouth and whiskers
+    drawBlock(ctx, 39, headY + 22, 10, 8, 2, palette.pink, 0, outline);
+    ctx.strokeStyle = outline;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(38, headY + 32);
+    ctx.quadraticCurveTo(44, headY + 37, 50, headY + 32);
+    ctx.moveTo(6, headY + 19);
+    ctx.lineTo(22, headY + 22);
+    ctx.moveTo(6, headY + 29);
+    ctx.lineTo(22, headY + 26);
+    ctx.moveTo(82, headY + 19);
+    ctx.lineTo(66, headY + 22);
+    ctx.moveTo(82, headY + 29);
+    ctx.lineTo(66, headY + 26);
+    ctx.stroke();
+}
+
+// Every CAT_SPRITE_FRAMES frame side by side on one canvas, `pixelRatio` times sharper
+function buildCatSheet(palette, pixelRatio = 1) {
+    const names = Object.keys(CAT_SPRITE_FRAMES);
+    const cellWidth = CAT_SPRITE.width + CAT_SPRITE.padding * 2;
+    const cellHeight = CAT_SPRITE.height + CAT_SPRITE.padding * 2;
+    const canvas = document.createElement('canvas');
+    canvas.width = cellWidth * names.length * pixelRatio;
+    canvas.height = cellHeight * pixelRatio;
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(pixelRatio, pixelRatio);
+    const frames = {};
+    names.forEach((name, index) => {
+        ctx.save();
+        ctx.translate(index * cellWidth + CAT_SPRITE.padding, CAT_SPRITE.padding);
+        drawCatFrame(ctx, CAT_SPRITE_FRAMES[name], palette);
+        ctx.restore();
+        frames[name] = index * cellWidth;
+    });
+    return { canvas, frames, cellWidth, cellHeight, pixelRatio };
+}
+
+// The yarn ball without its shine (that one doesn't spin), like .yarn-ball
+function buildYarnSprite(theme, outline, pixelRatio = 1) {
+    const size = 48;
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = size * pixelRatio;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(pixelRatio, pixelRatio);
+
+    fillCircle(ctx, 24, 24, 24, outline);
+    const gradient = ctx.createRadialGradient(16, 16, 0, 16, 16, 28);
+    gradient.addColorStop(0, theme.colors.light);
+    gradient.addColorStop(0.5, theme.colors.pink);
+    gradient.addColorStop(1, theme.colors.dark);
+    fillCircle(ctx, 24, 24, 20, gradient);
+
+    // Wound thread
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(24, 24, 20, 0, Math.PI * 2);
+    ctx.clip();
+    ctx.translate(24, 24);
+    ctx.rotate(Math.PI / 4);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+    for (let x = -24; x < 24; x += 6) ctx.fillRect(x + 4, -24, 2, 48);
+    ctx.restore();
+    return canvas;
+}
+
+// Meow text lifetime (ms), as floatMeow (ui.css)
+const CANVAS_TEXT_MS = 1200;
+
+// floatMeow (ui.css): [progress, y offset, scale]
+const TEXT_FLOAT = [[0, 0, 0.5], [0.2, -10, 1.2], [0.4, -30, 1], [1, -80, 0.8]];
+
+/**
+ * CanvasRenderer - everything on one 2D canvas over the game area
+ * Colors come from cat.css (read once per look through a hidden .cat), so
+ * breeds and coats stay defined in one place. Effects fade on game time and
+ * freeze while paused.
+ */
+class CanvasRenderer extends Renderer {
+    constructor(context, options = {}) {
+        super(context);
+        this.pixelRatio = options.pixelRatio || Math.min(2, window.devicePixelRatio || 1);
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'scene-canvas';
+        this.ctx = this.canvas.getContext('2d');
+        this.width = 0;
+        this.height = 0;
+
+        this.cats = []; // { look, sheet, poseStart }
+        this.yarns = []; // { theme, sprite }
+        this.sheets = new Map(); // Sprite sheet per breed / coat / player colors
+        this.textColor = null; // --yarn-pink, read on the first text
+        this.texts = []; // { x, y, text, born }, oldest first
+        this.glyphSprites = new Map(); // Prerendered effect glyphs by glyph / size / color
+    }
+
+    // The DOM sprites in the game area stay hidden meanwhile (ui.css)
+    attach() {
+        this.context.element.appendChild(this.canvas);
+        this.context.element.classList.add('canvas-rendered');
+    }
+
+    detach() {
+        this.canvas.remove();
+        this.context.element.classList.remove('canvas-rendered');
+        this.texts = [];
+    }
+
+    get time() {
+        return this.context.clock.time;
+    }
+
+    setCatLook(id, look) {
+        const view = this.cats[id] || (this.cats[id] = { look: null, sheet: null, poseStart: 0 });
+        if (!view.look || view.look.pose !== look.pose) view.poseStart = this.time;
+        view.look = look;
+        view.sheet = this.getSheet(id, look);
+    }
+
+    replayPose(id) {
+        if (this.cats[id]) this.cats[id].poseStart = this.time;
+    }
+
+    setYarnTheme(id, theme) {
+        this.yarns[id] = { theme, sprite: buildYarnSprite(theme, this.readColors().outline, this.pixelRatio) };
+    }
+
+    getSheet(id, look) {
+        const player = id === 0 ? '' : ` player-${id + 1}`;
+        const coat = look.outfit.coat !== 'breed' ? ` coat-${look.outfit.coat}` : '';
+        const className = `cat profile-${look.profile}${coat}${player}`;
+        if (!this.sheets.has(className)) {
+            const palette = {
+                ...this.readColors(className),
+                coat: look.outfit.coat,
+                points: look.profile === 'siamese'
+            };
+            this.sheets.set(className, buildCatSheet(palette, this.pixelRatio));
+        }
+        return this.sheets.get(className);
+    }
+
+    // Sheets, yarn sprites and the text color all bake in the CSS colors
+    // they were drawn with (.high-contrast overrides --pixel-black)
+    refreshColors() {
+        this.sheets.clear();
+        this.textColor = null;
+        this.cats.forEach((view, id) => {
+            if (view.look) view.sheet = this.getSheet(id, view.look);
+        });
+        this.yarns.forEach((yarn, id) => this.setYarnTheme(id, yarn.theme));
+    }
+
+    // The cat.css colors a .cat with these classes would have
+    readColors(className = 'cat') {
+        const probe = document.createElement('div');
+        probe.className = className;
+        probe.hidden = true;
+        const body = document.createElement('div');
+        body.className = 'cat-body';
+        probe.appendChild(body);
+        this.context.element.appendChild(probe);
+
+        const style = getComputedStyle(body);
+        const read = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+        const colors = {
+            fur: read('--cat-orange', '#ff9f43'),
+            dark: read('--cat-dark', '#ee7730'),
+            light: read('--cat-light', '#ffd8a8'),
+            patch: read('--cat-patch', '#495057'),
+            outline: read('--pixel-black', '#535353'),
+            pink: read('--yarn-pink', '#ff6b9d')
+        };
+        probe.remove();
+        return colors;
+    }
+
+    // Match the game area, `pixelRatio` canvas pixels per CSS pixel
+    resize() {
+        const width = this.context.element.clientWidth;
+        const height = this.context.element.clientHeight;
+        if (width === this.width && height === this.height) return;
+        this.width = width;
+        this.height = height;
+        this.canvas.width = Math.round(width * this.pixelRatio);
+        this.canvas.height = Math.round(height * this.pixelRatio);
+    }
+
+    drawFrame({ cats, yarns, effects = [] }) {
+        this.resize();
+        const ctx = this.ctx;
+        const time = this.time;
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.clearRect(0, 0, this.width, this.height);
+
+        this.drawEffects(effects, 'ground');
+        yarns.forEach(ball => this.drawYarnString(ball, time));
+        cats.forEach(sprite => this.drawCat(sprite, time));
+        yarns.forEach(ball => this.drawYarnBall(ball));
+        this.drawEffects(effects, 'air');
+        this.drawTexts(time);
+    }
+
+    drawCat({ id, x, y, facing, pupil }, time) {
+        const view = this.cats[id];
+        if (!view || !view.look) return;
+        const ctx = this.ctx;
+        const pose = CANVAS_CAT_POSES[view.look.pose] || CANVAS_CAT_POSES.idle;
+        const elapsed = time - view.poseStart;
+        const frameName = pose.frames[Math.floor(elapsed / 1000 * (pose.fps || 0)) % pose.frames.length];
+        const frame = CAT_SPRITE_FRAMES[frameName];
+        const motion = this.isReducedMotion() ? REDUCED_MOTION_POSE : 1;
+
+        if (pose.hop) {
+            const duration = pose.duration || view.look.pounceDuration;
+            y -= Math.sin(Math.min(1, elapsed / duration) * Math.PI) * pose.hop * motion;
+        }
+        if (pose.bob) y += Math.sin(elapsed / 300) * pose.bob;
+        if (pose.shake) x += Math.sin(elapsed / 25) * pose.shake * motion;
+
+        ctx.save();
+        ctx.translate(x, y);
+        if (pose.wiggle) ctx.rotate(Math.sin(elapsed / 45) * pose.wiggle * motion);
+        ctx.scale(facing, 1);
+        // Cat box coordinates from here on (as .cat-body)
+        ctx.translate(-CAT_SPRITE.width / 2, -CAT_SPRITE.height / 2);
+        if (pose.clip) {
+            ctx.beginPath();
+            ctx.rect(-CAT_SPRITE.padding, -CAT_SPRITE.padding,
+                CAT_SPRITE.width + CAT_SPRITE.padding * 2, CAT_SPRITE.padding + CAT_SPRITE.height * pose.clip);
+            ctx.clip();
+        }
+
+        const sheet = view.sheet;
+        ctx.drawImage(sheet.canvas,
+            sheet.frames[frameName] * sheet.pixelRatio, 0, sheet.cellWidth * sheet.pixelRatio, sheet.cellHeight * sheet.pixelRatio,
+            -CAT_SPRITE.padding, -CAT_SPRITE.padding, sheet.cellWidth, sheet.cellHeight);
+
+        const headY = frame.body;
+        if (pupil && !frame.eyesClosed) {
+            ctx.fillStyle = '#535353';
+            [35, 53].forEach(eyeX => {
+                ctx.beginPath();
+                ctx.ellipse(eyeX + pupil.x, headY + 20 + pupil.y, 3, 4, 0, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+        this.drawAccessories(view.look.outfit, headY);
+        if (pose.text) {
+            ctx.font = '20px sans-serif';
+            ctx.textBaseline = 'top';
+            ctx.fillText(pose.text, 110, -20 + Math.sin(elapsed / 500) * 5);
+        }
+        ctx.restore();
+    }
+
+    // Hat, bow and collar on the head (as in cat.css)
+    drawAccessories(outfit, headY) {
+        const ctx = this.ctx;
+        if (outfit.collar !== 'none') {
+            drawBlock(ctx, 24, headY + 38, 40, 10, 2, COSMETICS.collar[outfit.collar].color, 0, '#535353');
+            fillCircle(ctx, 44, headY + 46, 6, '#535353');
+            fillCircle(ctx, 44, headY + 46, 4, '#ffd43b');
+        }
+        if (outfit.bow !== 'none') {
+            drawBlock(ctx, 58, headY - 6, 12, 12, 2, COSMETICS.bow[outfit.bow].color, 0, '#535353');
+        }
+        if (outfit.hat !== 'none') {
+            ctx.font = '22px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            ctx.fillText(COSMETICS.hat[outfit.hat].icon, 44, headY - 26);
+            ctx.textAlign = 'left';
+        }
+    }
+
+    drawYarnString({ id, rope }, time) {
+        const view = this.yarns[id];
+        if (!rope || !view) return;
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = view.theme.colors.pink;
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        ctx.setLineDash([8, 4]);
+        ctx.lineDashOffset = -(time % 500) / 500 * 12; // dashMove (ui.css)
+        ctx.stroke(new Path2D(rope.toPath()));
+        ctx.restore();
+    }
+
+    drawYarnBall({ id, x, y, angle }) {
+        const view = this.yarns[id];
+        if (!view) return;
+        const ctx = this.ctx;
+        fillCircle(ctx, x + 4, y + 4, 24, 'rgba(0, 0, 0, 0.2)');
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(angle);
+        ctx.drawImage(view.sprite, -24, -24, 48, 48);
+        ctx.restore();
+        ctx.globalAlpha = 0.8;
+        fillCircle(ctx, x - 8, y - 10, 4, '#ffffff');
+        ctx.globalAlpha = 1;
+    }
+
+    showText(x, y, text) {
+        this.texts.push({ x, y, text, born: this.time });
+    }
+
+    // Squares and circles go in batches (one path per shape, color and
+    // opacity step), glyphs are stamped from prerendered sprites
+    drawEffects(effects, layer) {
+        const ctx = this.ctx;
+        const batches = new Map();
+        effects.forEach(particle => {
+            if (particle.layer !== layer) return;
+            if (particle.shape === 'glyph') {
+                this.drawGlyph(particle);
+                return;
+            }
+            const alpha = Math.round(particle.alpha * 10) / 10;
+            const key = `${particle.shape}|${particle.color}|${alpha}`;
+            if (!batches.has(key)) batches.set(key, { shape: particle.shape, color: particle.color, alpha, particles: [] });
+            batches.get(key).particles.push(particle);
+        });
+
+        batches.forEach(({ shape, color, alpha, particles }) => {
+            ctx.globalAlpha = alpha;
+            if (shape === 'square') {
+                // Outline first, like the 2px border of the DOM fluff
+                ctx.fillStyle = '#535353';
+                ctx.beginPath();
+                particles.forEach(({ x, y, size, scale }) => {
+                    const side = size * scale;
+                    ctx.rect(x - side / 2, y - side / 2, side, side);
+                });
+                ctx.fill();
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                particles.forEach(({ x, y, size, scale }) => {
+                    const side = (size - 4) * scale;
+                    ctx.rect(x - side / 2, y - side / 2, side, side);
+                });
+                ctx.fill();
+            } else {
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                particles.forEach(({ x, y, size, scale }) => {
+                    const radius = size * scale / 2;
+                    ctx.moveTo(x + radius, y);
+                    ctx.arc(x, y, radius, 0, Math.PI * 2);
+                });
+                ctx.fill();
+            }
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    drawGlyph({ glyph, size, color, x, y, rotation, scale, alpha }) {
+        const key = `${glyph}|${size}|${color}`;
+        if (!this.glyphSprites.has(key)) this.glyphSprites.set(key, this.buildGlyphSprite(glyph, size, color));
+        const ctx = this.ctx;
+        const side = size * 1.5 * scale;
+        ctx.globalAlpha = alpha;
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(rotation * Math.PI / 180);
+        ctx.drawImage(this.glyphSprites.get(key), -side / 2, -side / 2, side, side);
+        ctx.restore();
+        ctx.globalAlpha = 1;
+    }
+
+    // The glyph centered on a square canvas, with room for wide emoji
+    buildGlyphSprite(glyph, size, color) {
+        const side = size * 1.5;
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = Math.ceil(side * this.pixelRatio);
+        const ctx = canvas.getContext('2d');
+        ctx.scale(this.pixelRatio, this.pixelRatio);
+        ctx.font = `700 ${size}px Fredoka, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = color;
+        ctx.fillText(glyph, side / 2, side / 2);
+        return canvas;
+    }
+
+    // Drop texts older than CANVAS_TEXT_MS (the list is oldest first)
+    expireTexts(time) {
+        let dead = 0;
+        while (dead < this.texts.length && time - this.texts[dead].born >= CANVAS_TEXT_MS) dead++;
+        if (dead > 0) this.texts.splice(0, dead);
+    }
+
+    // floatMeow (ui.css): pops up, rises and fades
+    drawTexts(time) {
+        this.expireTexts(time);
+        if (this.texts.length === 0) return;
+
+        const ctx = this.ctx;
+        const color = this.readTextColor();
+        ctx.font = '700 24px Fredoka, sans-serif';
+        ctx.textBaseline = 'top';
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = 4;
+        ctx.strokeStyle = '#ffffff';
+        ctx.fillStyle = color;
+        this.texts.forEach(({ x, y, text, born }) => {
+            const progress = (time - born) / CANVAS_TEXT_MS;
+            const next = TEXT_FLOAT.findIndex(([at]) => at >= progress);
+            const [fromAt, fromY, fromScale] = TEXT_FLOAT[Math.max(0, next - 1)];
+            const [toAt, toY, toScale] = TEXT_FLOAT[Math.max(0, next)];
+            const k = toAt > fromAt ? (progress - fromAt) / (toAt - fromAt) : 1;
+
+            ctx.globalAlpha = 1 - progress;
+            ctx.save();
+            ctx.translate(x, y + fromY + (toY - fromY) * k);
+            ctx.scale(fromScale + (toScale - fromScale) * k, fromScale + (toScale - fromScale) * k);
+            ctx.strokeText(text, 0, 0);
+            ctx.fillText(text, 0, 0);
+            ctx.restore();
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    readTextColor() {
+        if (!this.textColor) this.textColor = this.readColors().pink;
+        return this.textColor;
+    }
+}
+
+registerRenderer({
+    id: 'dom',
+    icon: '🧩',
+    create: (context) => new DomRenderer(context)
+});
+
+registerRenderer({
+    id: 'canvas',
+    icon: '🖼️',
+    create: (context) => new CanvasRenderer(context)
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ObjectPool, Renderer, RENDERERS, DEFAULT_RENDERER, registerRenderer, getRenderer,
+        isLowEndDevice, pickRenderer, DOM_POSED_STATES, DomRenderer,
+        CAT_SPRITE, CAT_SPRITE_FRAMES, CAT_LEG_X, REDUCED_MOTION_POSE, CANVAS_CAT_POSES, CANVAS_TEXT_MS,
+        drawCatFrame, buildCatSheet, buildYarnSprite, CanvasRenderer
+    };
+}
@@ -0,0 +1,163 @@
+/**
+ * Session Recording & Replay
+ * Records every input the simulation consumes (yarn samples, feedings) with
+ * its tick number, and plays the log back through the same input queue
+ */
+
+const SESSION_FORMAT = 'yarn-ball-battle-session';
+const SESSION_VERSION = 1;
+
+// Errors carry a code as their message (replay.errors.<code> in scripts/locales)
+// and the details the text needs
+function sessionError(code, details = {}) {
+    return Object.assign(new Error(code), details);
+}
+
+/**
+ * SessionRecorder - captures a snapshot plus the input log from the simulation
+ */
+class SessionRecorder {
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.recording = false;
+        this.session = null;
+        this.unsubscribe = null;
+    }
+
+    start() {
+        if (this.recording) return;
+
+        const sim = this.simulation;
+        this.startTick = sim.tickCount;
+        this.snapshot = sim.getSnapshot();
+        this.inputs = [];
+        this.recordedAt = new Date().toISOString();
+
+        // Ticks are stored relative to the start of the recording
+        this.unsubscribe = sim.on('input', (input) => {
+            this.inputs.push({ ...input, tick: input.tick - this.startTick });
+        });
+        this.recording = true;
+    }
+
+    stop() {
+        if (!this.recording) return this.session;
+
+        this.unsubscribe();
+        this.unsubscribe = null;
+        this.recording = false;
+
+        this.session = {
+            format: SESSION_FORMAT,
+            version: SESSION_VERSION,
+            recordedAt: this.recordedAt,
+            tickMs: this.simulation.tickMs,
+            duration: this.simulation.tickCount - this.startTick,
+            snapshot: this.snapshot,
+            inputs: this.inputs
+        };
+        return this.session;
+    }
+
+    static toJSON(session) {
+        return JSON.stringify(session);
+    }
+
+    // Parse and validate an exported session
+    static fromJSON(text) {
+        let session;
+        try {
+            session = JSON.parse(text);
+        } catch (e) {
+            throw sessionError('INVALID_JSON');
+        }
+
+        if (!session || session.format !== SESSION_FORMAT) {
+            throw sessionError('NOT_A_SESSION');
+        }
+        if (session.version !== SESSION_VERSION) {
+            throw sessionError('UNSUPPORTED_VERSION', { version: session.version });
+        }
+        if (!Array.isArray(session.inputs) || !session.snapshot) {
+            throw sessionError('CORRUPT');
+        }
+        return session;
+    }
+}
+
+/**
+ * SessionPlayer - restores the recorded snapshot and feeds the input log back
+ * tick by tick. The live session is restored once playback ends.
+ *
+ * Events: 'start', 'progress' (0-1), 'end'
+ */
+class SessionPlayer extends EventEmitter {
+    constructor(simulation) {
+        super();
+        this.simulation = simulation;
+        this.playing = false;
+        this.session = null;
+        this.subscriptions = [];
+    }
+
+    play(session) {
+        if (this.playing) this.stop();
+
+        const sim = this.simulation;
+        if (session.tickMs !== sim.tickMs) {
+            throw sessionError('TICK_MISMATCH');
+        }
+
+        this.session = session;
+        this.liveSnapshot = sim.getSnapshot();
+        sim.restoreSnapshot(session.snapshot);
+
+        this.startTick = sim.tickCount;
+        this.inputIndex = 0;
+        this.playing = true;
+
+        this.subscriptions = [
+            sim.on('tickStart', (tick) => this.feedInputs(tick)),
+            sim.on('tick', (tick) => this.checkProgress(tick))
+        ];
+        this.emit('start', session);
+    }
+
+    // Queue every recorded input that belongs to this tick
+    feedInputs(tick) {
+        const inputs = this.session.inputs;
+        const relativeTick = tick - this.startTick;
+
+        while (this.inputIndex < inputs.length && inputs[this.inputIndex].tick <= relativeTick) {
+            const { tick: _recordedTick, ...input } = inputs[this.inputIndex++];
+            this.simulation.queueInput(input);
+        }
+    }
+
+    checkProgress(tick) {
+        const elapsed = tick - this.startTick;
+        const duration = this.session.duration;
+
+        this.emit('progress', duration > 0 ? Math.min(elapsed / duration, 1) : 1);
+        if (elapsed >= duration) {
+            this.stop();
+        }
+    }
+
+    stop() {
+        if (!this.playing) return;
+
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions = [];
+        this.playing = false;
+
+        // Back to where the player left off
+        this.simulation.restoreSnapshot(this.liveSnapshot);
+        this.liveSnapshot = null;
+        this.emit('end', this.session);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SESSION_FORMAT, SESSION_VERSION, SessionRecorder, SessionPlayer };
+}
@@ -0,0 +1,170 @@
+/**
+ * Yarn Rope - verlet simulation of the thread trailing from a yarn ball
+ * Pure state like the rest of the simulation: stepped once per tick, so the
+ * cost stays fixed (points × iterations) whatever the screen refresh rate
+ */
+
+const ROPE_DEFAULTS = {
+    points: 14,
+    segmentLength: 12, // px between points - the thread is points × this long at most
+    gravity: 0.35, // px per tick²
+    damping: 0.96, // Velocity kept per tick
+    iterations: 4, // Constraint passes per tick
+    floorFriction: 0.8, // Horizontal velocity kept by points lying on the ground
+    windScale: 2 // The thread catches more wind than the ball
+};
+
+/**
+ * YarnRope
+ *
+ * Point 0 is pinned to the yarn ball; the rest hang, swing and settle on the
+ * ground line. Points are { x, y, px, py } (current and previous position).
+ */
+class YarnRope {
+    constructor(x, y, options = {}) {
+        this.options = { ...ROPE_DEFAULTS, ...options };
+        this.reset(x, y);
+    }
+
+    // Rebuild from snapshot data
+    static fromJSON(data) {
+        const rope = Object.assign(Object.create(YarnRope.prototype), data);
+        rope.options = { ...ROPE_DEFAULTS, ...data.options };
+        return rope;
+    }
+
+    // Hang straight down from (x, y)
+    reset(x, y) {
+        this.points = [];
+        for (let i = 0; i < this.options.points; i++) {
+            const py = y + i * this.options.segmentLength;
+            this.points.push({ x, y: py, px: x, py });
+        }
+    }
+
+    // wind: horizontal push on points off the ground (px per tick²)
+    update(anchor, floorY, width, wind = 0) {
+        const { gravity, damping, iterations, segmentLength, floorFriction, windScale } = this.options;
+        const points = this.points;
+
+        // Verlet integration (the pinned point follows the ball)
+        for (let i = 1; i < points.length; i++) {
+            const p = points[i];
+            const vx = (p.x - p.px) * damping;
+            const vy = (p.y - p.py) * damping;
+            p.px = p.x;
+            p.py = p.y;
+            p.x += vx + (p.y < floorY ? wind * windScale : 0);
+            p.y += vy + gravity;
+        }
+        points[0].px = points[0].x;
+        points[0].py = points[0].y;
+        points[0].x = anchor.x;
+        points[0].y = anchor.y;
+
+        for (let pass = 0; pass < iterations; pass++) {
+            this.solveConstraints(segmentLength);
+
+            // Lie on the ground line and stay on screen
+            for (let i = 1; i < points.length; i++) {
+                const p = points[i];
+                if (p.y > floorY) {
+                    p.y = floorY;
+                    p.px = p.x - (p.x - p.px) * floorFriction;
+                }
+                p.x = Math.max(0, Math.min(width, p.x));
+            }
+        }
+
+        this.enforceLength(segmentLength);
+    }
+
+    // Pull neighbouring points back to segment length
+    solveConstraints(segmentLength) {
+        const points = this.points;
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const distance = Math.sqrt(dx * dx + dy * dy) || 1e-6;
+            const offset = (distance - segmentLength) / distance;
+
+            if (i === 0) {
+                // The anchor doesn't move
+                b.x -= dx * offset;
+                b.y -= dy * offset;
+            } else {
+                b.x -= dx * offset * 0.5;
+                b.y -= dy * offset * 0.5;
+                a.x += dx * offset * 0.5;
+                a.y += dy * offset * 0.5;
+            }
+        }
+    }
+
+    // Hard length limit: a fast-moving ball drags the thread instead of stretching it
+    enforceLength(segmentLength) {
+        const points = this.points;
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance > segmentLength) {
+                b.x = a.x + (dx / distance) * segmentLength;
+                b.y = a.y + (dy / distance) * segmentLength;
+            }
+        }
+    }
+
+    // Push loose points out of a circle, adding `push` (px per tick) to their
+    // velocity; returns how many points were inside
+    pushOut(x, y, radius, push = { x: 0, y: 0 }) {
+        let inside = 0;
+        for (let i = 1; i < this.points.length; i++) {
+            const p = this.points[i];
+            const dx = p.x - x;
+            const dy = p.y - y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance >= radius) continue;
+
+            inside++;
+            const scale = distance > 0 ? radius / distance : 1;
+            const targetX = x + (distance > 0 ? dx * scale : 0);
+            const targetY = y + (distance > 0 ? dy * scale : -radius);
+            p.px += (targetX - p.x) - push.x;
+            p.py += (targetY - p.y) - push.y;
+            p.x = targetX;
+            p.y = targetY;
+        }
+        return inside;
+    }
+
+    // Any loose point within `radius` of (x, y)?
+    isWithin(x, y, radius) {
+        return this.points.some((p, i) => i > 0 && Math.hypot(p.x - x, p.y - y) < radius);
+    }
+
+    // Smooth SVG path: quadratic curves through the midpoints of the segments
+    toPath() {
+        const points = this.points;
+        const round = (value) => Math.round(value * 10) / 10;
+        let path = `M ${round(points[0].x)} ${round(points[0].y)}`;
+
+        for (let i = 1; i < points.length - 1; i++) {
+            const midX = (points[i].x + points[i + 1].x) / 2;
+            const midY = (points[i].y + points[i + 1].y) / 2;
+            path += ` Q ${round(points[i].x)} ${round(points[i].y)} ${round(midX)} ${round(midY)}`;
+        }
+
+        const last = points[points.length - 1];
+        path += ` L ${round(last.x)} ${round(last.y)}`;
+        return path;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ROPE_DEFAULTS, YarnRope };
+}
@@ -0,0 +1,2181 @@
+/**
+ * Cat Simulation - deterministic chase / pounce / rest / eating logic
+ * Pure state, no DOM: advances in fixed ticks so the cat behaves the same
+ * on every refresh rate, and can be driven from Node for testing
+ */
+
+// The browser loads these scripts before this one and shares their globals;
+// under Node they have to be required
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./rope.js'), require('./fsm.js'), require('./furniture.js'));
+}
+
+// Fixed simulation step (ms). All tuning below was authored for 60 updates/s.
+const SIM_TICK_MS = 1000 / 60;
+
+// Longest real-time gap consumed in one advance() call (avoids spiral of death
+// after the tab was in the background)
+const SIM_MAX_FRAME_MS = 250;
+
+/**
+ * Seeded random number generator (mulberry32)
+ * Replaces Math.random() wherever gameplay outcome depends on it
+ */
+class SeededRandom {
+    constructor(seed = Date.now()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [min, max] (inclusive)
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    // Independent generator seeded from this one (keeps streams separate)
+    fork() {
+        return new SeededRandom(Math.floor(this.next() * 4294967296));
+    }
+}
+
+/**
+ * Minimal event emitter - the renderer subscribes to simulation events
+ */
+class EventEmitter {
+    constructor() {
+        this.listeners = {};
+    }
+
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        const handlers = this.listeners[event];
+        if (handlers) {
+            this.listeners[event] = handlers.filter(h => h !== handler);
+        }
+    }
+
+    emit(event, payload) {
+        const handlers = this.listeners[event];
+        if (handlers) {
+            handlers.slice().forEach(h => h(payload));
+        }
+    }
+}
+
+// Default AI tuning for every cat (ms / px at 60 ticks per second)
+const CAT_TUNING = {
+    chaseSpeed: 7, // Base chase speed (px per tick)
+    maxChaseSpeed: 22,
+    closeSpeedBoost: 1.8, // Chase speed multiplier within 150px of the yarn
+    pounceDistance: 80, // Distance at which cat starts preparing to pounce
+    pounceTriggerDistance: 25, // Overlap detection: yarn ball radius (20px) + nose size (5px)
+    pounceCooldown: 500, // ms between pounces (faster recovery)
+    pounceDuration: 600, // Pounce animation duration (the renderer passes it to CSS)
+    stalkTime: 0, // ms spent in preparing-pounce before a catch can happen
+    stalkSpeed: 1, // Chase speed multiplier while preparing to pounce
+    restDuration: 3000, // ms to rest (shorter rest)
+    firstRestAfterPounces: { min: 6, max: 10 }, // Before the first rest
+    restAfterPounces: { min: 4, max: 7 }, // Re-rolled after every rest
+    eatingDuration: 2000, // ms to eat food
+    fetchGiveUp: 10000, // ms before a cat gives up on food it can't get to
+    tangleChance: 0.15, // Chance of getting tangled when running into a yarn thread
+    tangleDuration: 1500, // ms spent wriggling free
+    tangleCooldown: 5000, // ms before the cat can get tangled again
+    batChance: 0.02, // Per-tick chance an idle cat swats a thread within reach
+    batCooldown: 1500,
+    distractChance: 0.004, // Per-tick chance a passing bird catches the cat's eye
+    distractDuration: 2500, // ms spent watching the bird
+    birdChaseChance: 0.3, // Chance a distracted cat runs after the bird
+    startleDistance: 160, // A horse closer than this (horizontally) startles the cat
+    startleDuration: 900,
+    startleSpeed: 12, // px per tick the startled cat leaps away with
+    suddenSpeed: 12, // Yarn speed that counts as sudden: wakes a sleeping cat, spoils a stalk
+    stalkChance: 0.01, // Per-tick chance of stalking a still yarn ball within stalkRange
+    stalkRange: { min: 180, max: 400 }, // px between cat and yarn
+    creepSpeed: 1.2, // px per tick while stalking
+    longPounceDistance: 140, // Stops to wiggle this close, then leaps the rest
+    longPounceReach: 50, // The nose must land this close to the yarn to catch it
+    wiggleTime: 700,
+    boredAfter: 4000, // ms a yarn ball can lie still before the cat loses interest
+    groomAfter: 5000, // ms sitting idle before grooming
+    groomDuration: 3000,
+    sleepAfter: 20000, // ms of calm (idle or grooming) before falling asleep
+    stretchDuration: 1200, // After every rest
+    zoomiesChance: 0.0005, // Per-tick chance of a sprint while chasing
+    zoomiesDuration: 2500,
+    zoomiesSpeed: 16,
+    jumpReach: 60, // px from a sofa or cat tree it can jump up from
+    jumpDuration: 450,
+    hideChance: 0.003, // Per-tick chance of hiding in a free box within hideRange
+    hideRange: 350,
+    hideDuration: 8000, // ms it waits in the box before giving up
+    ambushDistance: 200 // Springs out at a yarn ball this close
+};
+
+// Cats stay this far (px) from the edges of the play area
+const CAT_WALK_MARGIN = { x: 70, y: 120 };
+
+// Points a catch is worth while a dog is on screen (see scripts/animals.js)
+const DOG_CATCH_POINTS = 2;
+
+// Where a cat touches yarn threads: around its body, and how far a paw reaches
+const CAT_ROPE_CONTACT = { offsetY: 20, radius: 50, reach: 70, tangleRunSpeed: 4 };
+
+// Needs (0-100) and how play changes them; rates per second of simulation time
+const CAT_NEEDS = {
+    start: { hunger: 20, energy: 100, happiness: 70 },
+    hungerPerSecond: 0.3, // Empty stomach in about 5 minutes
+    energyPerPx: 0.0016, // Running drains energy...
+    energyPerPounce: 2, // ...and so does every catch
+    restEnergyPerSecond: 6,
+    idleEnergyPerSecond: 0.5, // Sitting still recovers a little
+    happinessPerCatch: 4,
+    happinessPerBat: 1,
+    happinessDecayPerSecond: 0.15, // Twice as fast while hungry
+    hungry: 70, // Above this the cat is hungry: slower and grumpier
+    tired: 25, // Below this it rests after the current pounce
+    exhausted: 5, // At this it lies down wherever it is
+    happy: 80,
+    bored: 25,
+    zoomies: 50, // Energy needed for a sprint
+    // While the page is closed: the cat waits for you, it doesn't starve
+    away: { hungerPerHour: 10, maxHunger: 80, energyPerHour: 60, happinessPerHour: 10, happinessFloor: 30 }
+};
+
+// Foods the player can put down. `needs` is applied when the cat finishes
+// eating, `appeal` is how much cats like it, `eatingScale` scales
+// tuning.eatingDuration, `max` / `refill` (ms per portion) set the inventory
+// (names: foods.<id> in scripts/locales)
+const FOOD_TYPES = {
+    treat: {
+        emoji: '🍪', needs: { hunger: -10, happiness: 12 },
+        appeal: 1.2, eatingScale: 0.5, max: 5, refill: 8000
+    },
+    fish: {
+        emoji: '🐟', needs: { hunger: -40, happiness: 5 },
+        appeal: 1, eatingScale: 1.25, max: 3, refill: 15000
+    },
+    catnip: {
+        emoji: '🌿', needs: { happiness: 20, energy: 15 },
+        appeal: 1.5, eatingScale: 0.75, max: 1, refill: 45000, effect: 'hyper'
+    },
+    milk: {
+        emoji: '🥛', needs: { hunger: -20, energy: 25 },
+        appeal: 0.9, eatingScale: 1, max: 2, refill: 25000
+    }
+};
+
+const DEFAULT_FOOD = 'fish';
+const MAX_FOODS_ON_GROUND = 4;
+
+// Every food at its maximum, nothing waiting to refill
+function createFoodInventory() {
+    const inventory = {};
+    const refillAt = {};
+    Object.keys(FOOD_TYPES).forEach(type => {
+        inventory[type] = FOOD_TYPES[type].max;
+        refillAt[type] = null;
+    });
+    return { inventory, refillAt };
+}
+
+// Effects a food leaves behind for `duration` ms, applied to the cat's tuning
+const FOOD_EFFECTS = {
+    // Catnip: zooms around, pounces back to back and won't rest or doze off
+    hyper: {
+        duration: 10000,
+        tuning: (tuning) => ({
+            ...tuning,
+            chaseSpeed: tuning.chaseSpeed * 1.5,
+            maxChaseSpeed: tuning.maxChaseSpeed * 1.3,
+            pounceCooldown: tuning.pounceCooldown * 0.5,
+            zoomiesChance: tuning.zoomiesChance * 5,
+            boredAfter: Infinity,
+            sleepAfter: Infinity
+        })
+    }
+};
+
+function clampNeed(value) {
+    return Math.max(0, Math.min(100, value));
+}
+
+// Saved needs after `awayMs` with the game closed
+function settleNeedsAway(needs, awayMs) {
+    const hours = Math.max(0, awayMs) / 3600000;
+    const away = CAT_NEEDS.away;
+    const start = { ...CAT_NEEDS.start, ...needs };
+    return {
+        hunger: clampNeed(Math.max(start.hunger, Math.min(away.maxHunger, start.hunger + hours * away.hungerPerHour))),
+        energy: clampNeed(start.energy + hours * away.energyPerHour),
+        happiness: clampNeed(Math.max(Math.min(start.happiness, away.happinessFloor),
+            start.happiness - hours * away.happinessPerHour))
+    };
+}
+
+// Where cats wait out the rain (fraction of the play area; later players sit
+// `spacing` px further along) - matches .shelter in animals.css
+const SHELTER = { x: 0.08, y: 0.6, spacing: 70, speed: 5, arriveDistance: 10 };
+
+function scaleRange({ min, max }, scale) {
+    return { min: Math.max(1, Math.round(min * scale)), max: Math.max(1, Math.round(max * scale)) };
+}
+
+// How the time of day and weather (sim.environment, see scripts/environment.js)
+// change every cat's tuning
+const ENVIRONMENT_TUNING = {
+    // Sleepy at night: rests after fewer pounces, and for longer, and nods off sooner
+    night: (tuning) => ({
+        ...tuning,
+        firstRestAfterPounces: scaleRange(tuning.firstRestAfterPounces, 0.6),
+        restAfterPounces: scaleRange(tuning.restAfterPounces, 0.6),
+        restDuration: tuning.restDuration * 1.5,
+        sleepAfter: tuning.sleepAfter * 0.5
+    }),
+    // Wading through snow
+    snow: (tuning) => ({
+        ...tuning,
+        chaseSpeed: tuning.chaseSpeed * 0.85,
+        maxChaseSpeed: tuning.maxChaseSpeed * 0.85
+    })
+};
+
+// Selectable cats: each profile overrides part of CAT_TUNING.
+// Colors live in cat.css under .cat.profile-<id>; `voice` scales the pitch
+// and length of the cat's meows (AudioEngine in scripts/audio.js). Names and
+// descriptions: profiles.<id> in scripts/locales
+const CAT_PROFILES = {
+    tabby: {
+        icon: '🐈',
+        voice: { pitch: 1, length: 1 },
+        tuning: {}
+    },
+    persian: {
+        icon: '😽',
+        voice: { pitch: 0.8, length: 1.5 },
+        tuning: {
+            chaseSpeed: 5,
+            maxChaseSpeed: 15,
+            distractChance: 0.002,
+            closeSpeedBoost: 1.4,
+            pounceDuration: 800,
+            restDuration: 5000,
+            firstRestAfterPounces: { min: 3, max: 5 },
+            restAfterPounces: { min: 2, max: 4 },
+            sleepAfter: 12000,
+            zoomiesChance: 0.0002
+        }
+    },
+    kitten: {
+        icon: '🐱',
+        voice: { pitch: 1.5, length: 0.6 },
+        tuning: {
+            chaseSpeed: 8,
+            maxChaseSpeed: 25,
+            closeSpeedBoost: 2,
+            pounceCooldown: 250,
+            pounceDuration: 450,
+            distractChance: 0.008,
+            birdChaseChance: 0.6,
+            restDuration: 2000,
+            firstRestAfterPounces: { min: 8, max: 12 },
+            restAfterPounces: { min: 6, max: 9 },
+            groomAfter: 8000,
+            zoomiesChance: 0.0015
+        }
+    },
+    siamese: {
+        icon: '🐾',
+        voice: { pitch: 1.2, length: 1.3 },
+        tuning: {
+            pounceDistance: 130,
+            pounceCooldown: 700,
+            stalkTime: 800,
+            stalkSpeed: 0.4,
+            stalkChance: 0.03,
+            wiggleTime: 1000
+        }
+    }
+};
+
+const DEFAULT_CAT_PROFILE = 'tabby';
+
+function getCatProfile(id) {
+    return CAT_PROFILES[id] || CAT_PROFILES[DEFAULT_CAT_PROFILE];
+}
+
+// Where each player's cat and yarn ball start, relative to the play area
+const PLAYER_SPAWNS = [
+    { cat: { x: 0.5, y: 0.6 }, yarn: { x: 0.5, y: 0.5, offsetX: 100 } },
+    { cat: { x: 0.3, y: 0.6 }, yarn: { x: 0.3, y: 0.5, offsetX: -100 } }
+];
+
+// Ground line (top of .ground in base.css), relative to the play area height
+const GROUND_LINE = 0.7;
+
+// Free yarn ball physics (px and radians per tick at 60 ticks per second)
+const YARN_PHYSICS = {
+    radius: 20,
+    gravity: 0.5,
+    airDrag: 0.998, // Velocity kept per tick in the air
+    rollingFriction: 0.985, // Horizontal velocity kept per tick on the ground
+    bounce: 0.55, // Vertical velocity kept when hitting the ground
+    wallBounce: 0.7, // Velocity kept when hitting an edge of the play area
+    minBounce: 1.5, // Slower landings stop instead of bouncing
+    spinDrag: 0.99, // Angular velocity kept per tick in the air
+    flingWindow: 100, // ms of held samples that set the release velocity
+    maxFlingSpeed: 40,
+    knockSpeed: 10, // Horizontal speed a catch knocks the ball away with
+    knockLift: 8, // ...and its upward speed
+    stillAfter: 300 // ms without moving before a ball counts as still
+};
+
+/**
+ * YarnBall - one player's yarn ball
+ * Held balls follow the player's input; in physics mode a released ball
+ * keeps its momentum, bounces off the edges and the ground line and rolls
+ * to a stop.
+ */
+class YarnBall {
+    constructor(id, x, y) {
+        this.id = id;
+        this.pos = { x, y };
+        this.prevPos = { x, y };
+        this.speed = 0; // px per 16ms: pointer speed while held, own speed while free
+        this.velocity = { x: 0, y: 0 }; // px per tick while free
+        this.angle = 0; // Pattern rotation (radians)
+        this.angularVelocity = 0; // radians per tick
+        this.held = true;
+        this.samples = []; // Recent held positions { x, y, time } for flinging
+        this.lastMoveTime = 0; // Sim time it last moved, held or free
+    }
+
+    moveTo(x, y, speed, time = 0) {
+        this.prevPos = { ...this.pos };
+        this.pos = { x, y };
+        this.speed = speed || 0;
+        this.held = true;
+        if (x !== this.prevPos.x || y !== this.prevPos.y) this.lastMoveTime = time;
+        this.velocity = { x: 0, y: 0 };
+
+        // A held ball turns as if rolled along by the hand
+        this.angularVelocity = (x - this.prevPos.x) / YARN_PHYSICS.radius;
+        this.angle += this.angularVelocity;
+
+        this.samples.push({ x, y, time });
+        this.samples = this.samples.filter(sample => time - sample.time <= YARN_PHYSICS.flingWindow);
+    }
+
+    // Let go: the ball flies on with the velocity of the last held samples
+    release(sim) {
+        if (!this.held) return;
+        this.held = false;
+
+        const samples = this.samples.filter(sample => sim.time - sample.time <= YARN_PHYSICS.flingWindow);
+        this.samples = [];
+        this.velocity = { x: 0, y: 0 };
+        if (samples.length < 2) return;
+
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const ticks = (last.time - first.time) / sim.tickMs;
+        if (ticks <= 0) return;
+
+        let vx = (last.x - first.x) / ticks;
+        let vy = (last.y - first.y) / ticks;
+        const speed = Math.sqrt(vx * vx + vy * vy);
+        if (speed > YARN_PHYSICS.maxFlingSpeed) {
+            vx *= YARN_PHYSICS.maxFlingSpeed / speed;
+            vy *= YARN_PHYSICS.maxFlingSpeed / speed;
+        }
+        this.velocity = { x: vx, y: vy };
+        this.angularVelocity = vx / YARN_PHYSICS.radius;
+    }
+
+    // `speed` goes stale once the pointer stops, so stillness is by time:
+    // hasn't moved for `ms`
+    isStill(sim, ms = YARN_PHYSICS.stillAfter) {
+        return sim.time - this.lastMoveTime > ms;
+    }
+
+    // Moving faster than `speed` right now
+    isDarting(sim, speed) {
+        return !this.isStill(sim) && this.speed > speed;
+    }
+
+    // A catch bats the ball away from the cat
+    knock(sim, direction) {
+        this.held = false;
+        this.samples = [];
+        this.velocity = {
+            x: (Math.sign(direction) || 1) * YARN_PHYSICS.knockSpeed * sim.rng.range(0.8, 1.2),
+            y: -YARN_PHYSICS.knockLift * sim.rng.range(0.8, 1.2)
+        };
+        this.angularVelocity = this.velocity.x / YARN_PHYSICS.radius;
+    }
+
+    // One tick of free flight / rolling
+    update(sim) {
+        const physics = YARN_PHYSICS;
+        const radius = physics.radius;
+        const velocity = this.velocity;
+        const { width, height } = sim.bounds;
+        const floor = height * GROUND_LINE - radius;
+
+        this.prevPos = { ...this.pos };
+        velocity.y += physics.gravity;
+        // Wind blows harder on a ball in the air than on one rolling on the ground
+        velocity.x += this.pos.y < floor ? sim.environment.wind : sim.environment.wind * 0.5;
+        velocity.x *= physics.airDrag;
+        velocity.y *= physics.airDrag;
+        this.pos.x += velocity.x;
+        this.pos.y += velocity.y;
+
+        let impact = 0;
+        if (this.pos.x < radius || this.pos.x > width - radius) {
+            impact = Math.abs(velocity.x);
+            this.pos.x = Math.max(radius, Math.min(width - radius, this.pos.x));
+            velocity.x = -velocity.x * physics.wallBounce;
+        }
+        if (this.pos.y < radius) {
+            impact = Math.max(impact, Math.abs(velocity.y));
+            this.pos.y = radius;
+            velocity.y = Math.abs(velocity.y) * physics.wallBounce;
+        }
+
+        if (this.pos.y >= floor) {
+            this.pos.y = floor;
+            if (velocity.y > physics.minBounce) {
+                impact = Math.max(impact, velocity.y);
+                velocity.y = -velocity.y * physics.bounce;
+            } else {
+                velocity.y = 0;
+            }
+
+            // Rolling without slipping
+            velocity.x *= physics.rollingFriction;
+            if (Math.abs(velocity.x) < 0.05) velocity.x = 0;
+            this.angularVelocity = velocity.x / radius;
+        } else {
+            this.angularVelocity *= physics.spinDrag;
+        }
+        this.angle += this.angularVelocity;
+
+        this.speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y) * 16 / sim.tickMs;
+        if (this.speed > 0.1) this.lastMoveTime = sim.time;
+        if (impact > 3) {
+            sim.emit('yarnBounce', { yarn: this, x: this.pos.x, y: this.pos.y, impact });
+        }
+    }
+}
+
+// Chase moods: all run after the yarn ball (CatEntity.chase), the name is
+// how worked up the cat looks
+const CHASE_STATES = ['idle', 'curious', 'running', 'excited'];
+
+// What makes a chasing cat drop the yarn, checked in this order
+const CHASE_INTERRUPTS = ['fetching', 'seeking-shelter', 'resting', 'startled'];
+
+const SHELTER_STATES = ['seeking-shelter', 'sheltering'];
+
+// Sitting around: how long for counts towards falling asleep (cat.calmSince)
+const CALM_STATES = ['idle', 'grooming'];
+
+// `interrupts`: extra ones for this mood, checked before a sprint or a stalk
+function chaseState({ interrupts = [], enter } = {}) {
+    const all = [...CHASE_INTERRUPTS, 'distracted', ...interrupts, 'zoomies', 'stalking', 'seeking-box'];
+    return {
+        to: [...CHASE_STATES, 'preparing-pounce', 'pouncing', ...all, 'tangled', 'jumping'],
+        interrupts: all,
+        enter,
+        update: (cat, sim, yarn, tuning) => cat.chase(sim, yarn, tuning)
+    };
+}
+
+function becomeCalm(cat, sim, data, from) {
+    if (!CALM_STATES.includes(from)) cat.calmSince = sim.time;
+}
+
+function leaveShelter(cat, sim, to) {
+    if (!SHELTER_STATES.includes(to)) sim.emit('shelterEnd', { cat });
+}
+
+// Cat behavior for the StateMachine (scripts/fsm.js). `pose` is what the
+// renderer shows (a .cat class in cat.css and a mood in game.js): the state's
+// name unless given. update() and trigger() also receive (yarn, tuning);
+// timed states count from cat.stateStartTime.
+const CAT_STATES = {
+    idle: chaseState({ interrupts: ['sleeping', 'grooming'], enter: becomeCalm }),
+    curious: chaseState(),
+    running: chaseState(),
+    excited: chaseState(),
+
+    // Close to the yarn: creeps on at tuning.stalkSpeed until it can strike
+    'preparing-pounce': {
+        to: [...CHASE_STATES, 'pouncing', ...CHASE_INTERRUPTS, 'tangled', 'jumping'],
+        interrupts: CHASE_INTERRUPTS,
+        update: (cat, sim, yarn, tuning) => cat.chase(sim, yarn, tuning)
+    },
+
+    // Creeping low towards a still yarn ball further away...
+    stalking: {
+        to: [...CHASE_STATES, 'wiggling', ...CHASE_INTERRUPTS, 'tangled'],
+        trigger: (cat, sim, yarn, tuning) => cat.spotStalkTarget(sim, yarn, tuning),
+        interrupts: CHASE_INTERRUPTS,
+        update: (cat, sim, yarn, tuning) => cat.stalk(sim, yarn, tuning)
+    },
+
+    // ...then a butt wiggle and a long pounce from there
+    wiggling: {
+        to: [...CHASE_STATES, 'pouncing', ...CHASE_INTERRUPTS],
+        interrupts: CHASE_INTERRUPTS,
+        enter: (cat) => {
+            cat.velocity = { x: 0, y: 0 };
+            cat.speed = 0;
+        },
+        update: (cat, sim, yarn, tuning) => cat.wiggle(sim, yarn, tuning)
+    },
+
+    // `long` pounces (after a stalk) leap at the yarn and only catch it if it's still there
+    pouncing: {
+        to: ['curious', 'resting'],
+        guard: (cat, sim) => sim.time - cat.lastPounceTime > sim.tuningFor(cat).pounceCooldown,
+        enter: (cat, sim, { dx, dy, long }) => cat.startPounce(sim, dx, dy, long),
+        exit: (cat) => {
+            cat.pounceArc = null;
+        },
+        update: (cat, sim, yarn, tuning) => cat.updatePounce(sim, yarn, tuning)
+    },
+
+    // Worn out after a run of pounces, or lying down wherever it is when exhausted
+    resting: {
+        to: ['stretching'],
+        trigger: (cat) => cat.needs.energy <= CAT_NEEDS.exhausted,
+        enter: (cat, sim) => {
+            cat.velocity = { x: 0, y: 0 };
+            sim.emit('restStart', { cat });
+        },
+        exit: (cat, sim) => {
+            cat.pounceCount = 0;
+            cat.maxPouncesBeforeRest = cat.rollPouncesBeforeRest(sim);
+            sim.emit('restEnd', { cat });
+        },
+        duration: (cat, sim) => sim.tuningFor(cat).restDuration,
+        next: 'stretching'
+    },
+
+    stretching: {
+        to: ['curious'],
+        duration: (cat, sim) => sim.tuningFor(cat).stretchDuration,
+        next: 'curious'
+    },
+
+    // Sat idle for a while with nothing moving: washes itself; any yarn movement stops it
+    grooming: {
+        to: ['idle', 'curious', ...CHASE_INTERRUPTS, 'sleeping'],
+        trigger: (cat, sim, yarn, tuning) => sim.time - cat.stateStartTime >= tuning.groomAfter && yarn.isStill(sim),
+        interrupts: [...CHASE_INTERRUPTS, 'sleeping'],
+        enter: becomeCalm,
+        update: (cat, sim, yarn) => {
+            if (!yarn.isStill(sim)) sim.catStates.transition(cat, sim, 'curious');
+        },
+        duration: (cat, sim) => sim.tuningFor(cat).groomDuration,
+        next: 'idle'
+    },
+
+    // Dozes off after a long calm; only sudden yarn movement (or food, rain, a horse) wakes it
+    sleeping: {
+        to: ['excited', 'fetching', 'seeking-shelter', 'startled'],
+        trigger: (cat, sim, yarn, tuning) => sim.time - cat.calmSince >= tuning.sleepAfter,
+        interrupts: ['fetching', 'seeking-shelter', 'startled'],
+        enter: (cat, sim) => {
+            cat.velocity = { x: 0, y: 0 };
+            cat.speed = 0;
+        },
+        update: (cat, sim, yarn, tuning) => {
+            if (yarn.isDarting(sim, tuning.suddenSpeed)) sim.catStates.transition(cat, sim, 'excited');
+        }
+    },
+
+    // A sudden sprint from one random spot to the next
+    zoomies: {
+        to: ['curious', ...CHASE_INTERRUPTS, 'tangled'],
+        trigger: (cat, sim, yarn, tuning) => cat.needs.energy > CAT_NEEDS.zoomies &&
+            sim.rng.next() < tuning.zoomiesChance,
+        interrupts: CHASE_INTERRUPTS,
+        enter: (cat, sim) => cat.pickZoomTarget(sim),
+        exit: (cat) => {
+            cat.zoomTarget = null;
+        },
+        update: (cat, sim, yarn, tuning) => cat.zoom(sim, tuning),
+        duration: (cat, sim) => sim.tuningFor(cat).zoomiesDuration,
+        next: 'curious'
+    },
+
+    // Up onto a sofa or cat tree the yarn ball is on, down again, or into a box
+    jumping: {
+        to: ['curious', 'hiding'],
+        enter: (cat, sim, data) => cat.startJump(sim, data),
+        exit: (cat) => {
+            cat.jumpArc = null;
+        },
+        update: (cat, sim, yarn, tuning) => cat.updateJump(sim, tuning)
+    },
+
+    // Off to a free box close by, to hide in it...
+    'seeking-box': {
+        pose: 'running',
+        to: ['jumping', 'curious', ...CHASE_INTERRUPTS, 'tangled'],
+        trigger: (cat, sim, yarn, tuning) => cat.findHideout(sim, yarn, tuning),
+        interrupts: CHASE_INTERRUPTS,
+        enter: (cat, sim, box) => {
+            cat.boxId = box.id;
+        },
+        exit: (cat, sim, to) => {
+            if (to !== 'jumping') cat.boxId = null;
+        },
+        update: (cat, sim, yarn, tuning) => cat.walkToBox(sim, tuning)
+    },
+
+    // ...and spring out at the yarn ball once it comes close
+    hiding: {
+        to: ['pouncing', 'jumping', 'curious', 'fetching'],
+        interrupts: ['fetching'],
+        exit: (cat) => {
+            cat.boxId = null;
+        },
+        update: (cat, sim, yarn, tuning) => cat.ambush(sim, yarn, tuning)
+    },
+
+    // Caught up in a yarn thread (CatEntity.touchRopes), wriggling free
+    tangled: {
+        to: ['curious'],
+        guard: (cat, sim) => sim.time - cat.lastTangleTime > sim.tuningFor(cat).tangleCooldown,
+        enter: (cat, sim) => {
+            cat.lastTangleTime = sim.time;
+            cat.velocity = { x: 0, y: 0 };
+            sim.emit('tangle', { cat });
+        },
+        exit: (cat, sim) => sim.emit('untangle', { cat }),
+        duration: (cat, sim) => sim.tuningFor(cat).tangleDuration,
+        next: 'curious'
+    },
+
+    // Walking to the food it picked
+    fetching: {
+        pose: 'running',
+        to: ['eating', 'curious', 'idle'],
+        trigger: (cat, sim) => cat.pickFood(sim),
+        enter: (cat, sim, food) => cat.claimFood(sim, food),
+        exit: (cat, sim, to) => {
+            if (to === 'idle') cat.skippedFoodId = cat.foodId; // Gave up on it
+            if (to !== 'eating') sim.releaseFood(cat);
+        },
+        update: (cat, sim) => cat.walkToFood(sim),
+        // Still not there: leave the food for later and go back to the yarn
+        duration: (cat, sim) => sim.tuningFor(cat).fetchGiveUp,
+        next: 'idle'
+    },
+
+    eating: {
+        to: ['idle', 'curious'],
+        enter: (cat, sim) => sim.emit('eatStart', { cat, food: sim.getFood(cat.foodId) }),
+        exit: (cat, sim) => sim.releaseFood(cat), // Left unfinished
+        update: (cat, sim) => {
+            // Gone (e.g. restored from an older recording)
+            if (!sim.getFood(cat.foodId)) sim.catStates.transition(cat, sim, 'curious');
+        },
+        duration: (cat, sim) => cat.getMealDuration(sim),
+        next: (cat, sim) => {
+            cat.finishMeal(sim);
+            return 'idle';
+        }
+    },
+
+    // Rain sends the cat under the shelter until it stops
+    'seeking-shelter': {
+        pose: 'running',
+        to: ['sheltering', 'curious', 'fetching', 'tangled'],
+        trigger: (cat, sim) => sim.environment.weather === 'rain',
+        interrupts: ['fetching'],
+        enter: (cat, sim, data, from) => {
+            if (!SHELTER_STATES.includes(from)) sim.emit('shelterStart', { cat });
+        },
+        exit: leaveShelter,
+        update: (cat, sim) => cat.updateSheltering(sim)
+    },
+
+    sheltering: {
+        to: ['seeking-shelter', 'curious', 'fetching', 'tangled'],
+        interrupts: ['fetching'],
+        exit: leaveShelter,
+        update: (cat, sim) => cat.updateSheltering(sim)
+    },
+
+    // A horse came too close: leaps away, slowing down
+    startled: {
+        to: ['curious', 'fetching', 'seeking-shelter', 'resting', 'tangled'],
+        trigger: (cat, sim, yarn, tuning) => cat.findStartlingHorse(sim, tuning),
+        interrupts: ['fetching', 'seeking-shelter', 'resting'],
+        enter: (cat, sim, horse) => cat.startle(sim, horse),
+        update: (cat, sim) => {
+            cat.velocity.x *= 0.9;
+            cat.velocity.y *= 0.9;
+            cat.moveBy(sim, cat.velocity.x, cat.velocity.y);
+        },
+        duration: (cat, sim) => sim.tuningFor(cat).startleDuration,
+        next: 'curious'
+    },
+
+    // Watching a passing bird, or running along under it
+    distracted: {
+        pose: (cat) => (cat.distraction && cat.distraction.chase ? 'running' : 'distracted'),
+        to: ['curious', ...CHASE_INTERRUPTS, 'tangled'],
+        trigger: (cat, sim, yarn, tuning) => cat.spotBird(sim, tuning),
+        interrupts: CHASE_INTERRUPTS,
+        enter: (cat, sim, { bird, chase }) => {
+            cat.distraction = { animalId: bird.id, chase };
+            sim.emit('distracted', { cat, animal: bird, chase });
+        },
+        exit: (cat) => {
+            cat.distraction = null;
+        },
+        update: (cat, sim, yarn, tuning) => cat.watchBird(sim, tuning),
+        duration: (cat, sim) => sim.tuningFor(cat).distractDuration,
+        next: 'curious'
+    }
+};
+
+// What the renderer shows for a cat in its current state
+function getCatPose(cat) {
+    const pose = CAT_STATES[cat.state].pose;
+    if (typeof pose === 'function') return pose(cat);
+    return pose || cat.state;
+}
+
+/**
+ * CatEntity - one cat's chase / pounce / rest / eating state
+ * What the cat is doing is `state`, driven by the simulation's StateMachine
+ * over CAT_STATES; behaviour methods receive the simulation for time,
+ * randomness and events.
+ */
+class CatEntity {
+    constructor(id, x, y, rng, profile = DEFAULT_CAT_PROFILE) {
+        this.id = id;
+        this.setProfile(profile);
+
+        // Position and state
+        this.pos = { x, y };
+        this.velocity = { x: 0, y: 0 };
+        this.speed = 0;
+        this.state = 'idle'; // CAT_STATES key
+        this.stateStartTime = 0; // Sim time the state was entered
+        this.pose = 'idle'; // What the renderer shows (getCatPose)
+
+        // Stats
+        this.totalDistance = 0;
+        this.totalPounces = 0; // This cat's (player's) score
+        this.lastPawPrintTime = 0;
+
+        // Pounce mechanics
+        this.pounceCount = 0; // Counter for current session (resets after rest)
+        const firstRest = this.tuning.firstRestAfterPounces;
+        this.maxPouncesBeforeRest = rng.int(firstRest.min, firstRest.max);
+        this.lastPounceTime = -this.tuning.pounceCooldown;
+        this.pounceArc = null;
+
+        // Feeding
+        this.foodId = null; // Food it is fetching or eating
+        this.skippedFoodId = null; // Food it gave up walking to, left for the other cat
+        this.effects = {}; // Active FOOD_EFFECTS: { [id]: sim time it wears off }
+
+        // Yarn threads
+        this.lastTangleTime = -this.tuning.tangleCooldown;
+        this.lastBatTime = -this.tuning.batCooldown;
+        this.ropeContact = false;
+
+        // Background animals
+        this.distraction = null; // { animalId, chase } while distracted by a bird
+        this.startledBy = null; // Horse that already startled this cat
+
+        // Needs (see CAT_NEEDS)
+        this.needs = { ...CAT_NEEDS.start };
+        this.needMood = null; // 'tired', 'hungry', 'bored', 'happy' or null
+
+        // Idle behaviours
+        this.calmSince = 0; // Sim time it settled down (idle or grooming), for falling asleep
+        this.zoomTarget = null; // Where the zoomies are heading
+
+        // Furniture (scripts/furniture.js)
+        this.perchId = null; // Sofa or cat tree it is sitting on
+        this.boxId = null; // Box it is heading for or hiding in
+        this.jumpArc = null;
+        this.path = null; // { goal, points } around the furniture to its current goal
+    }
+
+    // Rebuild an entity from snapshot data
+    static fromJSON(data) {
+        const cat = Object.assign(Object.create(CatEntity.prototype), {
+            // Fields added since older recordings
+            lastTangleTime: 0,
+            lastBatTime: 0,
+            ropeContact: false,
+            distraction: null,
+            startledBy: null,
+            needs: { ...CAT_NEEDS.start },
+            needMood: null,
+            foodId: null,
+            skippedFoodId: null,
+            effects: {},
+            calmSince: 0,
+            zoomTarget: null,
+            perchId: null,
+            boxId: null,
+            jumpArc: null,
+            path: null
+        }, data);
+        cat.profile = cat.profile || DEFAULT_CAT_PROFILE;
+        cat.tuning = { ...CAT_TUNING, ...data.tuning }; // Tuning keys added since recording
+        if (data.stateStartTime === undefined) cat.restoreFlags(data);
+        return cat;
+    }
+
+    // Recordings from before the state machine kept a flag per behaviour and
+    // `state` was only the pose; checked in the order the old update() did
+    restoreFlags(data) {
+        const tuning = this.tuning;
+        let state = CHASE_STATES.includes(data.state) ? data.state : 'idle';
+        let start = 0;
+        if (data.isResting) {
+            state = 'resting';
+            start = data.restStartTime;
+        } else if (data.isTangled) {
+            state = 'tangled';
+            start = data.tangleStartTime;
+        } else if (data.isEating) {
+            state = data.state === 'eating' ? 'eating' : 'fetching';
+            start = data.eatingStartTime;
+        } else if (data.isPouncing) {
+            state = 'pouncing';
+            start = data.lastPounceTime;
+        } else if (data.isSheltering) {
+            state = data.state === 'sheltering' ? 'sheltering' : 'seeking-shelter';
+        } else if (data.state === 'startled') {
+            state = 'startled';
+            start = data.startledUntil - tuning.startleDuration;
+        } else if (data.distraction) {
+            state = 'distracted';
+            start = data.distraction.until - tuning.distractDuration;
+        } else if (data.preparingPounce) {
+            state = 'preparing-pounce';
+            start = data.stalkStartTime;
+        }
+        if (state !== 'distracted') this.distraction = null;
+        if (state !== 'fetching' && state !== 'eating') this.foodId = null;
+
+        ['isPouncing', 'isResting', 'preparingPounce', 'stalkStartTime', 'restStartTime',
+            'isEating', 'eatingStartTime', 'isTangled', 'tangleStartTime', 'startledUntil',
+            'isSheltering'].forEach(key => delete this[key]);
+        this.state = state;
+        this.stateStartTime = start || 0;
+        this.pose = data.state || 'idle';
+    }
+
+    // Switch breed: the snapshot keeps the resolved tuning, so replays don't
+    // depend on CAT_PROFILES staying the same
+    setProfile(profile) {
+        this.profile = CAT_PROFILES[profile] ? profile : DEFAULT_CAT_PROFILE;
+        this.tuning = { ...CAT_TUNING, ...getCatProfile(this.profile).tuning };
+    }
+
+    update(sim, yarn) {
+        sim.catStates.update(this, sim, yarn, sim.tuningFor(this));
+    }
+
+    // Chase moods and preparing-pounce: run after the yarn ball, pounce on it
+    chase(sim, yarn, tuning) {
+        const now = sim.time;
+        const states = sim.catStates;
+
+        // Calculate distance from yarn ball center to cat's nose
+        // Cat nose is offset from center based on facing direction
+        // A yarn ball that has lain still for a while isn't worth chasing
+        if (yarn.isStill(sim, tuning.boredAfter)) {
+            this.settle(sim);
+            return;
+        }
+
+        const dx = yarn.pos.x - this.pos.x;
+        const dy = yarn.pos.y - this.pos.y;
+        const noseDistance = this.getNoseDistance(yarn);
+
+        // Distance from yarn to cat center (for movement calculations)
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        // Cautious cats only strike after stalking for a while
+        let preparing = this.state === 'preparing-pounce';
+        const stalked = tuning.stalkTime === 0 ||
+            (preparing && now - this.stateStartTime >= tuning.stalkTime);
+
+        // Check for catch - nose overlaps with yarn ball (the pounce cooldown is its guard)
+        if (noseDistance < tuning.pounceTriggerDistance && stalked && states.can(this, sim, 'pouncing')) {
+            this.catchYarn(sim, yarn, dx);
+            states.transition(this, sim, 'pouncing', { dx, dy });
+            return;
+        }
+
+        // Furniture in the way: head for the next corner around it, or jump on or off it
+        const goal = this.steer(sim, yarn.pos, tuning);
+        if (!goal) return;
+
+        // Prepare to pounce when getting close
+        const inStrikeRange = noseDistance < tuning.pounceTriggerDistance;
+        if (noseDistance < tuning.pounceDistance && (!inStrikeRange || !stalked) && !preparing) {
+            states.transition(this, sim, 'preparing-pounce');
+            preparing = true;
+        } else if (noseDistance >= tuning.pounceDistance && preparing) {
+            preparing = false; // Back to a chase mood below
+        }
+
+        // Cat AI - chase the yarn with some smoothing
+        let chaseSpeed = this.calculateChaseSpeed(distance, yarn, tuning);
+        if (preparing) {
+            chaseSpeed *= tuning.stalkSpeed;
+        }
+
+        if (distance > 30) {
+            const goalDx = goal.x - this.pos.x;
+            const goalDy = goal.y - this.pos.y;
+            const goalDistance = Math.sqrt(goalDx * goalDx + goalDy * goalDy) || 1;
+            const dirX = goalDx / goalDistance;
+            const dirY = goalDy / goalDistance;
+
+            this.velocity.x += (dirX * chaseSpeed - this.velocity.x) * 0.1;
+            this.velocity.y += (dirY * chaseSpeed - this.velocity.y) * 0.1;
+
+            this.pos.x += this.velocity.x;
+            this.pos.y += this.velocity.y;
+
+            this.totalDistance += Math.sqrt(
+                this.velocity.x * this.velocity.x +
+                this.velocity.y * this.velocity.y
+            );
+
+            if (now - this.lastPawPrintTime > 200 && chaseSpeed > 2) {
+                sim.emit('pawPrint', { cat: this, x: this.pos.x, y: this.pos.y });
+                this.lastPawPrintTime = now;
+            }
+        } else {
+            this.velocity.x *= 0.9;
+            this.velocity.y *= 0.9;
+        }
+
+        this.speed = Math.sqrt(
+            this.velocity.x * this.velocity.x +
+            this.velocity.y * this.velocity.y
+        );
+
+        // Pick the chase mood from how things are going (not while stalking)
+        if (!preparing) {
+            this.updateMood(sim, distance, yarn);
+        }
+
+        // Keep cat within bounds
+        this.clamp(sim);
+    }
+
+    // Slow down and sit where it is
+    settle(sim) {
+        this.velocity.x *= 0.9;
+        this.velocity.y *= 0.9;
+        this.moveBy(sim, this.velocity.x, this.velocity.y);
+        if (this.speed < 0.5 && this.state !== 'idle') sim.catStates.transition(this, sim, 'idle');
+    }
+
+    // Distance from the yarn ball's center to the cat's nose
+    getNoseDistance(yarn) {
+        // Nose is about 35px towards the yarn ball from cat center, slightly above it (in the head)
+        const noseX = this.pos.x + (yarn.pos.x > this.pos.x ? 35 : -35);
+        const noseY = this.pos.y - 15;
+        const noseDx = yarn.pos.x - noseX;
+        const noseDy = yarn.pos.y - noseY;
+        return Math.sqrt(noseDx * noseDx + noseDy * noseDy);
+    }
+
+    // Caught! Increment score and trigger pounce celebration
+    catchYarn(sim, yarn, dx) {
+        const points = sim.getCatchPoints();
+        this.totalPounces += points;
+        this.changeNeeds({ energy: -CAT_NEEDS.energyPerPounce, happiness: CAT_NEEDS.happinessPerCatch });
+        if (sim.physics) yarn.knock(sim, dx);
+        sim.emit('catch', {
+            cat: this,
+            points,
+            totalPounces: this.totalPounces,
+            x: this.pos.x,
+            y: this.pos.y
+        });
+    }
+
+    // Trigger for 'stalking': a yarn ball lying still at a distance now and then
+    spotStalkTarget(sim, yarn, tuning) {
+        if (!yarn.isStill(sim) || yarn.isStill(sim, tuning.boredAfter)) return false;
+        const distance = Math.hypot(yarn.pos.x - this.pos.x, yarn.pos.y - this.pos.y);
+        const range = tuning.stalkRange;
+        if (distance < range.min || distance > range.max) return false;
+        // Only across open floor
+        if (sim.furniture.length > 0 && (this.perchId !== null || sim.getPerchAt(yarn.pos) ||
+            !isSegmentClear(this.pos, yarn.pos, sim.getObstacles(this)))) return false;
+        return sim.rng.next() < tuning.stalkChance;
+    }
+
+    // Creep up on the yarn ball; a sudden movement sets off a chase instead
+    stalk(sim, yarn, tuning) {
+        const states = sim.catStates;
+        if (yarn.isDarting(sim, tuning.suddenSpeed)) {
+            states.transition(this, sim, 'excited');
+            return;
+        }
+
+        const dx = yarn.pos.x - this.pos.x;
+        const dy = yarn.pos.y - this.pos.y;
+        const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+        if (distance > tuning.stalkRange.max) {
+            states.transition(this, sim, 'curious');
+            return;
+        }
+        if (distance <= tuning.longPounceDistance) {
+            states.transition(this, sim, 'wiggling');
+            return;
+        }
+
+        this.velocity = { x: dx / distance * tuning.creepSpeed, y: dy / distance * tuning.creepSpeed };
+        this.moveBy(sim, this.velocity.x, this.velocity.y);
+    }
+
+    // Butt wiggle, then the long pounce
+    wiggle(sim, yarn, tuning) {
+        const states = sim.catStates;
+        if (yarn.isDarting(sim, tuning.suddenSpeed)) {
+            states.transition(this, sim, 'excited');
+            return;
+        }
+        if (sim.time - this.stateStartTime < tuning.wiggleTime) return;
+
+        const data = { dx: yarn.pos.x - this.pos.x, dy: yarn.pos.y - this.pos.y, long: true };
+        if (!states.transition(this, sim, 'pouncing', data)) states.transition(this, sim, 'curious');
+    }
+
+    // Somewhere random on the floor to sprint to
+    pickZoomTarget(sim) {
+        const area = sim.getWalkArea();
+        this.zoomTarget = sim.getFloorPoint({
+            x: sim.rng.range(area.left, Math.max(area.left, area.right)),
+            y: sim.rng.range(area.top, Math.max(area.top, area.bottom))
+        });
+    }
+
+    zoom(sim, tuning) {
+        const dx = this.zoomTarget.x - this.pos.x;
+        const dy = this.zoomTarget.y - this.pos.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance < tuning.zoomiesSpeed) {
+            this.pickZoomTarget(sim);
+            return;
+        }
+
+        const goal = this.steer(sim, this.zoomTarget);
+        const goalDx = goal.x - this.pos.x;
+        const goalDy = goal.y - this.pos.y;
+        const goalDistance = Math.sqrt(goalDx * goalDx + goalDy * goalDy) || 1;
+        this.velocity.x += (goalDx / goalDistance * tuning.zoomiesSpeed - this.velocity.x) * 0.3;
+        this.velocity.y += (goalDy / goalDistance * tuning.zoomiesSpeed - this.velocity.y) * 0.3;
+        this.moveBy(sim, this.velocity.x, this.velocity.y);
+
+        if (sim.time - this.lastPawPrintTime > 100) {
+            sim.emit('pawPrint', { cat: this, x: this.pos.x, y: this.pos.y });
+            this.lastPawPrintTime = sim.time;
+        }
+    }
+
+    // Trigger for 'startled': a horse close by that hasn't startled this cat yet
+    findStartlingHorse(sim, tuning) {
+        return sim.animals.find(animal => animal.kind === 'horse' &&
+            animal.id !== this.startledBy &&
+            Math.abs(animal.pos.x - this.pos.x) < tuning.startleDistance) || null;
+    }
+
+    startle(sim, horse) {
+        const tuning = sim.tuningFor(this);
+        this.startledBy = horse.id;
+        this.velocity = {
+            x: (Math.sign(this.pos.x - horse.pos.x) || 1) * tuning.startleSpeed,
+            y: -tuning.startleSpeed * 0.3
+        };
+        sim.emit('startle', { cat: this, animal: horse });
+    }
+
+    // Trigger for 'distracted': a bird on screen now and then catches its eye
+    spotBird(sim, tuning) {
+        const bird = sim.animals.find(animal => animal.kind === 'bird');
+        if (!bird || sim.rng.next() >= tuning.distractChance) return null;
+        return { bird, chase: sim.rng.next() < tuning.birdChaseChance };
+    }
+
+    watchBird(sim, tuning) {
+        const bird = sim.animals.find(animal => animal.id === this.distraction.animalId);
+        if (!bird) {
+            sim.catStates.transition(this, sim, 'curious');
+            return;
+        }
+
+        if (this.distraction.chase) {
+            // Run along underneath it
+            const dx = bird.pos.x - this.pos.x;
+            const speed = Math.min(Math.abs(dx), tuning.chaseSpeed);
+            this.velocity.x += (Math.sign(dx) * speed - this.velocity.x) * 0.1;
+        } else {
+            this.velocity.x *= 0.9;
+        }
+        this.velocity.y *= 0.9;
+        this.moveBy(sim, this.velocity.x, this.velocity.y);
+    }
+
+    moveBy(sim, dx, dy) {
+        this.pos.x += dx;
+        this.pos.y += dy;
+        this.speed = Math.sqrt(dx * dx + dy * dy);
+        this.totalDistance += this.speed;
+        this.clamp(sim);
+    }
+
+    // Walk under the shelter and wait there until the rain stops
+    updateSheltering(sim) {
+        const states = sim.catStates;
+        if (sim.environment.weather !== 'rain') {
+            states.transition(this, sim, 'curious');
+            return;
+        }
+
+        const target = sim.getShelterPoint(this);
+        const dx = target.x - this.pos.x;
+        const dy = target.y - this.pos.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance > SHELTER.arriveDistance) {
+            this.walkTowards(sim, target, SHELTER.speed);
+            if (this.state !== 'seeking-shelter') states.transition(this, sim, 'seeking-shelter');
+        } else {
+            this.velocity = { x: 0, y: 0 };
+            this.speed = 0;
+            if (this.state !== 'sheltering') states.transition(this, sim, 'sheltering');
+        }
+    }
+
+    clamp(sim) {
+        const bounds = sim.bounds;
+        this.pos.x = Math.max(CAT_WALK_MARGIN.x, Math.min(bounds.width - CAT_WALK_MARGIN.x, this.pos.x));
+        this.pos.y = Math.max(CAT_WALK_MARGIN.y, Math.min(bounds.height - CAT_WALK_MARGIN.y, this.pos.y));
+        this.avoidFurniture(sim);
+    }
+
+    // Stay on the piece it's perched on, otherwise out of every footprint
+    // but the box it's getting into
+    avoidFurniture(sim) {
+        if (sim.furniture.length === 0) return;
+        const perch = sim.getFurniture(this.perchId);
+        if (perch) {
+            this.pos = clampToRect(this.pos, getFurnitureRect(perch, sim.bounds));
+            return;
+        }
+        this.perchId = null; // Removed in the layout editor
+        sim.getObstacles(this).forEach(rect => {
+            this.pos = pushOutOfRect(this.pos, rect);
+        });
+    }
+
+    // Where to head for `target`: straight at it, or the next corner of a way
+    // around the furniture. With `tuning` (chasing) it also jumps onto the
+    // sofa or cat tree the target is on, and down from one; returns null then
+    steer(sim, target, tuning = null) {
+        if (sim.furniture.length === 0) return target;
+        const bounds = sim.bounds;
+        const perch = sim.getFurniture(this.perchId);
+        let goal = target;
+
+        if (perch) {
+            if (rectContains(getFurnitureRect(perch, bounds), target)) return target;
+            if (tuning) {
+                const landing = clampToRect(target, getFurnitureRect(perch, bounds, FURNITURE_PATHS.clearance));
+                sim.catStates.transition(this, sim, 'jumping', sim.getFloorPoint(landing));
+                return null;
+            }
+            this.perchId = null; // Just hops down on the way
+        }
+
+        const under = tuning && sim.getPerchAt(target);
+        if (under) {
+            const rect = getFurnitureRect(under, bounds);
+            const edge = clampToRect(this.pos, rect);
+            if (Math.hypot(edge.x - this.pos.x, edge.y - this.pos.y) <= tuning.jumpReach) {
+                const spot = clampToRect(target, rect, FURNITURE_PATHS.reach);
+                sim.catStates.transition(this, sim, 'jumping', { ...spot, perchId: under.id });
+                return null;
+            }
+            // Walk up to the side nearest the cat
+            goal = clampToRect(this.pos, getFurnitureRect(under, bounds, FURNITURE_PATHS.clearance));
+        }
+
+        const obstacles = sim.getObstacles(this);
+        if (isSegmentClear(this.pos, goal, obstacles)) {
+            this.path = null;
+            return goal;
+        }
+
+        const path = this.path;
+        if (!path || path.points.length === 0 ||
+            Math.hypot(path.goal.x - goal.x, path.goal.y - goal.y) > FURNITURE_PATHS.replanDistance) {
+            this.path = { goal: { x: goal.x, y: goal.y }, points: findPath(this.pos, goal, obstacles, sim.getWalkArea()) };
+        }
+        const points = this.path.points;
+        while (points.length > 1 &&
+            Math.hypot(points[0].x - this.pos.x, points[0].y - this.pos.y) < FURNITURE_PATHS.reach) {
+            points.shift();
+        }
+        return points[0] || goal;
+    }
+
+    // Head for `target` at `speed` px per tick, around the furniture
+    walkTowards(sim, target, speed) {
+        const goal = this.steer(sim, target);
+        const dx = goal.x - this.pos.x;
+        const dy = goal.y - this.pos.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance === 0) return;
+        const step = Math.min(speed, distance);
+        this.velocity = { x: (dx / distance) * step, y: (dy / distance) * step };
+        this.moveBy(sim, this.velocity.x, this.velocity.y);
+    }
+
+    startJump(sim, { x, y, perchId = null, hide = false }) {
+        const heightOf = (id) => {
+            const item = sim.getFurniture(id);
+            return (item && FURNITURE_TYPES[item.type].perchHeight) || 0;
+        };
+        this.jumpArc = {
+            startX: this.pos.x,
+            startY: this.pos.y,
+            targetX: x,
+            targetY: y,
+            fromHeight: heightOf(this.perchId),
+            toHeight: heightOf(perchId),
+            perchId,
+            hide
+        };
+        this.perchId = null; // In the air
+        this.velocity = { x: 0, y: 0 };
+        sim.emit('jump', { cat: this, furniture: sim.getFurniture(perchId || (hide && this.boxId)) });
+    }
+
+    updateJump(sim, tuning) {
+        const arc = this.jumpArc;
+        const progress = Math.min((sim.time - this.stateStartTime) / tuning.jumpDuration, 1);
+        this.pos.x = arc.startX + (arc.targetX - arc.startX) * progress;
+        this.pos.y = arc.startY + (arc.targetY - arc.startY) * progress - 4 * 30 * progress * (1 - progress);
+        if (progress < 1) return;
+
+        this.perchId = arc.perchId;
+        sim.catStates.transition(this, sim, arc.hide ? 'hiding' : 'curious');
+    }
+
+    // px above the floor it is drawn at: on a piece of furniture, or on the way up or down
+    getPerchHeight(sim) {
+        const arc = this.jumpArc;
+        if (arc) {
+            const progress = Math.min((sim.time - this.stateStartTime) / sim.tuningFor(this).jumpDuration, 1);
+            return arc.fromHeight + (arc.toHeight - arc.fromHeight) * progress;
+        }
+        const perch = sim.getFurniture(this.perchId);
+        return (perch && FURNITURE_TYPES[perch.type].perchHeight) || 0;
+    }
+
+    // Trigger for 'seeking-box': now and then, a free box close by while the
+    // yarn ball is further off than it could spring
+    findHideout(sim, yarn, tuning) {
+        if (this.perchId !== null) return null;
+        const box = sim.furniture.find(item => {
+            if (!FURNITURE_TYPES[item.type].hideout || sim.cats.some(cat => cat.boxId === item.id)) return false;
+            const x = item.x * sim.bounds.width;
+            const y = item.y * sim.bounds.height;
+            return Math.hypot(x - this.pos.x, y - this.pos.y) < tuning.hideRange &&
+                Math.hypot(x - yarn.pos.x, y - yarn.pos.y) > tuning.ambushDistance;
+        });
+        if (!box || sim.rng.next() >= tuning.hideChance) return null;
+        return box;
+    }
+
+    walkToBox(sim, tuning) {
+        const box = sim.getFurniture(this.boxId);
+        if (!box) {
+            sim.catStates.transition(this, sim, 'curious');
+            return;
+        }
+        const rect = getFurnitureRect(box, sim.bounds);
+        const door = clampToRect(this.pos, getFurnitureRect(box, sim.bounds, FURNITURE_PATHS.clearance));
+        if (Math.hypot(door.x - this.pos.x, door.y - this.pos.y) < FURNITURE_PATHS.reach) {
+            const inside = { x: (rect.left + rect.right) / 2, y: (rect.top + rect.bottom) / 2 };
+            sim.catStates.transition(this, sim, 'jumping', { ...inside, hide: true });
+            return;
+        }
+        this.walkTowards(sim, door, tuning.chaseSpeed);
+    }
+
+    // In the box: springs at the yarn ball when it comes close, climbs out
+    // after hideDuration
+    ambush(sim, yarn, tuning) {
+        const states = sim.catStates;
+        const box = sim.getFurniture(this.boxId);
+        if (!box) {
+            states.transition(this, sim, 'curious');
+            return;
+        }
+        const rect = getFurnitureRect(box, sim.bounds);
+        this.pos = { x: (rect.left + rect.right) / 2, y: (rect.top + rect.bottom) / 2 };
+        this.speed = 0;
+
+        if (sim.time - this.stateStartTime >= tuning.hideDuration) {
+            const landing = clampToRect(yarn.pos, getFurnitureRect(box, sim.bounds, FURNITURE_PATHS.clearance));
+            states.transition(this, sim, 'jumping', sim.getFloorPoint(landing));
+            return;
+        }
+
+        const dx = yarn.pos.x - this.pos.x;
+        const dy = yarn.pos.y - this.pos.y;
+        if (yarn.isStill(sim, tuning.boredAfter) || Math.sqrt(dx * dx + dy * dy) >= tuning.ambushDistance) return;
+        if (states.transition(this, sim, 'pouncing', { dx, dy, long: true })) {
+            sim.emit('ambush', { cat: this, box });
+        }
+    }
+
+    // How much this cat wants a food now: how much it likes it, whether it
+    // fixes what the cat needs, and how far it has to walk
+    rateFood(food) {
+        const type = FOOD_TYPES[food.type];
+        const needs = this.needs;
+        let want = type.appeal;
+        if (type.needs.hunger) want += (-type.needs.hunger / 40) * (needs.hunger / 100);
+        if (type.needs.energy) want += (type.needs.energy / 25) * (1 - needs.energy / 100);
+        const distance = Math.hypot(food.x - this.pos.x, food.y - this.pos.y);
+        return want / (1 + distance / 300);
+    }
+
+    // Trigger for 'fetching': the free food it wants most (null if none)
+    pickFood(sim) {
+        return sim.foods
+            .filter(candidate => candidate.catId === null && candidate.id !== this.skippedFoodId)
+            .reduce((best, candidate) => {
+                const rating = this.rateFood(candidate);
+                return rating > best.rating ? { food: candidate, rating } : best;
+            }, { food: null, rating: 0 }).food;
+    }
+
+    claimFood(sim, food) {
+        food.catId = this.id;
+        this.foodId = food.id;
+        sim.emit('foodChosen', { cat: this, food });
+    }
+
+    walkToFood(sim) {
+        const food = sim.getFood(this.foodId);
+        if (!food) {
+            // Gone (e.g. restored from an older recording)
+            sim.catStates.transition(this, sim, 'curious');
+            return;
+        }
+        const foodDx = food.x - this.pos.x;
+        const foodDy = food.y - this.pos.y;
+        const foodDistance = Math.sqrt(foodDx * foodDx + foodDy * foodDy);
+
+        const goal = foodDistance > 40 ? this.steer(sim, food) : food;
+        const goalDx = goal.x - this.pos.x;
+        const goalDy = goal.y - this.pos.y;
+        const goalDistance = Math.sqrt(goalDx * goalDx + goalDy * goalDy);
+        // The last corner of a way around the furniture is as close as it gets
+        const lastPoint = this.path && this.path.points.length === 1 && goal === this.path.points[0];
+
+        if (foodDistance > 40 && !(lastPoint && goalDistance < FURNITURE_PATHS.reach)) {
+            // Move toward food
+            const speed = 5;
+            this.pos.x += (goalDx / (goalDistance || 1)) * speed;
+            this.pos.y += (goalDy / (goalDistance || 1)) * speed;
+            this.avoidFurniture(sim);
+        } else {
+            // Arrived at food - start eating
+            sim.catStates.transition(this, sim, 'eating');
+        }
+    }
+
+    // How long the food being eaten takes (Infinity once it's gone)
+    getMealDuration(sim) {
+        const food = sim.getFood(this.foodId);
+        if (!food) return Infinity;
+        return sim.tuningFor(this).eatingDuration * FOOD_TYPES[food.type].eatingScale;
+    }
+
+    finishMeal(sim) {
+        const type = FOOD_TYPES[sim.getFood(this.foodId).type];
+        this.changeNeeds(type.needs);
+        if (type.effect) this.startEffect(sim, type.effect);
+        sim.finishEating(this);
+    }
+
+    startPounce(sim, dx, dy, long = false) {
+        this.lastPounceTime = sim.time;
+
+        // Parabolic trajectory towards the yarn ball (don't overshoot it);
+        // a long pounce lands with its nose on the ball
+        const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+        const pounceDistance = long ? Math.max(0, distance - 35) : Math.min(70, distance);
+        this.pounceArc = {
+            startX: this.pos.x,
+            startY: this.pos.y,
+            targetX: this.pos.x + (dx / distance) * pounceDistance,
+            targetY: this.pos.y + (dy / distance) * pounceDistance,
+            peakHeight: long ? 110 : 80, // How high the cat jumps
+            long
+        };
+    }
+
+    // How far above the straight line of its pounce the cat is (0 when not pouncing)
+    getPounceLift(sim) {
+        const arc = this.pounceArc;
+        if (!arc || this.state !== 'pouncing') return 0;
+        const progress = Math.min((sim.time - this.stateStartTime) / sim.tuningFor(this).pounceDuration, 1);
+        // y = -4h*t*(t-1) where t is progress 0-1, h is peak height
+        return -4 * arc.peakHeight * progress * (progress - 1);
+    }
+
+    updatePounce(sim, yarn, tuning) {
+        const arc = this.pounceArc;
+        const progress = Math.min((sim.time - this.stateStartTime) / tuning.pounceDuration, 1);
+
+        // Horizontal movement (linear)
+        const currentX = arc.startX + (arc.targetX - arc.startX) * progress;
+
+        // Vertical movement (parabolic arc)
+        const currentY = arc.startY + (arc.targetY - arc.startY) * progress - this.getPounceLift(sim);
+
+        this.pos.x = currentX;
+        this.pos.y = currentY;
+
+        // Particles during jump
+        if (progress > 0.3 && progress < 0.7 && sim.rng.next() > 0.7) {
+            sim.emit('particle', { cat: this, x: currentX, y: currentY });
+        }
+
+        if (progress < 1) return;
+
+        // Landed (perhaps on a sofa)
+        const perch = sim.getPerchAt(this.pos);
+        this.perchId = perch ? perch.id : null;
+        sim.emit('pounceLand', { cat: this, x: currentX, y: currentY });
+        this.pounceCount++;
+        if (arc.long && this.getNoseDistance(yarn) < tuning.longPounceReach) {
+            this.catchYarn(sim, yarn, yarn.pos.x - this.pos.x);
+        }
+
+        // Check if cat needs to rest (catnip keeps it going)
+        const worn = this.pounceCount >= this.maxPouncesBeforeRest || this.needs.energy < CAT_NEEDS.tired;
+        sim.catStates.transition(this, sim, worn && !this.effects.hyper ? 'resting' : 'curious');
+    }
+
+    // Runs into yarn threads: fast cats can get caught up, idle ones swat at them
+    touchRopes(sim, ropes) {
+        const tuning = sim.tuningFor(this);
+        const contact = CAT_ROPE_CONTACT;
+        const centerX = this.pos.x;
+        const centerY = this.pos.y + contact.offsetY;
+
+        // Busy or tangled cats just shove the thread aside
+        let inside = 0;
+        ropes.forEach(rope => {
+            inside += rope.pushOut(centerX, centerY, contact.radius, {
+                x: this.velocity.x * 0.5,
+                y: this.velocity.y * 0.5
+            });
+        });
+        const enteredContact = inside > 0 && !this.ropeContact;
+        this.ropeContact = inside > 0;
+
+        const states = sim.catStates;
+        if (!states.allows(this.state, 'tangled')) return;
+
+        // The tangle cooldown is the guard of 'tangled'
+        if (enteredContact && this.speed > contact.tangleRunSpeed &&
+            states.can(this, sim, 'tangled') &&
+            sim.rng.next() < tuning.tangleChance) {
+            states.transition(this, sim, 'tangled');
+            return;
+        }
+
+        const now = sim.time;
+        if ((this.state === 'idle' || this.state === 'curious') &&
+            now - this.lastBatTime > tuning.batCooldown) {
+            const rope = ropes.find(candidate => candidate.isWithin(centerX, centerY, contact.reach));
+            if (rope && sim.rng.next() < tuning.batChance) {
+                this.batRope(sim, rope, centerX, centerY);
+            }
+        }
+    }
+
+    // A playful swipe flicks the nearby thread up and away
+    batRope(sim, rope, x, y) {
+        this.lastBatTime = sim.time;
+        this.changeNeeds({ happiness: CAT_NEEDS.happinessPerBat });
+        const direction = sim.rng.next() < 0.5 ? -1 : 1;
+        rope.pushOut(x, y, CAT_ROPE_CONTACT.reach, { x: direction * 6, y: -6 });
+        sim.emit('ropeBat', { cat: this, x, y });
+    }
+
+    startEffect(sim, effect) {
+        this.effects[effect] = sim.time + FOOD_EFFECTS[effect].duration;
+        sim.emit('effectStart', { cat: this, effect });
+    }
+
+    // Once per tick: drop effects that wore off
+    updateEffects(sim) {
+        Object.keys(this.effects).forEach(effect => {
+            if (sim.time < this.effects[effect]) return;
+            delete this.effects[effect];
+            sim.emit('effectEnd', { cat: this, effect });
+        });
+    }
+
+    // Fewer pounces between rests the less energy is left
+    rollPouncesBeforeRest(sim) {
+        const { min, max } = sim.tuningFor(this).restAfterPounces;
+        const energyScale = 0.5 + this.needs.energy / 200;
+        return Math.max(1, Math.round(sim.rng.int(min, max) * energyScale));
+    }
+
+    // Seconds left of the current rest (0 when not resting)
+    getRestRemaining(sim) {
+        if (this.state !== 'resting') return 0;
+        const restDuration = sim.tuningFor(this).restDuration;
+        return Math.max(0, (restDuration - (sim.time - this.stateStartTime)) / 1000);
+    }
+
+    calculateChaseSpeed(distance, yarn, tuning = this.tuning) {
+        let baseSpeed = tuning.chaseSpeed;
+
+        if (yarn.speed > 10) {
+            baseSpeed += yarn.speed * 0.4; // More responsive to fast movement
+        }
+
+        if (distance < 150) {
+            baseSpeed *= tuning.closeSpeedBoost; // Speed boost when close
+        } else if (distance > 300) {
+            baseSpeed *= 0.9;
+        }
+
+        return Math.min(baseSpeed * this.getNeedsSpeedScale(), tuning.maxChaseSpeed);
+    }
+
+    // Tired and hungry cats run slower, happy ones a little faster
+    getNeedsSpeedScale() {
+        const needs = this.needs;
+        let scale = 0.6 + 0.4 * (needs.energy / 100);
+        if (needs.hunger > CAT_NEEDS.hungry) scale *= 0.85;
+        if (needs.happiness > CAT_NEEDS.happy) scale *= 1.1;
+        return scale;
+    }
+
+    // The need the cat shows in its mood, most pressing first
+    getNeedMood() {
+        const needs = this.needs;
+        if (needs.energy < CAT_NEEDS.tired) return 'tired';
+        if (needs.hunger > CAT_NEEDS.hungry) return 'hungry';
+        if (needs.happiness < CAT_NEEDS.bored) return 'bored';
+        if (needs.happiness > CAT_NEEDS.happy) return 'happy';
+        return null;
+    }
+
+    changeNeeds(change) {
+        Object.keys(change).forEach(key => {
+            this.needs[key] = clampNeed(this.needs[key] + change[key]);
+        });
+    }
+
+    // Once per tick after update(): `distance` is how far the cat ran this tick
+    updateNeeds(sim, distance) {
+        const seconds = sim.tickMs / 1000;
+        const needs = this.needs;
+
+        let energy = -distance * CAT_NEEDS.energyPerPx;
+        if (this.state === 'resting' || this.state === 'sleeping') {
+            energy += CAT_NEEDS.restEnergyPerSecond * seconds;
+        } else if (this.speed < 0.5 && this.state !== 'pouncing') {
+            energy += CAT_NEEDS.idleEnergyPerSecond * seconds;
+        }
+        const decay = needs.hunger > CAT_NEEDS.hungry ? 2 : 1;
+        this.changeNeeds({
+            hunger: CAT_NEEDS.hungerPerSecond * seconds,
+            energy,
+            happiness: -CAT_NEEDS.happinessDecayPerSecond * decay * seconds
+        });
+
+        const mood = this.getNeedMood();
+        if (mood !== this.needMood) {
+            this.needMood = mood;
+            sim.emit('needMood', { cat: this, mood });
+        }
+    }
+
+    updateMood(sim, distance, yarn) {
+        let newState;
+
+        if (this.speed < 0.5) {
+            newState = 'idle';
+        } else if (this.speed > 8 || yarn.speed > 15) {
+            newState = 'excited';
+        } else if (distance < 100) {
+            newState = 'excited';
+        } else if (this.speed > 2) {
+            newState = 'running';
+        } else {
+            newState = 'curious';
+        }
+
+        if (newState !== this.state) sim.catStates.transition(this, sim, newState);
+    }
+
+    // Back to idle from whatever it was doing (used by the demo panel)
+    resetBehavior(sim) {
+        sim.catStates.reset(this, sim);
+        this.pounceCount = 0;
+    }
+}
+
+/**
+ * CatSimulation - owns every cat, yarn ball and the foods on the ground
+ *
+ * Inputs are queued with queueInput() and applied at the start of the next
+ * tick, so the same input log always produces the same session.
+ *
+ * Events: 'tickStart', 'input', 'tick', 'players', 'profile', 'physics', 'stateChange',
+ * 'catch', 'pounceLand', 'particle', 'pawPrint', 'restStart', 'restEnd',
+ * 'foodSpawned', 'eatStart', 'eatEnd', 'yarnBounce', 'tangle', 'untangle', 'ropeBat',
+ * 'distracted', 'startle', 'environment', 'shelterStart', 'shelterEnd', 'needMood',
+ * 'foodChosen', 'foodReleased', 'foodEmpty', 'inventory', 'effectStart', 'effectEnd',
+ * 'furniture', 'jump', 'ambush', 'transition', plus
+ * 'animalSpawn' / 'animalLeave' from an AnimalSpawner (cat events carry the
+ * CatEntity as `cat`). 'transition' ({ cat, from, to, reason }) fires on every
+ * state machine transition, 'stateChange' ({ cat, state }) only when the pose
+ * the renderer shows changes.
+ */
+class CatSimulation extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.tickMs = options.tickMs || SIM_TICK_MS;
+        this.rng = options.rng || new SeededRandom(options.seed);
+        this.bounds = {
+            width: options.width || 1280,
+            height: options.height || 720
+        };
+
+        // Simulation clock (advanced only by ticks)
+        this.time = 0;
+        this.tickCount = 0;
+        this.accumulator = 0;
+        this.pendingInputs = [];
+
+        // One cat and one yarn ball per player
+        this.cats = [];
+        this.yarns = [];
+        this.ropes = []; // Thread trailing from each yarn ball (YarnRope)
+        this.catProfiles = []; // Chosen profile per player slot
+        this.catNeeds = []; // Needs per player slot, kept while that player is away
+
+        // Cat behavior (CAT_STATES); `catStates.log` keeps the latest transitions
+        this.catStates = new StateMachine(CAT_STATES, {
+            initial: 'idle',
+            debug: options.debugStates,
+            onTransition: (cat, sim, entry) => this.onCatTransition(cat, entry)
+        });
+
+        // Tuning applied on top of every cat's own (e.g. challenge levels)
+        this.tuningOverrides = {};
+
+        // Yarn physics: released balls fly, bounce and roll (see YarnBall)
+        this.physics = Boolean(options.physics);
+
+        // Background animals, moved by an AnimalSpawner (scripts/animals.js)
+        this.animals = [];
+        this.animalSpawn = { nextId: 0, nextTime: null };
+
+        // Time of day and weather, changed by an EnvironmentCycle (scripts/environment.js).
+        // wind: px per tick² pushing free yarn balls and the threads (negative blows left)
+        this.environment = { phase: 'day', weather: 'clear', wind: 0 };
+
+        // Feeding system: several foods can lie on the ground, each cat picks
+        // one (the 'fetching' state, CAT_STATES); portions left per FOOD_TYPES id refill over time
+        this.foods = []; // { id, type, x, y, catId (null until a cat picks it) }
+        this.nextFoodId = 0;
+        const { inventory, refillAt } = createFoodInventory();
+        this.foodInventory = inventory;
+        this.foodRefillAt = refillAt; // Sim time the next portion arrives (null when full)
+        this.foodSpawnCooldown = 500; // ms between feedings
+        this.foodCooldownUntil = 0;
+
+        // Furniture cats walk around, jump on and hide in (scripts/furniture.js):
+        // { id, type, x, y } with x / y the footprint's center as fractions of the play area
+        this.furniture = [];
+        this.nextFurnitureId = 0;
+
+        this.setPlayerCount(options.players || 1);
+    }
+
+    setBounds(width, height) {
+        this.bounds = { width, height };
+    }
+
+    // Add or remove player cats / yarn balls (1 or 2 players)
+    setPlayerCount(count) {
+        const players = Math.max(1, Math.min(count, PLAYER_SPAWNS.length));
+        const { width, height } = this.bounds;
+
+        while (this.cats.length < players) {
+            const id = this.cats.length;
+            const spawn = PLAYER_SPAWNS[id];
+            const cat = new CatEntity(id, width * spawn.cat.x, height * spawn.cat.y, this.rng, this.catProfiles[id]);
+            if (this.catNeeds[id]) cat.needs = { ...this.catNeeds[id] };
+            this.cats.push(cat);
+            const yarn = new YarnBall(id, width * spawn.yarn.x + spawn.yarn.offsetX, height * spawn.yarn.y);
+            if (this.physics) yarn.release(this);
+            this.yarns.push(yarn);
+            this.ropes.push(new YarnRope(yarn.pos.x, yarn.pos.y));
+        }
+        while (this.cats.length > players) {
+            const cat = this.cats.pop();
+            this.catNeeds[cat.id] = { ...cat.needs };
+            this.yarns.pop();
+            this.ropes.pop();
+            // Leave its food for the other cat
+            const food = this.getFood(cat.foodId);
+            if (food) food.catId = null;
+        }
+
+        this.emit('players', players);
+    }
+
+    onCatTransition(cat, { from, to, reason }) {
+        this.emit('transition', { cat, from, to, reason });
+        const pose = getCatPose(cat);
+        if (pose === cat.pose) return;
+        cat.pose = pose;
+        this.emit('stateChange', { cat, state: pose });
+    }
+
+    // Choose the breed for a player's cat (kept for when that player joins)
+    setCatProfile(player, profile) {
+        this.catProfiles[player] = profile;
+
+        const cat = this.cats[player];
+        if (!cat || cat.profile === profile) return;
+
+        cat.setProfile(profile);
+        cat.maxPouncesBeforeRest = Math.min(cat.maxPouncesBeforeRest, cat.rollPouncesBeforeRest(this));
+        this.emit('profile', { cat, profile: cat.profile });
+    }
+
+    // Switching physics on drops every ball; switching it off leaves them where they are
+    setPhysics(enabled) {
+        this.physics = Boolean(enabled);
+        this.yarns.forEach(yarn => {
+            if (this.physics) {
+                yarn.release(this);
+            } else {
+                yarn.held = true;
+                yarn.velocity = { x: 0, y: 0 };
+                yarn.angularVelocity = 0;
+            }
+        });
+        this.emit('physics', this.physics);
+    }
+
+    // Restore a player's saved needs (that cat starts with them if it isn't playing yet)
+    setCatNeeds(player, needs) {
+        const settled = settleNeedsAway(needs, 0);
+        this.catNeeds[player] = settled;
+        const cat = this.cats[player];
+        if (cat) cat.needs = { ...settled };
+    }
+
+    // Needs of every player slot, playing or not (for saving)
+    getNeeds() {
+        const slots = Math.max(this.catNeeds.length, this.cats.length);
+        const needs = [];
+        for (let i = 0; i < slots; i++) {
+            const cat = this.cats[i];
+            needs.push(cat ? { ...cat.needs } : this.catNeeds[i] || null);
+        }
+        return needs;
+    }
+
+    // Nightfall makes cats that still had many pounces left tire sooner
+    setEnvironment(change) {
+        const previous = this.environment;
+        this.environment = { ...previous, ...change };
+        if (this.environment.phase === 'night' && previous.phase !== 'night') {
+            this.cats.forEach(cat => {
+                cat.maxPouncesBeforeRest = Math.min(cat.maxPouncesBeforeRest, cat.rollPouncesBeforeRest(this));
+            });
+        }
+        this.emit('environment', this.environment);
+    }
+
+    // Replace the tuning every cat plays with (a challenge level, or {} for none).
+    // Cats that were fresh from a rest shouldn't keep the easier budget.
+    setTuningOverrides(overrides) {
+        this.tuningOverrides = { ...overrides };
+        if (Object.keys(this.tuningOverrides).length === 0) return;
+
+        this.cats.forEach(cat => {
+            cat.maxPouncesBeforeRest = Math.min(cat.maxPouncesBeforeRest, cat.rollPouncesBeforeRest(this));
+        });
+    }
+
+    // Where a cat waits out the rain (off the edge like CatEntity.clamp, and beside any furniture there)
+    getShelterPoint(cat) {
+        const { width, height } = this.bounds;
+        const x = Math.max(CAT_WALK_MARGIN.x, width * SHELTER.x) + cat.id * SHELTER.spacing;
+        return this.getFloorPoint({ x, y: height * SHELTER.y });
+    }
+
+    // Where cats may walk: { left, top, right, bottom } (see CatEntity.clamp)
+    getWalkArea() {
+        const { width, height } = this.bounds;
+        return {
+            left: CAT_WALK_MARGIN.x,
+            top: CAT_WALK_MARGIN.y,
+            right: width - CAT_WALK_MARGIN.x,
+            bottom: height - CAT_WALK_MARGIN.y
+        };
+    }
+
+    getFurniture(id) {
+        if (id === null || id === undefined) return null;
+        return this.furniture.find(item => item.id === id) || null;
+    }
+
+    // Footprints a cat walks around (grown by the path clearance): all but
+    // the piece it's perched on and the box it's getting into
+    getObstacles(cat) {
+        return this.furniture
+            .filter(item => item.id !== cat.perchId && item.id !== cat.boxId)
+            .map(item => getFurnitureRect(item, this.bounds, FURNITURE_PATHS.clearance));
+    }
+
+    // The sofa or cat tree `point` is on top of (null if none)
+    getPerchAt(point) {
+        return this.furniture.find(item => FURNITURE_TYPES[item.type].perchHeight !== null &&
+            rectContains(getFurnitureRect(item, this.bounds), point)) || null;
+    }
+
+    // Nearest spot on the floor `grow` px clear of every piece of furniture
+    getFloorPoint(point, grow = FURNITURE_PATHS.clearance) {
+        return this.furniture.reduce((current, item) =>
+            pushOutOfRect(current, getFurnitureRect(item, this.bounds, grow)), { x: point.x, y: point.y });
+    }
+
+    // action 'layout' (items: a whole room, see normalizeLayout), 'add' (furniture: a
+    // FURNITURE_TYPES id, x, y), 'move' (id, x, y) or 'remove' (id)
+    changeFurniture({ action, id, furniture, x, y, items }) {
+        if (action === 'layout') {
+            this.furniture = normalizeLayout(items).map(item => ({ id: this.nextFurnitureId++, ...item }));
+        } else if (action === 'add') {
+            if (this.furniture.length >= MAX_FURNITURE) return;
+            const [item] = normalizeLayout([{ type: furniture, x, y }]);
+            if (!item) return;
+            this.furniture.push({ id: this.nextFurnitureId++, ...item });
+        } else if (action === 'move') {
+            const item = this.getFurniture(id);
+            if (!item) return;
+            Object.assign(item, normalizeLayout([{ type: item.type, x, y }])[0]);
+        } else if (action === 'remove') {
+            this.furniture = this.furniture.filter(item => item.id !== id);
+        } else {
+            return;
+        }
+
+        // Paths went stale; cats standing where a piece now is get pushed aside
+        this.cats.forEach(cat => {
+            cat.path = null;
+            if (cat.state !== 'jumping') cat.avoidFurniture(this);
+        });
+        this.emit('furniture', this.furniture);
+    }
+
+    get playerCount() {
+        return this.cats.length;
+    }
+
+    // Combined over all cats (lifetime stats)
+    get totalPounces() {
+        return this.cats.reduce((sum, cat) => sum + cat.totalPounces, 0);
+    }
+
+    get totalDistance() {
+        return this.cats.reduce((sum, cat) => sum + cat.totalDistance, 0);
+    }
+
+    // A watching dog doubles every catch
+    getCatchPoints() {
+        return this.animals.some(animal => animal.kind === 'dog') ? DOG_CATCH_POINTS : 1;
+    }
+
+    // Cat tuning <- time of day, weather and food effects <- overrides
+    tuningFor(cat) {
+        const effects = [this.environment.phase, this.environment.weather]
+            .map(id => ENVIRONMENT_TUNING[id])
+            .concat(Object.keys(cat.effects).map(id => FOOD_EFFECTS[id].tuning))
+            .filter(Boolean);
+        if (effects.length === 0 && Object.keys(this.tuningOverrides).length === 0) return cat.tuning;
+
+        const tuning = effects.reduce((current, effect) => effect(current), cat.tuning);
+        return { ...tuning, ...this.tuningOverrides };
+    }
+
+    // Queue an input: { type: 'yarn', player, x, y, speed }, { type: 'release', player },
+    // { type: 'food', x, y, food }, { type: 'players', count }, { type: 'profile', player, profile },
+    // { type: 'physics', enabled }, { type: 'environment', phase?, weather?, wind? },
+    // { type: 'needs', player, needs }, { type: 'tuning', overrides }
+    // or { type: 'furniture', action, ... } (see changeFurniture)
+    queueInput(input) {
+        this.pendingInputs.push(input);
+    }
+
+    // Consume real elapsed time in fixed ticks; returns the number of ticks run
+    advance(elapsedMs) {
+        this.accumulator += Math.min(Math.max(elapsedMs, 0), SIM_MAX_FRAME_MS);
+        let steps = 0;
+        while (this.accumulator >= this.tickMs) {
+            this.step();
+            this.accumulator -= this.tickMs;
+            steps++;
+        }
+        return steps;
+    }
+
+    // Run exactly one fixed tick
+    step() {
+        this.tickCount++;
+        this.time += this.tickMs;
+
+        // Replay hooks in here to queue the inputs recorded for this tick
+        this.emit('tickStart', this.tickCount);
+
+        const inputs = this.pendingInputs;
+        this.pendingInputs = [];
+        inputs.forEach(input => this.applyInput(input));
+
+        this.update();
+        this.emit('tick', this.tickCount);
+    }
+
+    applyInput(input) {
+        this.emit('input', { tick: this.tickCount, ...input });
+
+        if (input.type === 'yarn') {
+            const yarn = this.yarns[input.player || 0];
+            if (yarn) yarn.moveTo(input.x, input.y, input.speed, this.time);
+        } else if (input.type === 'release') {
+            const yarn = this.yarns[input.player || 0];
+            if (yarn && this.physics) yarn.release(this);
+        } else if (input.type === 'physics') {
+            this.setPhysics(input.enabled);
+        } else if (input.type === 'food') {
+            this.spawnFood(input.x, input.y, input.food);
+        } else if (input.type === 'players') {
+            this.setPlayerCount(input.count);
+        } else if (input.type === 'profile') {
+            this.setCatProfile(input.player || 0, input.profile);
+        } else if (input.type === 'needs') {
+            this.setCatNeeds(input.player || 0, input.needs);
+        } else if (input.type === 'environment') {
+            const { type, ...change } = input;
+            this.setEnvironment(change);
+        } else if (input.type === 'tuning') {
+            this.setTuningOverrides(input.overrides);
+        } else if (input.type === 'furniture') {
+            this.changeFurniture(input);
+        }
+    }
+
+    update() {
+        this.refillFood();
+        if (this.physics) {
+            this.yarns.forEach(yarn => {
+                if (!yarn.held) yarn.update(this);
+            });
+        }
+        this.cats.forEach(cat => {
+            const distanceBefore = cat.totalDistance;
+            cat.update(this, this.yarns[cat.id]);
+            cat.updateNeeds(this, cat.totalDistance - distanceBefore);
+            cat.updateEffects(this);
+        });
+
+        // Cats shove the threads first, so the length limit holds after the push
+        const floorY = this.bounds.height * GROUND_LINE;
+        this.cats.forEach(cat => cat.touchRopes(this, this.ropes));
+        this.ropes.forEach((rope, i) => rope.update(this.yarns[i].pos, floorY, this.bounds.width, this.environment.wind));
+    }
+
+    // Put down a portion from the inventory; cats pick foods on their next tick
+    spawnFood(x, y, type = DEFAULT_FOOD) {
+        const food = FOOD_TYPES[type] ? type : DEFAULT_FOOD;
+        if (this.time < this.foodCooldownUntil || this.foods.length >= MAX_FOODS_ON_GROUND) return;
+        if (this.foodInventory[food] <= 0) {
+            this.emit('foodEmpty', { type: food });
+            return;
+        }
+
+        this.foodInventory[food]--;
+        if (this.foodRefillAt[food] === null) {
+            this.foodRefillAt[food] = this.time + FOOD_TYPES[food].refill;
+        }
+        this.emit('inventory', this.foodInventory);
+
+        // Food dropped on or next to furniture slides off to where cats can walk
+        const spot = this.getFloorPoint({ x, y }, FURNITURE_PATHS.clearance);
+        const spawned = { id: this.nextFoodId++, type: food, x: spot.x, y: spot.y, catId: null };
+        this.foods.push(spawned);
+
+        // Set cooldown to prevent rapid spawning
+        this.foodCooldownUntil = this.time + this.foodSpawnCooldown;
+        this.emit('foodSpawned', spawned);
+    }
+
+    // One portion per `refill` ms until the inventory is full again
+    refillFood() {
+        Object.keys(this.foodRefillAt).forEach(type => {
+            const refillAt = this.foodRefillAt[type];
+            if (refillAt === null || this.time < refillAt) return;
+
+            this.foodInventory[type] = Math.min(FOOD_TYPES[type].max, this.foodInventory[type] + 1);
+            this.foodRefillAt[type] = this.foodInventory[type] < FOOD_TYPES[type].max
+                ? this.time + FOOD_TYPES[type].refill
+                : null;
+            this.emit('inventory', this.foodInventory);
+        });
+    }
+
+    getFood(id) {
+        return this.foods.find(food => food.id === id) || null;
+    }
+
+    finishEating(cat) {
+        const food = this.getFood(cat.foodId);
+        this.foods = this.foods.filter(other => other !== food);
+        cat.foodId = null;
+        this.emit('eatEnd', { cat, food });
+    }
+
+    // Leave the cat's food on the ground for any cat to pick
+    releaseFood(cat) {
+        const food = this.getFood(cat.foodId);
+        cat.foodId = null;
+        if (!food) return;
+        food.catId = null;
+        this.emit('foodReleased', { cat, food });
+    }
+
+    // Where a cat is looking: its food while eating, where it's sprinting to,
+    // a bird while distracted, otherwise its yarn ball
+    getFocusPoint(cat) {
+        const food = this.getFood(cat.foodId);
+        if (food) return food;
+        if (cat.zoomTarget) return cat.zoomTarget;
+        if (cat.distraction) {
+            const bird = this.animals.find(animal => animal.id === cat.distraction.animalId);
+            if (bird) return bird.pos;
+        }
+        return this.yarns[cat.id].pos;
+    }
+
+    // Plain-data copy of the whole simulation state (for recording/replay)
+    getSnapshot() {
+        const { listeners, pendingInputs, rng, catStates, ...state } = this;
+        return JSON.parse(JSON.stringify({ ...state, rngState: rng.state }));
+    }
+
+    restoreSnapshot(snapshot) {
+        // currentFood / foodTypes: the single food slot of older recordings
+        const { rngState, cats, yarns, ropes, currentFood, foodTypes, ...state } = JSON.parse(JSON.stringify(snapshot));
+        const { inventory, refillAt } = createFoodInventory();
+        // Defaults for recordings made before these existed
+        Object.assign(this, {
+            physics: false,
+            animals: [],
+            animalSpawn: { nextId: 0, nextTime: null },
+            environment: { phase: 'day', weather: 'clear', wind: 0 },
+            catNeeds: [],
+            foods: [],
+            nextFoodId: 0,
+            foodInventory: inventory,
+            foodRefillAt: refillAt,
+            furniture: [],
+            nextFurnitureId: 0
+        }, state);
+        this.cats = cats.map(data => CatEntity.fromJSON(data));
+        this.yarns = yarns.map(data => Object.assign(new YarnBall(data.id, 0, 0), data));
+        // Snapshots from before yarn threads get a freshly hung one
+        this.ropes = this.yarns.map((yarn, i) => ropes && ropes[i]
+            ? YarnRope.fromJSON(ropes[i])
+            : new YarnRope(yarn.pos.x, yarn.pos.y));
+        this.rng.state = rngState;
+        this.pendingInputs = [];
+        this.emit('players', this.cats.length);
+        this.emit('physics', this.physics);
+        this.emit('environment', this.environment);
+        this.emit('inventory', this.foodInventory);
+        this.emit('furniture', this.furniture);
+    }
+
+    // Every cat back to idle (used by the demo panel)
+    resetBehavior() {
+        this.cats.forEach(cat => cat.resetBehavior(this));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SIM_TICK_MS, CAT_TUNING, CAT_PROFILES, DEFAULT_CAT_PROFILE, getCatProfile,
+        CHASE_STATES, CAT_STATES, getCatPose,
+        GROUND_LINE, YARN_PHYSICS, DOG_CATCH_POINTS, SHELTER, ENVIRONMENT_TUNING,
+        CAT_NEEDS, settleNeedsAway, FOOD_TYPES, DEFAULT_FOOD, MAX_FOODS_ON_GROUND, FOOD_EFFECTS,
+        SeededRandom, EventEmitter, YarnBall, CatEntity, CatSimulation
+    };
+}
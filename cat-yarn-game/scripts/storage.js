@@ -0,0 +1,292 @@
+/**
+ * Game Storage - versioned localStorage persistence for settings and stats
+ * Saved data from older schema versions is upgraded by STORAGE_MIGRATIONS
+ */
+
+const STORAGE_KEY = 'yarn-ball-battle';
+const STORAGE_VERSION = 2;
+
+const STORAGE_DEFAULTS = {
+    settings: {
+        soundEnabled: true,
+        volume: 0.7, // Master volume (0-1)
+        language: 'auto', // 'auto' (the browser's language) or a LOCALES id
+        renderer: 'auto', // 'auto' (canvas on low-end phones) or a RENDERERS id
+        reducedMotion: null, // true / false, or null to follow prefers-reduced-motion
+        highContrast: null, // true / false, or null to follow prefers-contrast
+        controlMode: 'mouse',
+        gameMode: 'free',
+        playerCount: 1,
+        yarnPhysics: false, // Released balls fly, bounce and roll
+        foodType: 'fish', // Food put down by right-click / long press / feed keys (FOOD_TYPES)
+        timeMode: 'real', // Day/night follows the local clock ('real') or a fast 'demo' day
+        weather: 'auto', // 'auto' (random) or a WEATHER_TYPES id
+        catProfiles: ['tabby', 'tabby'], // Breed per player (CAT_PROFILES)
+        // Outfit per player (COSMETICS ids, see normalizeOutfit)
+        wardrobe: [
+            { coat: 'breed', hat: 'none', bow: 'none', collar: 'none', yarnColor: 'pink' },
+            { coat: 'breed', hat: 'none', bow: 'none', collar: 'none', yarnColor: 'sky' }
+        ],
+        settingsPanelCollapsed: false,
+        demoPanelCollapsed: false,
+        statsPanelCollapsed: true
+    },
+    stats: {
+        totalCatches: 0,
+        bestSession: 0, // Most catches in a single visit
+        totalDistance: 0, // px chased by the cat
+        foodServed: 0,
+        timePlayed: 0 // ms of simulated play
+    },
+    // Best result per challenge level: { [levelIndex]: { stars, catches } }
+    challengeBest: {},
+    // Unlocked badges ({ [id]: ms since epoch }) and saved progress towards
+    // collection badges ({ [id]: [values seen] }), see ACHIEVEMENTS
+    achievements: {
+        unlocked: {},
+        progress: {}
+    },
+    // Cat needs per player slot ({ hunger, energy, happiness } or null) and
+    // when they were saved (ms since epoch), so time away can be caught up
+    needs: {
+        cats: [],
+        savedAt: null
+    },
+    // Furniture in the room now and the layouts saved in the editor's slots
+    // ([{ type, x, y }] or null per slot, see normalizeLayout)
+    room: {
+        layout: [],
+        slots: [null, null, null]
+    }
+};
+
+// STORAGE_MIGRATIONS[n] upgrades saved data from version n to n + 1.
+// Version 0 is data saved before the schema was versioned.
+const STORAGE_MIGRATIONS = {
+    0: (data) => ({ ...data }),
+    // Player 1's yarnColor and the shared hat became per-player outfits
+    1: ({ settings = {}, ...data }) => {
+        const { yarnColor, hat, ...rest } = settings;
+        const outfit = {};
+        if (yarnColor) outfit.yarnColor = yarnColor;
+        if (hat) outfit.hat = hat;
+        return {
+            ...data,
+            settings: { ...rest, wardrobe: [outfit, hat ? { hat } : {}] }
+        };
+    }
+};
+
+// localStorage can throw (private mode, disabled cookies) - fall back to memory
+function createStorageBackend() {
+    try {
+        const probe = `${STORAGE_KEY}-probe`;
+        window.localStorage.setItem(probe, probe);
+        window.localStorage.removeItem(probe);
+        return window.localStorage;
+    } catch (e) {
+        const memory = new Map();
+        return {
+            getItem: (key) => (memory.has(key) ? memory.get(key) : null),
+            setItem: (key, value) => memory.set(key, String(value)),
+            removeItem: (key) => memory.delete(key)
+        };
+    }
+}
+
+// Fill in keys missing from saved data without dropping anything stored
+function mergeDefaults(defaults, saved) {
+    if (!saved || typeof saved !== 'object' || Array.isArray(saved)) {
+        return JSON.parse(JSON.stringify(defaults));
+    }
+    const merged = { ...saved };
+    Object.keys(defaults).forEach(key => {
+        const value = defaults[key];
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            merged[key] = mergeDefaults(value, saved[key]);
+        } else if (!(key in saved)) {
+            merged[key] = value;
+        }
+    });
+    return merged;
+}
+
+/**
+ * GameStorage - load, migrate and save the persisted game data
+ */
+class GameStorage {
+    constructor(backend = createStorageBackend(), key = STORAGE_KEY) {
+        this.backend = backend;
+        this.key = key;
+        this.data = this.load();
+    }
+
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(this.backend.getItem(this.key));
+        } catch (e) {
+            console.warn('Saved data is corrupt, starting fresh');
+        }
+
+        if (!saved || typeof saved !== 'object') {
+            return mergeDefaults(STORAGE_DEFAULTS, {});
+        }
+
+        const { version = 0, ...data } = saved;
+        return mergeDefaults(STORAGE_DEFAULTS, GameStorage.migrate(data, version));
+    }
+
+    static migrate(data, fromVersion) {
+        let migrated = data;
+        for (let version = fromVersion; version < STORAGE_VERSION; version++) {
+            const migration = STORAGE_MIGRATIONS[version];
+            if (!migration) {
+                throw new Error(`Missing storage migration from version ${version}`);
+            }
+            migrated = migration(migrated);
+        }
+        return migrated;
+    }
+
+    save() {
+        try {
+            this.backend.setItem(this.key, JSON.stringify({ version: STORAGE_VERSION, ...this.data }));
+        } catch (e) {
+            console.warn('Could not save game data');
+        }
+    }
+
+    get settings() {
+        return this.data.settings;
+    }
+
+    get stats() {
+        return this.data.stats;
+    }
+
+    updateSettings(patch) {
+        Object.assign(this.data.settings, patch);
+        this.save();
+    }
+
+    // Add deltas to lifetime stats ({ totalCatches: 1, ... })
+    addStats(deltas) {
+        Object.keys(deltas).forEach(key => {
+            this.data.stats[key] = (this.data.stats[key] || 0) + deltas[key];
+        });
+    }
+
+    recordSessionCatches(catches) {
+        this.data.stats.bestSession = Math.max(this.data.stats.bestSession, catches);
+    }
+
+    // Keep the best challenge result per level; returns true on a new record
+    recordChallengeResult({ levelIndex, stars, catches }) {
+        const best = this.data.challengeBest[levelIndex];
+        if (best && (best.stars > stars || (best.stars === stars && best.catches >= catches))) {
+            return false;
+        }
+        this.data.challengeBest[levelIndex] = { stars, catches };
+        this.save();
+        return true;
+    }
+
+    getChallengeStars() {
+        return Object.values(this.data.challengeBest)
+            .reduce((total, best) => total + best.stars, 0);
+    }
+
+    // Returns true the first time an achievement is unlocked
+    unlockAchievement(id, unlockedAt = Date.now()) {
+        if (this.data.achievements.unlocked[id]) return false;
+        this.data.achievements.unlocked[id] = unlockedAt;
+        this.save();
+        return true;
+    }
+
+    saveNeeds(cats, savedAt = Date.now()) {
+        this.data.needs = { cats, savedAt };
+    }
+
+    get room() {
+        return this.data.room;
+    }
+
+    saveRoomLayout(layout) {
+        this.data.room.layout = layout;
+        this.save();
+    }
+
+    saveRoomSlot(index, layout) {
+        this.data.room.slots[index] = layout;
+        this.save();
+    }
+
+    reset() {
+        this.data = mergeDefaults(STORAGE_DEFAULTS, {});
+        this.save();
+    }
+}
+
+/**
+ * StatsTracker - turns simulation events into lifetime stats, and keeps the
+ * cats' needs saved. Suspended during replays so watching a clip doesn't
+ * count as playing
+ */
+class StatsTracker {
+    constructor(simulation, storage) {
+        this.simulation = simulation;
+        this.storage = storage;
+        this.sessionCatches = 0;
+        this.suspended = false;
+        this.mark();
+
+        simulation.on('catch', () => {
+            if (this.suspended) return;
+            this.sessionCatches++;
+            this.storage.addStats({ totalCatches: 1 });
+            this.storage.recordSessionCatches(this.sessionCatches);
+        });
+        simulation.on('foodSpawned', () => {
+            if (this.suspended) return;
+            this.storage.addStats({ foodServed: 1 });
+        });
+    }
+
+    // Remember distance/time so flush() only adds what happened since
+    mark() {
+        this.distanceMark = this.simulation.totalDistance;
+        this.timeMark = this.simulation.time;
+    }
+
+    // Fold distance and play time into the stats, then save (with the needs)
+    flush() {
+        if (!this.suspended) {
+            this.storage.addStats({
+                totalDistance: Math.max(0, this.simulation.totalDistance - this.distanceMark),
+                timePlayed: Math.max(0, this.simulation.time - this.timeMark)
+            });
+            this.storage.saveNeeds(this.simulation.getNeeds());
+        }
+        this.mark();
+        this.storage.save();
+    }
+
+    suspend() {
+        this.flush();
+        this.suspended = true;
+    }
+
+    resume() {
+        this.suspended = false;
+        this.mark();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STORAGE_KEY, STORAGE_VERSION, STORAGE_DEFAULTS, STORAGE_MIGRATIONS,
+        mergeDefaults, GameStorage, StatsTracker
+    };
+}
@@ -0,0 +1,163 @@
+/**
+ * AudioEngine.render on an OfflineAudioContext
+ * Node has no Web Audio, so RecordingAudioContext stands in for it: it keeps
+ * the graph the engine builds (nodes, connections, scheduled starts and
+ * stops) instead of producing samples. The waveform itself needs a browser.
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { AUDIO_DEFAULTS, AUDIO_BUSES, AudioEngine } = require('../scripts/audio.js');
+
+class RecordingParam {
+    constructor(value = 0) {
+        this.value = value;
+        this.events = [];
+    }
+
+    setValueAtTime(value, time) { this.events.push(['set', value, time]); }
+    linearRampToValueAtTime(value, time) { this.events.push(['linear', value, time]); }
+    exponentialRampToValueAtTime(value, time) { this.events.push(['exponential', value, time]); }
+    setTargetAtTime(value, time) { this.events.push(['target', value, time]); }
+    cancelScheduledValues(time) { this.events.push(['cancel', time]); }
+}
+
+class RecordingNode {
+    constructor(kind, params = {}) {
+        this.kind = kind;
+        this.outputs = [];
+        Object.keys(params).forEach(name => {
+            this[name] = new RecordingParam(params[name]);
+        });
+    }
+
+    connect(target) {
+        this.outputs.push(target);
+        return target;
+    }
+
+    start(time, offset = 0) {
+        this.startTime = time;
+        this.offset = offset;
+    }
+
+    stop(time) {
+        this.stopTime = time;
+    }
+}
+
+class RecordingAudioContext {
+    constructor(channels, length, sampleRate) {
+        this.channels = channels;
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this.currentTime = 0;
+        this.nodes = [];
+        this.destination = new RecordingNode('destination');
+    }
+
+    add(node) {
+        this.nodes.push(node);
+        return node;
+    }
+
+    createGain() { return this.add(new RecordingNode('gain', { gain: 1 })); }
+    createOscillator() { return this.add(new RecordingNode('oscillator', { frequency: 440 })); }
+    createBiquadFilter() { return this.add(new RecordingNode('filter', { frequency: 350, Q: 1 })); }
+    createBufferSource() { return this.add(new RecordingNode('buffer')); }
+
+    createBuffer(channels, length, sampleRate) {
+        const data = Array.from({ length: channels }, () => new Float32Array(length));
+        return { numberOfChannels: channels, length, sampleRate, duration: length / sampleRate, getChannelData: i => data[i] };
+    }
+
+    startRendering() {
+        return Promise.resolve(this.createBuffer(this.channels, this.length, this.sampleRate));
+    }
+
+    ofKind(kind) {
+        return this.nodes.filter(node => node.kind === kind);
+    }
+}
+
+// AudioEngine.render() creates its context from the global, as in the browser
+globalThis.OfflineAudioContext = RecordingAudioContext;
+
+// Follows the first output of each node down to the destination
+function pathFrom(node) {
+    const path = [];
+    for (let current = node; current; current = current.outputs[0]) {
+        path.push(current.kind);
+    }
+    return path;
+}
+
+// Fixed "random" numbers, so every render schedules the same sound
+function sequence(values) {
+    let i = 0;
+    return () => values[i++ % values.length];
+}
+
+test('render() hands play() an engine on a context as long as the duration', async () => {
+    let context = null;
+
+    const buffer = await AudioEngine.render(engine => {
+        context = engine.context;
+        assert.ok(engine.isOffline());
+        assert.ok(engine.isReady());
+    }, { duration: 0.5, sampleRate: 8000 });
+
+    assert.strictEqual(context.channels, 1);
+    assert.strictEqual(buffer.length, 4000);
+    assert.strictEqual(buffer.sampleRate, 8000);
+});
+
+test('a rendered meow runs through the effects bus and stops after its length', async () => {
+    let engine = null;
+
+    await AudioEngine.render(audio => {
+        engine = audio;
+        audio.meow({ pitch: 1, length: 1 });
+    }, { duration: 1, sampleRate: 8000, random: sequence([0.5]) });
+
+    const context = engine.context;
+    const [voice] = context.ofKind('oscillator');
+    assert.strictEqual(voice.startTime, 0);
+    assert.ok(Math.abs(voice.stopTime - (0.4 + 0.05)) < 1e-9, `stops at ${voice.stopTime}`);
+    assert.deepStrictEqual(pathFrom(voice), ['oscillator', 'filter', 'gain', 'gain', 'gain', 'destination']);
+
+    const effectsBus = voice.outputs[0].outputs[0].outputs[0]; // After the mouth filter and the envelope
+    assert.strictEqual(effectsBus, engine.buses.effects);
+    assert.strictEqual(effectsBus.gain.value, AUDIO_BUSES.effects);
+    assert.strictEqual(engine.master.gain.value, AUDIO_DEFAULTS.volume);
+});
+
+test('the same random numbers schedule the same sound', async () => {
+    const schedule = async () => {
+        let context = null;
+        await AudioEngine.render(audio => {
+            context = audio.context;
+            audio.chew(1);
+        }, { duration: 1, sampleRate: 8000, random: sequence([0.1, 0.7, 0.3]) });
+        return context.ofKind('buffer').map(source => [source.startTime, source.offset, source.stopTime]);
+    };
+
+    const first = await schedule();
+    assert.strictEqual(first.length, 4);
+    assert.deepStrictEqual(await schedule(), first);
+});
+
+test('a muted engine skips one-shot sounds but remembers purring', () => {
+    const engine = new AudioEngine({ muted: true, random: sequence([0.5]) });
+    engine.setPurring(0, true);
+
+    const context = new RecordingAudioContext(1, 8000, 8000);
+    engine.attach(context);
+    engine.meow();
+
+    // Just the purr: its rumble and its pulse
+    assert.strictEqual(context.ofKind('oscillator').length, 2);
+    assert.strictEqual(engine.master.gain.value, 0);
+    assert.ok(engine.purrs.has(0));
+});
@@ -0,0 +1,74 @@
+/**
+ * CAT_STATES transition table, driven through the simulation's StateMachine
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CAT_STATES, CatSimulation } = require('../scripts/simulation.js');
+
+// A cat put straight into `state`, as if it had just entered it
+function catIn(state) {
+    const sim = new CatSimulation({ seed: 1 });
+    const cat = sim.cats[0];
+    cat.state = state;
+    cat.stateStartTime = sim.time;
+    return { sim, cat };
+}
+
+test('the table only names known states', () => {
+    Object.keys(CAT_STATES).forEach(name => {
+        (CAT_STATES[name].to || []).forEach(target => {
+            assert.ok(CAT_STATES[target], `${name} -> ${target}`);
+        });
+    });
+});
+
+test('allows the transitions the table lists', () => {
+    const { sim } = catIn('idle');
+    [
+        ['pouncing', 'resting'],
+        ['resting', 'stretching'],
+        ['stretching', 'curious'],
+        ['tangled', 'curious'],
+        ['fetching', 'eating'],
+        ['eating', 'idle'],
+        ['sleeping', 'startled']
+    ].forEach(([from, to]) => {
+        assert.ok(sim.catStates.allows(from, to), `${from} -> ${to}`);
+    });
+});
+
+test('forbids the transitions the table leaves out', () => {
+    const { sim } = catIn('idle');
+    [
+        ['resting', 'pouncing'],
+        ['pouncing', 'pouncing'],
+        ['jumping', 'idle'],
+        ['tangled', 'pouncing'],
+        ['stretching', 'resting'],
+        ['eating', 'fetching']
+    ].forEach(([from, to]) => {
+        assert.ok(!sim.catStates.allows(from, to), `${from} -> ${to}`);
+    });
+});
+
+test('throws on a transition outside the table', () => {
+    const { sim, cat } = catIn('resting');
+    assert.throws(
+        () => sim.catStates.transition(cat, sim, 'pouncing', { dx: 1, dy: 0 }),
+        /Transition "resting" -> "pouncing" is not allowed/
+    );
+    assert.strictEqual(cat.state, 'resting');
+});
+
+test('a timed state moves on to `next` after its duration', () => {
+    const { sim, cat } = catIn('stretching');
+    const seen = [];
+    sim.on('transition', ({ from, to, reason }) => seen.push(`${from}>${to}:${reason}`));
+
+    const ticks = Math.ceil(sim.tuningFor(cat).stretchDuration / sim.tickMs) + 1;
+    for (let i = 0; i < ticks; i++) sim.step();
+
+    assert.strictEqual(seen[0], 'stretching>curious:timeout');
+});
@@ -0,0 +1,126 @@
+/**
+ * GestureRecognizer fed with landmark fixtures instead of a camera
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { HAND, classifyHandPose, GestureRecognizer } = require('../scripts/gestures.js');
+
+const FRAME_MS = 33;
+
+// Fingertip chains (MCP, PIP, DIP, tip) for index, middle, ring and pinky
+const FINGERS = [[5, 6, 7, 8], [9, 10, 11, 12], [13, 14, 15, 16], [17, 18, 19, 20]];
+
+/**
+ * A right hand facing the camera, wrist at the bottom. `fingers` flags which
+ * of index/middle/ring/pinky are stretched out, `thumb` is 'in', 'out', 'up'
+ * or 'pinch' (touching the index tip), `dx` shifts the whole hand sideways.
+ */
+function handFixture({ fingers = [false, false, false, false], thumb = 'in', dx = 0 } = {}) {
+    const landmarks = Array.from({ length: 21 }, () => ({ x: 0.5, y: 0.5 }));
+    const put = (i, x, y) => {
+        landmarks[i] = { x: x + dx, y };
+    };
+
+    put(HAND.WRIST, 0.5, 0.8);
+    FINGERS.forEach(([mcp, pip, dip, tip], i) => {
+        const x = 0.44 + i * 0.06;
+        put(mcp, x, 0.6);
+        if (fingers[i]) {
+            put(pip, x, 0.5);
+            put(dip, x, 0.45);
+            put(tip, x, 0.4);
+        } else {
+            put(pip, x, 0.53);
+            put(dip, x, 0.58);
+            put(tip, x, 0.63);
+        }
+    });
+
+    put(1, 0.42, 0.75);
+    put(HAND.THUMB_MCP, 0.38, 0.7);
+    if (thumb === 'out') {
+        put(HAND.THUMB_IP, 0.33, 0.65);
+        put(HAND.THUMB_TIP, 0.28, 0.62);
+    } else if (thumb === 'up') {
+        put(HAND.THUMB_IP, 0.4, 0.55);
+        put(HAND.THUMB_TIP, 0.4, 0.45);
+    } else if (thumb === 'pinch') {
+        put(HAND.THUMB_IP, 0.42, 0.45);
+        put(HAND.THUMB_TIP, 0.45, 0.41);
+    } else {
+        put(HAND.THUMB_IP, 0.42, 0.65);
+        put(HAND.THUMB_TIP, 0.45, 0.63);
+    }
+    return landmarks;
+}
+
+const POSES = {
+    open: handFixture({ fingers: [true, true, true, true], thumb: 'out' }),
+    fist: handFixture(),
+    peace: handFixture({ fingers: [true, true, false, false] }),
+    point: handFixture({ fingers: [true, false, false, false] }),
+    thumbsUp: handFixture({ thumb: 'up' }),
+    pinch: handFixture({ fingers: [true, false, false, false], thumb: 'pinch' })
+};
+
+// Feeds `frames` copies of a pose; returns the time of the last frame
+function hold(recognizer, landmarks, frames, time) {
+    for (let i = 0; i < frames; i++) {
+        time += FRAME_MS;
+        recognizer.update(landmarks, time);
+    }
+    return time;
+}
+
+test('classifies each fixture pose', () => {
+    Object.keys(POSES).forEach(pose => {
+        assert.strictEqual(classifyHandPose(POSES[pose]), pose);
+    });
+    assert.strictEqual(classifyHandPose(null), 'none');
+    assert.strictEqual(classifyHandPose(POSES.open.slice(0, 10)), 'none');
+});
+
+test('a pose must hold for enterFrames before it starts', () => {
+    const recognizer = new GestureRecognizer();
+    const starts = [];
+    recognizer.on('start', ({ gesture }) => starts.push(gesture));
+
+    let time = hold(recognizer, POSES.fist, 2, 0);
+    assert.strictEqual(recognizer.gesture, 'none');
+    time = hold(recognizer, POSES.fist, 1, time);
+    assert.strictEqual(recognizer.gesture, 'fist');
+    assert.deepStrictEqual(starts, ['fist']);
+});
+
+test('a single misread frame does not end the gesture', () => {
+    const recognizer = new GestureRecognizer();
+    const events = [];
+    recognizer.on('start', ({ gesture }) => events.push(`start:${gesture}`));
+    recognizer.on('end', ({ gesture }) => events.push(`end:${gesture}`));
+
+    let time = hold(recognizer, POSES.point, 4, 0);
+    time = hold(recognizer, POSES.fist, 1, time);
+    time = hold(recognizer, POSES.point, 3, time);
+    assert.deepStrictEqual(events, ['start:point']);
+
+    time = hold(recognizer, POSES.pinch, 3, time);
+    recognizer.reset(time + FRAME_MS);
+    assert.deepStrictEqual(events, ['start:point', 'end:point', 'start:pinch', 'end:pinch']);
+});
+
+test('an open palm swinging side to side waves once per cooldown', () => {
+    const recognizer = new GestureRecognizer();
+    const waves = [];
+    recognizer.on('wave', ({ time }) => waves.push(time));
+
+    let time = 0;
+    for (let i = 0; i < 40; i++) {
+        const swing = handFixture({ fingers: [true, true, true, true], thumb: 'out', dx: Math.sin(i / 2) * 0.1 });
+        time = hold(recognizer, swing, 1, time);
+    }
+
+    assert.strictEqual(recognizer.gesture, 'open');
+    assert.strictEqual(waves.length, 1);
+});
@@ -0,0 +1,64 @@
+/**
+ * Seeded determinism: the same seed and inputs give the same session,
+ * however the real frame times are sliced
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CatSimulation } = require('../scripts/simulation.js');
+
+// Waves the yarn around for `ticks` ticks, in frames of `frameMs` (at most one
+// tick long), and returns everything that happened, in order
+function play(seed, ticks, frameMs) {
+    const sim = new CatSimulation({ seed, width: 1280, height: 720 });
+    const events = [];
+    sim.on('transition', ({ cat, from, to, reason }) => {
+        events.push(`${sim.tickCount} #${cat.id} ${from}>${to} ${reason}`);
+    });
+    sim.on('catch', ({ cat }) => events.push(`${sim.tickCount} #${cat.id} catch`));
+
+    let queuedTick = -1;
+    while (sim.tickCount < ticks) {
+        // One yarn sample per tick, whatever the frame rate
+        if (sim.tickCount !== queuedTick) {
+            const t = sim.tickCount / 60;
+            sim.queueInput({ type: 'yarn', x: 640 + 400 * Math.sin(t), y: 400 + 150 * Math.cos(t * 1.7), speed: 6 });
+            queuedTick = sim.tickCount;
+        }
+        sim.advance(frameMs);
+    }
+
+    const cat = sim.cats[0];
+    return {
+        ticks: sim.tickCount,
+        events,
+        cat: { state: cat.state, x: cat.pos.x, y: cat.pos.y, pounces: cat.pounceCount },
+        rng: sim.rng.state
+    };
+}
+
+test('the same seed and inputs replay identically at any frame rate', () => {
+    const first = play(42, 60 * 30, 1000 / 60);
+    const second = play(42, 60 * 30, 1000 / 60);
+    const faster = play(42, 60 * 30, 1000 / 144);
+
+    assert.ok(first.events.length > 0, 'the cat did something');
+    assert.deepStrictEqual(second, first);
+    assert.deepStrictEqual(faster, first);
+});
+
+test('another seed plays out differently', () => {
+    const first = play(42, 60 * 30, 1000 / 60);
+    const other = play(7, 60 * 30, 1000 / 60);
+
+    assert.notDeepStrictEqual(other, first);
+});
+
+test('advance() runs whole ticks and carries the remainder over', () => {
+    const sim = new CatSimulation({ seed: 1 });
+
+    assert.strictEqual(sim.advance(sim.tickMs * 2.5), 2);
+    assert.strictEqual(sim.advance(sim.tickMs * 0.5), 1);
+    assert.strictEqual(sim.tickCount, 3);
+});